@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Product types the customizer can design
+ * Each type sets the base geometry, how charms are placed on it and how the piece is assembled
+ */
+
+import { CATEGORIES } from '../types/inventory.js';
+
+/**
+ * Product type identifiers
+ */
+export const PRODUCT_TYPES = {
+  NECKLACE: 'necklace',
+  BRACELET: 'bracelet',
+  EARRINGS: 'earrings',
+  KEYCHAIN: 'keychain'
+};
+
+/**
+ * How charms attach to a base
+ */
+export const PLACEMENT_RULES = {
+  CHAIN: 'chain', // Slide anywhere along a chain path
+  HOOKS: 'hooks', // Hang from fixed hooks with limited room
+  STACK: 'stack' // Stack down a vertical chain
+};
+
+/**
+ * Per-type configuration
+ * Layouts use the customization_options shape: chain_path points and attachment_zones
+ * as fractions (0-1) of the base artwork
+ */
+export const PRODUCT_TYPE_CONFIG = {
+  [PRODUCT_TYPES.NECKLACE]: {
+    name: 'Necklace',
+    category: CATEGORIES.NECKLACES,
+    placement: PLACEMENT_RULES.CHAIN,
+    maxCharms: 12,
+    libraryCategories: [CATEGORIES.CHARMS],
+    chainLengths: [16, 18, 20, 24], // inches
+    defaultChainLength: 18,
+    maxStrands: 3, // chains of different lengths worn layered as one design
+    assembly: {
+      base: 'necklace chain',
+      order: 'left to right',
+      tools: ['jump ring pliers', 'flat nose pliers'],
+      finishing: 'Close the clasp and check every jump ring is fully closed'
+    }
+  },
+
+  [PRODUCT_TYPES.BRACELET]: {
+    name: 'Bracelet',
+    category: CATEGORIES.BRACELETS,
+    placement: PLACEMENT_RULES.CHAIN,
+    maxCharms: 8,
+    libraryCategories: [CATEGORIES.CHARMS],
+    wristSizes: [5.5, 6, 6.5, 7, 7.5, 8], // inches
+    defaultWristSize: 6.5,
+    comfortAllowance: 0.5, // inches added to the wrist size so the chain drapes
+    layout: {
+      chain_path: {
+        points: [[0.06, 0.3], [0.28, 0.36], [0.5, 0.38], [0.72, 0.36], [0.94, 0.3]]
+      }
+    },
+    assembly: {
+      base: 'bracelet chain',
+      order: 'left to right',
+      tools: ['jump ring pliers', 'flat nose pliers'],
+      finishing: 'Keep charms clear of the clasp so the bracelet can close around the wrist'
+    }
+  },
+
+  [PRODUCT_TYPES.EARRINGS]: {
+    name: 'Earrings',
+    category: CATEGORIES.EARRINGS,
+    placement: PLACEMENT_RULES.HOOKS,
+    maxCharms: 2,
+    libraryCategories: [CATEGORIES.CHARMS],
+    layout: {
+      attachment_zones: [
+        { x: 0.3, y: 0.42, radius: 0.1, capacity: 1 },
+        { x: 0.7, y: 0.42, radius: 0.1, capacity: 1 }
+      ],
+      pixels_per_mm: 6 // Ear wires are drawn about 25mm tall
+    },
+    assembly: {
+      base: 'pair of earring hooks',
+      order: 'left earring, then right earring',
+      tools: ['jump ring pliers', 'flat nose pliers'],
+      finishing: 'Hold the pair side by side and check both charms hang at the same height'
+    }
+  },
+
+  [PRODUCT_TYPES.KEYCHAIN]: {
+    name: 'Keychain',
+    category: CATEGORIES.KEYCHAINS,
+    placement: PLACEMENT_RULES.STACK,
+    maxCharms: 4,
+    libraryCategories: [CATEGORIES.CHARMS, CATEGORIES.KEYCHAINS],
+    layout: {
+      chain_path: {
+        points: [[0.5, 0.3], [0.5, 0.98]]
+      },
+      pixels_per_mm: 5 // Carabiner is drawn about 25mm tall
+    },
+    assembly: {
+      base: 'carabiner and chain',
+      order: 'top to bottom',
+      tools: ['jump ring pliers', 'split ring pliers'],
+      finishing: 'Close the carabiner gate and tug each charm to test the rings'
+    }
+  }
+};
+
+/**
+ * Get the configuration for a product type
+ * @param {string} type - One of PRODUCT_TYPES
+ * @returns {Object} Product type configuration
+ */
+export function getProductTypeConfig(type) {
+  const config = PRODUCT_TYPE_CONFIG[type];
+  if (!config) {
+    throw new Error(`Unknown product type: ${type}`);
+  }
+  return { type, ...config };
+}
+
+/**
+ * Chain length for a bracelet, in inches
+ * @param {number} wristSize - Wrist circumference in inches
+ * @returns {number} Chain length in inches
+ */
+export function getBraceletLength(wristSize) {
+  return wristSize + PRODUCT_TYPE_CONFIG[PRODUCT_TYPES.BRACELET].comfortAllowance;
+}
@@ -5,6 +5,23 @@
 
 import Konva from 'konva';
 import ImageLoader from '../utils/ImageLoader.js';
+import ChainPath from '../utils/ChainPath.js';
+import RealWorldScale from '../utils/RealWorldScale.js';
+import HangingPhysics from './HangingPhysics.js';
+import SnapGuides from './SnapGuides.js';
+
+/**
+ * Layouts offered by arrangeCharms
+ */
+export const ARRANGE_STRATEGIES = {
+    EVEN: 'even', // Spread evenly along the whole chain
+    CENTRE: 'centre', // Packed together around the centre
+    GRADUATED: 'graduated', // Largest in the centre, getting smaller outwards
+    ALTERNATING: 'alternating' // Large and small charms in turn, spread evenly
+};
+
+const ARRANGE_INSET = 0.15; // share of the chain left bare at each end by even layouts
+const ARRANGE_DURATION = 0.4; // seconds
 
 export default class CharmManager {
     constructor(charmLayer, options = {}) {
@@ -14,21 +31,47 @@ export default class CharmManager {
         // Charm storage
         this.charms = new Map();
         this.attachmentZones = [];
+        this.chainPath = null;
+        this.strandPaths = new Map(); // Chain paths of layered strands by strand id; charms without one hang from chainPath
         this.necklaceImage = null;
+        this.lockToZones = false; // Charms must hang from a zone, e.g. an earring hook
+        this.pixelsPerMm = null; // Stage pixels per millimetre; null until a base is calibrated
         
-        // Selection indicator
+        // Selection indicator and rotate/scale handles
         this.selectionIndicator = null;
+        this.selectedCharm = null; // Set only for single selections, which get transform handles
+        this.selectedCharms = [];
+        this.transformer = null;
+        this.rotationSnapAngle = options.rotationSnapAngle || 15; // degrees
+        this.minCharmScale = options.minCharmScale || 0.5;
+        this.maxCharmScale = options.maxCharmScale || 2;
         
         // Drag state
         this.dragConstraints = null;
         this.snapThreshold = 15; // pixels
+        this.groupDrag = null;
+        this.liftedStack = null; // Stacking to put back once dragged charms are dropped
+        this.axisLock = null; // 'horizontal' or 'vertical' keeps drags to that direction
+        this.unlockedConstraints = undefined; // Constraints to restore once an axis-locked drag ends
+        
+        // Alignment guides and the optional grid a dragged charm snaps to
+        this.snapGuides = new SnapGuides(this, options);
+        
+        // Mirror mode places, moves and removes each charm together with its twin
+        this.mirrorMode = false;
         
         // Event callbacks
         this.onCharmPlaced = null;
         this.onCharmMoved = null;
         this.onCharmSelected = null;
+        this.onCharmTransformed = null;
+        this.onCharmsTangled = null;
         this.onError = null;
         
+        // Charms hang and swing under gravity; collisions are always resolved by swinging
+        this.physics = new HangingPhysics(this);
+        this.physics.setEnabled(options.physics);
+        
         this.imageLoader = new ImageLoader();
         this.createSelectionIndicator();
     }
@@ -55,6 +98,173 @@ export default class CharmManager {
         }
     }
 
+    /**
+     * Require every charm to hang from an attachment zone instead of being placed freely
+     */
+    setZoneLock(locked) {
+        this.lockToZones = !!locked;
+    }
+
+    /**
+     * Set the real-world scale and resize placed charms to match, keeping each bail in place
+     */
+    setScale(pixelsPerMm) {
+        this.pixelsPerMm = pixelsPerMm > 0 ? pixelsPerMm : null;
+
+        for (const charm of this.charms.values()) {
+            const image = charm.image();
+            if (!image) continue;
+
+            const bail = this.getBailOffset(charm);
+            const size = this.getCharmSize(image, charm.charmData);
+            charm.width(size.width);
+            charm.height(size.height);
+            charm.charmData.width = size.width;
+            charm.charmData.height = size.height;
+
+            const newBail = this.getBailOffset(charm);
+            charm.position({
+                x: charm.x() + bail.x - newBail.x,
+                y: charm.y() + bail.y - newBail.y
+            });
+        }
+
+        this.refreshGroupSelection();
+    }
+
+    /**
+     * On-canvas size for a charm image: its real size once calibrated, otherwise a fixed fit
+     */
+    getCharmSize(image, charmData = {}) {
+        if (this.pixelsPerMm) {
+            return RealWorldScale.getCharmPixelSize(image, RealWorldScale.getCharmDimensions(charmData), this.pixelsPerMm);
+        }
+
+        const maxSize = 320; // Doubled from 160 to match necklace zoom scaling
+        const scale = Math.min(maxSize / image.width, maxSize / image.height);
+        return {
+            width: image.width * scale,
+            height: image.height * scale
+        };
+    }
+
+    /**
+     * Set the chain path charms hang from
+     * The definition's points are fractions (0-1) of the necklace image; without an image they are stage coordinates
+     */
+    setChainPath(definition, necklaceImage = this.necklaceImage) {
+        if (!definition) {
+            this.chainPath = null;
+            return;
+        }
+
+        if (definition instanceof ChainPath) {
+            this.chainPath = definition;
+            return;
+        }
+
+        const imageBounds = this.getImageBounds(necklaceImage) || { x: 0, y: 0, width: 1, height: 1 };
+
+        this.chainPath = ChainPath.fromDefinition(definition, imageBounds);
+    }
+
+    /**
+     * Set or, with a null definition, remove the chain path of a layered strand
+     * Points are fractions of the strand's own image, or stage coordinates without one
+     */
+    setStrandPath(strandId, definition, strandImage = null) {
+        if (!definition) {
+            this.strandPaths.delete(strandId);
+            return;
+        }
+
+        const imageBounds = (strandImage && this.getImageBounds(strandImage)) || { x: 0, y: 0, width: 1, height: 1 };
+        this.strandPaths.set(strandId, definition instanceof ChainPath ? definition : ChainPath.fromDefinition(definition, imageBounds));
+    }
+
+    /**
+     * Remove a layered strand, hanging its charms on the main chain at the same fraction along it
+     * @returns {number} Charms moved to the main chain
+     */
+    removeStrand(strandId) {
+        this.strandPaths.delete(strandId);
+
+        const moved = [...this.charms.values()].filter(charm => charm.charmData && charm.charmData.strandId === strandId);
+        moved.forEach(charm => {
+            delete charm.charmData.strandId;
+            if (this.getParentCharm(charm)) return;
+
+            const pathPosition = charm.charmData.pathPosition;
+            const position = this.chainPath && pathPosition !== undefined && pathPosition !== null
+                ? this.getPositionForPathPoint(charm, pathPosition)
+                : charm.position();
+            charm.position(this.validateCharmPosition(charm, position));
+        });
+        this.updateChildren();
+        this.refreshGroupSelection();
+        return moved.length;
+    }
+
+    /**
+     * Strand a charm hangs from, or null for the main chain
+     */
+    getStrandId(charm) {
+        const strandId = charm && charm.charmData && charm.charmData.strandId;
+        return strandId && this.strandPaths.has(strandId) ? strandId : null;
+    }
+
+    /**
+     * Chain path of the strand a charm hangs from
+     */
+    getChainPath(charm) {
+        const strandId = this.getStrandId(charm);
+        return strandId ? this.strandPaths.get(strandId) : this.chainPath;
+    }
+
+    /**
+     * Bounds of a necklace image on the stage, or null without one
+     */
+    getImageBounds(necklaceImage = this.necklaceImage) {
+        if (!necklaceImage) return null;
+
+        return {
+            x: necklaceImage.x(),
+            y: necklaceImage.y(),
+            width: necklaceImage.width() * necklaceImage.scaleX(),
+            height: necklaceImage.height() * necklaceImage.scaleY()
+        };
+    }
+
+    /**
+     * Move charms onto a newly loaded necklace
+     * Charms on a chain keep their fraction along it; others keep their bail's place relative to the old image
+     */
+    refitCharms(previousBounds) {
+        const bounds = this.getImageBounds();
+
+        for (const charm of this.charms.values()) {
+            const pathPosition = charm.charmData?.pathPosition;
+            let position = charm.position();
+
+            if (this.getChainPath(charm) && pathPosition !== undefined && pathPosition !== null) {
+                position = this.getPositionForPathPoint(charm, pathPosition);
+            } else if (previousBounds && bounds) {
+                const offset = this.getBailOffset(charm);
+                const ratioX = (position.x + offset.x - previousBounds.x) / previousBounds.width;
+                const ratioY = (position.y + offset.y - previousBounds.y) / previousBounds.height;
+                position = {
+                    x: bounds.x + ratioX * bounds.width - offset.x,
+                    y: bounds.y + ratioY * bounds.height - offset.y
+                };
+            }
+
+            charm.position(this.validateCharmPosition(charm, position));
+        }
+        this.updateChildren();
+
+        this.refreshGroupSelection();
+    }
+
     /**
      * Add a charm to the canvas
      */
@@ -74,11 +284,8 @@ export default class CharmManager {
                 src: imageObj.src
             });
             
-            // Calculate charm size (doubled size for zoom effect)
-            const maxSize = 320; // Doubled from 160 to match necklace zoom scaling
-            const scale = Math.min(maxSize / imageObj.width, maxSize / imageObj.height);
-            const charmWidth = imageObj.width * scale;
-            const charmHeight = imageObj.height * scale;
+            // Size the charm to its real dimensions on the current base
+            const { width: charmWidth, height: charmHeight } = this.getCharmSize(imageObj, charmData);
             
             // Create Konva image node with explicit drag configuration
             const charm = new Konva.Image({
@@ -116,9 +323,21 @@ export default class CharmManager {
                 width: charmWidth,
                 height: charmHeight
             };
+            // A strand no longer in the design leaves the charm on the main chain
+            if (!this.getStrandId(charm)) {
+                this.setStrand(charm, null);
+            }
+            
+            // Restore saved rotation and scale (undo/redo and loaded designs)
+            const targetScale = {
+                x: charmData.scaleX || 1,
+                y: charmData.scaleY || 1
+            };
+            charm.rotation(charmData.rotation || 0);
+            charm.scale(targetScale);
             
-            // Validate and adjust position
-            const validPosition = this.validateCharmPosition(charm, position);
+            // Validate and adjust position; positions anchored at the bail give it rather than the top-left corner
+            const validPosition = this.validateCharmPosition(charm, position.anchor === 'bail' ? this.getPositionForBail(charm, position) : position);
             charm.position(validPosition);
             
             // Add to layer and storage FIRST
@@ -150,13 +369,54 @@ export default class CharmManager {
             // Add minimal drag events
             charm.on('dragstart', function() {
                 console.log(`✨ SIMPLE DRAG START: ${this.id()}`);
-                this.moveToTop();
             });
             
             charm.on('dragmove', function() {
                 console.log(`🚀 SIMPLE DRAG MOVE: ${this.id()} to`, this.position());
             });
             
+            // Selected charms move together; the selection box follows them
+            charm.on('dragstart', () => {
+                this.physics.release(charm);
+                this.startGroupDrag(charm);
+                this.liftDraggedCharms(charm);
+                this.startAxisLock(charm);
+            });
+            charm.on('dragmove', () => {
+                const guides = this.snapGuides.snap(charm, {
+                    x: this.axisLock !== 'vertical',
+                    y: this.axisLock !== 'horizontal'
+                });
+                charm.position(this.applyDragConstraints(charm.position()));
+                if (!this.hangFromLoop(charm)) {
+                    this.attachToChainPath(charm);
+                }
+                if (this.physics.enabled) {
+                    this.physics.trackDrag(charm);
+                }
+                this.updateGroupDrag(charm);
+                this.updateTwins(this.getDraggedCharms(charm));
+                this.updateChildren();
+                if (this.selectedCharms.includes(charm)) {
+                    this.updateSelectionIndicator(this.selectedCharms);
+                }
+                this.snapGuides.show(charm, guides);
+            });
+            charm.on('dragend', () => {
+                this.snapGuides.hide();
+                this.endAxisLock();
+                this.restoreLiftedStack();
+                this.endGroupDrag(charm);
+            });
+            
+            // Click selects; shift-click adds to or removes from the selection
+            charm.on('click tap', (e) => {
+                e.cancelBubble = true; // Prevent stage click
+                if (this.onCharmSelected) {
+                    this.onCharmSelected(charm, { additive: !!(e.evt && e.evt.shiftKey) });
+                }
+            });
+            
             charm.on('dragend', function() {
                 console.log(`🎯 SIMPLE DRAG END: ${this.id()} at`, this.position());
             });
@@ -177,10 +437,10 @@ export default class CharmManager {
             
             // Visual feedback with animation - but don't interfere with events
             if (this.options.enableAnimation) {
-                charm.scale({ x: 0.5, y: 0.5 });
+                charm.scale({ x: targetScale.x * 0.5, y: targetScale.y * 0.5 });
                 const tween = charm.to({
-                    scaleX: 1,
-                    scaleY: 1,
+                    scaleX: targetScale.x,
+                    scaleY: targetScale.y,
                     duration: 0.3,
                     easing: Konva.Easings.BackEaseOut,
                     onFinish: () => {
@@ -422,6 +682,20 @@ export default class CharmManager {
      * Validate and adjust charm position to prevent invalid placement
      */
     validateCharmPosition(charm, position) {
+        // Charms hanging from another charm stay on its loop
+        const parent = this.getParentCharm(charm);
+        if (parent) {
+            return this.getPositionForBail(charm, this.getLoopPoint(parent));
+        }
+
+        if (this.chainPath) {
+            return this.validatePathPosition(charm, position);
+        }
+        
+        if (this.lockToZones && this.attachmentZones.length > 0) {
+            return this.validateZonePosition(charm, position);
+        }
+        
         let validX = position.x;
         let validY = position.y;
         
@@ -449,7 +723,7 @@ export default class CharmManager {
         
         // If necklace image exists, try to keep charms within reasonable area
         if (this.necklaceImage) {
-            const necklaceBounds = this.necklaceImage.getClientRect();
+            const necklaceBounds = this.getImageBounds(); // Design coordinates, whatever the zoom
             const margin = 50; // pixels outside necklace allowed
             
             validX = Math.max(necklaceBounds.x - margin, 
@@ -458,18 +732,148 @@ export default class CharmManager {
                      Math.min(validY, necklaceBounds.y + necklaceBounds.height + margin - charmHeight));
         }
         
-        // Check for collisions with other charms
-        const collision = this.checkCharmCollision(charm, { x: validX, y: validY });
-        if (collision) {
-            // Try to find a nearby free space
-            const freeSpace = this.findNearestFreeSpace({ x: validX, y: validY }, charm);
-            if (freeSpace) {
-                validX = freeSpace.x;
-                validY = freeSpace.y;
+        // Swing the charm about its bail until it rests against its neighbours
+        return this.physics.restAgainstNeighbours(charm, { x: validX, y: validY });
+    }
+
+    /**
+     * Pin a charm's bail to the chain path, sliding along it to avoid other charms
+     */
+    validatePathPosition(charm, position) {
+        const pinned = this.getPathPosition(charm, position);
+        let result = pinned;
+        
+        if (this.checkCharmCollision(charm, pinned)) {
+            result = this.findFreePathPosition(charm, pinned.t) || pinned;
+        }
+        
+        if (charm.charmData) {
+            charm.charmData.pathPosition = Math.round(result.t * 10000) / 10000;
+        }
+        
+        return { x: result.x, y: result.y };
+    }
+
+    /**
+     * Hang a charm's bail from the nearest zone with room, staying put when every zone is full
+     */
+    validateZonePosition(charm, position) {
+        const offset = this.getBailOffset(charm);
+        const bail = { x: position.x + offset.x, y: position.y + offset.y };
+        
+        this.releaseAttachmentZones(charm.id());
+        const zone = this.findNearestAttachmentZone(bail);
+        if (!zone) {
+            return { x: position.x, y: position.y };
+        }
+        
+        zone.occupants = [...this.getZoneOccupants(zone), charm.id()];
+        zone.occupied = charm.id();
+        
+        return { x: zone.x - offset.x, y: zone.y - offset.y };
+    }
+
+    /**
+     * Search outward along the chain for a spot where the charm doesn't collide
+     */
+    findFreePathPosition(charm, startT) {
+        const step = 10 / this.getChainPath(charm).getLength(); // 10px along the chain
+        
+        for (let offset = step; offset <= 1; offset += step) {
+            for (const t of [startT + offset, startT - offset]) {
+                if (t < 0 || t > 1) continue;
+                
+                const position = this.getPositionForPathPoint(charm, t);
+                if (!this.checkCharmCollision(charm, position)) {
+                    return position;
+                }
             }
         }
         
-        return { x: validX, y: validY };
+        return null;
+    }
+
+    /**
+     * Offset from a charm's top-left corner to its bail (top centre), including rotation and scale
+     */
+    getBailOffset(charm) {
+        const halfWidth = (charm.width() || 0) * (charm.scaleX() || 1) / 2;
+        const angle = (charm.rotation() || 0) * Math.PI / 180;
+        
+        return {
+            x: Math.cos(angle) * halfWidth,
+            y: Math.sin(angle) * halfWidth
+        };
+    }
+
+    /**
+     * Top-left position that puts the charm's bail on the closest point of the chain
+     */
+    getPathPosition(charm, position) {
+        const offset = this.getBailOffset(charm);
+        const closest = this.getChainPath(charm).getClosestPoint({
+            x: position.x + offset.x,
+            y: position.y + offset.y
+        });
+        
+        return { x: closest.x - offset.x, y: closest.y - offset.y, t: closest.t };
+    }
+
+    /**
+     * Top-left position that puts the charm's bail at a fraction along the chain
+     */
+    getPositionForPathPoint(charm, t) {
+        const offset = this.getBailOffset(charm);
+        const point = this.getChainPath(charm).getPointAt(t);
+        
+        return { x: point.x - offset.x, y: point.y - offset.y, t };
+    }
+
+    /**
+     * Keep a dragged charm hanging from the chain
+     * On a layered necklace it moves to whichever strand it is dragged nearest
+     */
+    attachToChainPath(charm) {
+        if (!this.chainPath || this.getParentCharm(charm)) return;
+        
+        this.setStrand(charm, this.findNearestStrand(charm));
+        const pinned = this.getPathPosition(charm, charm.position());
+        charm.position({ x: pinned.x, y: pinned.y });
+        if (charm.charmData) {
+            charm.charmData.pathPosition = Math.round(pinned.t * 10000) / 10000;
+        }
+    }
+
+    /**
+     * Strand whose chain passes closest to a charm's bail, or null for the main chain
+     */
+    findNearestStrand(charm) {
+        const offset = this.getBailOffset(charm);
+        const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+
+        let nearest = null;
+        let nearestDistance = this.chainPath ? this.calculateDistance(bail, this.chainPath.getClosestPoint(bail)) : Infinity;
+        this.strandPaths.forEach((chainPath, strandId) => {
+            const distance = this.calculateDistance(bail, chainPath.getClosestPoint(bail));
+            if (distance < nearestDistance) {
+                nearest = strandId;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Record which strand a charm hangs from, or null for the main chain
+     */
+    setStrand(charm, strandId) {
+        if (!charm.charmData) return;
+
+        if (strandId) {
+            charm.charmData.strandId = strandId;
+        } else {
+            delete charm.charmData.strandId;
+        }
     }
 
     /**
@@ -484,7 +888,9 @@ export default class CharmManager {
         };
         
         for (const [id, charm] of this.charms) {
-            if (charm === currentCharm) continue;
+            // A charm and the charms hanging from it touch by design, and strands hang at different depths
+            if (charm === currentCharm || this.isRelated(charm, currentCharm) ||
+                this.getStrandId(charm) !== this.getStrandId(currentCharm)) continue;
             
             const otherBounds = {
                 x: charm.x(),
@@ -508,27 +914,6 @@ export default class CharmManager {
         return false; // No collision
     }
 
-    /**
-     * Find nearest free space for charm placement
-     */
-    findNearestFreeSpace(preferredPosition, charm) {
-        const searchRadius = 100;
-        const step = 10;
-        
-        for (let radius = step; radius <= searchRadius; radius += step) {
-            for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 8) {
-                const testX = preferredPosition.x + Math.cos(angle) * radius;
-                const testY = preferredPosition.y + Math.sin(angle) * radius;
-                
-                if (!this.checkCharmCollision(charm, { x: testX, y: testY })) {
-                    return { x: testX, y: testY };
-                }
-            }
-        }
-        
-        return preferredPosition; // Fallback to original position
-    }
-
     /**
      * Calculate drag boundaries
      */
@@ -568,7 +953,7 @@ export default class CharmManager {
         let minDistance = Infinity;
         
         for (const zone of this.attachmentZones) {
-            if (zone.occupied) continue;
+            if (this.isZoneFull(zone)) continue;
             
             const distance = this.calculateDistance(position, zone);
             if (distance < minDistance) {
@@ -584,6 +969,16 @@ export default class CharmManager {
      * Snap position to nearest attachment zone
      */
     snapToAttachmentZone(position, charmId = null) {
+        // Charms hang anywhere along a chain path, so always snap to the closest point on it
+        if (this.chainPath) {
+            const closest = this.chainPath.getClosestPoint(position);
+            const charm = charmId ? this.charms.get(charmId) : null;
+            if (charm && charm.charmData) {
+                charm.charmData.pathPosition = Math.round(closest.t * 10000) / 10000;
+            }
+            return { x: closest.x, y: closest.y };
+        }
+        
         const nearestZone = this.findNearestAttachmentZone(position);
         
         if (!nearestZone) {
@@ -596,6 +991,7 @@ export default class CharmManager {
         if (distance <= this.snapThreshold) {
             // Mark zone as occupied if charmId provided
             if (charmId) {
+                nearestZone.occupants = [...this.getZoneOccupants(nearestZone), charmId];
                 nearestZone.occupied = charmId;
             }
             
@@ -605,6 +1001,33 @@ export default class CharmManager {
         return position; // Too far, return original position
     }
 
+    /**
+     * Charm ids attached to a zone
+     */
+    getZoneOccupants(zone) {
+        return zone.occupants || (zone.occupied ? [zone.occupied] : []);
+    }
+
+    /**
+     * Check whether a zone has reached its capacity (one charm unless set)
+     */
+    isZoneFull(zone) {
+        return this.getZoneOccupants(zone).length >= (zone.capacity || 1);
+    }
+
+    /**
+     * Free any zones a charm was attached to
+     */
+    releaseAttachmentZones(charmId) {
+        this.attachmentZones.forEach(zone => {
+            const occupants = this.getZoneOccupants(zone);
+            if (!occupants.includes(charmId)) return;
+            
+            zone.occupants = occupants.filter(id => id !== charmId);
+            zone.occupied = zone.occupants.length > 0 ? zone.occupants[zone.occupants.length - 1] : false;
+        });
+    }
+
     /**
      * Show visual feedback for snap zone
      */
@@ -677,70 +1100,1124 @@ export default class CharmManager {
     }
 
     /**
-     * Show selection indicator around charm
+     * Create the Konva Transformer used for rotate and scale handles
      */
-    showSelection(charm) {
-        const padding = 5;
-        
-        this.selectionIndicator.setAttrs({
-            x: charm.x() - padding,
-            y: charm.y() - padding,
-            width: charm.width() + padding * 2,
-            height: charm.height() + padding * 2,
-            visible: true
+    createTransformer() {
+        const snapCount = Math.round(360 / this.rotationSnapAngle);
+
+        this.transformer = new Konva.Transformer({
+            name: 'charm-transformer',
+            rotateEnabled: true,
+            keepRatio: true,
+            centeredScaling: true,
+            flipEnabled: false,
+            borderEnabled: false, // The selection indicator already outlines the charm
+            enabledAnchors: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+            anchorStroke: '#667eea',
+            anchorFill: '#ffffff',
+            anchorSize: 10,
+            rotateAnchorOffset: 30,
+            // Snap to every step; a tolerance of half a step means rotation always lands on one
+            rotationSnaps: Array.from({ length: snapCount }, (_, i) => i * this.rotationSnapAngle),
+            rotationSnapTolerance: this.rotationSnapAngle / 2,
+            boundBoxFunc: (oldBox, newBox) => this.limitTransformBox(oldBox, newBox)
         });
-        
-        // Animate selection
-        this.selectionIndicator.to({
-            strokeWidth: 3,
-            duration: 0.2,
-            easing: Konva.Easings.EaseInOut
+
+        this.transformer.on('transform', () => {
+            if (this.selectedCharm) {
+                this.updateSelectionIndicator(this.selectedCharm);
+                this.updateTwins([this.selectedCharm]);
+                this.updateChildren();
+            }
         });
-        
-        const uiLayer = this.selectionIndicator.getLayer();
-        if (uiLayer) {
-            uiLayer.draw();
-        }
+
+        this.transformer.on('transformend', () => {
+            const charm = this.selectedCharm;
+            if (!charm) return;
+
+            // Keep stored values tidy and uniform
+            const scale = this.clampScale(Math.round(charm.scaleX() * 100) / 100);
+            charm.scale({ x: scale, y: scale });
+            charm.rotation(this.normalizeRotation(charm.rotation()));
+            // Turning or resizing moves the bail, so hang it back on the chain
+            charm.position(this.validateCharmPosition(charm, charm.position()));
+            this.updateSelectionIndicator(charm);
+            this.updateTwins([charm]);
+            this.updateChildren();
+
+            if (this.onCharmTransformed) {
+                this.onCharmTransformed(charm);
+            }
+        });
+
+        const stage = this.charmLayer.getStage();
+        const uiLayer = (stage && stage.findOne && stage.findOne('.ui')) || this.charmLayer;
+        uiLayer.add(this.transformer);
     }
 
     /**
-     * Hide selection indicator
+     * Reject transformer boxes that would scale the charm outside its bounds
      */
-    hideSelection() {
-        this.selectionIndicator.visible(false);
-        const uiLayer = this.selectionIndicator.getLayer();
-        if (uiLayer) {
-            uiLayer.draw();
+    limitTransformBox(oldBox, newBox) {
+        const charm = this.selectedCharm;
+        if (!charm || !charm.width()) {
+            return newBox;
         }
+
+        const stageScale = charm.getStage() ? charm.getStage().scaleX() : 1;
+        const scale = newBox.width / (charm.width() * stageScale);
+
+        if (scale < this.minCharmScale || scale > this.maxCharmScale) {
+            return oldBox;
+        }
+
+        return newBox;
     }
 
     /**
-     * Remove a charm
+     * Clamp a scale factor to the allowed charm scale range
      */
-    removeCharm(charmId) {
+    clampScale(scale) {
+        return Math.max(this.minCharmScale, Math.min(scale, this.maxCharmScale));
+    }
+
+    /**
+     * Normalize rotation to the 0-360 range, snapped to the rotation step
+     */
+    normalizeRotation(rotation) {
+        const snapped = Math.round(rotation / this.rotationSnapAngle) * this.rotationSnapAngle;
+        return ((snapped % 360) + 360) % 360;
+    }
+
+    /**
+     * Rotate a charm by a number of degrees
+     */
+    rotateCharm(charmId, degrees) {
         const charm = this.charms.get(charmId);
         if (!charm) return false;
-        
-        // Animate removal
-        if (this.options.enableAnimation) {
-            charm.to({
-                scaleX: 0,
-                scaleY: 0,
-                opacity: 0,
-                duration: 0.3,
-                easing: Konva.Easings.BackEaseIn,
-                onFinish: () => {
-                    charm.destroy();
-                    this.charmLayer.draw();
-                }
-            });
-        } else {
-            charm.destroy();
-            this.charmLayer.draw();
+
+        charm.rotation(this.normalizeRotation(charm.rotation() + degrees));
+        // Turning moves the bail, so hang it back on the chain
+        charm.position(this.validateCharmPosition(charm, charm.position()));
+        this.updateTwins([charm]);
+        this.updateChildren();
+        this.refreshCharmSelection(charm);
+
+        if (this.onCharmTransformed) {
+            this.onCharmTransformed(charm);
         }
-        
-        this.charms.delete(charmId);
-        console.log(`Charm removed: ${charmId}`);
+        return true;
+    }
+
+    /**
+     * Set a charm's uniform scale, clamped to the allowed range
+     */
+    scaleCharm(charmId, scale) {
+        const charm = this.charms.get(charmId);
+        if (!charm) return false;
+
+        const clamped = this.clampScale(scale);
+        charm.scale({ x: clamped, y: clamped });
+        // Resizing moves the bail, so hang it back on the chain
+        charm.position(this.validateCharmPosition(charm, charm.position()));
+        this.updateTwins([charm]);
+        this.updateChildren();
+        this.refreshCharmSelection(charm);
+
+        if (this.onCharmTransformed) {
+            this.onCharmTransformed(charm);
+        }
+        return true;
+    }
+
+    /**
+     * Redraw selection visuals after a programmatic transform
+     */
+    refreshCharmSelection(charm) {
+        if (this.selectedCharm === charm) {
+            this.updateSelectionIndicator(charm);
+            if (this.transformer) {
+                this.transformer.forceUpdate();
+            }
+        }
+        this.charmLayer.draw();
+    }
+
+    /**
+     * Show selection indicator around one charm or a group of charms
+     */
+    showSelection(charmOrCharms) {
+        const charms = [].concat(charmOrCharms).filter(Boolean);
+        if (charms.length === 0) {
+            this.hideSelection();
+            return;
+        }
+        
+        this.selectedCharms = charms;
+        this.selectedCharm = charms.length === 1 ? charms[0] : null;
+        this.updateSelectionIndicator(charms);
+        
+        // Animate selection
+        this.selectionIndicator.to({
+            strokeWidth: 3,
+            duration: 0.2,
+            easing: Konva.Easings.EaseInOut
+        });
+        
+        // Attach rotate/scale handles; groups only get the combined box
+        if (!this.transformer) {
+            this.createTransformer();
+        }
+        this.transformer.nodes(this.selectedCharm ? [this.selectedCharm] : []);
+        this.transformer.moveToTop();
+        
+        const uiLayer = this.selectionIndicator.getLayer();
+        if (uiLayer) {
+            uiLayer.draw();
+        }
+        const transformerLayer = this.transformer.getLayer();
+        if (transformerLayer && transformerLayer !== uiLayer) {
+            transformerLayer.draw();
+        }
+    }
+
+    /**
+     * Fit the selection indicator around one or more charms, including rotation and scale
+     */
+    updateSelectionIndicator(charmOrCharms) {
+        const padding = 5;
+        const bounds = this.getSelectionBounds([].concat(charmOrCharms));
+        if (!bounds) return;
+        
+        this.selectionIndicator.setAttrs({
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2,
+            visible: true
+        });
+    }
+
+    /**
+     * Hide selection indicator
+     */
+    hideSelection() {
+        this.selectedCharm = null;
+        this.selectedCharms = [];
+        this.selectionIndicator.visible(false);
+        
+        if (this.transformer) {
+            this.transformer.nodes([]);
+            const transformerLayer = this.transformer.getLayer();
+            if (transformerLayer) {
+                transformerLayer.draw();
+            }
+        }
+        
+        const uiLayer = this.selectionIndicator.getLayer();
+        if (uiLayer) {
+            uiLayer.draw();
+        }
+    }
+
+    /**
+     * Get a charm's on-screen bounds in layer coordinates
+     */
+    getCharmBounds(charm) {
+        const layer = charm.getLayer();
+        if (layer) {
+            return charm.getClientRect({ relativeTo: layer });
+        }
+        
+        return {
+            x: charm.x(),
+            y: charm.y(),
+            width: charm.width() * charm.scaleX(),
+            height: charm.height() * charm.scaleY()
+        };
+    }
+
+    /**
+     * Get the combined bounding box of several charms
+     */
+    getSelectionBounds(charms) {
+        if (!charms || charms.length === 0) return null;
+        
+        const rects = charms.map(charm => this.getCharmBounds(charm));
+        const minX = Math.min(...rects.map(rect => rect.x));
+        const minY = Math.min(...rects.map(rect => rect.y));
+        const maxX = Math.max(...rects.map(rect => rect.x + rect.width));
+        const maxY = Math.max(...rects.map(rect => rect.y + rect.height));
+        
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Find all charms touching a rectangle (marquee selection)
+     */
+    getCharmsInRect(rect) {
+        return Array.from(this.charms.values())
+            .filter(charm => this.rectanglesIntersect(rect, this.getCharmBounds(charm)));
+    }
+
+    /**
+     * Remember where the other selected charms start when one of them is dragged
+     */
+    startGroupDrag(charm) {
+        this.groupDrag = null;
+        if (this.selectedCharms.length < 2 || !this.selectedCharms.includes(charm)) {
+            return;
+        }
+        
+        this.groupDrag = {
+            leader: charm,
+            origin: { x: charm.x(), y: charm.y() },
+            followers: this.selectedCharms
+                .filter(other => other !== charm)
+                .map(other => ({ charm: other, x: other.x(), y: other.y() }))
+        };
+    }
+
+    /**
+     * Move the rest of the selection by the dragged charm's offset
+     */
+    updateGroupDrag(charm) {
+        if (!this.groupDrag || this.groupDrag.leader !== charm) return;
+        
+        const dx = charm.x() - this.groupDrag.origin.x;
+        const dy = charm.y() - this.groupDrag.origin.y;
+        this.groupDrag.followers.forEach(({ charm: follower, x, y }) => {
+            follower.position({ x: x + dx, y: y + dy });
+            this.attachToChainPath(follower);
+        });
+    }
+
+    /**
+     * Finish a drag and report the move once for the whole selection
+     */
+    endGroupDrag(charm) {
+        const moved = [charm];
+        if (this.groupDrag && this.groupDrag.leader === charm) {
+            moved.push(...this.groupDrag.followers.map(follower => follower.charm));
+            this.groupDrag = null;
+        }
+        
+        // Zone-locked charms drop onto the nearest free zone
+        if (this.lockToZones && !this.chainPath) {
+            moved.forEach(node => node.position(this.validateCharmPosition(node, node.position())));
+            this.updateTwins(moved);
+            this.refreshGroupSelection();
+        }
+        
+        if (!this.physics.enabled) {
+            if (this.onCharmMoved) {
+                this.onCharmMoved(charm);
+            }
+            return;
+        }
+        
+        // Let the charms swing and settle before recording the move
+        this.physics.swing(moved).then(tangled => {
+            this.refreshGroupSelection();
+            if (this.onCharmMoved) {
+                this.onCharmMoved(charm);
+            }
+            this.reportTangles(tangled);
+        });
+    }
+
+    /**
+     * Turn the swinging simulation on or off; turning it on lets every charm settle
+     */
+    setPhysicsEnabled(enabled) {
+        this.physics.setEnabled(enabled);
+        if (!this.physics.enabled || this.charms.size === 0) {
+            return Promise.resolve([]);
+        }
+        
+        return this.physics.swing([...this.charms.values()]).then(tangled => {
+            this.refreshGroupSelection();
+            this.reportTangles(tangled);
+            return tangled;
+        });
+    }
+
+    /**
+     * Tell listeners which charms will tangle when the piece is worn
+     */
+    reportTangles(tangled) {
+        if (tangled.length > 0 && this.onCharmsTangled) {
+            this.onCharmsTangled(tangled);
+        }
+    }
+
+    /**
+     * Move several charms by the same offset
+     */
+    moveCharms(charmIds, dx, dy) {
+        const charms = this.getCharmsByIds(charmIds);
+        charms.forEach(charm => {
+            charm.position({ x: charm.x() + dx, y: charm.y() + dy });
+            if (this.chainPath) {
+                charm.position(this.validateCharmPosition(charm, charm.position()));
+            }
+        });
+        this.updateTwins(charms);
+        this.updateChildren();
+        
+        this.refreshGroupSelection();
+        return charms.length;
+    }
+
+    /**
+     * Align charms to an edge or centre line of their combined bounding box
+     * alignment: left, center, right, top, middle or bottom
+     */
+    alignCharms(charmIds, alignment) {
+        const charms = this.getCharmsByIds(charmIds);
+        if (charms.length < 2) return false;
+        
+        const bounds = this.getSelectionBounds(charms);
+        
+        charms.forEach(charm => {
+            const rect = this.getCharmBounds(charm);
+            let dx = 0;
+            let dy = 0;
+            
+            switch (alignment) {
+                case 'left':
+                    dx = bounds.x - rect.x;
+                    break;
+                case 'center':
+                    dx = (bounds.x + bounds.width / 2) - (rect.x + rect.width / 2);
+                    break;
+                case 'right':
+                    dx = (bounds.x + bounds.width) - (rect.x + rect.width);
+                    break;
+                case 'top':
+                    dy = bounds.y - rect.y;
+                    break;
+                case 'middle':
+                    dy = (bounds.y + bounds.height / 2) - (rect.y + rect.height / 2);
+                    break;
+                case 'bottom':
+                    dy = (bounds.y + bounds.height) - (rect.y + rect.height);
+                    break;
+                default:
+                    throw new Error(`Unknown alignment: ${alignment}`);
+            }
+            
+            charm.position({ x: charm.x() + dx, y: charm.y() + dy });
+            if (this.chainPath) {
+                charm.position(this.validateCharmPosition(charm, charm.position()));
+            }
+        });
+        this.updateTwins(charms);
+        this.updateChildren();
+        
+        this.refreshGroupSelection();
+        return true;
+    }
+
+    /**
+     * Space charms with equal gaps between the outermost two
+     * axis: horizontal or vertical
+     */
+    distributeCharms(charmIds, axis = 'horizontal') {
+        const charms = this.getCharmsByIds(charmIds);
+        if (charms.length < 3) return false;
+        
+        if (axis !== 'horizontal' && axis !== 'vertical') {
+            throw new Error(`Unknown distribution axis: ${axis}`);
+        }
+        
+        const pos = axis === 'horizontal' ? 'x' : 'y';
+        const size = axis === 'horizontal' ? 'width' : 'height';
+        
+        const items = charms
+            .map(charm => ({ charm, rect: this.getCharmBounds(charm) }))
+            .sort((a, b) => (a.rect[pos] + a.rect[size] / 2) - (b.rect[pos] + b.rect[size] / 2));
+        
+        const first = items[0].rect;
+        const last = items[items.length - 1].rect;
+        const occupied = items.reduce((total, item) => total + item.rect[size], 0);
+        const gap = ((last[pos] + last[size]) - first[pos] - occupied) / (items.length - 1);
+        
+        let cursor = first[pos];
+        items.forEach(({ charm, rect }) => {
+            const delta = cursor - rect[pos];
+            charm[pos](charm[pos]() + delta);
+            if (this.chainPath) {
+                charm.position(this.validateCharmPosition(charm, charm.position()));
+            }
+            cursor += rect[size] + gap;
+        });
+        this.updateTwins(charms);
+        this.updateChildren();
+        
+        this.refreshGroupSelection();
+        return true;
+    }
+
+    /**
+     * Rearrange every charm using a layout strategy
+     * Targets go through validateCharmPosition, so chain collisions and zone rules still apply.
+     * Each strand of a layered necklace is arranged along its own chain, and charms hanging
+     * from other charms go along with them.
+     * Resolves once the charms have animated into place with the number of charms moved
+     */
+    arrangeCharms(strategy = ARRANGE_STRATEGIES.EVEN) {
+        if (!Object.values(ARRANGE_STRATEGIES).includes(strategy)) {
+            throw new Error(`Unknown arrangement: ${strategy}`);
+        }
+
+        const charms = this.getArrangeOrder(strategy).filter(charm => !this.getParentCharm(charm));
+        if (charms.length === 0) return Promise.resolve(0);
+
+        const targets = new Map();
+        [null, ...this.strandPaths.keys()].forEach(strandId => {
+            const strandCharms = charms.filter(charm => this.getStrandId(charm) === strandId);
+            if (strandCharms.length > 0) {
+                this.getArrangeTargets(strandCharms, strategy).forEach((target, charm) => targets.set(charm, target));
+            }
+        });
+        const moving = [...charms, ...[...this.charms.values()].filter(charm => this.getParentCharm(charm))];
+        const starts = moving.map(charm => ({ x: charm.x(), y: charm.y(), rotation: charm.rotation() }));
+
+        // Settle every charm at its target in turn so each validation sees its final neighbours
+        charms.forEach(charm => {
+            charm.position(this.getPositionForBail(charm, targets.get(charm)));
+        });
+        if (this.lockToZones) {
+            this.attachmentZones.forEach(zone => {
+                zone.occupants = [];
+                zone.occupied = false;
+            });
+        }
+        charms.forEach(charm => {
+            charm.position(this.validateCharmPosition(charm, charm.position()));
+        });
+        this.updateChildren();
+        const finals = moving.map(charm => ({ x: charm.x(), y: charm.y(), rotation: charm.rotation() }));
+
+        if (!this.options.enableAnimation) {
+            this.refreshGroupSelection();
+            return Promise.resolve(charms.length);
+        }
+
+        // Replay the move from where each charm started
+        return Promise.all(moving.map((charm, index) => new Promise(resolve => {
+            charm.position(starts[index]);
+            charm.rotation(starts[index].rotation);
+            charm.to({
+                ...finals[index],
+                duration: ARRANGE_DURATION,
+                easing: Konva.Easings.EaseInOut,
+                onFinish: resolve
+            });
+        }))).then(() => {
+            this.refreshGroupSelection();
+            return charms.length;
+        });
+    }
+
+    /**
+     * Charms in the order they will hang from left to right
+     */
+    getArrangeOrder(strategy) {
+        const byPlace = this.getCharmsInOrder();
+        const bySize = [...byPlace].sort((a, b) => this.getCharmLength(b) - this.getCharmLength(a));
+
+        if (strategy === ARRANGE_STRATEGIES.GRADUATED) {
+            // Largest in the middle, then outwards one side at a time
+            const order = [];
+            bySize.forEach((charm, index) => (index % 2 === 0 ? order.push(charm) : order.unshift(charm)));
+            return order;
+        }
+
+        if (strategy === ARRANGE_STRATEGIES.ALTERNATING) {
+            // Largest, smallest, next largest, next smallest...
+            const order = [];
+            for (let start = 0, end = bySize.length - 1; start <= end; start++, end--) {
+                order.push(bySize[start]);
+                if (start !== end) order.push(bySize[end]);
+            }
+            return order;
+        }
+
+        return byPlace;
+    }
+
+    /**
+     * Charms from left to right, along the chain when there is one
+     */
+    getCharmsInOrder() {
+        return [...this.charms.values()].sort((a, b) => this.getArrangeKey(a) - this.getArrangeKey(b));
+    }
+
+    /**
+     * Where a charm hangs in the design, for announcing to screen readers
+     * Zone-locked charms count zones; other charms count their neighbours from the left
+     */
+    getCharmPlace(charm) {
+        if (this.lockToZones && this.attachmentZones.length > 0 && !this.chainPath) {
+            const zones = [...this.attachmentZones].sort((a, b) => a.x - b.x);
+            const index = zones.findIndex(zone => this.getZoneOccupants(zone).includes(charm.id()));
+            if (index !== -1) {
+                return { position: index + 1, total: zones.length };
+            }
+        }
+
+        const order = this.getCharmsInOrder();
+        return { position: order.indexOf(charm) + 1, total: order.length };
+    }
+
+    /**
+     * Bail point where the next charm placed without a pointer should hang, or null for anywhere
+     * Takes the first free zone from the left, or the middle of the widest gap along the main chain
+     */
+    getNextFreeSpot() {
+        if (this.chainPath) {
+            const onChain = [...this.charms.values()].filter(charm => !this.getStrandId(charm));
+            const taken = onChain
+                .map(charm => this.getArrangeKey(charm))
+                .filter(t => t > ARRANGE_INSET && t < 1 - ARRANGE_INSET);
+            const edges = [ARRANGE_INSET, ...taken.sort((a, b) => a - b), 1 - ARRANGE_INSET];
+            let best = null;
+            for (let i = 1; i < edges.length; i++) {
+                if (!best || edges[i] - edges[i - 1] > best.gap) {
+                    best = { gap: edges[i] - edges[i - 1], t: (edges[i] + edges[i - 1]) / 2 };
+                }
+            }
+            // An empty chain gets its first charm in the middle
+            return this.chainPath.getPointAt(onChain.length === 0 ? 0.5 : best.t);
+        }
+
+        const zone = [...this.attachmentZones]
+            .sort((a, b) => a.x - b.x)
+            .find(candidate => !this.isZoneFull(candidate));
+        return zone ? { x: zone.x, y: zone.y } : null;
+    }
+
+    /**
+     * Move charms a step from the keyboard
+     * Charms on a chain slide along it, and zone-locked charms hop to the next free zone
+     * in the direction of the step
+     */
+    nudgeCharms(charmIds, dx, dy) {
+        const charms = this.getCharmsByIds(charmIds);
+
+        charms.forEach(charm => {
+            if (this.lockToZones && this.attachmentZones.length > 0 && !this.chainPath) {
+                this.hopToZone(charm, dx, dy);
+            } else {
+                charm.position({ x: charm.x() + dx, y: charm.y() + dy });
+                if (this.chainPath) {
+                    charm.position(this.validateCharmPosition(charm, charm.position()));
+                }
+            }
+        });
+        this.updateTwins(charms);
+        this.updateChildren();
+
+        this.refreshGroupSelection();
+        return charms.length;
+    }
+
+    /**
+     * Hang a zone-locked charm from the nearest free zone in a direction, if there is one
+     */
+    hopToZone(charm, dx, dy) {
+        const offset = this.getBailOffset(charm);
+        const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+        const ahead = this.attachmentZones.filter(zone =>
+            !this.isZoneFull(zone) && (zone.x - bail.x) * dx + (zone.y - bail.y) * dy > 0
+        );
+        if (ahead.length === 0) return false;
+
+        const zone = ahead.reduce((nearest, candidate) =>
+            (this.calculateDistance(bail, candidate) < this.calculateDistance(bail, nearest) ? candidate : nearest)
+        );
+        this.releaseAttachmentZones(charm.id());
+        zone.occupants = [...this.getZoneOccupants(zone), charm.id()];
+        zone.occupied = charm.id();
+        charm.position(this.getPositionForBail(charm, zone));
+        return true;
+    }
+
+    /**
+     * Where a charm currently hangs, left to right
+     */
+    getArrangeKey(charm) {
+        const offset = this.getBailOffset(charm);
+        const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+        const chainPath = this.getChainPath(charm);
+        return chainPath ? chainPath.getClosestPoint(bail).t : bail.x;
+    }
+
+    /**
+     * Bail point for each charm under a strategy, all on the same strand
+     * Packed layouts leave the usual spacing between neighbours; even layouts fall back
+     * to packing when the chain is too short to spread the charms out
+     */
+    getArrangeTargets(charms, strategy) {
+        const chainPath = this.getChainPath(charms[0]);
+        const spacing = this.options.minCharmSpacing || 10;
+        const widths = charms.map(charm => (charm.width() || 0) * (charm.scaleX() || 1));
+        const packedLength = widths.reduce((total, width) => total + width, 0) - (widths[0] + widths[widths.length - 1]) / 2 +
+            spacing * (charms.length - 1);
+        const spread = strategy === ARRANGE_STRATEGIES.EVEN || strategy === ARRANGE_STRATEGIES.ALTERNATING;
+
+        // Distances of each bail from the first, along the chain or across the base
+        const offsets = [0];
+        for (let i = 1; i < charms.length; i++) {
+            offsets.push(offsets[i - 1] + (widths[i - 1] + widths[i]) / 2 + spacing);
+        }
+
+        const targets = new Map();
+        if (this.lockToZones && this.attachmentZones.length > 0 && !this.chainPath) {
+            const zones = [...this.attachmentZones].sort((a, b) => a.x - b.x);
+            const centre = (zones.length - 1) / 2;
+            const first = spread ? 0 : Math.max(0, Math.round(centre - (charms.length - 1) / 2));
+            charms.forEach((charm, index) => {
+                const slot = spread && charms.length > 1
+                    ? Math.round(index * (zones.length - 1) / (charms.length - 1))
+                    : Math.min(first + index, zones.length - 1);
+                const zone = zones[charms.length === 1 ? Math.round(centre) : slot];
+                targets.set(charm, { x: zone.x, y: zone.y });
+            });
+            return targets;
+        }
+
+        if (chainPath) {
+            const length = chainPath.getLength();
+            const available = length * (1 - ARRANGE_INSET * 2);
+            const evenly = spread && charms.length > 1 && packedLength <= available;
+            charms.forEach((charm, index) => {
+                const t = evenly
+                    ? ARRANGE_INSET + (1 - ARRANGE_INSET * 2) * index / (charms.length - 1)
+                    : 0.5 + (offsets[index] - packedLength / 2) / length;
+                const point = chainPath.getPointAt(Math.max(0, Math.min(1, t)));
+                targets.set(charm, { x: point.x, y: point.y });
+            });
+            return targets;
+        }
+
+        // No chain: hang the charms in a row across the base at their average height
+        const bounds = this.getImageBounds();
+        const axis = this.getMirrorAxis();
+        const available = bounds ? bounds.width * (1 - ARRANGE_INSET * 2) : 0;
+        const evenly = spread && charms.length > 1 && packedLength <= available;
+        const y = charms.reduce((total, charm) => total + charm.y() + this.getBailOffset(charm).y, 0) / charms.length;
+        charms.forEach((charm, index) => {
+            const x = evenly
+                ? axis - available / 2 + available * index / (charms.length - 1)
+                : axis + offsets[index] - packedLength / 2;
+            targets.set(charm, { x, y });
+        });
+        return targets;
+    }
+
+    /**
+     * Top-left position that puts a charm's bail at a point
+     */
+    getPositionForBail(charm, bail) {
+        const offset = this.getBailOffset(charm);
+        return { x: bail.x - offset.x, y: bail.y - offset.y };
+    }
+
+    /**
+     * Drop length of a charm, used to rank charms by size
+     */
+    getCharmLength(charm) {
+        return (charm.height() || 0) * (charm.scaleY() || 1);
+    }
+
+    /**
+     * Look up charms by id, skipping any that no longer exist
+     */
+    getCharmsByIds(charmIds) {
+        return charmIds
+            .map(charmId => this.charms.get(charmId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Charms moving with a dragged charm: the rest of its selection when it leads a group drag
+     */
+    getDraggedCharms(charm) {
+        if (this.groupDrag && this.groupDrag.leader === charm) {
+            return [charm, ...this.groupDrag.followers.map(follower => follower.charm)];
+        }
+        return [charm];
+    }
+
+    /**
+     * Turn mirror mode on or off; turning it off unlinks every pair but keeps both charms
+     * Returns whether any pairs were unlinked
+     */
+    setMirrorMode(enabled) {
+        this.mirrorMode = !!enabled;
+        if (this.mirrorMode) return false;
+
+        let unlinked = false;
+        this.charms.forEach(charm => {
+            if (charm.charmData && charm.charmData.twinId) {
+                delete charm.charmData.twinId;
+                unlinked = true;
+            }
+        });
+        return unlinked;
+    }
+
+    /**
+     * Vertical centre line of the base: the middle of the chain, or of the base image
+     */
+    getMirrorAxis() {
+        if (this.chainPath) {
+            return this.chainPath.getPointAt(0.5).x;
+        }
+
+        const bounds = this.getImageBounds();
+        if (bounds) {
+            return bounds.x + bounds.width / 2;
+        }
+
+        const stage = this.charmLayer.getStage();
+        return stage ? stage.width() / 2 : 0;
+    }
+
+    /**
+     * The charm linked to a charm in mirror mode, if it is still on the canvas
+     */
+    getTwin(charm) {
+        const twinId = charm && charm.charmData && charm.charmData.twinId;
+        return twinId ? this.charms.get(twinId) || null : null;
+    }
+
+    /**
+     * Place a mirrored copy of a charm across the centre line and link the pair
+     * Charms hanging on the centre line have no twin
+     */
+    async addTwin(charm) {
+        const offset = this.getBailOffset(charm);
+        const axis = this.getMirrorAxis();
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        if (Math.abs(charm.x() + offset.x - axis) < width / 2) {
+            return null;
+        }
+
+        const { id, twinId, parentId, x, y, ...charmData } = charm.charmData;
+        const twin = await this.addCharm({
+            ...charmData,
+            rotation: 0 - charm.rotation(),
+            scaleX: charm.scaleX(),
+            scaleY: charm.scaleY()
+        }, this.getMirrorPosition(charm));
+
+        charm.charmData.twinId = twin.id();
+        twin.charmData.twinId = charm.id();
+        this.mirrorOnto(charm, twin);
+
+        // A twin of a charm hanging from another charm hangs from the mirrored parent
+        const parent = this.getParentCharm(charm);
+        if (parent) {
+            this.setParentCharm(charm, parent);
+            this.updateChildren();
+        }
+        return twin;
+    }
+
+    /**
+     * Top-left position whose bail mirrors a charm's bail across the centre line
+     */
+    getMirrorPosition(charm, twin = charm) {
+        const offset = this.getBailOffset(charm);
+        const twinOffset = this.getBailOffset(twin);
+        return {
+            x: 2 * this.getMirrorAxis() - (charm.x() + offset.x) - twinOffset.x,
+            y: charm.y() + offset.y - twinOffset.y
+        };
+    }
+
+    /**
+     * Give a twin the mirror image of a charm's position, rotation and scale
+     */
+    mirrorOnto(charm, twin) {
+        twin.rotation(0 - charm.rotation());
+        twin.scale({ x: charm.scaleX(), y: charm.scaleY() });
+        twin.position(this.getMirrorPosition(charm, twin));
+        this.attachToChainPath(twin);
+    }
+
+    /**
+     * Keep the twins of moved or transformed charms mirrored
+     * Twins that moved as well, e.g. both in one selection, are left where they are
+     */
+    updateTwins(charms) {
+        charms.forEach(charm => {
+            const twin = this.getTwin(charm);
+            if (twin && !charms.includes(twin)) {
+                this.mirrorOnto(charm, twin);
+            }
+        });
+    }
+
+    /**
+     * Point at the bottom of a charm, including rotation and scale, that other charms can hang from
+     */
+    getLoopPoint(charm) {
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        const height = (charm.height() || 0) * (charm.scaleY() || 1);
+        const angle = (charm.rotation() || 0) * Math.PI / 180;
+
+        return {
+            x: charm.x() + (width / 2) * Math.cos(angle) - height * Math.sin(angle),
+            y: charm.y() + (width / 2) * Math.sin(angle) + height * Math.cos(angle)
+        };
+    }
+
+    /**
+     * The charm a charm hangs from, or null when it hangs from the chain
+     */
+    getParentCharm(charm) {
+        const parentId = charm && charm.charmData && charm.charmData.parentId;
+        return parentId ? this.charms.get(parentId) || null : null;
+    }
+
+    /**
+     * Charms hanging directly from a charm's loop
+     */
+    getChildCharms(charm) {
+        return [...this.charms.values()].filter(other => other.charmData && other.charmData.parentId === charm.id());
+    }
+
+    /**
+     * Every charm hanging below a charm, however many loops down
+     */
+    getDescendants(charm) {
+        return this.getChildCharms(charm).flatMap(child => [child, ...this.getDescendants(child)]);
+    }
+
+    /**
+     * Whether one charm hangs, directly or not, from the other
+     */
+    isRelated(charm, other) {
+        return this.getDescendants(charm).includes(other) || this.getDescendants(other).includes(charm);
+    }
+
+    /**
+     * Whether a charm may hang from another; a charm can't hang from itself, its twin or anything below it
+     */
+    canAttach(child, parent) {
+        return !!child && !!parent && parent !== child && parent !== this.getTwin(child) &&
+            !this.getDescendants(child).includes(parent);
+    }
+
+    /**
+     * Hang a charm from another charm's loop
+     * @returns {boolean} Whether it was attached
+     */
+    attachCharm(childId, parentId) {
+        const child = this.charms.get(childId);
+        const parent = this.charms.get(parentId);
+        if (!this.canAttach(child, parent)) return false;
+
+        this.setParentCharm(child, parent);
+        this.updateChildren();
+        this.refreshGroupSelection();
+        return true;
+    }
+
+    /**
+     * Hang a charm from the chain again, near where it was
+     * @returns {boolean} Whether it was hanging from a charm
+     */
+    detachCharm(charmId) {
+        const charm = this.charms.get(charmId);
+        if (!this.getParentCharm(charm)) return false;
+
+        const twin = this.getTwin(charm);
+        this.setParentCharm(charm, null);
+        [charm, twin].filter(Boolean).forEach(node => {
+            node.position(this.validateCharmPosition(node, node.position()));
+        });
+        this.updateChildren();
+        this.refreshGroupSelection();
+        return true;
+    }
+
+    /**
+     * Record which charm a charm hangs from, or null for the chain
+     * A mirrored pair hangs from the mirrored parents, or both from a parent on the centre line
+     */
+    setParentCharm(charm, parent) {
+        const parentTwin = parent ? this.getTwin(parent) || parent : null;
+
+        [[charm, parent], [this.getTwin(charm), parentTwin]].forEach(([node, target]) => {
+            if (!node) return;
+
+            if (target && target !== node) {
+                node.charmData.parentId = target.id();
+                this.setStrand(node, this.getStrandId(target));
+                delete node.charmData.pathPosition;
+                this.releaseAttachmentZones(node.id());
+            } else {
+                delete node.charmData.parentId;
+            }
+        });
+    }
+
+    /**
+     * While dragging, hang a charm from the loop of the charm its bail is dropped near
+     * Returns whether it now hangs from a charm rather than the chain
+     */
+    hangFromLoop(charm) {
+        const offset = this.getBailOffset(charm);
+        const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+        const stage = this.charmLayer.getStage();
+        const threshold = this.snapThreshold / ((stage && stage.scaleX()) || 1);
+        const moving = this.getDraggedCharms(charm);
+
+        let nearest = null;
+        let nearestDistance = threshold;
+        this.charms.forEach(other => {
+            if (moving.includes(other) || !this.canAttach(charm, other)) return;
+
+            const distance = this.calculateDistance(bail, this.getLoopPoint(other));
+            if (distance <= nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+        });
+
+        this.setParentCharm(charm, nearest);
+        if (nearest) {
+            charm.position(this.getPositionForBail(charm, this.getLoopPoint(nearest)));
+        }
+        return !!nearest;
+    }
+
+    /**
+     * Keep every charm hanging from a charm on its parent's loop, working down from the chain
+     */
+    updateChildren() {
+        const hang = (parent) => {
+            this.getChildCharms(parent).forEach(child => {
+                child.position(this.getPositionForBail(child, this.getLoopPoint(parent)));
+                hang(child);
+            });
+        };
+
+        this.charms.forEach(charm => {
+            if (!this.getParentCharm(charm)) {
+                hang(charm);
+            }
+        });
+    }
+
+    /**
+     * Redraw the selection box after charms were moved programmatically
+     */
+    refreshGroupSelection() {
+        if (this.selectedCharms.length > 0) {
+            this.updateSelectionIndicator(this.selectedCharms);
+            if (this.transformer && this.selectedCharm) {
+                this.transformer.forceUpdate();
+            }
+            const uiLayer = this.selectionIndicator.getLayer();
+            if (uiLayer && uiLayer !== this.charmLayer) {
+                uiLayer.draw();
+            }
+        }
+        this.charmLayer.draw();
+    }
+
+    /**
+     * Remove a charm
+     */
+    removeCharm(charmId) {
+        const charm = this.charms.get(charmId);
+        if (!charm) return false;
+        
+        // A mirrored pair is removed together
+        const twin = this.getTwin(charm);
+        if (twin) {
+            delete charm.charmData.twinId;
+            delete twin.charmData.twinId;
+            this.removeCharm(twin.id());
+        }
+        
+        // Animate removal
+        if (this.options.enableAnimation) {
+            charm.to({
+                scaleX: 0,
+                scaleY: 0,
+                opacity: 0,
+                duration: 0.3,
+                easing: Konva.Easings.BackEaseIn,
+                onFinish: () => {
+                    charm.destroy();
+                    this.charmLayer.draw();
+                }
+            });
+        } else {
+            charm.destroy();
+            this.charmLayer.draw();
+        }
+        
+        this.charms.delete(charmId);
+        this.physics.release(charm);
+        this.releaseAttachmentZones(charmId);
+        
+        // Charms that hung from it go back on the chain
+        [...this.charms.values()]
+            .filter(child => child.charmData && child.charmData.parentId === charmId)
+            .forEach(child => {
+                delete child.charmData.parentId;
+                child.position(this.validateCharmPosition(child, child.position()));
+            });
+        this.updateChildren();
+        this.selectedCharms = this.selectedCharms.filter(selected => selected !== charm);
+        console.log(`Charm removed: ${charmId}`);
+        return true;
+    }
+
+    /**
+     * Put a different charm, e.g. another colour of the same design, in a placed charm's place
+     * The charm keeps its id, bail position, rotation, scale and stacking; a mirror twin is swapped too
+     */
+    async swapCharm(charmId, charmData) {
+        const charm = this.charms.get(charmId);
+        if (!charm) return false;
+
+        const twin = this.getTwin(charm);
+        for (const node of twin ? [charm, twin] : [charm]) {
+            const imageObj = await this.imageLoader.loadImage(charmData.imageUrl);
+            const { width, height } = this.getCharmSize(imageObj, charmData);
+            const offset = this.getBailOffset(node);
+            const bail = { x: node.x() + offset.x, y: node.y() + offset.y };
+
+            // Links to its twin, parent, strand and place on the chain stay with the charm
+            const links = Object.fromEntries(['twinId', 'parentId', 'strandId', 'pathPosition']
+                .filter(field => node.charmData[field] !== undefined)
+                .map(field => [field, node.charmData[field]]));
+
+            node.image(imageObj);
+            node.width(width);
+            node.height(height);
+            node.charmData = {
+                ...charmData,
+                id: node.id(),
+                width,
+                height,
+                ...links
+            };
+            node.position(this.getPositionForBail(node, bail));
+        }
+        this.updateChildren();
+
+        this.refreshGroupSelection();
         return true;
     }
 
@@ -752,6 +2229,11 @@ export default class CharmManager {
             charm.destroy();
         }
         this.charms.clear();
+        this.physics.stop();
+        this.attachmentZones.forEach(zone => {
+            zone.occupants = [];
+            zone.occupied = false;
+        });
         this.hideSelection();
         this.charmLayer.draw();
         console.log('All charms cleared');
@@ -766,8 +2248,10 @@ export default class CharmManager {
 
     /**
      * Get all charm data for state management
+     * parentId and childIds record which charms hang from which; charms on the chain have no parent
      */
     getCharmData() {
+        const stack = this.getStackOrder();
         const charmData = [];
         for (const [id, charm] of this.charms) {
             charmData.push({
@@ -776,12 +2260,124 @@ export default class CharmManager {
                 y: charm.y(),
                 rotation: charm.rotation(),
                 scaleX: charm.scaleX(),
-                scaleY: charm.scaleY()
+                scaleY: charm.scaleY(),
+                zIndex: stack.indexOf(charm),
+                parentId: this.getParentCharm(charm)?.id() || null,
+                childIds: this.getChildCharms(charm).map(child => child.id())
             });
         }
         return charmData;
     }
 
+    /**
+     * Charms from the back of the stack to the front
+     */
+    getStackOrder() {
+        return [...this.charms.values()].sort((a, b) => a.zIndex() - b.zIndex());
+    }
+
+    /**
+     * Move charms up or down the stack of overlapping charms
+     * @param {string[]} charmIds - Charms to move, keeping their order among themselves
+     * @param {string} command - 'forward' or 'backward' one place, or to the 'front' or 'back'
+     * @returns {boolean} Whether the stacking changed
+     */
+    restackCharms(charmIds, command) {
+        const stack = this.getStackOrder();
+        const moving = stack.filter(charm => charmIds.includes(charm.id()));
+        const rest = stack.filter(charm => !moving.includes(charm));
+        let order = [...stack];
+
+        switch (command) {
+            case 'front':
+                order = [...rest, ...moving];
+                break;
+            case 'back':
+                order = [...moving, ...rest];
+                break;
+            case 'forward':
+                // Each moving charm swaps with the first other charm above it
+                for (let i = order.length - 2; i >= 0; i--) {
+                    if (moving.includes(order[i]) && !moving.includes(order[i + 1])) {
+                        [order[i], order[i + 1]] = [order[i + 1], order[i]];
+                    }
+                }
+                break;
+            case 'backward':
+                for (let i = 1; i < order.length; i++) {
+                    if (moving.includes(order[i]) && !moving.includes(order[i - 1])) {
+                        [order[i], order[i - 1]] = [order[i - 1], order[i]];
+                    }
+                }
+                break;
+            default:
+                throw new Error(`Unknown stacking command: ${command}`);
+        }
+
+        if (order.every((charm, index) => charm === stack[index])) {
+            return false;
+        }
+        this.applyStackOrder(order);
+        return true;
+    }
+
+    /**
+     * Restack charms placed from saved data by their saved zIndex
+     * Charms saved without one go on top, in the order given
+     * @param {Object[]} placed - { charm, zIndex }
+     * @returns {boolean} Whether the stacking changed
+     */
+    restoreStackOrder(placed) {
+        const before = this.getStackOrder();
+        const rank = zIndex => (Number.isFinite(zIndex) ? zIndex : Number.MAX_SAFE_INTEGER);
+        const order = placed
+            .filter(entry => entry.charm)
+            .map((entry, index) => ({ ...entry, index }))
+            .sort((a, b) => rank(a.zIndex) - rank(b.zIndex) || a.index - b.index)
+            .map(entry => entry.charm);
+
+        this.applyStackOrder(order);
+        return this.getStackOrder().some((charm, index) => charm !== before[index]);
+    }
+
+    /**
+     * Stack charms back to front, keeping the selection box and handles above them
+     */
+    applyStackOrder(charms) {
+        charms.forEach(charm => charm.moveToTop());
+        if (this.selectionIndicator) {
+            this.selectionIndicator.moveToTop();
+        }
+        if (this.transformer) {
+            this.transformer.moveToTop();
+        }
+        this.charmLayer.batchDraw();
+    }
+
+    /**
+     * Bring dragged charms to the front while they move, so they never pass under other charms
+     */
+    liftDraggedCharms(charm) {
+        const stack = this.getStackOrder();
+        const dragged = this.getDraggedCharms(charm);
+
+        this.liftedStack = stack;
+        this.applyStackOrder([
+            ...stack.filter(other => !dragged.includes(other)),
+            ...stack.filter(other => dragged.includes(other))
+        ]);
+    }
+
+    /**
+     * Put back the stacking from before a drag once the charms are dropped
+     */
+    restoreLiftedStack() {
+        if (!this.liftedStack) return;
+
+        this.applyStackOrder(this.liftedStack.filter(charm => this.charms.get(charm.id()) === charm));
+        this.liftedStack = null;
+    }
+
     /**
      * Get current state for undo/redo
      */
@@ -800,9 +2396,15 @@ export default class CharmManager {
         this.clearAll();
         
         // Recreate charms from state
+        const placed = [];
         for (const charmData of state.charms) {
-            await this.addCharm(charmData, { x: charmData.x, y: charmData.y });
+            const charm = await this.addCharm(charmData, { x: charmData.x, y: charmData.y });
+            placed.push({ charm, zIndex: charmData.zIndex });
         }
+        this.restoreStackOrder(placed);
+        
+        // Children may have been placed before their parents
+        this.updateChildren();
     }
 
     /**
@@ -846,6 +2448,38 @@ export default class CharmManager {
         this.dragConstraints = constraints;
     }
 
+    /**
+     * Keep drags horizontal or vertical, or null to move freely
+     */
+    setAxisLock(axis) {
+        if (axis !== null && axis !== 'horizontal' && axis !== 'vertical') {
+            throw new Error(`Unknown axis lock: ${axis}`);
+        }
+        this.axisLock = axis;
+        return this.axisLock;
+    }
+
+    /**
+     * Constrain a charm about to be dragged to its starting row or column
+     */
+    startAxisLock(charm) {
+        if (!this.axisLock) return;
+
+        const axis = this.axisLock === 'horizontal' ? 'y' : 'x';
+        this.unlockedConstraints = this.dragConstraints;
+        this.setDragConstraints({
+            ...this.dragConstraints,
+            [axis]: { min: charm[axis](), max: charm[axis]() }
+        });
+    }
+
+    endAxisLock() {
+        if (this.unlockedConstraints === undefined) return;
+
+        this.setDragConstraints(this.unlockedConstraints);
+        this.unlockedConstraints = undefined;
+    }
+
     /**
      * Apply drag constraints to a position
      */
@@ -0,0 +1,211 @@
+/**
+ * ConnectorManager - Jump rings and bails joining each charm to the chain
+ * Picks a connector for every charm from the findings in the materials inventory,
+ * draws it at the charm's bail and totals the connectors for the bill of materials
+ */
+
+import Konva from 'konva';
+import RealWorldScale, { DEFAULT_CHARM_SIZE_MM } from '../utils/RealWorldScale.js';
+
+export const CONNECTOR_TYPES = {
+    JUMP_RING: 'jump ring',
+    BAIL: 'bail'
+};
+
+const RING_TO_CHARM = 0.25; // ring diameter as a share of the charm's longest side
+const MIN_RING_MM = 4;
+const WIRE_MM = 0.8; // wire thickness drawn for rings and bails
+const METAL_COLOR = '#a8adb4';
+
+// Used when the inventory lists no jump rings, so charms are never drawn floating
+const FALLBACK_CONNECTOR = {
+    id: null,
+    name: '6mm jump ring',
+    title: null,
+    type: CONNECTOR_TYPES.JUMP_RING,
+    size: 6,
+    unitPrice: 0
+};
+
+export default class ConnectorManager {
+    constructor(customizer) {
+        this.customizer = customizer;
+        this.connectors = []; // Findings from inventory, smallest first
+
+        // Konva nodes; sits under the charms so each ring runs behind the charm's bail
+        this.group = new Konva.Group({ name: 'connectors', listening: false });
+        this.customizer.charmLayer.add(this.group);
+        this.customizer.charmLayer.on('dragmove.connectors transform.connectors', () => this.update());
+    }
+
+    /**
+     * Offer the jump rings and bails among inventory materials
+     * Other materials, such as wire and clasps, are ignored
+     */
+    setMaterials(items = []) {
+        this.connectors = items
+            .map(item => this.toConnector(item))
+            .filter(Boolean)
+            .sort((a, b) => a.size - b.size);
+
+        this.update();
+    }
+
+    /**
+     * Connector details from a materials item, or null when it is not a jump ring or bail
+     */
+    toConnector(item) {
+        const title = `${item.name || ''} ${item.title || ''}`.toLowerCase();
+        const type = title.includes('jump ring') ? CONNECTOR_TYPES.JUMP_RING
+            : title.includes('bail') ? CONNECTOR_TYPES.BAIL
+            : null;
+        if (!type) return null;
+
+        const attributes = item.attributes || {};
+        const parsed = RealWorldScale.parseDimensions(attributes.size || attributes.diameter);
+        const titleSize = title.match(/(\d+(?:\.\d+)?)\s*mm/);
+        const size = parsed ? (parsed.size || Math.max(parsed.width, parsed.height)) : parseFloat(titleSize?.[1]);
+        if (!(size > 0)) return null;
+
+        // Findings are sold in packs; price each connector by the piece
+        const pack = parseInt(attributes.pack_size, 10) || parseInt(title.match(/(\d+)\s*(?:pcs|pieces|pc)\b/)?.[1], 10) || 1;
+        const price = typeof item.priceValue === 'number' ? item.priceValue : (typeof item.price === 'number' ? item.price : 0);
+
+        return {
+            id: item.id,
+            name: `${size}mm ${type}`,
+            title: item.title || item.name,
+            type,
+            size,
+            unitPrice: price / pack
+        };
+    }
+
+    /**
+     * Connector for a charm: a bail when the charm asks for one, otherwise the smallest
+     * jump ring that is large enough for the charm, or the largest ring in stock
+     */
+    chooseConnector(charmData = {}) {
+        const wantsBail = charmData.attachmentMethod === CONNECTOR_TYPES.BAIL;
+        const ofType = type => this.connectors.filter(connector => connector.type === type);
+        const candidates = wantsBail && ofType(CONNECTOR_TYPES.BAIL).length > 0
+            ? ofType(CONNECTOR_TYPES.BAIL)
+            : ofType(CONNECTOR_TYPES.JUMP_RING);
+
+        if (candidates.length === 0) {
+            return this.connectors[0] || FALLBACK_CONNECTOR;
+        }
+
+        const target = Math.max(MIN_RING_MM, this.getCharmSizeMm(charmData) * RING_TO_CHARM);
+        return candidates.find(connector => connector.size >= target) || candidates[candidates.length - 1];
+    }
+
+    /**
+     * Connector chosen for each placed charm
+     */
+    getConnectors() {
+        return [...this.customizer.charmManager.charms.values()].map(charm => ({
+            charmId: charm.id(),
+            connector: this.chooseConnector(charm.charmData)
+        }));
+    }
+
+    /**
+     * Connectors used by the design, grouped by inventory item
+     */
+    getMaterials() {
+        const materials = new Map();
+
+        this.getConnectors().forEach(({ connector }) => {
+            const key = connector.id || connector.name;
+            const entry = materials.get(key) || { ...connector, quantity: 0, total: 0 };
+            entry.quantity += 1;
+            entry.total += connector.unitPrice;
+            materials.set(key, entry);
+        });
+
+        return [...materials.values()];
+    }
+
+    /**
+     * Price of every connector in the design
+     */
+    getTotalPrice() {
+        return this.getMaterials().reduce((total, material) => total + material.total, 0);
+    }
+
+    /**
+     * Redraw a connector at each charm's bail
+     */
+    update() {
+        const { charmManager } = this.customizer;
+
+        this.group.destroyChildren();
+        charmManager.charms.forEach(charm => {
+            this.group.add(this.createConnector(charm, this.chooseConnector(charm.charmData)));
+        });
+
+        this.customizer.charmLayer.batchDraw();
+    }
+
+    /**
+     * Ring or bail shape hanging from the chain through the charm's bail
+     */
+    createConnector(charm, connector) {
+        const { charmManager } = this.customizer;
+        const offset = charmManager.getBailOffset(charm);
+        const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+        const pixelsPerMm = this.getCharmPixelsPerMm(charm);
+        const size = connector.size * pixelsPerMm;
+        const strokeWidth = Math.max(1, WIRE_MM * pixelsPerMm);
+
+        // Reach towards the charm's strand, or straight up when there is no chain path
+        const chainPath = charmManager.getChainPath ? charmManager.getChainPath(charm) : charmManager.chainPath;
+        const closest = chainPath ? chainPath.getClosestPoint(bail) : null;
+        const dx = closest ? closest.x - bail.x : 0;
+        const dy = closest ? closest.y - bail.y : -1;
+        const reach = Math.hypot(dx, dy);
+        const direction = reach > 0.5 ? { x: dx / reach, y: dy / reach } : { x: 0, y: -1 };
+
+        if (connector.type === CONNECTOR_TYPES.BAIL) {
+            return new Konva.Rect({
+                x: bail.x - size / 4,
+                y: bail.y - size,
+                width: size / 2,
+                height: size,
+                cornerRadius: size / 4,
+                stroke: METAL_COLOR,
+                strokeWidth,
+                name: 'connector'
+            });
+        }
+
+        return new Konva.Circle({
+            x: bail.x + direction.x * size / 2,
+            y: bail.y + direction.y * size / 2,
+            radius: size / 2,
+            stroke: METAL_COLOR,
+            strokeWidth,
+            name: 'connector'
+        });
+    }
+
+    /**
+     * Longest side of a charm in millimetres
+     */
+    getCharmSizeMm(charmData = {}) {
+        const dimensions = RealWorldScale.getCharmDimensions(charmData);
+        if (!dimensions) return DEFAULT_CHARM_SIZE_MM;
+        return dimensions.size || Math.max(dimensions.width, dimensions.height);
+    }
+
+    /**
+     * Pixels per millimetre at which a charm is drawn, so its ring is in proportion
+     * even before the base is calibrated
+     */
+    getCharmPixelsPerMm(charm) {
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        const height = (charm.height() || 0) * (charm.scaleY() || 1);
+        return Math.max(width, height) / this.getCharmSizeMm(charm.charmData);
+    }
+}
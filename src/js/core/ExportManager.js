@@ -4,6 +4,18 @@
  */
 
 import Konva from 'konva';
+import { jsPDF } from 'jspdf';
+import DesignLinkCodec from '../utils/DesignLinkCodec.js';
+import { PRODUCT_TYPES, getProductTypeConfig } from '../config/productTypes.js';
+
+// Page layout for PDF exports, in points
+const PDF_LAYOUT = {
+    margin: 40,
+    lineHeight: 16
+};
+
+// Links longer than this are truncated by some mail and chat clients
+const MAX_SHARE_URL_LENGTH = 2000;
 
 export default class ExportManager {
     constructor(customizer) {
@@ -12,6 +24,7 @@ export default class ExportManager {
             PNG: 'image/png',
             JPEG: 'image/jpeg',
             PDF: 'application/pdf',
+            SVG: 'image/svg+xml',
             JSON: 'application/json'
         };
     }
@@ -37,6 +50,8 @@ export default class ExportManager {
                     return await this.exportImage(options);
                 case 'pdf':
                     return await this.exportPDF(options);
+                case 'svg':
+                    return this.exportSVG(options);
                 case 'json':
                     return this.exportJSON(options);
                 default:
@@ -81,6 +96,9 @@ export default class ExportManager {
             if (includeBackground) {
                 const backgroundLayer = this.cloneLayer(this.customizer.backgroundLayer, scaleFactor, width, height);
                 exportStage.add(backgroundLayer);
+                (this.customizer.strands || []).forEach(strand => {
+                    exportStage.add(this.cloneLayer(strand.layer, scaleFactor, width, height));
+                });
             }
 
             // Clone and scale charm layer
@@ -134,10 +152,10 @@ export default class ExportManager {
         originalLayer.children.forEach(child => {
             const clonedChild = child.clone();
             
-            // Apply scaling and centering
+            // Apply scaling and centering, on top of any size the charm was given
             clonedChild.scale({
-                x: scaleFactor,
-                y: scaleFactor
+                x: child.scaleX() * scaleFactor,
+                y: child.scaleY() * scaleFactor
             });
             
             clonedChild.position({
@@ -284,29 +302,483 @@ export default class ExportManager {
     }
 
     /**
-     * Export as PDF (simplified - would need jsPDF library for full implementation)
+     * Export as a printable multi-page PDF
+     * Page 1 is the rendered design, page 2 the bill of materials, page 3+ the assembly steps
      */
     async exportPDF(options = {}) {
-        // For now, export as image and return data for PDF conversion
+        const {
+            pageFormat = 'letter',
+            includeInstructions = true
+        } = options;
+
         const imageExport = await this.exportImage({
             ...options,
             format: 'PNG',
             width: 1200,
-            height: 900
+            height: 900,
+            includeInstructions: includeInstructions
         });
 
         const assemblyData = this.generateAssemblyInstructions();
+        const billOfMaterials = this.generateBillOfMaterials();
+
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'pt',
+            format: pageFormat
+        });
+
+        this.addPDFCoverPage(doc, imageExport, billOfMaterials);
+
+        doc.addPage();
+        this.addPDFMaterialsPage(doc, billOfMaterials);
+
+        doc.addPage();
+        this.addPDFInstructionsPage(doc, assemblyData);
+
+        const dataURL = doc.output('datauristring');
 
         return {
             type: 'pdf',
+            format: 'pdf',
+            dataURL: dataURL,
             image: imageExport,
             instructions: assemblyData,
-            timestamp: Date.now(),
-            // Note: Actual PDF generation would happen in a separate service or library
-            note: 'PDF export requires server-side processing or client-side PDF library'
+            billOfMaterials: billOfMaterials,
+            pageCount: doc.getNumberOfPages(),
+            fileSize: this.estimateFileSize(dataURL),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Draw the PDF cover page with the rendered design
+     */
+    addPDFCoverPage(doc, imageExport, billOfMaterials) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = PDF_LAYOUT.margin;
+        const necklace = this.customizer.currentNecklace;
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(22);
+        doc.text('Timothie & Co Custom Design', margin, margin + 10);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(11);
+        doc.setTextColor(120);
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, margin + 30);
+        doc.setTextColor(0);
+
+        // Fit the 4:3 design render to the printable width
+        const imageWidth = pageWidth - margin * 2;
+        const imageHeight = imageWidth * 0.75;
+        const imageY = margin + 50;
+        doc.addImage(imageExport.dataURL, 'PNG', margin, imageY, imageWidth, imageHeight);
+
+        let y = imageY + imageHeight + 30;
+        doc.setFontSize(12);
+        const chains = this.getChains();
+        const layering = chains.length > 1 ? `, layered ${chains.map(chain => `${chain.necklace.chainLength}"`).join(' / ')}` : '';
+        doc.text(`Necklace: ${necklace?.name || 'Custom necklace'}${layering}`, margin, y);
+        y += PDF_LAYOUT.lineHeight;
+        doc.text(`Charms: ${this.customizer.charmManager.getCharmData().length}`, margin, y);
+        y += PDF_LAYOUT.lineHeight;
+        doc.setFont('helvetica', 'bold');
+        doc.text(`Total: ${this.formatPrice(billOfMaterials.total)}`, margin, y);
+    }
+
+    /**
+     * Draw the bill of materials table
+     */
+    addPDFMaterialsPage(doc, billOfMaterials) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = PDF_LAYOUT.margin;
+        const columns = {
+            item: margin,
+            material: margin + 220,
+            quantity: pageWidth - margin - 150,
+            unitPrice: pageWidth - margin - 80,
+            total: pageWidth - margin
+        };
+
+        let y = this.addPDFHeading(doc, 'Bill of Materials');
+
+        const drawHeader = () => {
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(10);
+            doc.text('Item', columns.item, y);
+            doc.text('Material', columns.material, y);
+            doc.text('Qty', columns.quantity, y, { align: 'right' });
+            doc.text('Unit', columns.unitPrice, y, { align: 'right' });
+            doc.text('Total', columns.total, y, { align: 'right' });
+            doc.line(margin, y + 6, pageWidth - margin, y + 6);
+            y += PDF_LAYOUT.lineHeight + 4;
+            doc.setFont('helvetica', 'normal');
+        };
+
+        drawHeader();
+
+        billOfMaterials.items.forEach(item => {
+            if (this.needsPDFPageBreak(doc, y)) {
+                doc.addPage();
+                y = PDF_LAYOUT.margin + 10;
+                drawHeader();
+            }
+
+            const name = doc.splitTextToSize(item.name, columns.material - columns.item - 10)[0];
+            doc.text(name, columns.item, y);
+            doc.text(item.material || '-', columns.material, y);
+            doc.text(String(item.quantity), columns.quantity, y, { align: 'right' });
+            doc.text(this.formatPrice(item.unitPrice), columns.unitPrice, y, { align: 'right' });
+            doc.text(this.formatPrice(item.total), columns.total, y, { align: 'right' });
+            y += PDF_LAYOUT.lineHeight;
+        });
+
+        doc.line(margin, y - 8, pageWidth - margin, y - 8);
+        y += 6;
+        doc.setFont('helvetica', 'bold');
+        doc.text('Total', columns.unitPrice, y, { align: 'right' });
+        doc.text(this.formatPrice(billOfMaterials.total), columns.total, y, { align: 'right' });
+    }
+
+    /**
+     * Draw the step-by-step assembly instructions, continuing onto new pages as needed
+     */
+    addPDFInstructionsPage(doc, assemblyData) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = PDF_LAYOUT.margin;
+        const textWidth = pageWidth - margin * 2;
+
+        let y = this.addPDFHeading(doc, 'Assembly Instructions');
+
+        const writeLines = (text, fontStyle = 'normal', indent = 0) => {
+            doc.setFont('helvetica', fontStyle);
+            const lines = doc.splitTextToSize(text, textWidth - indent);
+            lines.forEach(line => {
+                if (this.needsPDFPageBreak(doc, y)) {
+                    doc.addPage();
+                    y = PDF_LAYOUT.margin + 10;
+                }
+                doc.text(line, margin + indent, y);
+                y += PDF_LAYOUT.lineHeight;
+            });
+        };
+
+        const { necklace, charms, summary, notes } = assemblyData;
+
+        doc.setFontSize(11);
+        const productName = assemblyData.product?.name || 'Necklace';
+        const lengthText = necklace.length ? ` (${necklace.length})` : '';
+        writeLines(`${productName}: ${necklace.name || `Custom ${productName.toLowerCase()}`}${lengthText}`);
+        writeLines(`Difficulty: ${summary.difficulty}    Estimated time: ${summary.estimatedTime}`);
+        writeLines(`Tools: ${summary.toolsRequired.join(', ')}`);
+        y += PDF_LAYOUT.lineHeight / 2;
+
+        charms.forEach(step => {
+            writeLines(`Step ${step.step}`, 'bold');
+            writeLines(step.instruction, 'normal', 12);
+            writeLines(`Position: (${step.position.x}, ${step.position.y})    Time: ${step.estimatedTime}`, 'normal', 12);
+            y += PDF_LAYOUT.lineHeight / 2;
+        });
+
+        if (notes.length > 0) {
+            writeLines('Notes', 'bold');
+            notes.forEach(note => writeLines(`- ${note}`, 'normal', 12));
+        }
+    }
+
+    /**
+     * Draw a page heading and return the y position below it
+     */
+    addPDFHeading(doc, title) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.setTextColor(0);
+        doc.text(title, PDF_LAYOUT.margin, PDF_LAYOUT.margin + 10);
+        doc.setFontSize(10);
+        return PDF_LAYOUT.margin + 40;
+    }
+
+    /**
+     * Check whether the next line would run into the bottom margin
+     */
+    needsPDFPageBreak(doc, y) {
+        return y > doc.internal.pageSize.getHeight() - PDF_LAYOUT.margin;
+    }
+
+    /**
+     * Build the bill of materials with quantities and prices
+     */
+    generateBillOfMaterials() {
+        const charms = this.customizer.charmManager.getCharmData();
+        const chains = this.getChains();
+        const items = [];
+
+        // Each strand of a layered necklace is its own length of chain
+        chains.forEach(({ necklace }) => {
+            const necklacePrice = this.getItemPrice(necklace);
+            const name = necklace.name || 'Necklace chain';
+            items.push({
+                id: necklace.id,
+                name: chains.length > 1 ? `${name} (${necklace.chainLength}")` : name,
+                material: necklace.material || null,
+                quantity: 1,
+                unitPrice: necklacePrice,
+                total: necklacePrice
+            });
+        });
+
+        // Group identical charms into a single line
+        const charmLines = new Map();
+        charms.forEach(charm => {
+            const key = charm.inventoryId || `${charm.name}|${charm.imageUrl}`;
+            const line = charmLines.get(key);
+            if (line) {
+                line.quantity++;
+                line.total = line.unitPrice * line.quantity;
+            } else {
+                const unitPrice = this.getItemPrice(charm);
+                charmLines.set(key, {
+                    id: charm.inventoryId || charm.id,
+                    name: charm.name || charm.title || 'Charm',
+                    material: charm.material || null,
+                    quantity: 1,
+                    unitPrice: unitPrice,
+                    total: unitPrice
+                });
+            }
+        });
+
+        items.push(...charmLines.values());
+
+        // Jump rings and bails come grouped by inventory item already
+        const connectors = this.customizer.connectorManager?.getMaterials() || [];
+        connectors.forEach(connector => {
+            items.push({
+                id: connector.id,
+                name: connector.name,
+                material: null,
+                quantity: connector.quantity,
+                unitPrice: connector.unitPrice,
+                total: connector.total
+            });
+        });
+
+        return {
+            items: items,
+            total: items.reduce((sum, item) => sum + item.total, 0),
+            currency: 'USD'
+        };
+    }
+
+    /**
+     * Every chain of the design, shortest first: { id, necklace }, where the main necklace has a null id
+     */
+    getChains() {
+        if (this.customizer.getStrands) {
+            return this.customizer.getStrands();
+        }
+
+        const necklace = this.customizer.currentNecklace;
+        return necklace ? [{ id: null, necklace }] : [];
+    }
+
+    /**
+     * Resolve a numeric price from charm or inventory data
+     */
+    getItemPrice(item) {
+        if (typeof item.priceValue === 'number') return item.priceValue;
+        if (typeof item.price === 'number') return item.price;
+        if (typeof item.price === 'string') {
+            const parsed = parseFloat(item.price.replace(/[^0-9.]/g, ''));
+            return Number.isFinite(parsed) ? parsed : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Format a price for export documents
+     */
+    formatPrice(price) {
+        return `$${price.toFixed(2)}`;
+    }
+
+    /**
+     * Export as a resolution-independent SVG document
+     * Raster images are embedded as data URIs so the file is self-contained
+     */
+    exportSVG(options = {}) {
+        const {
+            width = 1200,
+            height = 900,
+            includeInstructions = true,
+            includeBackground = true
+        } = options;
+
+        const originalWidth = this.customizer.stage.width();
+        const originalHeight = this.customizer.stage.height();
+        const scaleFactor = Math.min(width / originalWidth, height / originalHeight);
+        const offsetX = (width - originalWidth * scaleFactor) / 2;
+        const offsetY = (height - originalHeight * scaleFactor) / 2;
+
+        const charms = this.customizer.charmManager.getCharmData();
+        const elements = [];
+
+        // Design content is written in stage coordinates inside one scaled group
+        elements.push(`<g transform="translate(${this.formatSVGNumber(offsetX)} ${this.formatSVGNumber(offsetY)}) scale(${this.formatSVGNumber(scaleFactor)})">`);
+
+        if (includeBackground) {
+            // The main chain, then any layered strands above it
+            const chains = this.getChains();
+            [...chains.filter(chain => !chain.id), ...chains.filter(chain => chain.id)].forEach(({ id, necklace }) => {
+                const necklaceImage = necklace.konvaImage;
+                if (!necklaceImage) return;
+
+                const href = this.getImageHref(necklaceImage.image(), necklace.imageUrl);
+                elements.push(this.createSVGImage(href, {
+                    x: necklaceImage.x(),
+                    y: necklaceImage.y(),
+                    width: necklaceImage.width(),
+                    height: necklaceImage.height(),
+                    rotation: 0,
+                    scaleX: 1,
+                    scaleY: 1
+                }, id ? 'strand-base' : 'necklace-base'));
+            });
+        }
+
+        charms.forEach(charm => {
+            const node = this.customizer.charmManager.findCharmById?.(charm.id);
+            const href = this.getImageHref(node?.image(), charm.imageUrl);
+            elements.push(this.createSVGImage(href, charm, 'charm'));
+        });
+
+        elements.push('</g>');
+
+        if (includeInstructions && charms.length > 0) {
+            elements.push(this.createSVGInstructions(charms, scaleFactor, offsetX, offsetY, width, height));
+        }
+
+        const svg = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...elements,
+            '</svg>'
+        ].join('\n');
+
+        return {
+            type: 'svg',
+            format: 'svg',
+            svg: svg,
+            width: width,
+            height: height,
+            fileSize: this.formatFileSize(new Blob([svg]).size),
+            timestamp: Date.now()
         };
     }
 
+    /**
+     * Create an SVG image element matching a Konva node transform
+     */
+    createSVGImage(href, attrs, className) {
+        const transform = [
+            `translate(${this.formatSVGNumber(attrs.x)} ${this.formatSVGNumber(attrs.y)})`,
+            attrs.rotation ? `rotate(${this.formatSVGNumber(attrs.rotation)})` : '',
+            (attrs.scaleX ?? 1) !== 1 || (attrs.scaleY ?? 1) !== 1
+                ? `scale(${this.formatSVGNumber(attrs.scaleX ?? 1)} ${this.formatSVGNumber(attrs.scaleY ?? 1)})`
+                : ''
+        ].filter(Boolean).join(' ');
+
+        return `<image class="${className}" href="${this.escapeXML(href)}" xlink:href="${this.escapeXML(href)}" ` +
+            `width="${this.formatSVGNumber(attrs.width)}" height="${this.formatSVGNumber(attrs.height)}" ` +
+            `transform="${transform}" preserveAspectRatio="none"/>`;
+    }
+
+    /**
+     * Create numbered markers and the instruction box as SVG
+     */
+    createSVGInstructions(charms, scaleFactor, offsetX, offsetY, width, height) {
+        const parts = ['<g class="instructions" font-family="Arial, sans-serif">'];
+
+        charms.forEach((charm, index) => {
+            const cx = (charm.x + charm.width / 2) * scaleFactor + offsetX;
+            const cy = (charm.y + charm.height / 2) * scaleFactor + offsetY;
+
+            parts.push(`<circle cx="${this.formatSVGNumber(cx)}" cy="${this.formatSVGNumber(cy)}" r="${this.formatSVGNumber(12 * scaleFactor)}" fill="#ff4444" stroke="#ffffff" stroke-width="${this.formatSVGNumber(2 * scaleFactor)}"/>`);
+            parts.push(`<text x="${this.formatSVGNumber(cx)}" y="${this.formatSVGNumber(cy)}" font-size="${this.formatSVGNumber(14 * scaleFactor)}" font-weight="bold" fill="#ffffff" text-anchor="middle" dominant-baseline="central">${index + 1}</text>`);
+        });
+
+        // Same layout as addInstructionBox
+        const boxWidth = 280 * scaleFactor;
+        const boxHeight = Math.min(200 * scaleFactor, height * 0.3);
+        const padding = 15 * scaleFactor;
+        const fontSize = 11 * scaleFactor;
+        const lineHeight = fontSize * 1.4;
+        const boxX = width - boxWidth - (20 * scaleFactor);
+        const boxY = 20 * scaleFactor;
+
+        parts.push(`<rect x="${this.formatSVGNumber(boxX)}" y="${this.formatSVGNumber(boxY)}" width="${this.formatSVGNumber(boxWidth)}" height="${this.formatSVGNumber(boxHeight)}" rx="${this.formatSVGNumber(8 * scaleFactor)}" fill="#ffffff" fill-opacity="0.95" stroke="#dddddd" stroke-width="${this.formatSVGNumber(scaleFactor)}"/>`);
+        parts.push(`<text x="${this.formatSVGNumber(boxX + padding)}" y="${this.formatSVGNumber(boxY + padding + fontSize * 1.2)}" font-size="${this.formatSVGNumber(fontSize * 1.2)}" font-weight="bold" fill="#333333">Assembly Instructions</text>`);
+
+        const instructions = charms.slice(0, 8).map((charm, index) => {
+            return `${index + 1}. ${charm.name || 'Charm'} at (${Math.round(charm.x)}, ${Math.round(charm.y)})`;
+        });
+
+        if (charms.length > 8) {
+            instructions.push(`... and ${charms.length - 8} more charms`);
+        }
+
+        instructions.forEach((line, index) => {
+            const y = boxY + padding + fontSize * 1.8 + fontSize + index * lineHeight;
+            parts.push(`<text x="${this.formatSVGNumber(boxX + padding)}" y="${this.formatSVGNumber(y)}" font-size="${this.formatSVGNumber(fontSize)}" fill="#666666">${this.escapeXML(line)}</text>`);
+        });
+
+        parts.push(`<text x="${this.formatSVGNumber(boxX + padding)}" y="${this.formatSVGNumber(boxY + boxHeight - padding)}" font-size="${this.formatSVGNumber(fontSize * 0.9)}" fill="#999999">Generated: ${this.escapeXML(new Date().toLocaleDateString())}</text>`);
+        parts.push('</g>');
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Get an embeddable href for an image, preferring an inline data URI
+     */
+    getImageHref(image, fallbackUrl = '') {
+        if (!image || !image.width || !image.height) {
+            return fallbackUrl;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth || image.width;
+            canvas.height = image.naturalHeight || image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            // Cross-origin images taint the canvas; link to the source instead
+            console.warn('Could not inline image for SVG export:', error);
+            return fallbackUrl;
+        }
+    }
+
+    /**
+     * Round numbers for compact SVG output
+     */
+    formatSVGNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     /**
      * Export as JSON data
      */
@@ -340,38 +812,74 @@ export default class ExportManager {
     generateAssemblyInstructions() {
         const charms = this.customizer.charmManager.getCharmData();
         const necklaceData = this.customizer.currentNecklace;
+        const product = getProductTypeConfig(this.customizer.productType || PRODUCT_TYPES.NECKLACE);
+        const charmsById = new Map(charms.map(charm => [charm.id, charm]));
+        const chains = this.getChains();
+        const layered = chains.length > 1;
+        const strandOf = charm => {
+            const strandId = this.getCharmStrandId(charm, charmsById);
+            return layered && chains.some(chain => chain.id === strandId) ? strandId : null;
+        };
 
-        // Sort charms by position (left to right, top to bottom)
-        const sortedCharms = [...charms].sort((a, b) => {
-            const yDiff = a.y - b.y;
-            if (Math.abs(yDiff) < 20) {
-                return a.x - b.x;
-            }
-            return yDiff;
-        });
+        // A layered necklace is finished one strand at a time, shortest first
+        const sortedCharms = (layered ? chains.map(chain => chain.id) : [null]).flatMap(strandId =>
+            this.sortCharmsForAssembly(charms.filter(charm => strandOf(charm) === strandId), product.type));
+        const chainPositions = new Map(); // Place among the charms hung on each chain itself
 
         const instructions = {
+            product: {
+                type: product.type,
+                name: product.name,
+                base: product.assembly.base,
+                order: product.assembly.order
+            },
             necklace: {
                 id: necklaceData?.id,
                 name: necklaceData?.name,
-                length: necklaceData?.length || '18 inches'
+                length: this.formatBaseLength(necklaceData, product.type)
             },
-            charms: sortedCharms.map((charm, index) => ({
-                step: index + 1,
-                charmId: charm.id,
-                name: charm.name,
-                position: {
-                    x: Math.round(charm.x),
-                    y: Math.round(charm.y)
-                },
-                attachmentMethod: charm.attachmentMethod || 'jump ring',
-                instruction: `Attach ${charm.name || 'charm'} using ${charm.attachmentMethod || 'jump ring'} at position ${index + 1}`,
-                estimatedTime: '2-3 minutes'
-            })),
+            ...(layered ? {
+                strands: chains.map(({ id, necklace }) => ({
+                    id,
+                    name: necklace.name,
+                    length: this.formatBaseLength(necklace, product.type)
+                }))
+            } : {}),
+            charms: sortedCharms.map((charm, index) => {
+                const parent = charmsById.get(charm.parentId);
+                const strandId = strandOf(charm);
+                let location;
+                if (parent) {
+                    location = `to the loop of ${parent.name || 'its parent charm'}`;
+                } else {
+                    const chainPosition = chainPositions.get(strandId) || 0;
+                    chainPositions.set(strandId, chainPosition + 1);
+                    location = this.describeAssemblyLocation(charm, chainPosition, product.type);
+                    if (layered) {
+                        const { necklace } = chains.find(chain => chain.id === strandId);
+                        location += ` on the ${necklace.chainLength}" strand`;
+                    }
+                }
+
+                return {
+                    step: index + 1,
+                    charmId: charm.id,
+                    name: charm.name,
+                    parentId: parent ? parent.id : null,
+                    ...(layered ? { strandId } : {}),
+                    position: {
+                        x: Math.round(charm.x),
+                        y: Math.round(charm.y)
+                    },
+                    attachmentMethod: this.getAttachmentMethod(charm),
+                    instruction: `Attach ${charm.name || 'charm'} using ${this.getAttachmentMethod(charm)} ${location}`,
+                    estimatedTime: '2-3 minutes'
+                };
+            }),
             summary: {
                 totalCharms: charms.length,
                 estimatedTime: this.estimateAssemblyTime(charms.length),
-                toolsRequired: ['jump ring pliers', 'flat nose pliers'],
+                toolsRequired: product.assembly.tools,
                 materials: this.getMaterialsList(charms),
                 difficulty: this.getDifficultyLevel(charms.length)
             },
@@ -379,13 +887,104 @@ export default class ExportManager {
                 'Work on a clean, well-lit surface',
                 'Handle charms carefully to avoid scratches',
                 'Test each attachment before proceeding to the next',
-                'Take breaks to avoid hand fatigue'
+                'Take breaks to avoid hand fatigue',
+                ...(layered ? ['Finish each strand, shortest first, before fastening the strands together'] : []),
+                product.assembly.finishing
             ]
         };
 
         return instructions;
     }
 
+    /**
+     * Strand a charm is assembled on: that of the charm at the top of its cluster, or null for the main chain
+     */
+    getCharmStrandId(charm, charmsById) {
+        let root = charm;
+        while (charmsById.has(root.parentId)) {
+            root = charmsById.get(root.parentId);
+        }
+        return root.strandId || null;
+    }
+
+    /**
+     * Order charms the way the product is assembled
+     * Charms hanging from another charm come first, so each cluster is finished before it
+     * goes on the base
+     */
+    sortCharmsForAssembly(charms, productType) {
+        const ids = new Set(charms.map(charm => charm.id));
+        const ordered = [];
+        const addCluster = (charm) => {
+            charms
+                .filter(child => child.parentId === charm.id)
+                .sort((a, b) => a.x - b.x)
+                .forEach(addCluster);
+            ordered.push(charm);
+        };
+
+        this.sortByPlacement(charms.filter(charm => !ids.has(charm.parentId)), productType).forEach(addCluster);
+        return ordered;
+    }
+
+    /**
+     * Order charms on the base the way the product is assembled
+     * Keychains stack top to bottom, earrings go left hook then right, chains read left to right
+     */
+    sortByPlacement(charms, productType) {
+        if (productType === PRODUCT_TYPES.KEYCHAIN) {
+            return [...charms].sort((a, b) => a.y - b.y);
+        }
+
+        if (productType === PRODUCT_TYPES.EARRINGS) {
+            return [...charms].sort((a, b) => a.x - b.x);
+        }
+
+        // Sort charms by position (left to right, top to bottom)
+        return [...charms].sort((a, b) => {
+            const yDiff = a.y - b.y;
+            if (Math.abs(yDiff) < 20) {
+                return a.x - b.x;
+            }
+            return yDiff;
+        });
+    }
+
+    /**
+     * Where a charm goes, phrased for the product type
+     */
+    describeAssemblyLocation(charm, index, productType) {
+        if (productType === PRODUCT_TYPES.EARRINGS) {
+            const bounds = this.customizer.charmManager.getImageBounds?.();
+            const centre = bounds ? bounds.x + bounds.width / 2 : this.customizer.stage.width() / 2;
+            const charmCentre = charm.x + (charm.width || 0) / 2;
+            return `to the ${charmCentre < centre ? 'left' : 'right'} earring hook`;
+        }
+
+        if (productType === PRODUCT_TYPES.KEYCHAIN) {
+            return `at position ${index + 1} from the carabiner`;
+        }
+
+        return `at position ${index + 1}`;
+    }
+
+    /**
+     * Chain length for the instructions; earrings and keychains have no length to choose
+     */
+    formatBaseLength(necklaceData, productType) {
+        const length = necklaceData?.chainLength || necklaceData?.length;
+
+        if (typeof length === 'number') {
+            return `${length} inches`;
+        }
+
+        if (length) {
+            return length;
+        }
+
+        return productType === PRODUCT_TYPES.NECKLACE ? '18 inches' : null;
+    }
+
     /**
      * Estimate assembly time based on charm count
      */
@@ -404,16 +1003,28 @@ export default class ExportManager {
     }
 
     /**
-     * Get materials list from charms
+     * Connector drawn for a charm, e.g. '6mm jump ring', falling back to its attachment method
+     */
+    getAttachmentMethod(charm) {
+        const connectors = this.customizer.connectorManager?.getConnectors() || [];
+        const connector = connectors.find(entry => entry.charmId === charm.id)?.connector;
+        return connector?.name || charm.attachmentMethod || 'jump ring';
+    }
+
+    /**
+     * Get materials list from charms, with a count of each jump ring and bail
      */
     getMaterialsList(charms) {
         const materials = new Set();
+        const connectors = this.customizer.connectorManager?.getMaterials() || [];
         
         charms.forEach(charm => {
             if (charm.material) materials.add(charm.material);
-            if (charm.attachmentMethod) materials.add(charm.attachmentMethod);
+            if (charm.attachmentMethod && connectors.length === 0) materials.add(charm.attachmentMethod);
         });
 
+        connectors.forEach(connector => materials.add(`${connector.quantity} × ${connector.name}`));
+
         return Array.from(materials);
     }
 
@@ -431,8 +1042,13 @@ export default class ExportManager {
      */
     estimateFileSize(dataURL) {
         const base64Length = dataURL.split(',')[1].length;
-        const sizeInBytes = (base64Length * 3) / 4;
-        
+        return this.formatFileSize((base64Length * 3) / 4);
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    formatFileSize(sizeInBytes) {
         if (sizeInBytes < 1024) return `${Math.round(sizeInBytes)} B`;
         if (sizeInBytes < 1024 * 1024) return `${Math.round(sizeInBytes / 1024)} KB`;
         return `${Math.round(sizeInBytes / (1024 * 1024) * 10) / 10} MB`;
@@ -448,19 +1064,19 @@ export default class ExportManager {
 
         switch (exportData.type) {
             case 'image':
-                // Convert data URL to blob
-                const [header, data] = exportData.dataURL.split(',');
-                const bytes = atob(data);
-                const buffer = new ArrayBuffer(bytes.length);
-                const view = new Uint8Array(buffer);
-                
-                for (let i = 0; i < bytes.length; i++) {
-                    view[i] = bytes.charCodeAt(i);
-                }
-                
                 mimeType = exportData.format === 'jpeg' ? 'image/jpeg' : 'image/png';
                 extension = exportData.format === 'jpeg' ? '.jpg' : '.png';
-                blob = new Blob([buffer], { type: mimeType });
+                blob = this.dataURLToBlob(exportData.dataURL, mimeType);
+                break;
+
+            case 'pdf':
+                blob = this.dataURLToBlob(exportData.dataURL, 'application/pdf');
+                extension = '.pdf';
+                break;
+
+            case 'svg':
+                blob = new Blob([exportData.svg], { type: 'image/svg+xml' });
+                extension = '.svg';
                 break;
 
             case 'json':
@@ -491,15 +1107,55 @@ export default class ExportManager {
     }
 
     /**
-     * Create shareable link (would require backend service)
+     * Convert a base64 data URL to a Blob
      */
-    async createShareableLink(exportData) {
-        // This would typically involve uploading to a service
-        // For now, return a mock response
+    dataURLToBlob(dataURL, mimeType) {
+        const data = dataURL.split(',')[1];
+        const bytes = atob(data);
+        const buffer = new ArrayBuffer(bytes.length);
+        const view = new Uint8Array(buffer);
+
+        for (let i = 0; i < bytes.length; i++) {
+            view[i] = bytes.charCodeAt(i);
+        }
+
+        return new Blob([buffer], { type: mimeType });
+    }
+
+    /**
+     * Create a shareable link with the design encoded in the URL fragment
+     * Works offline; pass saveDesign to store long designs on the backend behind a short id
+     */
+    async createShareableLink(options = {}) {
+        const {
+            baseUrl = window.location.href,
+            saveDesign = null,
+            preferShortId = false
+        } = options;
+
+        const designData = this.customizer.getDesignData();
+        const encoded = await DesignLinkCodec.encode(designData);
+        const url = DesignLinkCodec.buildUrl(encoded, baseUrl);
+
+        if (saveDesign && (preferShortId || url.length > MAX_SHARE_URL_LENGTH)) {
+            try {
+                const savedDesign = await saveDesign(designData);
+                return {
+                    success: true,
+                    url: DesignLinkCodec.buildIdUrl(savedDesign.id, baseUrl),
+                    designId: savedDesign.id,
+                    shortened: true
+                };
+            } catch (error) {
+                console.warn('Failed to save design for short link, using encoded link:', error);
+            }
+        }
+
         return {
-            success: false,
-            message: 'Shareable links require backend service integration',
-            mockUrl: `https://timothie-co.com/designs/${Date.now()}`
+            success: true,
+            url: url,
+            encoded: encoded,
+            shortened: false
         };
     }
 
@@ -508,13 +1164,15 @@ export default class ExportManager {
      */
     validateExportOptions(options) {
         const errors = [];
+        // Vector output scales freely, so only raster formats are capped
+        const isVector = options.format && options.format.toUpperCase() === 'SVG';
 
-        if (options.width && (options.width < 100 || options.width > 4000)) {
-            errors.push('Width must be between 100 and 4000 pixels');
+        if (options.width && (options.width < 100 || (!isVector && options.width > 4000))) {
+            errors.push(isVector ? 'Width must be at least 100 pixels' : 'Width must be between 100 and 4000 pixels');
         }
 
-        if (options.height && (options.height < 100 || options.height > 4000)) {
-            errors.push('Height must be between 100 and 4000 pixels');
+        if (options.height && (options.height < 100 || (!isVector && options.height > 4000))) {
+            errors.push(isVector ? 'Height must be at least 100 pixels' : 'Height must be between 100 and 4000 pixels');
         }
 
         if (options.quality && (options.quality < 0.1 || options.quality > 1.0)) {
@@ -0,0 +1,347 @@
+/**
+ * HangingPhysics - Lightweight pendulum simulation for charms
+ * Each charm swings about its bail under gravity and rests against its neighbours.
+ * Charms are treated as discs at their centre of mass, which is enough to stop overlaps
+ * and to show when a design will tangle
+ */
+
+import Konva from 'konva';
+
+const GRAVITY = 2000; // pixels per second squared
+const DAMPING = 3; // per second
+const RESTITUTION = 0.3; // share of swing kept after knocking a neighbour
+const MAX_SWING = 80; // degrees either side of hanging straight down
+const REST_VELOCITY = 0.05; // radians per second
+const CONTACT_VELOCITY = 1.5; // radians per second; slower knocks leave the charm resting on its neighbour
+const REST_ANGLE = 0.5; // degrees
+const MAX_STEP = 1 / 60; // seconds
+const MAX_DURATION = 4; // seconds before a swing is stopped regardless
+
+export default class HangingPhysics {
+    constructor(charmManager, options = {}) {
+        this.charmManager = charmManager;
+        this.options = {
+            gravity: options.gravity || GRAVITY,
+            damping: options.damping || DAMPING,
+            ...options
+        };
+
+        this.enabled = false;
+        this.bodies = new Map(); // Swinging charms: charm -> { bail, angle, rest, velocity }
+        this.dragTracks = new Map(); // Last drag sample per charm, for release velocity
+        this.restAngles = new WeakMap(); // Angle each charm settles at, in radians
+        this.lastAngles = new WeakMap(); // Rotation the simulation last left each charm at, in degrees
+        this.elapsed = 0;
+        this.animation = null;
+        this.pendingSettle = [];
+    }
+
+    /**
+     * Turn animated swinging on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Record a drag sample so a released charm swings with the hand's motion
+     */
+    trackDrag(charm) {
+        const now = Date.now();
+        const previous = this.dragTracks.get(charm);
+        const elapsed = previous ? (now - previous.time) / 1000 : 0;
+
+        this.dragTracks.set(charm, {
+            x: charm.x(),
+            time: now,
+            velocity: elapsed > 0 ? (charm.x() - previous.x) / elapsed : 0
+        });
+        this.release(charm);
+    }
+
+    /**
+     * Stop simulating a charm, e.g. when it is picked up again
+     */
+    release(charm) {
+        this.bodies.delete(charm);
+    }
+
+    /**
+     * Start charms swinging from their current angle
+     * Charms swing back to hanging straight down, or to the angle they were turned to by hand.
+     * Resolves with the ids of charms still overlapping a neighbour once everything has settled
+     */
+    swing(charms) {
+        charms.forEach(charm => {
+            const track = this.dragTracks.get(charm);
+            const length = this.getHangLength(charm);
+            const bail = this.getBail(charm);
+            const rest = this.getRestAngle(charm);
+            this.restAngles.set(charm, rest);
+            this.dragTracks.delete(charm);
+
+            // Dropped on top of a neighbour: start from leaning against it
+            if (this.overlapsNeighbours(charm)) {
+                const clear = this.findClearAngle(charm, bail, rest);
+                if (clear !== null) {
+                    this.setHangAngle(charm, bail, clear);
+                }
+            }
+
+            this.bodies.set(charm, {
+                bail,
+                angle: (charm.rotation() || 0) * Math.PI / 180,
+                rest,
+                // Moving the bail sideways leaves the charm trailing behind
+                velocity: track && length > 0 ? (track.velocity * 0.5) / length : 0
+            });
+        });
+        this.elapsed = 0;
+
+        return new Promise(resolve => {
+            this.pendingSettle.push(resolve);
+
+            if (typeof Konva.Animation === 'function' && this.charmManager.charmLayer.getStage()) {
+                this.startAnimation();
+            } else {
+                this.settle();
+            }
+        });
+    }
+
+    /**
+     * Run the simulation to rest without animating
+     */
+    settle() {
+        this.stopAnimation();
+        const maxSteps = Math.ceil(MAX_DURATION / MAX_STEP);
+        for (let i = 0; i < maxSteps && this.step(MAX_STEP); i++) {
+            // Keep stepping until every charm is at rest
+        }
+        this.bodies.clear();
+        this.finish();
+    }
+
+    /**
+     * Stop swinging where the charms are
+     */
+    stop() {
+        this.stopAnimation();
+        this.bodies.clear();
+        this.finish();
+    }
+
+    /**
+     * Advance every swinging charm by dt seconds; returns whether any are still moving
+     */
+    step(dt) {
+        this.elapsed += dt;
+        const maxSwing = MAX_SWING * Math.PI / 180;
+
+        for (const [charm, body] of this.bodies) {
+            if (!this.charmManager.charms.has(charm.id())) {
+                this.bodies.delete(charm);
+                continue;
+            }
+
+            const length = this.getHangLength(charm) || 1;
+            const acceleration = -(this.options.gravity / length) * Math.sin(body.angle - body.rest) - this.options.damping * body.velocity;
+            const previousAngle = body.angle;
+
+            body.velocity += acceleration * dt;
+            body.angle = body.rest + Math.max(-maxSwing, Math.min(maxSwing, body.angle - body.rest + body.velocity * dt));
+            this.setHangAngle(charm, body.bail, body.angle);
+
+            // Knock against a neighbour and bounce back a little
+            let resting = false;
+            if (this.overlapsNeighbours(charm)) {
+                resting = Math.abs(body.velocity) < CONTACT_VELOCITY;
+                body.angle = previousAngle;
+                body.velocity = -body.velocity * RESTITUTION;
+                this.setHangAngle(charm, body.bail, body.angle);
+            }
+
+            const still = Math.abs(body.velocity) < REST_VELOCITY;
+            const hanging = Math.abs(body.angle - body.rest) * 180 / Math.PI < REST_ANGLE;
+            if (resting || (still && hanging)) {
+                if (hanging) {
+                    this.setHangAngle(charm, body.bail, body.rest);
+                }
+                this.bodies.delete(charm);
+            }
+        }
+
+        // Charms hanging from a swinging charm go with it
+        this.charmManager.updateChildren?.();
+
+        if (this.elapsed >= MAX_DURATION) {
+            this.bodies.clear();
+        }
+
+        return this.bodies.size > 0;
+    }
+
+    /**
+     * Swing a charm about its bail at a position until it no longer overlaps its neighbours
+     * Tries the smallest swing first, so the charm comes to rest leaning on whatever it hit.
+     * Charms the customer has turned by hand keep their angle
+     */
+    restAgainstNeighbours(charm, position) {
+        const offset = this.charmManager.getBailOffset(charm);
+        const bail = { x: position.x + offset.x, y: position.y + offset.y };
+        const start = charm.rotation() || 0;
+
+        charm.position(position);
+        if (start !== 0 || !this.overlapsNeighbours(charm)) {
+            return position;
+        }
+
+        const clear = this.findClearAngle(charm, bail);
+        if (clear === null) {
+            // Nowhere to swing to: leave it where it was dropped
+            charm.position(position);
+            return position;
+        }
+
+        this.setHangAngle(charm, bail, clear);
+        return charm.position();
+    }
+
+    /**
+     * Smallest swing from its resting angle, in radians, that clears every neighbour
+     * Leaves the charm at rest and returns null when no swing is clear
+     */
+    findClearAngle(charm, bail, rest = 0) {
+        for (let swing = 5; swing <= MAX_SWING; swing += 5) {
+            for (const angle of [swing, -swing]) {
+                this.setHangAngle(charm, bail, rest + angle * Math.PI / 180);
+                if (!this.overlapsNeighbours(charm)) {
+                    return rest + angle * Math.PI / 180;
+                }
+            }
+        }
+
+        this.setHangAngle(charm, bail, rest);
+        return null;
+    }
+
+    /**
+     * Angle a charm settles at, in radians
+     * A charm still at the angle the simulation left it keeps its earlier resting angle;
+     * otherwise it was turned by hand and rests at that angle
+     */
+    getRestAngle(charm) {
+        const rotation = charm.rotation() || 0;
+        if (this.lastAngles.get(charm) === rotation) {
+            return this.restAngles.get(charm) || 0;
+        }
+        return rotation * Math.PI / 180;
+    }
+
+    /**
+     * Ids of charms whose resting place overlaps a neighbour; these will tangle when worn
+     */
+    getTangledCharms() {
+        return [...this.charmManager.charms.values()]
+            .filter(charm => this.overlapsNeighbours(charm))
+            .map(charm => charm.id());
+    }
+
+    /**
+     * Whether a charm's disc overlaps any other charm's
+     */
+    overlapsNeighbours(charm) {
+        const disc = this.getDisc(charm);
+
+        for (const other of this.charmManager.charms.values()) {
+            // Charms hanging from one another touch by design, and strands hang at different depths
+            if (other === charm || this.charmManager.isRelated?.(charm, other) ||
+                this.charmManager.getStrandId?.(other) !== this.charmManager.getStrandId?.(charm)) continue;
+
+            const otherDisc = this.getDisc(other);
+            const distance = Math.hypot(disc.x - otherDisc.x, disc.y - otherDisc.y);
+            if (distance < disc.radius + otherDisc.radius) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Disc at a charm's centre of mass, as wide as the charm
+     */
+    getDisc(charm) {
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        const height = (charm.height() || 0) * (charm.scaleY() || 1);
+        const angle = (charm.rotation() || 0) * Math.PI / 180;
+
+        return {
+            x: charm.x() + (width / 2) * Math.cos(angle) - (height / 2) * Math.sin(angle),
+            y: charm.y() + (width / 2) * Math.sin(angle) + (height / 2) * Math.cos(angle),
+            radius: width / 2
+        };
+    }
+
+    /**
+     * Distance from bail to centre of mass
+     */
+    getHangLength(charm) {
+        return (charm.height() || 0) * (charm.scaleY() || 1) / 2;
+    }
+
+    getBail(charm) {
+        const offset = this.charmManager.getBailOffset(charm);
+        return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+    }
+
+    /**
+     * Rotate a charm about its bail, keeping the bail where it is
+     */
+    setHangAngle(charm, bail, angle) {
+        charm.rotation(angle * 180 / Math.PI);
+        this.lastAngles.set(charm, charm.rotation());
+        const offset = this.charmManager.getBailOffset(charm);
+        charm.position({ x: bail.x - offset.x, y: bail.y - offset.y });
+    }
+
+    startAnimation() {
+        if (this.animation) return;
+
+        this.animation = new Konva.Animation((frame) => {
+            const dt = Math.min((frame?.timeDiff || 16) / 1000, 0.05);
+            let moving = true;
+            for (let t = 0; t < dt && moving; t += MAX_STEP) {
+                moving = this.step(Math.min(MAX_STEP, dt - t));
+            }
+            this.charmManager.refreshGroupSelection();
+
+            if (!moving) {
+                this.stopAnimation();
+                this.finish();
+            }
+        }, this.charmManager.charmLayer);
+        this.animation.start();
+    }
+
+    stopAnimation() {
+        if (this.animation) {
+            this.animation.stop();
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Report the settled design to everyone waiting on a swing
+     */
+    finish() {
+        if (this.bodies.size > 0) return;
+
+        const tangled = this.getTangledCharms();
+        const waiting = this.pendingSettle;
+        this.pendingSettle = [];
+        waiting.forEach(resolve => resolve(tangled));
+    }
+}
@@ -7,8 +7,35 @@ import Konva from 'konva';
 import CharmManager from './CharmManager.js';
 import StateManager from './StateManager.js';
 import ExportManager from './ExportManager.js';
+import MeasurementOverlay from './MeasurementOverlay.js';
+import ConnectorManager from './ConnectorManager.js';
+import ViewportManager from './ViewportManager.js';
 import ImageLoader from '../utils/ImageLoader.js';
+import ContextMenu from '../utils/ContextMenu.js';
+import ProductBaseRenderer from '../utils/ProductBaseRenderer.js';
+import RealWorldScale from '../utils/RealWorldScale.js';
+import WeightBalance from '../utils/WeightBalance.js';
 import { necklaceImages } from '../utils/images.js';
+import { PRODUCT_TYPES, PLACEMENT_RULES, getProductTypeConfig, getBraceletLength } from '../config/productTypes.js';
+
+// Chain of plainChain.png as fractions of the image, from the left end round to the right
+const PLAIN_CHAIN_PATH = {
+    points: [
+        [0.36, 0.175], [0.325, 0.275], [0.32, 0.4], [0.35, 0.475], [0.41, 0.525], [0.5, 0.535],
+        [0.59, 0.52], [0.65, 0.45], [0.665, 0.325], [0.655, 0.225], [0.63, 0.165]
+    ]
+};
+
+// Marks clipboard JSON written by the customizer so pastes from other tabs can be recognised
+const CLIPBOARD_FORMAT = 'timothie-charms';
+
+// Stacking commands for overlapping charms, as offered in the charm menu
+const STACK_COMMANDS = [
+    { command: 'front', label: 'Bring to front', shortcut: 'Ctrl+Shift+]', done: 'brought to front', limit: 'at the front' },
+    { command: 'forward', label: 'Bring forward', shortcut: 'Ctrl+]', done: 'brought forward', limit: 'at the front' },
+    { command: 'backward', label: 'Send backward', shortcut: 'Ctrl+[', done: 'sent backward', limit: 'at the back' },
+    { command: 'back', label: 'Send to back', shortcut: 'Ctrl+Shift+[', done: 'sent to back', limit: 'at the back' }
+];
 
 export default class JewelryCustomizer {
     constructor(containerId, options = {}) {
@@ -24,7 +51,15 @@ export default class JewelryCustomizer {
             backgroundColor: options.backgroundColor || '#ffffff',
             maxCharms: options.maxCharms || 12,
             minCharmSpacing: options.minCharmSpacing || 30,
+            rotationSnapAngle: options.rotationSnapAngle || 15,
+            minCharmScale: options.minCharmScale || 0.5,
+            maxCharmScale: options.maxCharmScale || 2,
+            pasteOffset: options.pasteOffset || 20,
+            nudgeStep: options.nudgeStep || 2, // pixels moved by an arrow key
+            nudgeStepLarge: options.nudgeStepLarge || 20, // with Shift held
+            productType: options.productType || PRODUCT_TYPES.NECKLACE,
             enableAnimation: options.enableAnimation !== false,
+            physics: options.physics || false, // Charms swing and settle under gravity
             ...options
         };
 
@@ -35,8 +70,20 @@ export default class JewelryCustomizer {
         this.uiLayer = null;
 
         // Application state
-        this.selectedCharm = null;
-        this.currentNecklace = null;
+        this.selectedCharm = null; // Most recently selected charm
+        this.selectedCharms = [];
+        this.marquee = null;
+        this.mirrorGuide = null;
+        this.announcer = null; // Live region read out by screen readers
+        this.contextMenu = null; // Right-click menu of charm commands
+        this.charmCatalog = []; // Library charms, for finding variants of placed charms
+        this.pinch = null; // Two-finger gesture on a charm, or on the empty canvas (charm null) to zoom
+        this.clipboard = null; // Fallback when the system clipboard is unavailable
+        this.pasteCount = 0;
+        this.currentNecklace = null; // The base being designed on: a necklace, bracelet, earring pair or keychain
+        this.strands = []; // Layered strands worn with the necklace, shortest first: { id, layer, necklace }
+        this.productType = this.options.productType;
+        this.pixelsPerMm = null; // Real-world scale of the loaded base on the stage
         this.isLoading = false;
         this.isDragging = false;
 
@@ -50,6 +97,13 @@ export default class JewelryCustomizer {
         this.onCharmPlaced = null;
         this.onCharmRemoved = null;
         this.onStateChanged = null;
+        this.onSelectionChanged = null;
+        this.onNecklaceChanged = null;
+        this.onStrandsChanged = null;
+        this.onMeasurementsToggled = null;
+        this.onCharmsTangled = null;
+        this.onViewportChanged = null;
+        this.onViewInCatalog = null;
         this.onError = null;
 
         // Initialize the application
@@ -171,11 +225,25 @@ export default class JewelryCustomizer {
         this.charmManager = new CharmManager(this.charmLayer, this.options);
         this.stateManager = new StateManager(this.options.maxHistorySize || 50);
         this.exportManager = new ExportManager(this);
+        this.measurementOverlay = new MeasurementOverlay(this);
+        this.connectorManager = new ConnectorManager(this);
+        this.viewport = new ViewportManager(this);
+        this.viewport.onChange = (scale) => {
+            if (this.onViewportChanged) {
+                this.onViewportChanged(scale);
+            }
+        };
 
         // Connect manager events
         this.charmManager.onCharmPlaced = (charm) => this.handleCharmPlaced(charm);
         this.charmManager.onCharmMoved = (charm) => this.handleCharmMoved(charm);
-        this.charmManager.onCharmSelected = (charm) => this.handleCharmSelected(charm);
+        this.charmManager.onCharmSelected = (charm, options) => this.handleCharmSelected(charm, options);
+        this.charmManager.onCharmTransformed = (charm) => this.handleCharmTransformed(charm);
+        this.charmManager.onCharmsTangled = (charmIds) => {
+            if (this.onCharmsTangled) {
+                this.onCharmsTangled(charmIds);
+            }
+        };
         this.charmManager.onError = (error) => this.handleError('Charm operation failed', error);
     }
 
@@ -185,21 +253,83 @@ export default class JewelryCustomizer {
     setupEventHandlers() {
         // Stage click events for deselection
         this.stage.on('click tap', (e) => {
+            // A finished marquee also fires a click; keep its selection
+            if (this.marquee && this.marquee.justSelected) {
+                this.marquee.justSelected = false;
+                return;
+            }
+
             // If clicked on empty space, deselect current charm
             if (e.target === this.stage) {
                 this.deselectCharm();
             }
         });
 
+        // Wheel zoom, space-drag and middle-drag panning, and the minimap
+        this.viewport.attach();
+        this.viewport.createMinimap(this.container.parentElement || this.container);
+
+        // Rubber-band selection on empty canvas
+        this.setupMarqueeSelection();
+
+        // Keyboard editing: the canvas is focusable and narrates changes
+        this.setupAccessibility();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT') return; // Ignore when typing in inputs
+            // Ignore keys meant for form fields and editable text
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+            // Tab, the arrow keys and single-key edits only act while the canvas has focus
+            const onCanvas = this.container.contains(e.target);
 
             switch (e.key) {
+                case ' ':
+                    // Hold space over the canvas to pan
+                    if (onCanvas) {
+                        this.viewport.setSpaceHeld(true);
+                        e.preventDefault();
+                    }
+                    break;
+                case '+':
+                case '=':
+                case '-':
+                case '0':
+                    if (onCanvas && !e.ctrlKey && !e.metaKey) {
+                        if (e.key === '0') {
+                            this.viewport.zoomToFit();
+                        } else {
+                            e.key === '-' ? this.viewport.zoomOut() : this.viewport.zoomIn();
+                        }
+                        e.preventDefault();
+                    }
+                    break;
+                case 'Tab':
+                    // Past the last charm, Tab leaves the canvas as usual
+                    if (onCanvas && !e.ctrlKey && !e.metaKey && !e.altKey && this.focusNextCharm(e.shiftKey)) {
+                        e.preventDefault();
+                    }
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    if (onCanvas && this.getSelectedCharms().length > 0) {
+                        const step = e.shiftKey ? this.options.nudgeStepLarge : this.options.nudgeStep;
+                        const direction = {
+                            ArrowLeft: [-1, 0],
+                            ArrowRight: [1, 0],
+                            ArrowUp: [0, -1],
+                            ArrowDown: [0, 1]
+                        }[e.key];
+                        this.nudgeSelectedCharms(direction[0] * step, direction[1] * step);
+                        e.preventDefault(); // Don't scroll the page
+                    }
+                    break;
                 case 'Delete':
                 case 'Backspace':
-                    if (this.selectedCharm) {
-                        this.removeCharm(this.selectedCharm.id());
+                    if (onCanvas && (this.selectedCharm || this.selectedCharms.length > 0)) {
+                        this.deleteSelectedCharms();
                         e.preventDefault();
                     }
                     break;
@@ -209,14 +339,221 @@ export default class JewelryCustomizer {
                         e.preventDefault();
                     }
                     break;
+                case 'c':
+                case 'C':
+                    // Elsewhere on the page Ctrl+C copies selected text as usual
+                    if (onCanvas && (e.ctrlKey || e.metaKey) && this.getSelectedCharms().length > 0) {
+                        this.copySelectedCharms();
+                        e.preventDefault();
+                    }
+                    break;
+                case 'v':
+                case 'V':
+                    if (onCanvas && (e.ctrlKey || e.metaKey)) {
+                        this.pasteCharms();
+                        // A copy made in this tab always pastes; otherwise it depends on the system clipboard
+                        if (this.clipboard) {
+                            e.preventDefault();
+                        }
+                    }
+                    break;
+                case 'd':
+                case 'D':
+                    if (onCanvas && (e.ctrlKey || e.metaKey) && this.getSelectedCharms().length > 0) {
+                        this.duplicateSelectedCharms();
+                        e.preventDefault(); // Don't bookmark the page
+                    }
+                    break;
+                case ']':
+                case '}':
+                case '[':
+                case '{':
+                    // Ctrl+] and Ctrl+[ step through the stack; with Shift they go to the front or back
+                    if ((e.ctrlKey || e.metaKey) && this.getSelectedCharms().length > 0) {
+                        const up = e.key === ']' || e.key === '}';
+                        const command = e.shiftKey ? (up ? 'front' : 'back') : (up ? 'forward' : 'backward');
+                        this.restackSelectedCharms(command);
+                        e.preventDefault();
+                    }
+                    break;
+                case 'ContextMenu':
+                case 'F10':
+                    // The menu key or Shift+F10 opens the charm menu from the keyboard
+                    if (onCanvas && (e.key === 'ContextMenu' || e.shiftKey) && this.selectedCharm) {
+                        this.openCharmMenu(this.selectedCharm);
+                        e.preventDefault();
+                    }
+                    break;
                 case 'Escape':
                     this.deselectCharm();
                     break;
+                case 'r':
+                case 'R':
+                    if (onCanvas && this.selectedCharm && !e.ctrlKey && !e.metaKey) {
+                        this.rotateSelectedCharm(e.shiftKey ? -this.options.rotationSnapAngle : this.options.rotationSnapAngle);
+                        e.preventDefault();
+                    }
+                    break;
+                case 'm':
+                case 'M':
+                    if (onCanvas && !e.ctrlKey && !e.metaKey) {
+                        this.toggleMeasurements();
+                        e.preventDefault();
+                    }
+                    break;
+            }
+        });
+
+        document.addEventListener('keyup', (e) => {
+            if (e.key === ' ') {
+                this.viewport.setSpaceHeld(false);
             }
         });
 
         // Handle drag and drop from charm library
         this.setupDragAndDrop();
+
+        // Pinch to resize and twist to turn charms on touch screens
+        this.setupTouchGestures();
+
+        // Right-click menu on charms
+        this.setupContextMenu();
+    }
+
+    /**
+     * Make the canvas reachable by keyboard and add a live region for announcements
+     */
+    setupAccessibility() {
+        if (!this.container.hasAttribute('tabindex')) {
+            this.container.tabIndex = 0;
+        }
+        if (!this.container.hasAttribute('role')) {
+            this.container.setAttribute('role', 'application');
+        }
+        if (!this.container.hasAttribute('aria-label')) {
+            this.container.setAttribute('aria-label',
+                'Design canvas. Tab moves between charms, arrow keys move the selected charm (hold Shift for bigger steps), Shift+F10 opens its menu and Delete removes it.');
+        }
+
+        if (!this.announcer) {
+            this.announcer = document.createElement('div');
+            this.announcer.className = 'sr-only';
+            this.announcer.setAttribute('role', 'status');
+            this.announcer.setAttribute('aria-live', 'polite');
+            this.container.appendChild(this.announcer);
+        }
+    }
+
+    /**
+     * Read a message out to screen reader users
+     */
+    announce(message) {
+        if (!this.announcer) return;
+
+        // Clearing first makes a repeated message be read again
+        this.announcer.textContent = '';
+        this.announcer.textContent = message;
+    }
+
+    /**
+     * Name of a charm as spoken, e.g. "Heart charm"
+     */
+    getCharmLabel(charm) {
+        const name = charm.charmData?.name || charm.charmData?.title || 'Charm';
+        return /charm$/i.test(name) ? name : `${name} charm`;
+    }
+
+    /**
+     * Spoken place of a charm in the design, e.g. "position 4 of 12"
+     */
+    describeCharmPlace(charm) {
+        const { position, total } = this.charmManager.getCharmPlace(charm);
+        return `position ${position} of ${total}`;
+    }
+
+    /**
+     * Select the next charm from left to right, or the previous one when `backwards`
+     * Returns the charm, or null once the selection runs off either end
+     */
+    focusNextCharm(backwards = false) {
+        const charms = this.charmManager.getCharmsInOrder();
+        const current = charms.indexOf(this.selectedCharm);
+        const index = current === -1
+            ? (backwards ? charms.length - 1 : 0)
+            : current + (backwards ? -1 : 1);
+        const charm = charms[index];
+
+        if (!charm) {
+            this.deselectCharm();
+            return null;
+        }
+
+        this.selectCharm(charm);
+        this.announce(`${this.getCharmLabel(charm)} selected, ${this.describeCharmPlace(charm)}`);
+        return charm;
+    }
+
+    /**
+     * Setup rubber-band (marquee) selection when dragging on empty canvas
+     */
+    setupMarqueeSelection() {
+        const minMarqueeSize = 4; // pixels; smaller drags are treated as clicks
+
+        this.marquee = {
+            rect: new Konva.Rect({
+                fill: 'rgba(102, 126, 234, 0.1)',
+                stroke: '#667eea',
+                strokeWidth: 1,
+                dash: [4, 4],
+                visible: false,
+                listening: false,
+                name: 'selection-marquee'
+            }),
+            start: null,
+            justSelected: false
+        };
+        this.uiLayer.add(this.marquee.rect);
+
+        this.stage.on('mousedown touchstart', (e) => {
+            if (e.target !== this.stage || this.viewport.isPanning() || e.evt?.button === 1) return;
+
+            this.marquee.start = this.getPointerPosition();
+            this.marquee.rect.setAttrs({ ...this.marquee.start, width: 0, height: 0, visible: false });
+        });
+
+        this.stage.on('mousemove touchmove', () => {
+            if (!this.marquee.start) return;
+
+            const pointer = this.getPointerPosition();
+            this.marquee.rect.setAttrs({
+                x: Math.min(this.marquee.start.x, pointer.x),
+                y: Math.min(this.marquee.start.y, pointer.y),
+                width: Math.abs(pointer.x - this.marquee.start.x),
+                height: Math.abs(pointer.y - this.marquee.start.y),
+                visible: true
+            });
+            this.uiLayer.batchDraw();
+        });
+
+        this.stage.on('mouseup touchend', (e) => {
+            if (!this.marquee.start) return;
+
+            const rect = {
+                x: this.marquee.rect.x(),
+                y: this.marquee.rect.y(),
+                width: this.marquee.rect.width(),
+                height: this.marquee.rect.height()
+            };
+            this.marquee.start = null;
+            this.marquee.rect.visible(false);
+            this.uiLayer.batchDraw();
+
+            if (rect.width < minMarqueeSize && rect.height < minMarqueeSize) return;
+
+            const additive = !!(e.evt && e.evt.shiftKey);
+            this.selectCharmsInRect(rect, { additive });
+            this.marquee.justSelected = true;
+        });
     }
 
     /**
@@ -234,28 +571,219 @@ export default class JewelryCustomizer {
             // Get charm data from drag event
             const charmData = JSON.parse(e.evt.dataTransfer.getData('application/json'));
             
-            // Get drop position relative to stage
-            this.stage.setPointersPositions(e.evt);
-            const position = this.stage.getPointerPosition();
-            
             // Add charm at drop position
-            await this.addCharm(charmData, position);
+            await this.addCharmAtClientPoint(charmData, e.evt);
+        });
+    }
+
+    /**
+     * Add a charm where a pointer was released over the page, e.g. at the end of a library drag
+     */
+    async addCharmAtClientPoint(charmData, { clientX, clientY }) {
+        // Get drop position relative to stage
+        this.stage.setPointersPositions({ clientX, clientY });
+        const position = this.getPointerPosition();
+
+        return this.addCharm(charmData, position);
+    }
+
+    /**
+     * Pointer position in design coordinates, allowing for zoom and pan
+     */
+    getPointerPosition() {
+        const pointer = this.stage.getPointerPosition();
+        return pointer ? this.viewport.toWorld(pointer) : null;
+    }
+
+    /**
+     * Resize a charm by pinching and turn it by twisting two fingers on it
+     * The gesture applies to the charm under the fingers, or the selected charm,
+     * and is recorded as one undo step when the fingers lift. With no charm it zooms the view
+     */
+    setupTouchGestures() {
+        const measure = touches => ({
+            distance: Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY),
+            angle: Math.atan2(touches[1].clientY - touches[0].clientY, touches[1].clientX - touches[0].clientX) * 180 / Math.PI
+        });
+
+        this.stage.on('touchmove', (e) => {
+            const touches = e.evt.touches;
+            if (!touches || touches.length !== 2) return;
+
+            e.evt.preventDefault(); // Don't zoom the page
+            const gesture = measure(touches);
+
+            if (!this.pinch) {
+                if (!(gesture.distance > 0)) return;
+                const charm = this.charmManager.charms.get(e.target?.id?.()) || this.selectedCharm;
+
+                // Pinching the empty canvas zooms the view
+                if (!charm) {
+                    this.pinch = { charm: null, ...gesture, zoom: this.viewport.scale };
+                    return;
+                }
+
+                // The second finger takes over from dragging
+                if (charm.isDragging && charm.isDragging()) {
+                    charm.stopDrag();
+                }
+                if (charm !== this.selectedCharm) {
+                    this.selectCharm(charm);
+                }
+                this.pinch = { charm, ...gesture, scale: charm.scaleX() || 1, rotation: charm.rotation() || 0 };
+                return;
+            }
+
+            const { charm } = this.pinch;
+            if (!charm) {
+                const bounds = this.stage.container().getBoundingClientRect();
+                this.viewport.zoomAt({
+                    x: (touches[0].clientX + touches[1].clientX) / 2 - bounds.left,
+                    y: (touches[0].clientY + touches[1].clientY) / 2 - bounds.top
+                }, this.pinch.zoom * gesture.distance / this.pinch.distance);
+                return;
+            }
+            this.charmManager.scaleCharm(charm.id(), this.pinch.scale * gesture.distance / this.pinch.distance);
+            const twist = gesture.angle - this.pinch.angle;
+            this.charmManager.rotateCharm(charm.id(), this.pinch.rotation + twist - (charm.rotation() || 0));
+        });
+
+        this.stage.on('touchend touchcancel', (e) => {
+            if (!this.pinch || (e.evt.touches && e.evt.touches.length >= 2)) return;
+
+            const { charm } = this.pinch;
+            this.pinch = null;
+            if (charm) {
+                this.saveState();
+            }
+        });
+    }
+
+    /**
+     * Open a menu of commands when a charm is right-clicked; the charm is selected first
+     */
+    setupContextMenu() {
+        if (!this.contextMenu) {
+            this.contextMenu = new ContextMenu();
+        }
+
+        this.stage.on('contextmenu', (e) => {
+            e.evt.preventDefault(); // Not the browser's menu
+            const charm = this.charmManager.charms.get(e.target.id && e.target.id());
+            if (!charm || charm !== e.target) {
+                this.contextMenu.hide();
+                return;
+            }
+
+            if (!this.getSelectedCharms().includes(charm)) {
+                this.selectCharm(charm);
+            }
+            this.openCharmMenu(charm, { clientX: e.evt.clientX, clientY: e.evt.clientY });
         });
     }
 
+    /**
+     * Show the charm menu at a screen point, or beside the charm when opened from the keyboard
+     */
+    openCharmMenu(charm, point = null) {
+        let clientPoint = point;
+        if (!clientPoint) {
+            const rect = this.container.getBoundingClientRect();
+            const bounds = this.charmManager.getSelectionBounds([charm]);
+            const corner = this.viewport.toScreen({ x: bounds.x + bounds.width, y: bounds.y });
+            clientPoint = { clientX: rect.left + corner.x, clientY: rect.top + corner.y };
+        }
+
+        this.contextMenu.show(this.getCharmMenuItems(), clientPoint);
+    }
+
+    /**
+     * Commands offered for the selected charms; swapping and the catalog need a single charm
+     */
+    getCharmMenuItems() {
+        const charm = this.getSelectedCharms().length === 1 ? this.selectedCharm : null;
+        const variants = charm ? this.getCharmVariants(charm) : [];
+
+        return [
+            { label: 'Duplicate', shortcut: 'Ctrl+D', action: () => this.duplicateSelectedCharms() },
+            { label: 'Delete', shortcut: 'Del', action: () => this.deleteSelectedCharms() },
+            ...(charm && this.charmManager.getParentCharm(charm)
+                ? [{ label: 'Hang from chain', action: () => this.detachSelectedCharm() }]
+                : []),
+            { separator: true },
+            ...STACK_COMMANDS.map(({ command, label, shortcut }) => ({
+                label,
+                shortcut,
+                action: () => this.restackSelectedCharms(command)
+            })),
+            { separator: true },
+            ...(variants.length > 0
+                ? variants.map(variant => ({
+                    label: `Swap for ${this.getVariantLabel(variant)}`,
+                    action: () => this.swapSelectedCharm(variant)
+                }))
+                : [{ label: 'Swap for variant', disabled: true }]),
+            {
+                label: 'View in catalog',
+                disabled: !charm || !this.onViewInCatalog,
+                action: () => this.onViewInCatalog(this.getCatalogItem(charm) || charm.charmData)
+            }
+        ];
+    }
+
     /**
      * Load the default necklace base
      */
     async loadDefaultNecklace() {
-        const defaultNecklaceData = {
+        const defaultNecklaceData = this.getProductBaseData(this.productType);
+
+        console.log('🔗 Loading default necklace with imageUrl:', defaultNecklaceData.imageUrl);
+        await this.loadNecklace(defaultNecklaceData);
+    }
+
+    /**
+     * The built-in necklace base, always available without a backend
+     */
+    getDefaultNecklaceData() {
+        return {
             id: 'classic-chain',
             name: 'Classic Chain',
             imageUrl: necklaceImages.plainChain,
-            attachmentZones: this.generateAttachmentZones()
+            thumbnailUrl: necklaceImages.plainChain,
+            priceValue: 0,
+            length: 18,
+            productType: PRODUCT_TYPES.NECKLACE,
+            chainPath: PLAIN_CHAIN_PATH
         };
+    }
 
-        console.log('🔗 Loading default necklace with imageUrl:', defaultNecklaceData.imageUrl);
-        await this.loadNecklace(defaultNecklaceData);
+    /**
+     * The built-in base for a product type; bracelets take a wrist size in inches
+     */
+    getProductBaseData(type, options = {}) {
+        const config = getProductTypeConfig(type);
+        if (type === PRODUCT_TYPES.NECKLACE) {
+            return this.getDefaultNecklaceData();
+        }
+
+        const baseData = {
+            id: `${type}-base`,
+            name: config.name,
+            productType: type,
+            priceValue: 0,
+            fitPadding: 0.9,
+            customization_options: ProductBaseRenderer.getLayout(type, options)
+        };
+
+        if (type === PRODUCT_TYPES.BRACELET) {
+            const wristSize = options.wristSize || config.defaultWristSize;
+            baseData.id = `${type}-${wristSize}in`;
+            baseData.name = `${config.name} (${wristSize}" wrist)`;
+            baseData.wristSize = wristSize;
+            baseData.length = getBraceletLength(wristSize);
+        }
+
+        return baseData;
     }
 
     /**
@@ -266,28 +794,13 @@ export default class JewelryCustomizer {
             this.showLoading();
 
             // Load necklace image
-            console.log('📷 Loading necklace image from:', necklaceData.imageUrl);
-            const imageObj = await this.imageLoader.loadImage(necklaceData.imageUrl);
+            const imageObj = await this.loadBaseImage(necklaceData);
             console.log('✅ Necklace image loaded successfully:', imageObj.width, 'x', imageObj.height);
             
             // Remove existing necklace
             this.backgroundLayer.destroyChildren();
 
-            // Calculate scaled dimensions to fit canvas (doubled scale factor for zoom effect)
-            const scale = this.calculateImageScale(imageObj, this.stage.width(), this.stage.height(), 1.7);
-            const scaledWidth = imageObj.width * scale;
-            const scaledHeight = imageObj.height * scale;
-
-            // Create necklace image node
-            const necklaceImage = new Konva.Image({
-                x: (this.stage.width() - scaledWidth) / 2,
-                y: (this.stage.height() - scaledHeight) / 2,
-                image: imageObj,
-                width: scaledWidth,
-                height: scaledHeight,
-                name: 'necklace-base',
-                id: necklaceData.id
-            });
+            const { image: necklaceImage, scale, baseLength, chainLength } = this.createBaseImage(imageObj, necklaceData, 'necklace-base');
 
             this.backgroundLayer.add(necklaceImage);
             console.log('🎨 Added necklace to background layer, drawing...');
@@ -305,81 +818,825 @@ export default class JewelryCustomizer {
             // Store current necklace data
             this.currentNecklace = {
                 ...necklaceData,
+                ...(chainLength ? { chainLength } : {}),
                 konvaImage: necklaceImage,
                 scale: scale
             };
 
-            // Update charm manager with new attachment zones
-            this.charmManager.setAttachmentZones(necklaceData.attachmentZones, necklaceImage);
+            this.productType = necklaceData.productType || PRODUCT_TYPES.NECKLACE;
+
+            // Stage pixels per millimetre, so charms appear at their real size
+            const basePixelsPerMm = RealWorldScale.getBasePixelsPerMm(necklaceData, imageObj, baseLength);
+            this.pixelsPerMm = basePixelsPerMm ? basePixelsPerMm * scale : null;
+            this.charmManager.setScale(this.pixelsPerMm);
+
+            // Update charm manager with the necklace's chain path and any fixed zones
+            const layout = this.getNecklaceLayout(necklaceData, necklaceImage);
+            this.charmManager.setAttachmentZones(layout.attachmentZones, necklaceImage);
+            this.charmManager.setChainPath(layout.chainPath, necklaceImage);
+            this.charmManager.setZoneLock(getProductTypeConfig(this.productType).placement === PLACEMENT_RULES.HOOKS);
+
+            // Cache background layer for performance
+            this.backgroundLayer.cache();
+
+            this.hideLoading();
+            
+            console.log(`Necklace "${necklaceData.name}" loaded successfully`);
+            return true;
+        } catch (error) {
+            this.handleError(`Failed to load necklace: ${necklaceData.name}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Image node for a base, fitted to the stage (doubled scale factor for zoom effect)
+     * A longer chain than the base photo is drawn larger from the neck down, so it hangs lower
+     */
+    createBaseImage(imageObj, necklaceData, name, id = necklaceData.id) {
+        const scale = this.calculateImageScale(imageObj, this.stage.width(), this.stage.height(), necklaceData.fitPadding || 1.7);
+        const fittedHeight = imageObj.height * scale;
+
+        const baseLength = this.getBaseLength(necklaceData);
+        const chainLength = this.getChainLength(necklaceData);
+        const lengthRatio = baseLength && chainLength ? chainLength / baseLength : 1;
+        const scaledWidth = imageObj.width * scale * lengthRatio;
+        const scaledHeight = fittedHeight * lengthRatio;
+
+        const image = new Konva.Image({
+            x: (this.stage.width() - scaledWidth) / 2,
+            y: (this.stage.height() - fittedHeight) / 2,
+            image: imageObj,
+            width: scaledWidth,
+            height: scaledHeight,
+            name,
+            id
+        });
+
+        return { image, scale, baseLength, chainLength };
+    }
+
+    /**
+     * Length in inches of the chain as pictured; necklaces without a stated length are taken as the default
+     */
+    getBaseLength(necklaceData) {
+        if (necklaceData.length > 0) {
+            return necklaceData.length;
+        }
+
+        const productType = necklaceData.productType || PRODUCT_TYPES.NECKLACE;
+        return getProductTypeConfig(productType).defaultChainLength || null;
+    }
+
+    /**
+     * Chain length in inches the customer chose; only necklaces offer a choice
+     */
+    getChainLength(necklaceData) {
+        const config = getProductTypeConfig(necklaceData.productType || PRODUCT_TYPES.NECKLACE);
+        if (!config.chainLengths) {
+            return null;
+        }
+
+        return config.chainLengths.includes(necklaceData.chainLength)
+            ? necklaceData.chainLength
+            : config.defaultChainLength;
+    }
+
+    /**
+     * Lengthen or shorten the necklace chain, moving charms down or up the neckline
+     * A length already worn by a layered strand is refused
+     */
+    async setChainLength(length) {
+        if (!this.currentNecklace || !this.getChainLength({ productType: this.productType }) ||
+            this.strands.some(strand => strand.necklace.chainLength === length)) {
+            return false;
+        }
+
+        return this.switchNecklace({ ...this.getNecklaceState(), chainLength: length });
+    }
+
+    /**
+     * Rebuild a built-in base from saved design data, which keeps only its id, type and size
+     */
+    resolveBaseData(necklaceData) {
+        const isBuiltIn = necklaceData.productType &&
+            necklaceData.productType !== PRODUCT_TYPES.NECKLACE &&
+            !necklaceData.imageUrl && !necklaceData.image_url;
+
+        return isBuiltIn
+            ? this.getProductBaseData(necklaceData.productType, { wristSize: necklaceData.wristSize })
+            : necklaceData;
+    }
+
+    /**
+     * Load a base's photo, or draw the built-in artwork for bases without one
+     */
+    async loadBaseImage(necklaceData) {
+        const imageUrl = necklaceData.imageUrl || necklaceData.image_url;
+
+        if (!imageUrl && necklaceData.productType && necklaceData.productType !== PRODUCT_TYPES.NECKLACE) {
+            return ProductBaseRenderer.render(necklaceData.productType, { wristSize: necklaceData.wristSize });
+        }
+
+        console.log('📷 Loading necklace image from:', imageUrl);
+        return this.imageLoader.loadImage(imageUrl);
+    }
+
+    /**
+     * Switch to designing another product type on its built-in base
+     */
+    async setProductType(type, options = {}) {
+        return this.switchNecklace(this.getProductBaseData(type, options));
+    }
+
+    /**
+     * Most charms the current product can hold
+     */
+    getMaxCharms() {
+        return Math.min(this.options.maxCharms, getProductTypeConfig(this.productType).maxCharms);
+    }
+
+    /**
+     * Remove the most recently placed charms that no longer fit the current product
+     */
+    removeExcessCharms() {
+        const excess = this.charmManager.getCharmData().slice(this.getMaxCharms());
+
+        excess.forEach(charm => {
+            this.charmManager.removeCharm(charm.id);
+            if (this.onCharmRemoved) {
+                this.onCharmRemoved(charm.id);
+            }
+        });
+
+        return excess.length;
+    }
+
+    /**
+     * Swap the necklace base, re-fitting placed charms to its chain as one undoable step
+     */
+    async switchNecklace(necklaceData) {
+        // Keep the chosen chain length when swapping one necklace for another
+        if (this.currentNecklace?.chainLength && necklaceData.chainLength === undefined &&
+            (necklaceData.productType || PRODUCT_TYPES.NECKLACE) === this.productType) {
+            necklaceData = { ...necklaceData, chainLength: this.currentNecklace.chainLength };
+        }
+
+        if (this.currentNecklace && this.currentNecklace.id === necklaceData.id &&
+            (this.currentNecklace.chainLength || null) === this.getChainLength(necklaceData)) {
+            return false;
+        }
+
+        // Record the starting point so the very first switch can be undone
+        if (!this.stateManager.getCurrentState()) {
+            this.saveState();
+        }
+
+        const previousBounds = this.charmManager.getImageBounds();
+        const strands = this.getStrandState();
+        const loaded = await this.loadNecklace(necklaceData);
+        if (!loaded) {
+            return false;
+        }
+
+        // Layered strands are more of the same chain, so they follow it; other products don't layer
+        if (strands.length > 0 && necklaceData.id !== this.strands[0]?.necklace.id) {
+            await this.loadStrands(this.getMaxStrands() > 1 ? strands : []);
+            this.notifyStrandsChanged();
+        }
+
+        this.removeExcessCharms();
+        this.charmManager.refitCharms(previousBounds);
+        this.saveState();
+
+        if (this.onNecklaceChanged) {
+            this.onNecklaceChanged(this.currentNecklace);
+        }
+
+        return true;
+    }
+
+    /**
+     * Necklace data without its Konva node, for history and saved designs
+     */
+    getNecklaceState() {
+        if (!this.currentNecklace) return null;
+
+        const { konvaImage, scale, ...necklace } = this.currentNecklace;
+        return necklace;
+    }
+
+    /**
+     * Read a necklace's zones and chain path
+     * Layouts authored for a product live in customization_options as fractions of the image;
+     * built-in necklaces may pass chainPath and pixel attachmentZones directly
+     */
+    getNecklaceLayout(necklaceData, necklaceImage) {
+        const options = necklaceData.customization_options || necklaceData.customizationOptions || {};
+        const imageWidth = necklaceImage.width() * necklaceImage.scaleX();
+        const imageHeight = necklaceImage.height() * necklaceImage.scaleY();
+
+        const attachmentZones = Array.isArray(options.attachment_zones)
+            ? options.attachment_zones.map(zone => ({
+                x: zone.x * imageWidth,
+                y: zone.y * imageHeight,
+                radius: zone.radius * imageWidth,
+                capacity: zone.capacity || 1,
+                occupied: false
+            }))
+            : (necklaceData.attachmentZones || []);
+
+        return {
+            attachmentZones,
+            chainPath: options.chain_path || necklaceData.chainPath || null
+        };
+    }
+
+    /**
+     * Every chain of the design, shortest first; the main necklace has a null strand id
+     */
+    getStrands() {
+        if (!this.currentNecklace) return [];
+
+        return [{ id: null, necklace: this.currentNecklace }, ...this.strands]
+            .sort((a, b) => (a.necklace.chainLength || 0) - (b.necklace.chainLength || 0));
+    }
+
+    /**
+     * Most chains a design can layer; only necklaces take more than one
+     */
+    getMaxStrands() {
+        return getProductTypeConfig(this.productType).maxStrands || 1;
+    }
+
+    /**
+     * Chain lengths not yet worn by any chain of the design
+     */
+    getFreeChainLengths() {
+        const taken = this.getStrands().map(strand => strand.necklace.chainLength);
+        return (getProductTypeConfig(this.productType).chainLengths || []).filter(length => !taken.includes(length));
+    }
+
+    /**
+     * Layered strands for history and saved designs
+     */
+    getStrandState() {
+        return this.strands.map(strand => ({ id: strand.id, chainLength: strand.necklace.chainLength }));
+    }
+
+    /**
+     * Whether the design has exactly these layered strands
+     */
+    hasStrands(strandStates) {
+        const current = this.getStrandState();
+        return strandStates.length === current.length && strandStates.every((strand, index) =>
+            strand.id === current[index].id && strand.chainLength === current[index].chainLength);
+    }
+
+    /**
+     * Layer another strand of the necklace's chain, e.g. an 18" and a 20" strand below a 16" choker
+     * Without a length the strand goes at the next free length below the longest chain
+     * @returns {Object|null} The strand, or null when the design can't take it
+     */
+    async addStrand(length = null) {
+        const free = this.getFreeChainLengths();
+        const longest = Math.max(0, ...this.getStrands().map(strand => strand.necklace.chainLength || 0));
+        const chainLength = length ?? free.find(candidate => candidate > longest) ?? free[free.length - 1];
+
+        if (!this.currentNecklace || this.strands.length + 1 >= this.getMaxStrands() || !free.includes(chainLength)) {
+            return null;
+        }
+
+        // Record the starting point so the very first strand can be undone
+        if (!this.stateManager.getCurrentState()) {
+            this.saveState();
+        }
+
+        const strand = await this.loadStrand({ id: this.createStrandId(), chainLength });
+        if (strand) {
+            this.saveState();
+            this.notifyStrandsChanged();
+        }
+        return strand;
+    }
+
+    /**
+     * Take a strand off the design; its charms move to the main chain
+     */
+    removeStrand(strandId) {
+        const strand = this.strands.find(candidate => candidate.id === strandId);
+        if (!strand) return false;
+
+        this.unloadStrand(strand);
+        this.charmManager.removeStrand(strandId);
+        this.saveState();
+        this.notifyStrandsChanged();
+        return true;
+    }
+
+    /**
+     * Lengthen or shorten a layered strand, keeping its charms at the same places along it
+     */
+    async setStrandLength(strandId, length) {
+        const strand = this.strands.find(candidate => candidate.id === strandId);
+        if (!strand || !this.getFreeChainLengths().includes(length)) {
+            return false;
+        }
+
+        if (!this.stateManager.getCurrentState()) {
+            this.saveState();
+        }
+
+        this.unloadStrand(strand);
+        if (!await this.loadStrand({ id: strandId, chainLength: length })) {
+            return false;
+        }
+
+        this.charmManager.refitCharms();
+        this.saveState();
+        this.notifyStrandsChanged();
+        return true;
+    }
+
+    /**
+     * Replace the layered strands, e.g. from history or a saved design
+     * Charms on strands that are no longer wanted move to the main chain
+     */
+    async loadStrands(strandStates) {
+        const wanted = strandStates.map(strand => strand.id);
+        [...this.strands].forEach(strand => {
+            this.unloadStrand(strand);
+            if (!wanted.includes(strand.id)) {
+                this.charmManager.removeStrand(strand.id);
+            }
+        });
+
+        for (const strandState of strandStates) {
+            await this.loadStrand(strandState);
+        }
+    }
+
+    /**
+     * Draw a strand of the necklace's chain in its own layer, between the main chain and the charms,
+     * and give charms its chain path to hang from
+     */
+    async loadStrand({ id, chainLength }) {
+        const necklaceData = { ...this.getNecklaceState(), chainLength };
+
+        try {
+            const imageObj = await this.loadBaseImage(necklaceData);
+            const { image, scale } = this.createBaseImage(imageObj, necklaceData, 'strand-base', `${necklaceData.id}-${id}`);
+
+            const layer = new Konva.Layer({ name: 'strand', listening: false });
+            layer.add(image);
+            this.stage.add(layer);
+            layer.zIndex(this.charmLayer.zIndex());
+            layer.draw();
+            layer.cache();
+
+            const strand = { id, layer, necklace: { ...necklaceData, konvaImage: image, scale } };
+            this.strands = [...this.strands, strand]
+                .sort((a, b) => a.necklace.chainLength - b.necklace.chainLength);
+
+            this.charmManager.setStrandPath(id, this.getNecklaceLayout(necklaceData, image).chainPath, image);
+            return strand;
+        } catch (error) {
+            this.handleError(`Failed to load the ${chainLength}" strand`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a strand's layer; its chain path stays until its charms have moved
+     */
+    unloadStrand(strand) {
+        strand.layer.destroy();
+        this.strands = this.strands.filter(other => other !== strand);
+    }
+
+    /**
+     * Next unused strand id; the main chain counts as strand 1
+     */
+    createStrandId() {
+        let number = 2;
+        while (this.strands.some(strand => strand.id === `strand-${number}`)) {
+            number++;
+        }
+        return `strand-${number}`;
+    }
+
+    notifyStrandsChanged() {
+        if (this.onStrandsChanged) {
+            this.onStrandsChanged(this.getStrands());
+        }
+    }
+
+    /**
+     * Add a charm to the canvas
+     */
+    async addCharm(charmData, position) {
+        try {
+            // Check if we've reached the maximum number of charms
+            if (this.charmManager.getCharmCount() >= this.getMaxCharms()) {
+                throw new Error(`Maximum ${this.getMaxCharms()} charms allowed`);
+            }
+
+            // Add charm using CharmManager
+            const charm = await this.charmManager.addCharm(charmData, position);
+            
+            // In mirror mode the twin goes on the other side, room permitting
+            const twin = this.charmManager.mirrorMode && this.charmManager.getCharmCount() < this.getMaxCharms()
+                ? await this.charmManager.addTwin(charm)
+                : null;
+            
+            // Save state for undo functionality
+            this.saveState();
+            
+            // Trigger callback
+            if (this.onCharmPlaced) {
+                this.onCharmPlaced(charm);
+                if (twin) {
+                    this.onCharmPlaced(twin);
+                }
+            }
+
+            return charm;
+        } catch (error) {
+            this.handleError('Failed to add charm', error);
+            return null;
+        }
+    }
+
+    /**
+     * Add a charm at the next free zone or gap along the chain, for placing without a pointer
+     */
+    async addCharmAtNextFreeZone(charmData) {
+        const spot = this.charmManager.getNextFreeSpot();
+        const charm = spot
+            ? await this.addCharm(charmData, { ...spot, anchor: 'bail' })
+            : await this.addCharm(charmData, this.viewport.toWorld({ x: this.stage.width() / 2, y: this.stage.height() / 2 }));
+
+        if (charm) {
+            this.selectCharm(charm);
+            this.announce(`${this.getCharmLabel(charm)} placed at ${this.describeCharmPlace(charm)}`);
+        }
+        return charm;
+    }
+
+    /**
+     * Remove a charm from the canvas
+     */
+    removeCharm(charmId) {
+        try {
+            // A mirrored twin goes with the charm
+            const twinId = this.charmManager.charms?.get(charmId)?.charmData?.twinId;
+            const removedIds = twinId ? [charmId, twinId] : [charmId];
+            const removed = this.charmManager.removeCharm(charmId);
+            
+            if (removed) {
+                // Drop the charm from the selection
+                if (this.selectedCharms.some(charm => removedIds.includes(charm.id()))) {
+                    const remaining = this.selectedCharms.filter(charm => !removedIds.includes(charm.id()));
+                    remaining.length > 0 ? this.selectCharms(remaining) : this.deselectCharm();
+                } else if (this.selectedCharm && removedIds.includes(this.selectedCharm.id())) {
+                    this.deselectCharm();
+                }
+                
+                // Save state for undo functionality
+                this.saveState();
+                
+                // Trigger callback, for the twin as well
+                if (this.onCharmRemoved) {
+                    removedIds.forEach(id => this.onCharmRemoved(id));
+                }
+            }
+            
+            return removed;
+        } catch (error) {
+            this.handleError('Failed to remove charm', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove every selected charm as a single undo step
+     */
+    removeSelectedCharms() {
+        const charmIds = this.getSelectedCharmIds();
+        if (charmIds.length === 0) return 0;
+
+        try {
+            this.deselectCharm();
+            const removedIds = charmIds.filter(charmId => this.charmManager.removeCharm(charmId));
+
+            if (removedIds.length > 0) {
+                this.saveState();
+
+                if (this.onCharmRemoved) {
+                    removedIds.forEach(charmId => this.onCharmRemoved(charmId));
+                }
+            }
+
+            return removedIds.length;
+        } catch (error) {
+            this.handleError('Failed to remove charms', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Remove the selected charms and tell screen reader users what went
+     */
+    deleteSelectedCharms() {
+        const labels = this.getSelectedCharms().map(charm => this.getCharmLabel(charm));
+        const removed = this.removeSelectedCharms();
+        if (removed > 0) {
+            this.announce(labels.length === 1 ? `${labels[0]} removed` : `${labels.length} charms removed`);
+        }
+        return removed;
+    }
+
+    /**
+     * Take the selected charm off the charm it hangs from and put it back on the chain
+     */
+    detachSelectedCharm() {
+        const charm = this.selectedCharm;
+        if (!charm || !this.charmManager.detachCharm(charm.id())) return false;
+
+        this.saveState();
+        this.announce(`${this.getCharmLabel(charm)} moved back to the chain`);
+        return true;
+    }
+
+    /**
+     * Move every selected charm by the same offset
+     */
+    moveSelectedCharms(dx, dy) {
+        if (this.getSelectedCharms().length === 0) return false;
+
+        this.charmManager.moveCharms(this.getSelectedCharmIds(), dx, dy);
+        this.saveState();
+        return true;
+    }
+
+    /**
+     * Nudge the selected charms from the keyboard and announce where they end up
+     */
+    nudgeSelectedCharms(dx, dy) {
+        const charms = this.getSelectedCharms();
+        if (charms.length === 0) return false;
+
+        this.charmManager.nudgeCharms(this.getSelectedCharmIds(), dx, dy);
+        this.saveState();
+
+        const lead = charms[charms.length - 1];
+        this.announce(charms.length === 1
+            ? `${this.getCharmLabel(lead)} moved to ${this.describeCharmPlace(lead)}`
+            : `${charms.length} charms moved`);
+        return true;
+    }
+
+    /**
+     * Move the selected charms up or down the stack: 'front', 'forward', 'backward' or 'back'
+     */
+    restackSelectedCharms(command) {
+        const charms = this.getSelectedCharms();
+        if (charms.length === 0) return false;
+
+        try {
+            const restacked = this.charmManager.restackCharms(this.getSelectedCharmIds(), command);
+            const { done, limit } = STACK_COMMANDS.find(entry => entry.command === command);
+            const subject = charms.length === 1 ? this.getCharmLabel(charms[0]) : `${charms.length} charms`;
+
+            if (restacked) {
+                this.saveState();
+                this.announce(`${subject} ${done}`);
+            } else {
+                this.announce(`${subject} already ${limit}`);
+            }
+            return restacked;
+        } catch (error) {
+            this.handleError('Failed to reorder charms', error);
+            return false;
+        }
+    }
+
+    /**
+     * Align the selected charms (left, center, right, top, middle or bottom)
+     */
+    alignSelectedCharms(alignment) {
+        try {
+            const aligned = this.charmManager.alignCharms(this.getSelectedCharmIds(), alignment);
+            if (aligned) {
+                this.saveState();
+            }
+            return aligned;
+        } catch (error) {
+            this.handleError('Failed to align charms', error);
+            return false;
+        }
+    }
+
+    /**
+     * Rearrange every charm with a layout strategy: even, centre, graduated or alternating
+     * The charms animate into place and the result is one undo step
+     */
+    async arrangeCharms(strategy) {
+        try {
+            const arranged = await this.charmManager.arrangeCharms(strategy);
+            if (arranged > 0) {
+                this.saveState();
+            }
+            return arranged;
+        } catch (error) {
+            this.handleError('Failed to arrange charms', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Distribute the selected charms evenly (horizontal or vertical)
+     */
+    distributeSelectedCharms(axis = 'horizontal') {
+        try {
+            const distributed = this.charmManager.distributeCharms(this.getSelectedCharmIds(), axis);
+            if (distributed) {
+                this.saveState();
+            }
+            return distributed;
+        } catch (error) {
+            this.handleError('Failed to distribute charms', error);
+            return false;
+        }
+    }
+
+    /**
+     * Copy the selected charms to the clipboard as JSON
+     */
+    async copySelectedCharms() {
+        const payload = this.createClipboardPayload();
+        if (payload.charms.length === 0) return 0;
+
+        this.clipboard = payload;
+        this.pasteCount = 0;
+
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(JSON.stringify(payload));
+            }
+        } catch (error) {
+            // Permission denied or insecure context; the in-memory copy still works in this tab
+            console.warn('System clipboard unavailable, copy kept in this tab only:', error);
+        }
+
+        this.announce(payload.charms.length === 1 ? 'Charm copied' : `${payload.charms.length} charms copied`);
+        return payload.charms.length;
+    }
+
+    /**
+     * Paste charms from the clipboard, offset from the originals
+     */
+    async pasteCharms() {
+        const payload = await this.readClipboardPayload();
+        if (!payload) return [];
+
+        this.pasteCount++;
+        return this.placeCharmCopies(payload.charms, this.options.pasteOffset * this.pasteCount);
+    }
+
+    /**
+     * Duplicate the selected charms without touching the clipboard
+     */
+    async duplicateSelectedCharms() {
+        const payload = this.createClipboardPayload();
+        if (payload.charms.length === 0) return [];
 
-            // Cache background layer for performance
-            this.backgroundLayer.cache();
+        return this.placeCharmCopies(payload.charms, this.options.pasteOffset);
+    }
 
-            this.hideLoading();
-            
-            console.log(`Necklace "${necklaceData.name}" loaded successfully`);
-        } catch (error) {
-            this.handleError(`Failed to load necklace: ${necklaceData.name}`, error);
-        }
+    /**
+     * Build clipboard data from the selected charms' data and transforms
+     */
+    createClipboardPayload() {
+        const selectedIds = this.getSelectedCharmIds();
+        const charms = this.charmManager.getCharmData()
+            .filter(charmData => selectedIds.includes(charmData.id));
+
+        return { type: CLIPBOARD_FORMAT, version: 1, charms };
     }
 
     /**
-     * Add a charm to the canvas
+     * Read charms from the system clipboard, falling back to the last copy in this tab
      */
-    async addCharm(charmData, position) {
+    async readClipboardPayload() {
         try {
-            // Check if we've reached the maximum number of charms
-            if (this.charmManager.getCharmCount() >= this.options.maxCharms) {
-                throw new Error(`Maximum ${this.options.maxCharms} charms allowed`);
+            if (navigator.clipboard && navigator.clipboard.readText) {
+                const text = await navigator.clipboard.readText();
+                const payload = this.parseClipboardPayload(text);
+                if (payload) {
+                    // A new copy from another tab starts its offsets over
+                    if (!this.clipboard || JSON.stringify(this.clipboard) !== JSON.stringify(payload)) {
+                        this.clipboard = payload;
+                        this.pasteCount = 0;
+                    }
+                    return payload;
+                }
             }
+        } catch (error) {
+            console.warn('System clipboard unavailable, pasting from this tab:', error);
+        }
 
-            // Add charm using CharmManager
-            const charm = await this.charmManager.addCharm(charmData, position);
-            
-            // Save state for undo functionality
-            this.saveState();
-            
-            // Trigger callback
-            if (this.onCharmPlaced) {
-                this.onCharmPlaced(charm);
-            }
+        return this.clipboard;
+    }
 
-            return charm;
+    /**
+     * Parse clipboard text, returning null unless it holds copied charms
+     */
+    parseClipboardPayload(text) {
+        try {
+            const payload = JSON.parse(text);
+            if (payload && payload.type === CLIPBOARD_FORMAT && Array.isArray(payload.charms)) {
+                return payload;
+            }
         } catch (error) {
-            this.handleError('Failed to add charm', error);
-            return null;
+            // Not JSON - the clipboard holds something else
         }
+        return null;
     }
 
     /**
-     * Remove a charm from the canvas
+     * Add copies of charms with fresh ids, shifted by an offset, as one undo step
      */
-    removeCharm(charmId) {
+    async placeCharmCopies(charms, offset) {
+        if (charms.length === 0) return [];
+
         try {
-            const removed = this.charmManager.removeCharm(charmId);
-            
-            if (removed) {
-                // Clear selection if this was the selected charm
-                if (this.selectedCharm && this.selectedCharm.id() === charmId) {
-                    this.deselectCharm();
+            if (this.charmManager.getCharmCount() + charms.length > this.getMaxCharms()) {
+                throw new Error(`Maximum ${this.getMaxCharms()} charms allowed`);
+            }
+
+            const placed = [];
+            const twins = [];
+            const copies = new Map();
+            // Links to other charms and the stacking slot belong to the originals
+            for (const { id, twinId, parentId, pathPosition, childIds, zIndex, ...charmData } of charms) {
+                const charm = await this.charmManager.addCharm(charmData, {
+                    x: charmData.x + offset,
+                    y: charmData.y + offset
+                });
+                placed.push(charm);
+                copies.set(id, { charm, parentId });
+
+                // In mirror mode each copy gets a twin of its own, room permitting
+                const twin = this.charmManager.mirrorMode && this.charmManager.getCharmCount() < this.getMaxCharms()
+                    ? await this.charmManager.addTwin(charm)
+                    : null;
+                if (twin) {
+                    twins.push(twin);
                 }
-                
-                // Save state for undo functionality
-                this.saveState();
-                
-                // Trigger callback
-                if (this.onCharmRemoved) {
-                    this.onCharmRemoved(charmId);
+            }
+
+            // A copied charm hangs from the copy of its parent when both were copied
+            copies.forEach(({ charm, parentId }) => {
+                const parent = copies.get(parentId);
+                if (parent) {
+                    this.charmManager.setParentCharm(charm, parent.charm);
                 }
+            });
+            this.charmManager.updateChildren();
+
+            this.saveState();
+
+            if (this.onCharmPlaced) {
+                [...placed, ...twins].forEach(charm => this.onCharmPlaced(charm));
             }
-            
-            return removed;
+
+            // Select the copies so they can be moved away together
+            this.selectCharms(placed);
+
+            return placed;
         } catch (error) {
-            this.handleError('Failed to remove charm', error);
-            return false;
+            this.handleError('Failed to paste charms', error);
+            return [];
         }
     }
 
+    /**
+     * Rotate the selected charm by a number of degrees
+     */
+    rotateSelectedCharm(degrees = this.options.rotationSnapAngle) {
+        if (!this.selectedCharm) return false;
+        return this.charmManager.rotateCharm(this.selectedCharm.id(), degrees);
+    }
+
+    /**
+     * Scale the selected charm relative to its current scale
+     */
+    scaleSelectedCharm(factor) {
+        if (!this.selectedCharm) return false;
+        return this.charmManager.scaleCharm(this.selectedCharm.id(), this.selectedCharm.scaleX() * factor);
+    }
+
     /**
      * Clear all charms from the canvas
      */
@@ -396,48 +1653,310 @@ export default class JewelryCustomizer {
     }
 
     /**
-     * Select a charm
+     * Select a charm; with `additive` it is toggled in the current selection
      */
-    selectCharm(charm) {
+    selectCharm(charm, options = {}) {
+        if (options.additive) {
+            this.toggleCharmSelection(charm);
+            return;
+        }
+
         this.deselectCharm(); // Clear previous selection
-        
-        this.selectedCharm = charm;
-        this.charmManager.showSelection(charm);
+        this.selectCharms([charm]);
         
         console.log(`Charm selected: ${charm.id()}`);
     }
 
     /**
-     * Deselect the currently selected charm
+     * Replace the selection with a set of charms
+     */
+    selectCharms(charms) {
+        this.selectedCharms = [...charms];
+        this.selectedCharm = this.selectedCharms[this.selectedCharms.length - 1] || null;
+
+        if (this.selectedCharms.length === 0) {
+            this.charmManager.hideSelection();
+        } else {
+            this.charmManager.showSelection(
+                this.selectedCharms.length === 1 ? this.selectedCharms[0] : this.selectedCharms
+            );
+        }
+
+        this.notifySelectionChanged();
+    }
+
+    /**
+     * Add a charm to the selection, or remove it if already selected
+     */
+    toggleCharmSelection(charm) {
+        if (this.selectedCharms.includes(charm)) {
+            this.selectCharms(this.selectedCharms.filter(selected => selected !== charm));
+        } else {
+            this.selectCharms([...this.selectedCharms, charm]);
+        }
+    }
+
+    /**
+     * Select every charm touching a rectangle in stage coordinates
+     */
+    selectCharmsInRect(rect, options = {}) {
+        const charms = this.charmManager.getCharmsInRect(rect);
+
+        if (options.additive) {
+            const added = charms.filter(charm => !this.selectedCharms.includes(charm));
+            this.selectCharms([...this.selectedCharms, ...added]);
+        } else {
+            this.selectCharms(charms);
+        }
+
+        return this.selectedCharms;
+    }
+
+    /**
+     * Get the currently selected charms
+     */
+    getSelectedCharms() {
+        if (this.selectedCharms.length === 0 && this.selectedCharm) {
+            return [this.selectedCharm];
+        }
+        return [...this.selectedCharms];
+    }
+
+    /**
+     * Get the ids of the currently selected charms
+     */
+    getSelectedCharmIds() {
+        return this.getSelectedCharms().map(charm => charm.id());
+    }
+
+    /**
+     * Deselect all selected charms
      */
     deselectCharm() {
-        if (this.selectedCharm) {
+        if (this.selectedCharm || this.selectedCharms.length > 0) {
             this.charmManager.hideSelection();
             this.selectedCharm = null;
+            this.selectedCharms = [];
+            this.notifySelectionChanged();
             console.log('Charm deselected');
         }
     }
 
+    /**
+     * Notify listeners that the selection changed
+     */
+    notifySelectionChanged() {
+        if (this.onSelectionChanged) {
+            this.onSelectionChanged(this.getSelectedCharms());
+        }
+    }
+
     /**
      * Save current state for undo/redo
      */
     saveState() {
-        const state = this.charmManager.getState();
+        const state = {
+            ...this.charmManager.getState(),
+            necklace: this.getNecklaceState(),
+            strands: this.getStrandState()
+        };
         this.stateManager.saveState(state);
+        this.updateMirrorGuide();
+        this.connectorManager.update();
+        this.measurementOverlay.update();
+        this.viewport.refreshMinimap();
         
         if (this.onStateChanged) {
             this.onStateChanged();
         }
     }
 
+    /**
+     * Turn the hanging simulation on or off; charms settle and the result is one undo step
+     */
+    async setPhysicsEnabled(enabled) {
+        this.options.physics = !!enabled;
+        const hadCharms = this.charmManager.getCharmCount() > 0;
+
+        await this.charmManager.setPhysicsEnabled(this.options.physics);
+        if (this.options.physics && hadCharms) {
+            this.saveState();
+        }
+        return this.options.physics;
+    }
+
+    /**
+     * Turn mirror placement on or off; a dashed line marks the centre line while it is on
+     * Turning it off unlinks the pairs, which is one undo step
+     */
+    setMirrorMode(enabled) {
+        const unlinked = this.charmManager.setMirrorMode(enabled);
+        this.updateMirrorGuide();
+
+        if (unlinked) {
+            this.saveState();
+        }
+        return this.charmManager.mirrorMode;
+    }
+
+    /**
+     * Draw, move or hide the centre line guide
+     */
+    updateMirrorGuide() {
+        if (this.mirrorGuide) {
+            this.mirrorGuide.destroy();
+            this.mirrorGuide = null;
+        }
+
+        if (this.charmManager.mirrorMode) {
+            const axis = this.charmManager.getMirrorAxis();
+            this.mirrorGuide = new Konva.Line({
+                points: [axis, 0, axis, this.stage.height()],
+                stroke: '#d26b65',
+                strokeWidth: 1,
+                dash: [6, 4],
+                listening: false,
+                name: 'mirror-guide'
+            });
+            this.uiLayer.add(this.mirrorGuide);
+        }
+        this.uiLayer.batchDraw();
+    }
+
+    /**
+     * Turn the alignment guides shown while dragging on or off
+     */
+    setSnapGuides(enabled) {
+        this.charmManager.snapGuides.setEnabled(enabled);
+        return this.charmManager.snapGuides.enabled;
+    }
+
+    /**
+     * Show or hide the grid charms snap to, or change its spacing in pixels
+     * @param {Object} options - { enabled, size }
+     */
+    setGrid(options) {
+        return this.charmManager.snapGuides.setGrid(options);
+    }
+
+    /**
+     * Keep charm drags horizontal or vertical, or null to drag freely
+     */
+    setAxisLock(axis) {
+        return this.charmManager.setAxisLock(axis);
+    }
+
+    /**
+     * Charms in the library, so placed charms can be swapped for their variants
+     */
+    setCharmCatalog(items) {
+        this.charmCatalog = items || [];
+    }
+
+    /**
+     * Library entry a placed charm came from
+     */
+    getCatalogItem(charm) {
+        const data = charm.charmData || {};
+        const inventoryId = data.inventoryId || data.id;
+        return this.charmCatalog.find(item => item.id === inventoryId) || null;
+    }
+
+    /**
+     * Other library charms from the same supplier listing, e.g. the same design in another colour
+     */
+    getCharmVariants(charm) {
+        const item = this.getCatalogItem(charm) || charm.charmData || {};
+        if (!item.productId) return [];
+
+        return this.charmCatalog.filter(other => other.productId === item.productId && other.id !== item.id);
+    }
+
+    /**
+     * What tells a variant apart: its colour or material, else its name
+     */
+    getVariantLabel(variant) {
+        const attributes = variant.attributes || {};
+        return attributes.color || attributes.finish || attributes.material || variant.color || variant.name || variant.title;
+    }
+
+    /**
+     * Put a variant in the selected charm's place, keeping where and how it hangs
+     */
+    async swapSelectedCharm(variant) {
+        const charm = this.selectedCharm;
+        if (!charm) return false;
+
+        try {
+            const swapped = await this.charmManager.swapCharm(charm.id(), { ...variant, inventoryId: variant.id });
+            if (swapped) {
+                this.saveState();
+                this.notifySelectionChanged();
+                this.announce(`Swapped for ${this.getCharmLabel(charm)}`);
+            }
+            return swapped;
+        } catch (error) {
+            this.handleError('Failed to swap charm', error);
+            return false;
+        }
+    }
+
+    /**
+     * Hang a charm's bail at a point, e.g. typed into the inspector
+     */
+    moveCharmTo(charmId, point) {
+        const charm = this.charmManager.findCharmById(charmId);
+        if (!charm) return false;
+
+        const offset = this.charmManager.getBailOffset(charm);
+        const moved = this.charmManager.nudgeCharms([charmId], point.x - (charm.x() + offset.x), point.y - (charm.y() + offset.y));
+        if (moved > 0) {
+            this.saveState();
+        }
+        return moved > 0;
+    }
+
+    /**
+     * Turn a charm to an angle in degrees
+     */
+    setCharmRotation(charmId, degrees) {
+        const charm = this.charmManager.findCharmById(charmId);
+        return !!charm && this.charmManager.rotateCharm(charmId, degrees - charm.rotation());
+    }
+
+    /**
+     * Resize a charm to a uniform scale, within the allowed range
+     */
+    setCharmScale(charmId, scale) {
+        return this.charmManager.scaleCharm(charmId, scale);
+    }
+
+    /**
+     * Jump rings and bails from the materials inventory to join charms to the chain
+     */
+    setConnectorMaterials(items) {
+        this.connectorManager.setMaterials(items);
+    }
+
+    /**
+     * Show or hide the ruler with drop lengths, charm spacing and cluster span
+     */
+    toggleMeasurements() {
+        const visible = this.measurementOverlay.toggle();
+
+        if (this.onMeasurementsToggled) {
+            this.onMeasurementsToggled(visible);
+        }
+        return visible;
+    }
+
     /**
      * Undo last action
      */
     undo() {
         const previousState = this.stateManager.undo();
         if (previousState) {
-            this.charmManager.loadState(previousState);
-            this.deselectCharm();
+            this.restoreState(previousState);
             console.log('Undo performed');
         }
     }
@@ -448,12 +1967,46 @@ export default class JewelryCustomizer {
     redo() {
         const nextState = this.stateManager.redo();
         if (nextState) {
-            this.charmManager.loadState(nextState);
-            this.deselectCharm();
+            this.restoreState(nextState);
             console.log('Redo performed');
         }
     }
 
+    /**
+     * Apply a history state, loading its necklace and strands first so charms are placed on the right chains
+     */
+    restoreState(state) {
+        const necklaceChanged = state.necklace && (state.necklace.id !== this.currentNecklace?.id ||
+            state.necklace.chainLength !== this.currentNecklace?.chainLength);
+        const strands = state.strands || [];
+        const strandsChanged = !this.hasStrands(strands);
+        const restored = necklaceChanged || strandsChanged
+            ? this.restoreChains(state.necklace, strands, necklaceChanged).then(() => this.charmManager.loadState(state))
+            : this.charmManager.loadState(state);
+
+        this.deselectCharm();
+        return Promise.resolve(restored).then(() => {
+            this.connectorManager.update();
+            this.measurementOverlay.update();
+            this.viewport.refreshMinimap();
+        });
+    }
+
+    /**
+     * Load the necklace and layered strands of a history state
+     */
+    async restoreChains(necklace, strands, necklaceChanged) {
+        if (necklaceChanged) {
+            await this.loadNecklace(necklace);
+        }
+        await this.loadStrands(strands);
+
+        if (necklaceChanged && this.onNecklaceChanged) {
+            this.onNecklaceChanged(this.currentNecklace);
+        }
+        this.notifyStrandsChanged();
+    }
+
     /**
      * Check if undo is available
      */
@@ -480,6 +2033,40 @@ export default class JewelryCustomizer {
         }
     }
 
+    /**
+     * Weight and balance of the design about the centre of the chain
+     * Only necklaces get warnings; other pieces do not hang from a neck
+     * @param {Function} getWeight - Grams for a charm's data, or null when unknown
+     */
+    analyzeBalance(getWeight = charmData => WeightBalance.parseWeight(charmData.weight ?? charmData.attributes?.weight)) {
+        const { chainPath } = this.charmManager;
+        const bounds = this.charmManager.getImageBounds() || { x: 0, y: 0, width: this.stage.width(), height: this.stage.height() };
+        const left = chainPath ? Math.min(...chainPath.points.map(point => point.x)) : bounds.x;
+        const right = chainPath ? Math.max(...chainPath.points.map(point => point.x)) : bounds.x + bounds.width;
+
+        const charms = [...this.charmManager.charms.values()].map(charm => {
+            const offset = this.charmManager.getBailOffset(charm);
+            return {
+                id: charm.id(),
+                name: charm.charmData?.name,
+                bail: { x: charm.x() + offset.x, y: charm.y() + offset.y },
+                weight: getWeight(charm.charmData || {})
+            };
+        });
+
+        const analysis = WeightBalance.analyze(charms, {
+            pivotX: chainPath ? chainPath.getPointAt(0.5).x : (left + right) / 2,
+            halfWidth: (right - left) / 2,
+            capacity: WeightBalance.getChainCapacity(this.currentNecklace || {}),
+            pixelsPerMm: this.pixelsPerMm
+        });
+
+        if (this.productType !== PRODUCT_TYPES.NECKLACE) {
+            analysis.warnings = [];
+        }
+        return analysis;
+    }
+
     /**
      * Get current design data
      */
@@ -487,8 +2074,12 @@ export default class JewelryCustomizer {
         return {
             necklace: this.currentNecklace ? {
                 id: this.currentNecklace.id,
-                name: this.currentNecklace.name
+                name: this.currentNecklace.name,
+                productType: this.productType,
+                ...(this.currentNecklace.wristSize ? { wristSize: this.currentNecklace.wristSize } : {}),
+                ...(this.currentNecklace.chainLength ? { chainLength: this.currentNecklace.chainLength } : {})
             } : null,
+            ...(this.strands.length > 0 ? { strands: this.getStrandState() } : {}),
             charms: this.charmManager.getCharmData(),
             timestamp: Date.now()
         };
@@ -502,16 +2093,40 @@ export default class JewelryCustomizer {
             this.showLoading();
             
             // Load necklace if different from current
-            if (designData.necklace && (!this.currentNecklace || this.currentNecklace.id !== designData.necklace.id)) {
-                await this.loadNecklace(designData.necklace);
+            const necklaceChanged = designData.necklace && (!this.currentNecklace || this.currentNecklace.id !== designData.necklace.id ||
+                (designData.necklace.chainLength && designData.necklace.chainLength !== this.currentNecklace.chainLength));
+            if (necklaceChanged) {
+                await this.loadNecklace(this.resolveBaseData(designData.necklace));
+            }
+
+            // Strands go up before the charms that hang from them
+            const strands = designData.strands || [];
+            if (necklaceChanged ? this.strands.length > 0 || strands.length > 0 : !this.hasStrands(strands)) {
+                await this.loadStrands(strands);
+                this.notifyStrandsChanged();
             }
             
             // Clear existing charms
             this.clearAllCharms();
             
-            // Load charms
+            if (designData.charms.length > this.getMaxCharms()) {
+                throw new Error(`Maximum ${this.getMaxCharms()} charms allowed`);
+            }
+
+            // Load charms straight into the manager, as mirrored pairs are saved
+            // with their twins, then stack them as they were saved
+            const placed = [];
             for (const charmData of designData.charms) {
-                await this.addCharm(charmData, { x: charmData.x, y: charmData.y });
+                const charm = await this.charmManager.addCharm(charmData, { x: charmData.x, y: charmData.y });
+                placed.push({ charm, zIndex: charmData.zIndex });
+            }
+            // Children may have been placed before the charms they hang from
+            this.charmManager.updateChildren();
+            this.charmManager.restoreStackOrder(placed);
+            this.saveState();
+
+            if (this.onCharmPlaced) {
+                placed.forEach(({ charm }) => this.onCharmPlaced(charm));
             }
             
             this.hideLoading();
@@ -537,11 +2152,20 @@ export default class JewelryCustomizer {
         this.saveState();
     }
 
+    /**
+     * Handle charm rotation or scaling
+     */
+    handleCharmTransformed(charm) {
+        // A pinch is saved once, when the fingers lift
+        if (this.pinch) return;
+        this.saveState();
+    }
+
     /**
      * Handle charm selection
      */
-    handleCharmSelected(charm) {
-        this.selectCharm(charm);
+    handleCharmSelected(charm, options = {}) {
+        this.selectCharm(charm, options);
     }
 
     /**
@@ -556,6 +2180,14 @@ export default class JewelryCustomizer {
         this.stage.width(newWidth);
         this.stage.height(newHeight);
         
+        // Keep the zoomed view and the grid inside the new size
+        if (this.viewport) {
+            this.viewport.setOffset(this.viewport.offset);
+        }
+        if (this.charmManager) {
+            this.charmManager.snapGuides.drawGrid();
+        }
+        
         // Redraw all layers
         this.stage.draw();
     }
@@ -569,33 +2201,6 @@ export default class JewelryCustomizer {
         return Math.min(scaleX, scaleY);
     }
 
-    /**
-     * Generate attachment zones for the necklace
-     */
-    generateAttachmentZones() {
-        // Default attachment zones for a standard necklace
-        // These would normally be customized per necklace type
-        const zones = [];
-        const centerX = this.options.width / 2;
-        const centerY = this.options.height / 2;
-        const radius = 360; // Doubled radius to match 2x scale
-
-        for (let i = 0; i < 12; i++) {
-            const angle = (i / 12) * Math.PI * 2 - Math.PI / 2; // Start from top
-            const x = centerX + Math.cos(angle) * radius;
-            const y = centerY + Math.sin(angle) * radius;
-            
-            zones.push({
-                x: x,
-                y: y,
-                radius: 50, // Doubled zone radius to match 2x scale
-                occupied: false
-            });
-        }
-
-        return zones;
-    }
-
     /**
      * Show loading indicator
      */
@@ -689,6 +2294,10 @@ export default class JewelryCustomizer {
             this.stage.destroy();
         }
         
+        if (this.contextMenu) {
+            this.contextMenu.hide();
+        }
+        
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
         
@@ -0,0 +1,250 @@
+/**
+ * MeasurementOverlay - Ruler and charm measurements drawn over the design
+ * Shows each charm's drop from the chain, the gap between neighbouring charms
+ * and the span of the whole cluster, in millimetres once the base is calibrated
+ */
+
+import Konva from 'konva';
+
+const LINE_COLOR = '#2b6cb0';
+const LABEL_SIZE = 11;
+const RULER_OFFSET = 24; // pixels below the lowest charm
+const RULER_TICK_MM = 5;
+
+export default class MeasurementOverlay {
+    constructor(customizer) {
+        this.customizer = customizer;
+        this.isActive = false;
+
+        // Konva nodes
+        this.overlay = null;
+    }
+
+    /**
+     * Show the overlay and keep it in step while charms are dragged or transformed
+     */
+    enable() {
+        if (this.isActive) return;
+
+        this.isActive = true;
+        this.overlay = new Konva.Group({ name: 'measurement-overlay', listening: false });
+        this.customizer.uiLayer.add(this.overlay);
+        this.customizer.charmLayer.on('dragmove.measurement transform.measurement', () => this.update());
+
+        this.update();
+    }
+
+    /**
+     * Hide the overlay
+     */
+    disable() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.customizer.charmLayer.off('dragmove.measurement transform.measurement');
+
+        if (this.overlay) {
+            this.overlay.destroy();
+            this.overlay = null;
+        }
+        this.customizer.uiLayer.batchDraw();
+    }
+
+    /**
+     * Switch the overlay on or off
+     */
+    toggle() {
+        if (this.isActive) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+        return this.isActive;
+    }
+
+    /**
+     * Measure the design in millimetres, or in pixels when the base has no calibration
+     */
+    getMeasurements() {
+        const { charmManager, pixelsPerMm } = this.customizer;
+        const toUnits = pixels => (pixelsPerMm ? pixels / pixelsPerMm : pixels);
+        const getChainPath = charm => (charmManager.getChainPath ? charmManager.getChainPath(charm) : charmManager.chainPath);
+
+        const charms = [...charmManager.charms.values()]
+            .map(charm => ({ ...this.measureCharm(charm, getChainPath(charm)), chainPath: getChainPath(charm) }))
+            .sort((a, b) => a.order - b.order);
+
+        // Spacing is measured between neighbours on the same strand
+        const spacings = [];
+        charms.forEach((charm, index) => {
+            const previous = charms.slice(0, index).reverse().find(other => other.chainPath === charm.chainPath);
+            if (!previous) return;
+
+            const { chainPath } = charm;
+            const pixels = chainPath
+                ? Math.abs(charm.order - previous.order) * chainPath.getLength()
+                : this.distance(previous.bail, charm.bail);
+
+            spacings.push({
+                from: previous.id,
+                to: charm.id,
+                start: previous.bail,
+                end: charm.bail,
+                distance: toUnits(pixels)
+            });
+        });
+
+        let span = null;
+        if (charms.length > 0) {
+            const left = Math.min(...charms.map(charm => charm.bounds.left));
+            const right = Math.max(...charms.map(charm => charm.bounds.right));
+            const bottom = Math.max(...charms.map(charm => charm.bounds.bottom));
+            span = { left, right, y: bottom + RULER_OFFSET, length: toUnits(right - left) };
+        }
+
+        return {
+            unit: pixelsPerMm ? 'mm' : 'px',
+            charms: charms.map(({ order, bounds, chainPath, ...charm }) => ({ ...charm, drop: toUnits(charm.drop) })),
+            spacings,
+            span
+        };
+    }
+
+    /**
+     * Bail, lowest point and drop of a charm, in stage pixels
+     * The drop runs from where the charm meets the chain to the bottom of the charm
+     */
+    measureCharm(charm, chainPath) {
+        const corners = this.getCorners(charm);
+        const bail = this.midpoint(corners[0], corners[1]);
+        const bottom = this.midpoint(corners[3], corners[2]);
+        const closest = chainPath ? chainPath.getClosestPoint(bail) : null;
+        const anchor = closest ? { x: closest.x, y: closest.y } : bail;
+
+        return {
+            id: charm.id(),
+            name: charm.charmData?.name || charm.charmData?.title || 'Charm',
+            bail,
+            anchor,
+            bottom,
+            drop: this.distance(anchor, bottom),
+            order: closest ? closest.t : bail.x,
+            bounds: {
+                left: Math.min(...corners.map(corner => corner.x)),
+                right: Math.max(...corners.map(corner => corner.x)),
+                bottom: Math.max(...corners.map(corner => corner.y))
+            }
+        };
+    }
+
+    /**
+     * Corners of a charm on the stage, clockwise from its top-left, including rotation and scale
+     */
+    getCorners(charm) {
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        const height = (charm.height() || 0) * (charm.scaleY() || 1);
+        const angle = (charm.rotation() || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => ({
+            x: charm.x() + x * cos - y * sin,
+            y: charm.y() + x * sin + y * cos
+        }));
+    }
+
+    /**
+     * Redraw the overlay from the current design
+     */
+    update() {
+        if (!this.overlay) return;
+
+        this.overlay.destroyChildren();
+        const { unit, charms, spacings, span } = this.getMeasurements();
+
+        charms.forEach(charm => {
+            this.overlay.add(this.createLine([charm.anchor, charm.bottom], [3, 3]));
+            this.overlay.add(this.createLabel(
+                `↓ ${this.formatLength(charm.drop, unit)}`,
+                { x: charm.bottom.x + 6, y: charm.bottom.y - LABEL_SIZE }
+            ));
+        });
+
+        spacings.forEach(spacing => {
+            this.overlay.add(this.createLine([spacing.start, spacing.end], [6, 3]));
+            this.overlay.add(this.createLabel(
+                this.formatLength(spacing.distance, unit),
+                { x: (spacing.start.x + spacing.end.x) / 2, y: Math.min(spacing.start.y, spacing.end.y) - LABEL_SIZE - 6 }
+            ));
+        });
+
+        if (span) {
+            this.drawRuler(span, unit);
+        }
+
+        this.customizer.uiLayer.batchDraw();
+    }
+
+    /**
+     * Ruler under the cluster, with a tick every 5mm when calibrated
+     */
+    drawRuler(span, unit) {
+        const { pixelsPerMm } = this.customizer;
+        this.overlay.add(this.createLine([{ x: span.left, y: span.y }, { x: span.right, y: span.y }]));
+
+        const tickSpacing = pixelsPerMm ? RULER_TICK_MM * pixelsPerMm : span.right - span.left;
+        const ticks = tickSpacing > 0 ? Math.floor((span.right - span.left) / tickSpacing) : 0;
+        for (let i = 0; i <= ticks; i++) {
+            const x = span.left + i * tickSpacing;
+            const height = pixelsPerMm && (i * RULER_TICK_MM) % 10 === 0 ? 8 : 4;
+            this.overlay.add(this.createLine([{ x, y: span.y - height }, { x, y: span.y }]));
+        }
+        this.overlay.add(this.createLine([{ x: span.right, y: span.y - 8 }, { x: span.right, y: span.y }]));
+
+        this.overlay.add(this.createLabel(
+            `Span ${this.formatLength(span.length, unit)}`,
+            { x: span.left, y: span.y + 4 }
+        ));
+    }
+
+    /**
+     * Measurement line through stage points
+     */
+    createLine(points, dash = null) {
+        return new Konva.Line({
+            points: points.flatMap(point => [point.x, point.y]),
+            stroke: LINE_COLOR,
+            strokeWidth: 1,
+            dash,
+            listening: false,
+            name: 'measurement-line'
+        });
+    }
+
+    /**
+     * Measurement label at a stage point
+     */
+    createLabel(text, position) {
+        return new Konva.Text({
+            x: position.x,
+            y: position.y,
+            text,
+            fontSize: LABEL_SIZE,
+            fill: LINE_COLOR,
+            listening: false,
+            name: 'measurement-label'
+        });
+    }
+
+    formatLength(value, unit) {
+        return unit === 'mm' ? `${value.toFixed(1)} mm` : `${Math.round(value)} px`;
+    }
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    }
+}
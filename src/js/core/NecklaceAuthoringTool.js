@@ -0,0 +1,352 @@
+/**
+ * NecklaceAuthoringTool - Admin mode for laying out a necklace base on the canvas
+ * Click to add chain path points or attachment zones, drag to adjust, double-click to remove
+ */
+
+import Konva from 'konva';
+import ChainPath from '../utils/ChainPath.js';
+
+export const AUTHORING_MODES = {
+    PATH: 'path',
+    ZONES: 'zones'
+};
+
+export default class NecklaceAuthoringTool {
+    constructor(customizer, options = {}) {
+        this.customizer = customizer;
+        this.options = {
+            handleRadius: options.handleRadius || 6,
+            zoneRadius: options.zoneRadius || 40, // pixels on the canvas
+            zoneCapacity: options.zoneCapacity || 1,
+            ...options
+        };
+
+        this.mode = AUTHORING_MODES.PATH;
+        this.isActive = false;
+
+        // Layout being edited, in stage coordinates
+        this.pathPoints = [];
+        this.zones = [];
+        this.selectedZoneIndex = null;
+
+        // Konva nodes
+        this.overlay = null;
+
+        // Event callbacks
+        this.onLayoutChanged = null;
+    }
+
+    /**
+     * Start authoring the currently loaded necklace
+     */
+    enable() {
+        if (this.isActive) return;
+
+        const necklace = this.customizer.currentNecklace;
+        if (!necklace || !necklace.konvaImage) {
+            throw new Error('Load a necklace before editing its layout');
+        }
+
+        this.isActive = true;
+        this.loadLayout(necklace);
+
+        this.overlay = new Konva.Group({ name: 'authoring-overlay' });
+        this.customizer.uiLayer.add(this.overlay);
+
+        // Let clicks reach the stage instead of charms while authoring
+        this.customizer.charmLayer.listening(false);
+        this.customizer.stage.on('click.authoring', (e) => this.handleStageClick(e));
+
+        this.render();
+    }
+
+    /**
+     * Stop authoring and remove the overlay
+     */
+    disable() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.customizer.stage.off('click.authoring');
+        this.customizer.charmLayer.listening(true);
+
+        if (this.overlay) {
+            this.overlay.destroy();
+            this.overlay = null;
+        }
+        this.customizer.uiLayer.draw();
+    }
+
+    /**
+     * Switch between placing chain path points and attachment zones
+     */
+    setMode(mode) {
+        if (!Object.values(AUTHORING_MODES).includes(mode)) {
+            throw new Error(`Unknown authoring mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.selectedZoneIndex = null;
+        this.render();
+    }
+
+    /**
+     * Set radius and capacity for new zones, and for the selected zone if any
+     */
+    setZoneSettings({ radius, capacity } = {}) {
+        if (radius !== undefined) this.options.zoneRadius = Math.max(1, radius);
+        if (capacity !== undefined) this.options.zoneCapacity = Math.max(1, Math.round(capacity));
+
+        if (this.selectedZoneIndex !== null) {
+            this.updateZone(this.selectedZoneIndex, {
+                radius: this.options.zoneRadius,
+                capacity: this.options.zoneCapacity
+            });
+        }
+    }
+
+    /**
+     * Add a path point or zone at a stage position, depending on the mode
+     */
+    addPoint(position) {
+        if (this.mode === AUTHORING_MODES.PATH) {
+            this.pathPoints.push({ x: position.x, y: position.y });
+        } else {
+            this.zones.push({
+                x: position.x,
+                y: position.y,
+                radius: this.options.zoneRadius,
+                capacity: this.options.zoneCapacity
+            });
+            this.selectedZoneIndex = this.zones.length - 1;
+        }
+        this.handleChange();
+    }
+
+    /**
+     * Change a zone's position, radius or capacity
+     */
+    updateZone(index, changes) {
+        if (!this.zones[index]) return;
+        this.zones[index] = { ...this.zones[index], ...changes };
+        this.handleChange();
+    }
+
+    /**
+     * Remove a path point or zone by index
+     */
+    removePoint(kind, index) {
+        if (kind === AUTHORING_MODES.PATH) {
+            this.pathPoints.splice(index, 1);
+        } else {
+            this.zones.splice(index, 1);
+            this.selectedZoneIndex = null;
+        }
+        this.handleChange();
+    }
+
+    /**
+     * Remove every point of the current mode
+     */
+    clear() {
+        if (this.mode === AUTHORING_MODES.PATH) {
+            this.pathPoints = [];
+        } else {
+            this.zones = [];
+            this.selectedZoneIndex = null;
+        }
+        this.handleChange();
+    }
+
+    /**
+     * Layout as fractions of the necklace image, ready for customization_options
+     */
+    getLayout() {
+        const bounds = this.getImageBounds();
+        const round = value => Math.round(value * 10000) / 10000;
+
+        return {
+            chainPath: this.pathPoints.length >= 2 ? {
+                points: this.pathPoints.map(point => [
+                    round((point.x - bounds.x) / bounds.width),
+                    round((point.y - bounds.y) / bounds.height)
+                ])
+            } : null,
+            attachmentZones: this.zones.map(zone => ({
+                x: round((zone.x - bounds.x) / bounds.width),
+                y: round((zone.y - bounds.y) / bounds.height),
+                radius: round(zone.radius / bounds.width),
+                capacity: zone.capacity
+            }))
+        };
+    }
+
+    /**
+     * Read the necklace's existing layout into stage coordinates
+     */
+    loadLayout(necklace) {
+        const bounds = this.getImageBounds();
+        const layout = this.customizer.getNecklaceLayout(necklace, necklace.konvaImage);
+
+        this.pathPoints = layout.chainPath
+            ? (layout.chainPath.points || layout.chainPath).map(([x, y]) => ({
+                x: bounds.x + x * bounds.width,
+                y: bounds.y + y * bounds.height
+            }))
+            : [];
+
+        // getNecklaceLayout returns zones in image pixels
+        this.zones = layout.attachmentZones.map(zone => ({
+            x: bounds.x + zone.x,
+            y: bounds.y + zone.y,
+            radius: zone.radius,
+            capacity: zone.capacity || 1
+        }));
+        this.selectedZoneIndex = null;
+    }
+
+    /**
+     * Push the edited layout to the charm manager so placement can be tried out
+     */
+    applyToCustomizer() {
+        const necklace = this.customizer.currentNecklace;
+        const layout = this.getLayout();
+
+        necklace.customization_options = {
+            ...(necklace.customization_options || {}),
+            chain_path: layout.chainPath,
+            attachment_zones: layout.attachmentZones
+        };
+
+        const resolved = this.customizer.getNecklaceLayout(necklace, necklace.konvaImage);
+        this.customizer.charmManager.setAttachmentZones(resolved.attachmentZones, necklace.konvaImage);
+        this.customizer.charmManager.setChainPath(resolved.chainPath, necklace.konvaImage);
+
+        return layout;
+    }
+
+    /**
+     * Add a point where the admin clicked on empty canvas
+     */
+    handleStageClick(e) {
+        if (e.target !== this.customizer.stage && e.target !== this.customizer.currentNecklace?.konvaImage) {
+            return;
+        }
+        const position = this.customizer.getPointerPosition();
+        if (position) {
+            this.addPoint(position);
+        }
+    }
+
+    /**
+     * Redraw overlay and notify listeners
+     */
+    handleChange() {
+        this.render();
+        if (this.onLayoutChanged) {
+            this.onLayoutChanged(this.getLayout());
+        }
+    }
+
+    /**
+     * Necklace image bounds on the stage
+     */
+    getImageBounds() {
+        const image = this.customizer.currentNecklace.konvaImage;
+        return {
+            x: image.x(),
+            y: image.y(),
+            width: image.width() * image.scaleX(),
+            height: image.height() * image.scaleY()
+        };
+    }
+
+    /**
+     * Draw the path, its control points and the zones
+     */
+    render() {
+        if (!this.overlay) return;
+
+        this.overlay.destroyChildren();
+
+        if (this.pathPoints.length >= 2) {
+            this.overlay.add(new Konva.Line({
+                points: new ChainPath(this.pathPoints).toFlatPoints(),
+                stroke: '#667eea',
+                strokeWidth: 2,
+                dash: [6, 4],
+                listening: false,
+                name: 'authoring-path'
+            }));
+        }
+
+        this.pathPoints.forEach((point, index) => {
+            this.overlay.add(this.createHandle(point, AUTHORING_MODES.PATH, index));
+        });
+
+        this.zones.forEach((zone, index) => {
+            const selected = index === this.selectedZoneIndex;
+            this.overlay.add(new Konva.Circle({
+                x: zone.x,
+                y: zone.y,
+                radius: zone.radius,
+                stroke: selected ? '#e53e3e' : '#38a169',
+                strokeWidth: 2,
+                dash: [4, 4],
+                listening: false,
+                name: 'authoring-zone'
+            }));
+            this.overlay.add(new Konva.Text({
+                x: zone.x + zone.radius + 4,
+                y: zone.y - 6,
+                text: `×${zone.capacity}`,
+                fontSize: 12,
+                fill: '#38a169',
+                listening: false
+            }));
+            this.overlay.add(this.createHandle(zone, AUTHORING_MODES.ZONES, index));
+        });
+
+        this.customizer.uiLayer.batchDraw();
+    }
+
+    /**
+     * Create a draggable handle for a path point or zone centre
+     */
+    createHandle(point, kind, index) {
+        const handle = new Konva.Circle({
+            x: point.x,
+            y: point.y,
+            radius: this.options.handleRadius,
+            fill: kind === AUTHORING_MODES.PATH ? '#667eea' : '#38a169',
+            stroke: '#ffffff',
+            strokeWidth: 2,
+            draggable: true,
+            name: 'authoring-handle'
+        });
+
+        handle.on('dragend', () => {
+            const position = { x: handle.x(), y: handle.y() };
+            if (kind === AUTHORING_MODES.PATH) {
+                this.pathPoints[index] = position;
+                this.handleChange();
+            } else {
+                this.updateZone(index, position);
+            }
+        });
+
+        handle.on('click tap', (e) => {
+            e.cancelBubble = true; // Don't add a point underneath
+            if (kind === AUTHORING_MODES.ZONES) {
+                this.selectedZoneIndex = index;
+                this.render();
+            }
+        });
+
+        handle.on('dblclick dbltap', (e) => {
+            e.cancelBubble = true;
+            this.removePoint(kind, index);
+        });
+
+        return handle;
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * SnapGuides - Smart alignment guides and an optional grid while dragging charms
+ * A dragged charm's centre or bail snaps into line with the other charms' centres and bails,
+ * the necklace centre line and positions that space it evenly from its neighbours,
+ * and a line shows what it lined up with
+ */
+
+import Konva from 'konva';
+
+export const DEFAULT_GRID_SIZE = 20; // pixels
+const GUIDE_THRESHOLD = 6; // screen pixels within which a charm snaps to a guide
+const ALIGNED_TOLERANCE = 0.5; // pixels; guides still this close after the chain moves the charm are shown
+
+const GUIDE_COLOURS = {
+    charm: '#e83e8c',
+    centre: '#d26b65',
+    spacing: '#17a2b8'
+};
+
+export default class SnapGuides {
+    constructor(charmManager, options = {}) {
+        this.charmManager = charmManager;
+        this.threshold = options.guideThreshold || GUIDE_THRESHOLD;
+        this.enabled = options.snapGuides !== false;
+        this.grid = {
+            enabled: !!options.grid,
+            size: options.gridSize || DEFAULT_GRID_SIZE
+        };
+
+        this.group = null; // Guide lines for the current drag
+        this.gridGroup = null;
+    }
+
+    /**
+     * Turn alignment guides on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Show or hide the grid and change its spacing; charms snap to it while it shows
+     */
+    setGrid({ enabled = this.grid.enabled, size = this.grid.size } = {}) {
+        this.grid = { enabled: !!enabled, size: size > 0 ? size : DEFAULT_GRID_SIZE };
+        this.drawGrid();
+        return { ...this.grid };
+    }
+
+    /**
+     * Move a dragged charm onto the nearest guide or grid line on each free axis
+     * @param {Konva.Image} charm - Charm being dragged
+     * @param {Object} axes - { x, y }: whether the charm may move along each axis
+     * @returns {Object[]} Guides it snapped to: { orientation: 'vertical'|'horizontal', position, kind }
+     */
+    snap(charm, axes = { x: true, y: true }) {
+        const guides = [];
+        const features = this.getFeatures(charm);
+        const targets = this.enabled ? this.getTargets(charm) : { vertical: [], horizontal: [] };
+        const threshold = this.threshold / (this.getStageScale() || 1);
+
+        const snapAxis = (axis, orientation) => {
+            if (!axes[axis]) return;
+
+            const match = this.findClosest(features.map(feature => feature[axis]), targets[orientation], threshold);
+            if (match) {
+                charm[axis](charm[axis]() + match.delta);
+                guides.push({ orientation, position: match.target.position, kind: match.target.kind });
+            } else if (this.grid.enabled) {
+                // No guide nearby: put the bail on the grid
+                const bail = features[1][axis];
+                charm[axis](charm[axis]() + Math.round(bail / this.grid.size) * this.grid.size - bail);
+            }
+        };
+        snapAxis('x', 'vertical');
+        snapAxis('y', 'horizontal');
+
+        return guides;
+    }
+
+    /**
+     * Draw the guides a charm still lines up with, e.g. after the chain has pulled it along
+     */
+    show(charm, guides) {
+        this.hide();
+
+        const features = this.getFeatures(charm);
+        const aligned = guides.filter(guide => {
+            const axis = guide.orientation === 'vertical' ? 'x' : 'y';
+            return features.some(feature => Math.abs(feature[axis] - guide.position) <= ALIGNED_TOLERANCE);
+        });
+        if (aligned.length === 0) return aligned;
+
+        const stage = this.charmManager.charmLayer.getStage();
+        const width = stage ? stage.width() : 0;
+        const height = stage ? stage.height() : 0;
+
+        this.group = new Konva.Group({ name: 'snap-guides', listening: false });
+        aligned.forEach(guide => {
+            this.group.add(new Konva.Line({
+                points: guide.orientation === 'vertical'
+                    ? [guide.position, 0, guide.position, height]
+                    : [0, guide.position, width, guide.position],
+                stroke: GUIDE_COLOURS[guide.kind],
+                strokeWidth: 1,
+                strokeScaleEnabled: false,
+                dash: guide.kind === 'spacing' ? [4, 4] : undefined
+            }));
+        });
+
+        const layer = this.getLayer('.ui');
+        layer.add(this.group);
+        layer.batchDraw();
+        return aligned;
+    }
+
+    /**
+     * Remove the guide lines, e.g. when a drag ends
+     */
+    hide() {
+        if (this.group) {
+            const layer = this.group.getLayer && this.group.getLayer();
+            this.group.destroy();
+            this.group = null;
+            if (layer) {
+                layer.batchDraw();
+            }
+        }
+    }
+
+    /**
+     * Points of a charm that line up with guides: its centre and its bail
+     */
+    getFeatures(charm) {
+        const width = (charm.width() || 0) * (charm.scaleX() || 1);
+        const height = (charm.height() || 0) * (charm.scaleY() || 1);
+        const angle = (charm.rotation() || 0) * Math.PI / 180;
+        const bail = this.charmManager.getBailOffset(charm);
+
+        return [
+            {
+                x: charm.x() + (width / 2) * Math.cos(angle) - (height / 2) * Math.sin(angle),
+                y: charm.y() + (width / 2) * Math.sin(angle) + (height / 2) * Math.cos(angle)
+            },
+            { x: charm.x() + bail.x, y: charm.y() + bail.y }
+        ];
+    }
+
+    /**
+     * Lines a charm can snap to: other charms' centres and bails, the necklace centre line,
+     * and bail positions evenly spaced with the neighbouring bails
+     * Charms moving with it (its group and mirror twin) are left out
+     */
+    getTargets(charm) {
+        const { charmManager } = this;
+        const moving = charmManager.getDraggedCharms(charm);
+        moving.push(...moving.map(node => charmManager.getTwin(node)).filter(Boolean));
+        const others = [...charmManager.charms.values()].filter(other => !moving.includes(other));
+
+        const vertical = [{ position: charmManager.getMirrorAxis(), kind: 'centre' }];
+        const horizontal = [];
+        others.forEach(other => {
+            this.getFeatures(other).forEach(feature => {
+                vertical.push({ position: feature.x, kind: 'charm' });
+                horizontal.push({ position: feature.y, kind: 'charm' });
+            });
+        });
+
+        // Continue or split the gaps between neighbouring bails
+        const bails = others.map(other => this.getFeatures(other)[1].x).sort((a, b) => a - b);
+        for (let i = 1; i < bails.length; i++) {
+            const gap = bails[i] - bails[i - 1];
+            if (gap <= 0) continue;
+            vertical.push(
+                { position: bails[i - 1] - gap, kind: 'spacing' },
+                { position: (bails[i - 1] + bails[i]) / 2, kind: 'spacing' },
+                { position: bails[i] + gap, kind: 'spacing' }
+            );
+        }
+
+        return { vertical, horizontal };
+    }
+
+    /**
+     * Nearest target to any of the values within the threshold
+     */
+    findClosest(values, targets, threshold) {
+        let best = null;
+        values.forEach(value => {
+            targets.forEach(target => {
+                const delta = target.position - value;
+                if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { target, delta };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Draw or remove the grid, e.g. after the stage is resized
+     */
+    drawGrid() {
+        if (this.gridGroup) {
+            this.gridGroup.destroy();
+            this.gridGroup = null;
+        }
+
+        const stage = this.charmManager.charmLayer.getStage();
+        const layer = this.getLayer('.ui');
+        if (!this.grid.enabled || !stage) {
+            layer.batchDraw();
+            return;
+        }
+
+        const width = stage.width();
+        const height = stage.height();
+        const { size } = this.grid;
+        this.gridGroup = new Konva.Group({ name: 'snap-grid', listening: false });
+        for (let x = size; x < width; x += size) {
+            this.gridGroup.add(new Konva.Line({ points: [x, 0, x, height], stroke: 'rgba(0, 0, 0, 0.08)', strokeWidth: 1 }));
+        }
+        for (let y = size; y < height; y += size) {
+            this.gridGroup.add(new Konva.Line({ points: [0, y, width, y], stroke: 'rgba(0, 0, 0, 0.08)', strokeWidth: 1 }));
+        }
+
+        layer.add(this.gridGroup);
+        layer.batchDraw();
+    }
+
+    getLayer(selector) {
+        const stage = this.charmManager.charmLayer.getStage();
+        return (stage && stage.findOne(selector)) || this.charmManager.charmLayer;
+    }
+
+    getStageScale() {
+        const stage = this.charmManager.charmLayer.getStage();
+        return stage ? stage.scaleX() : 1;
+    }
+}
@@ -321,6 +321,10 @@ export default class StateManager {
     statesEqual(state1, state2) {
         if (!state1 || !state2) return false;
         if (!state1.charms || !state2.charms) return false;
+        if ((state1.necklace?.id ?? null) !== (state2.necklace?.id ?? null)) return false;
+        if ((state1.necklace?.chainLength ?? null) !== (state2.necklace?.chainLength ?? null)) return false;
+        const strandsOf = state => (state.strands || []).map(strand => `${strand.id}:${strand.chainLength}`).join();
+        if (strandsOf(state1) !== strandsOf(state2)) return false;
         if (state1.charms.length !== state2.charms.length) return false;
 
         // Compare charm data
@@ -331,7 +335,12 @@ export default class StateManager {
             if (charm1.id !== charm2.id ||
                 Math.abs(charm1.x - charm2.x) > 1 ||
                 Math.abs(charm1.y - charm2.y) > 1 ||
-                charm1.rotation !== charm2.rotation) {
+                charm1.rotation !== charm2.rotation ||
+                (charm1.scaleX ?? 1) !== (charm2.scaleX ?? 1) ||
+                (charm1.scaleY ?? 1) !== (charm2.scaleY ?? 1) ||
+                (charm1.zIndex ?? null) !== (charm2.zIndex ?? null) ||
+                (charm1.parentId ?? null) !== (charm2.parentId ?? null) ||
+                (charm1.strandId ?? null) !== (charm2.strandId ?? null)) {
                 return false;
             }
         }
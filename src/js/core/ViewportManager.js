@@ -0,0 +1,335 @@
+/**
+ * ViewportManager - Zoom and pan of the design stage, with a minimap
+ * The stage is scaled and moved as a whole, so charms, zones and the chain keep their
+ * design coordinates; only pointer positions need converting with toWorld()
+ */
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 8;
+
+const WHEEL_ZOOM_STEP = 1.1; // zoom factor per wheel notch
+const BUTTON_ZOOM_STEP = 1.25;
+const FIT_PADDING = 0.9; // share of the view a zoomed-to area fills
+const MINIMAP_WIDTH = 160; // pixels
+
+export default class ViewportManager {
+    constructor(customizer) {
+        this.customizer = customizer;
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 }; // Stage position in screen pixels
+        this.spaceHeld = false;
+        this.panStart = null; // { pointer, offset } while panning
+
+        // Minimap DOM elements
+        this.minimap = null;
+        this.minimapImage = null;
+        this.minimapView = null;
+
+        this.onChange = null;
+    }
+
+    get stage() {
+        return this.customizer.stage;
+    }
+
+    /**
+     * Listen for wheel zoom, and space-drag or middle-drag panning
+     */
+    attach() {
+        this.stage.on('wheel.viewport', (e) => {
+            e.evt.preventDefault(); // Don't scroll the page
+            const pointer = this.stage.getPointerPosition();
+            const factor = e.evt.deltaY > 0 ? 1 / WHEEL_ZOOM_STEP : WHEEL_ZOOM_STEP;
+            this.zoomAt(pointer, this.scale * factor);
+        });
+
+        this.stage.on('mousedown.viewport', (e) => {
+            if (e.evt.button !== 1 && !this.spaceHeld) return;
+
+            e.evt.preventDefault(); // Middle click would start autoscroll
+            this.panStart = { pointer: { x: e.evt.clientX, y: e.evt.clientY }, offset: { ...this.offset } };
+            this.customizer.container.style.cursor = 'grabbing';
+        });
+
+        this.stage.on('mousemove.viewport', (e) => {
+            if (!this.panStart) return;
+
+            this.setOffset({
+                x: this.panStart.offset.x + e.evt.clientX - this.panStart.pointer.x,
+                y: this.panStart.offset.y + e.evt.clientY - this.panStart.pointer.y
+            });
+        });
+
+        this.stage.on('mouseup.viewport mouseleave.viewport', () => {
+            if (!this.panStart) return;
+
+            this.panStart = null;
+            this.customizer.container.style.cursor = this.spaceHeld ? 'grab' : '';
+        });
+    }
+
+    /**
+     * Hold space to pan with the left button; charms stop taking the pointer meanwhile
+     */
+    setSpaceHeld(held) {
+        if (this.spaceHeld === held) return;
+
+        this.spaceHeld = held;
+        this.customizer.charmLayer.listening(!held);
+        this.customizer.container.style.cursor = held ? 'grab' : '';
+        if (!held) {
+            this.panStart = null;
+        }
+    }
+
+    /**
+     * Whether the pointer is currently panning, so other drag gestures can stand aside
+     */
+    isPanning() {
+        return this.spaceHeld || !!this.panStart;
+    }
+
+    /**
+     * Design coordinates under a point on the stage
+     */
+    toWorld(point) {
+        return {
+            x: (point.x - this.offset.x) / this.scale,
+            y: (point.y - this.offset.y) / this.scale
+        };
+    }
+
+    /**
+     * Stage point showing a design coordinate
+     */
+    toScreen(point) {
+        return {
+            x: point.x * this.scale + this.offset.x,
+            y: point.y * this.scale + this.offset.y
+        };
+    }
+
+    /**
+     * Zoom keeping the design point under a stage point still, e.g. the cursor
+     */
+    zoomAt(point, scale) {
+        const clamped = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, scale));
+        const anchor = this.toWorld(point);
+
+        this.scale = clamped;
+        this.setOffset({
+            x: point.x - anchor.x * clamped,
+            y: point.y - anchor.y * clamped
+        });
+        return this.scale;
+    }
+
+    /**
+     * Zoom in or out a step about the middle of the view
+     */
+    zoomIn() {
+        return this.zoomAt(this.getViewCentre(), this.scale * BUTTON_ZOOM_STEP);
+    }
+
+    zoomOut() {
+        return this.zoomAt(this.getViewCentre(), this.scale / BUTTON_ZOOM_STEP);
+    }
+
+    /**
+     * Back to the unzoomed stage
+     */
+    reset() {
+        this.scale = 1;
+        this.setOffset({ x: 0, y: 0 });
+    }
+
+    /**
+     * Zoom so a rectangle in design coordinates fills the view, centred
+     */
+    zoomToRect(rect) {
+        if (!rect || !(rect.width > 0) || !(rect.height > 0)) return false;
+
+        const width = this.stage.width();
+        const height = this.stage.height();
+        this.scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM,
+            Math.min(width / rect.width, height / rect.height) * FIT_PADDING));
+        this.setOffset({
+            x: width / 2 - (rect.x + rect.width / 2) * this.scale,
+            y: height / 2 - (rect.y + rect.height / 2) * this.scale
+        });
+        return true;
+    }
+
+    /**
+     * Zoom to show the whole base and every charm
+     */
+    zoomToFit() {
+        const { charmManager } = this.customizer;
+        const rects = [
+            charmManager.getImageBounds(),
+            charmManager.getSelectionBounds([...charmManager.charms.values()])
+        ].filter(Boolean);
+
+        if (rects.length === 0) {
+            this.reset();
+            return true;
+        }
+        return this.zoomToRect(this.unionRects(rects));
+    }
+
+    /**
+     * Zoom in on the selected charms
+     */
+    zoomToSelection() {
+        const charms = this.customizer.getSelectedCharms();
+        return this.zoomToRect(this.customizer.charmManager.getSelectionBounds(charms));
+    }
+
+    /**
+     * Move the view so a design point is in the middle
+     */
+    centreOn(point) {
+        this.setOffset({
+            x: this.stage.width() / 2 - point.x * this.scale,
+            y: this.stage.height() / 2 - point.y * this.scale
+        });
+    }
+
+    /**
+     * Part of the design in view, in design coordinates
+     */
+    getViewRect() {
+        const topLeft = this.toWorld({ x: 0, y: 0 });
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: this.stage.width() / this.scale,
+            height: this.stage.height() / this.scale
+        };
+    }
+
+    getViewCentre() {
+        return { x: this.stage.width() / 2, y: this.stage.height() / 2 };
+    }
+
+    unionRects(rects) {
+        const minX = Math.min(...rects.map(rect => rect.x));
+        const minY = Math.min(...rects.map(rect => rect.y));
+        const maxX = Math.max(...rects.map(rect => rect.x + rect.width));
+        const maxY = Math.max(...rects.map(rect => rect.y + rect.height));
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Move the stage, keeping at least part of the design in view
+     */
+    setOffset(offset) {
+        const width = this.stage.width();
+        const height = this.stage.height();
+        const margin = 0.25; // share of the view the design must keep covering
+
+        this.offset = {
+            x: Math.max(width * margin - width * this.scale, Math.min(width * (1 - margin), offset.x)),
+            y: Math.max(height * margin - height * this.scale, Math.min(height * (1 - margin), offset.y))
+        };
+        this.apply();
+    }
+
+    apply() {
+        this.stage.scale({ x: this.scale, y: this.scale });
+        this.stage.position(this.offset);
+        this.stage.batchDraw();
+
+        this.updateMinimap();
+        if (this.onChange) {
+            this.onChange(this.scale);
+        }
+    }
+
+    /**
+     * Add the minimap to an element; it shows while zoomed in, and a click or drag on it moves the view
+     */
+    createMinimap(parent) {
+        this.minimap = document.createElement('div');
+        this.minimap.className = 'minimap';
+        this.minimap.setAttribute('aria-hidden', 'true');
+        this.minimap.hidden = true;
+
+        this.minimapImage = document.createElement('img');
+        this.minimapImage.className = 'minimap-image';
+        this.minimapImage.alt = '';
+        this.minimapImage.draggable = false;
+
+        this.minimapView = document.createElement('div');
+        this.minimapView.className = 'minimap-view';
+
+        this.minimap.append(this.minimapImage, this.minimapView);
+        parent.appendChild(this.minimap);
+
+        const moveTo = (e) => {
+            const rect = this.minimap.getBoundingClientRect();
+            const ratio = this.stage.width() / MINIMAP_WIDTH;
+            this.centreOn({ x: (e.clientX - rect.left) * ratio, y: (e.clientY - rect.top) * ratio });
+        };
+        this.minimap.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            moveTo(e);
+            const move = (moveEvent) => moveTo(moveEvent);
+            const up = () => {
+                document.removeEventListener('pointermove', move);
+                document.removeEventListener('pointerup', up);
+            };
+            document.addEventListener('pointermove', move);
+            document.addEventListener('pointerup', up);
+        });
+    }
+
+    /**
+     * Show or hide the minimap and frame the part of the design in view
+     */
+    updateMinimap() {
+        if (!this.minimap) return;
+
+        const zoomed = this.scale > 1;
+        const wasHidden = this.minimap.hidden;
+        this.minimap.hidden = !zoomed;
+        if (!zoomed) return;
+        if (wasHidden) {
+            this.refreshMinimap();
+        }
+
+        const ratio = MINIMAP_WIDTH / this.stage.width();
+        const view = this.getViewRect();
+        Object.assign(this.minimapView.style, {
+            left: `${view.x * ratio}px`,
+            top: `${view.y * ratio}px`,
+            width: `${view.width * ratio}px`,
+            height: `${view.height * ratio}px`
+        });
+    }
+
+    /**
+     * Redraw the minimap picture of the design, e.g. after charms change
+     */
+    refreshMinimap() {
+        if (!this.minimap || this.minimap.hidden) return;
+
+        const { uiLayer } = this.customizer;
+        const width = this.stage.width();
+
+        // Render the whole design unzoomed, without selection handles
+        this.stage.scale({ x: 1, y: 1 });
+        this.stage.position({ x: 0, y: 0 });
+        uiLayer.visible(false);
+        try {
+            this.minimapImage.src = this.stage.toDataURL({ pixelRatio: MINIMAP_WIDTH / width });
+        } finally {
+            uiLayer.visible(true);
+            this.stage.scale({ x: this.scale, y: this.scale });
+            this.stage.position(this.offset);
+        }
+
+        this.minimap.style.width = `${MINIMAP_WIDTH}px`;
+        this.minimap.style.height = `${this.stage.height() * MINIMAP_WIDTH / width}px`;
+    }
+}
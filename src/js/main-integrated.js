@@ -5,11 +5,17 @@
 
 import '../css/main.css';
 import JewelryCustomizer from './core/JewelryCustomizer.js';
-import { charmImages, necklaceImages } from './utils/images.js';
+import NecklaceAuthoringTool from './core/NecklaceAuthoringTool.js';
+import { charmImages } from './utils/images.js';
+import DesignLinkCodec from './utils/DesignLinkCodec.js';
 import { initializeAPI } from './services/InventoryAPI.js';
 import inventoryService from './services/InventoryService.js';
 import inventoryImporter from './utils/InventoryImporter.js';
 import { SUPABASE_CONFIG } from './config/supabase.js';
+import { PRODUCT_TYPES, getProductTypeConfig } from './config/productTypes.js';
+import WeightBalance from './utils/WeightBalance.js';
+import LibraryDrag from './utils/LibraryDrag.js';
+import CharmInspector from './utils/CharmInspector.js';
 import './debug/dragTest.js';
 
 class JewelryCustomizerApp {
@@ -18,6 +24,12 @@ class JewelryCustomizerApp {
         this.isInitialized = false;
         this.inventoryLoaded = false;
         this.useBackend = false; // Flag to enable/disable backend integration
+        this.authoringTool = null; // Necklace layout authoring, admins only
+        this.libraryDrag = null; // Touch and pen drag from the charm library
+        this.inspector = null; // Details of the selected charm
+        this.necklaceProducts = [];
+        this.necklaceCatalog = []; // Necklace bases offered in the picker
+        this.libraryCategories = ['charms']; // Inventory categories shown in the charm library
         
         // UI Elements
         this.elements = {
@@ -37,6 +49,7 @@ class JewelryCustomizerApp {
                 price: 15,
                 category: 'symbols',
                 material: 'sterling silver',
+                weight: '2.1g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -46,6 +59,7 @@ class JewelryCustomizerApp {
                 price: 12,
                 category: 'symbols',
                 material: 'gold plated',
+                weight: '1.8g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -55,6 +69,7 @@ class JewelryCustomizerApp {
                 price: 18,
                 category: 'animals',
                 material: 'sterling silver',
+                weight: '3.2g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -64,6 +79,7 @@ class JewelryCustomizerApp {
                 price: 14,
                 category: 'symbols',
                 material: 'sterling silver',
+                weight: '2.4g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -73,6 +89,7 @@ class JewelryCustomizerApp {
                 price: 16,
                 category: 'symbols',
                 material: 'rose gold',
+                weight: '2.6g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -82,6 +99,7 @@ class JewelryCustomizerApp {
                 price: 20,
                 category: 'letters',
                 material: 'sterling silver',
+                weight: '3.5g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -91,6 +109,7 @@ class JewelryCustomizerApp {
                 price: 22,
                 category: 'birthstones',
                 material: 'sterling silver',
+                weight: '4.0g',
                 attachmentMethod: 'jump ring'
             },
             {
@@ -100,10 +119,18 @@ class JewelryCustomizerApp {
                 price: 17,
                 category: 'animals',
                 material: 'gold plated',
+                weight: '2.9g',
                 attachmentMethod: 'jump ring'
             }
         ];
 
+        // Jump rings and bails used as connectors when the backend is unavailable
+        this.sampleMaterials = [
+            { id: 'jump-ring-5mm', name: '5mm Jump Rings 100pcs', priceValue: 3, category: 'materials' },
+            { id: 'jump-ring-7mm', name: '7mm Jump Rings 100pcs', priceValue: 4, category: 'materials' },
+            { id: 'pinch-bail-10mm', name: '10mm Pinch Bails 20pcs', priceValue: 5, category: 'materials' }
+        ];
+
         // Current inventory items (loaded from backend or sample data)
         this.currentInventory = [];
         this.currentCategories = [];
@@ -130,8 +157,24 @@ class JewelryCustomizerApp {
                 enableAnimation: true
             });
 
+            // Details of the selected charm, from the inventory when the backend is on
+            this.inspector = new CharmInspector(
+                document.getElementById('charm-inspector'),
+                this.customizer,
+                this.useBackend ? (itemId) => inventoryService.getItemDetails(itemId) : null
+            );
+
             // Setup event callbacks
             this.setupCustomizerCallbacks();
+
+            // Touch and pen drag charms from the library, where HTML5 drag and drop never fires
+            this.libraryDrag = new LibraryDrag(this.customizer.container, (charm, point) => {
+                if (this.useBackend && !charm.available) {
+                    this.showError('This item is currently out of stock');
+                    return;
+                }
+                this.customizer.addCharmAtClientPoint({ ...charm, inventoryId: charm.id }, point);
+            });
             
             // Setup UI interactions
             this.setupUIInteractions();
@@ -139,12 +182,23 @@ class JewelryCustomizerApp {
             // Load inventory and populate UI
             await this.loadInventoryData();
             
-            // Populate necklace thumbnail
-            this.populateNecklaceUI();
+            // Populate the necklace picker
+            await this.populateNecklaceUI();
+            
+            // Let customers switch to bracelets, earrings and keychains
+            this.setupProductTypes();
+            this.setupChainLengths();
+            this.setupStrands();
             
             // Wait for customizer to initialize
             await this.waitForInitialization();
             
+            // Open a design shared through a link, if any
+            await this.loadSharedDesign();
+            
+            // Offer necklace layout authoring to admins
+            await this.setupLayoutAuthoring();
+            
             this.isInitialized = true;
             console.log('Jewelry Customizer initialized successfully!');
             
@@ -251,6 +305,20 @@ class JewelryCustomizerApp {
             this.loadSampleData();
             this.loadCharmLibrary();
         }
+
+        await this.loadConnectorMaterials();
+    }
+
+    /**
+     * Load jump rings and bails from the materials inventory for the charm connectors
+     */
+    async loadConnectorMaterials() {
+        let materials = [];
+        if (this.useBackend) {
+            materials = await inventoryService.getLibraryInventory(['materials']);
+        }
+
+        this.customizer.setConnectorMaterials(materials.length > 0 ? materials : this.sampleMaterials);
     }
 
     /**
@@ -286,7 +354,24 @@ class JewelryCustomizerApp {
             redo: document.getElementById('redo-btn'),
             clear: document.getElementById('clear-btn'),
             save: document.getElementById('save-btn'),
+            share: document.getElementById('share-btn'),
             export: document.getElementById('export-btn'),
+            alignTop: document.getElementById('align-top-btn'),
+            alignMiddle: document.getElementById('align-middle-btn'),
+            distribute: document.getElementById('distribute-btn'),
+            measure: document.getElementById('measure-btn'),
+            physics: document.getElementById('physics-btn'),
+            mirror: document.getElementById('mirror-btn'),
+            arrange: document.getElementById('arrange-btn'),
+            guides: document.getElementById('guides-btn'),
+            grid: document.getElementById('grid-btn'),
+            lockHorizontal: document.getElementById('lock-horizontal-btn'),
+            lockVertical: document.getElementById('lock-vertical-btn'),
+            zoomIn: document.getElementById('zoom-in-btn'),
+            zoomOut: document.getElementById('zoom-out-btn'),
+            zoomLevel: document.getElementById('zoom-level-btn'),
+            zoomFit: document.getElementById('zoom-fit-btn'),
+            zoomSelection: document.getElementById('zoom-selection-btn'),
             importData: document.getElementById('import-data-btn')
         };
 
@@ -315,7 +400,44 @@ class JewelryCustomizerApp {
         };
 
         this.customizer.onStateChanged = () => {
+            this.updateDesignInfo();
+            this.updateControlButtons();
+            this.inspector.refresh();
+        };
+
+        this.customizer.onSelectionChanged = () => {
             this.updateControlButtons();
+            this.inspector.update(this.customizer.getSelectedCharms());
+        };
+
+        this.customizer.onViewInCatalog = (item) => this.showInCatalog(item);
+
+        this.customizer.onCharmsTangled = (charmIds) => {
+            const names = charmIds.map(id => this.customizer.charmManager.findCharmById(id)?.charmData?.name || 'A charm');
+            this.showMessage(`${names.join(' and ')} will tangle when worn. Give them more room.`, 'warning');
+        };
+
+        this.customizer.onViewportChanged = (scale) => {
+            if (this.elements.controlButtons.zoomLevel) {
+                this.elements.controlButtons.zoomLevel.textContent = `${Math.round(scale * 100)}%`;
+            }
+        };
+
+        this.customizer.onMeasurementsToggled = (visible) => {
+            this.elements.controlButtons.measure?.setAttribute('aria-pressed', String(visible));
+        };
+
+        this.customizer.onNecklaceChanged = (necklace) => {
+            this.updateNecklaceSelection(necklace.id);
+            this.updateProductTypeUI(this.customizer.productType);
+            this.updateChainLengthSelection(necklace.chainLength);
+            this.renderStrands();
+            this.updateDesignInfo();
+        };
+
+        this.customizer.onStrandsChanged = () => {
+            this.renderStrands();
+            this.updateDesignInfo();
         };
 
         this.customizer.onError = (message, error) => {
@@ -355,12 +477,108 @@ class JewelryCustomizerApp {
             });
         }
 
+        if (this.elements.controlButtons.share) {
+            this.elements.controlButtons.share.addEventListener('click', () => {
+                this.shareDesign();
+            });
+        }
+
         if (this.elements.controlButtons.export) {
             this.elements.controlButtons.export.addEventListener('click', () => {
                 this.showExportModal();
             });
         }
 
+        if (this.elements.controlButtons.alignTop) {
+            this.elements.controlButtons.alignTop.addEventListener('click', () => {
+                this.customizer.alignSelectedCharms('top');
+            });
+        }
+
+        if (this.elements.controlButtons.alignMiddle) {
+            this.elements.controlButtons.alignMiddle.addEventListener('click', () => {
+                this.customizer.alignSelectedCharms('middle');
+            });
+        }
+
+        if (this.elements.controlButtons.distribute) {
+            this.elements.controlButtons.distribute.addEventListener('click', () => {
+                this.customizer.distributeSelectedCharms('horizontal');
+            });
+        }
+
+        const viewport = this.customizer.viewport;
+        const zoomCommands = {
+            zoomIn: () => viewport.zoomIn(),
+            zoomOut: () => viewport.zoomOut(),
+            zoomLevel: () => viewport.reset(),
+            zoomFit: () => viewport.zoomToFit(),
+            zoomSelection: () => viewport.zoomToSelection()
+        };
+        Object.entries(zoomCommands).forEach(([name, command]) => {
+            this.elements.controlButtons[name]?.addEventListener('click', command);
+        });
+
+        if (this.elements.controlButtons.arrange) {
+            this.elements.controlButtons.arrange.addEventListener('click', async () => {
+                const strategy = document.getElementById('arrange-strategy')?.value;
+                await this.customizer.arrangeCharms(strategy);
+                this.updateDesignInfo();
+            });
+        }
+
+        if (this.elements.controlButtons.measure) {
+            this.elements.controlButtons.measure.addEventListener('click', () => {
+                this.customizer.toggleMeasurements();
+            });
+        }
+
+        if (this.elements.controlButtons.physics) {
+            this.elements.controlButtons.physics.addEventListener('click', async () => {
+                const enabled = await this.customizer.setPhysicsEnabled(!this.customizer.options.physics);
+                this.elements.controlButtons.physics.setAttribute('aria-pressed', String(enabled));
+            });
+        }
+
+        if (this.elements.controlButtons.mirror) {
+            this.elements.controlButtons.mirror.addEventListener('click', () => {
+                const enabled = this.customizer.setMirrorMode(!this.customizer.charmManager.mirrorMode);
+                this.elements.controlButtons.mirror.setAttribute('aria-pressed', String(enabled));
+            });
+        }
+
+        if (this.elements.controlButtons.guides) {
+            this.elements.controlButtons.guides.addEventListener('click', () => {
+                const enabled = this.customizer.setSnapGuides(!this.customizer.charmManager.snapGuides.enabled);
+                this.elements.controlButtons.guides.setAttribute('aria-pressed', String(enabled));
+            });
+        }
+
+        const gridSize = document.getElementById('grid-size');
+        if (this.elements.controlButtons.grid) {
+            this.elements.controlButtons.grid.addEventListener('click', () => {
+                const grid = this.customizer.setGrid({
+                    enabled: !this.customizer.charmManager.snapGuides.grid.enabled,
+                    size: Number(gridSize?.value) || undefined
+                });
+                this.elements.controlButtons.grid.setAttribute('aria-pressed', String(grid.enabled));
+            });
+        }
+        gridSize?.addEventListener('change', () => {
+            this.customizer.setGrid({ size: Number(gridSize.value) });
+        });
+
+        // Locking one direction frees the other
+        const lockButtons = { horizontal: 'lockHorizontal', vertical: 'lockVertical' };
+        Object.entries(lockButtons).forEach(([axis, name]) => {
+            this.elements.controlButtons[name]?.addEventListener('click', () => {
+                const locked = this.customizer.setAxisLock(this.customizer.charmManager.axisLock === axis ? null : axis);
+                Object.entries(lockButtons).forEach(([other, otherName]) => {
+                    this.elements.controlButtons[otherName]?.setAttribute('aria-pressed', String(locked === other));
+                });
+            });
+        });
+
         // Import data button (for testing/admin)
         if (this.elements.controlButtons.importData) {
             this.elements.controlButtons.importData.addEventListener('click', () => {
@@ -445,6 +663,35 @@ class JewelryCustomizerApp {
             const charmElement = this.createCharmElement(charm);
             this.elements.charmLibrary.appendChild(charmElement);
         });
+
+        this.customizer?.setCharmCatalog(this.currentInventory);
+    }
+
+    /**
+     * Scroll the library to a charm and highlight it, clearing any search or category filter
+     */
+    showInCatalog(item) {
+        const inventoryId = item.inventoryId || item.id;
+        const element = [...this.elements.charmLibrary.querySelectorAll('.charm-item')]
+            .find(charmElement => charmElement.dataset.charmId === inventoryId);
+        if (!element) {
+            this.showMessage(`${item.name || item.title || 'This charm'} is not in the current catalog`, 'info');
+            return;
+        }
+
+        const searchInput = document.getElementById('charm-search');
+        if (searchInput) {
+            searchInput.value = '';
+        }
+        this.selectCategory('all');
+        document.querySelectorAll('.category-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.category === 'all');
+        });
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.focus({ preventScroll: true });
+        element.classList.add('catalog-highlight');
+        setTimeout(() => element.classList.remove('catalog-highlight'), 2000);
     }
 
     /**
@@ -495,6 +742,8 @@ class JewelryCustomizerApp {
         const element = document.createElement('div');
         element.className = 'charm-item';
         element.draggable = true;
+        element.setAttribute('role', 'button');
+        element.tabIndex = 0;
         element.dataset.charmId = charm.id;
         element.dataset.category = charm.category;
         element.dataset.inventoryId = charm.id; // For backend tracking
@@ -503,6 +752,8 @@ class JewelryCustomizerApp {
         const priceDisplay = typeof charm.price === 'string' ? charm.price : `$${charm.price}`;
         const priceValue = typeof charm.priceValue === 'number' ? charm.priceValue : charm.price;
 
+        element.setAttribute('aria-label', `Add ${charm.name || charm.title}, ${priceDisplay}, to the design`);
+
         element.innerHTML = `
             <img src="${charm.imageUrl || charm.src}" alt="${charm.name || charm.title}" class="charm-image" />
             <span class="charm-name">${charm.name || charm.title}</span>
@@ -527,6 +778,9 @@ class JewelryCustomizerApp {
             e.dataTransfer.setData('application/json', JSON.stringify(charm));
             e.dataTransfer.effectAllowed = 'copy';
         });
+        if (this.libraryDrag) {
+            this.libraryDrag.attach(element, charm);
+        }
 
         // Setup click to add (alternative to drag)
         element.addEventListener('click', () => {
@@ -537,6 +791,18 @@ class JewelryCustomizerApp {
             this.addCharmToCanvas(charm);
         });
 
+        // Enter or Space hangs the charm from the next free zone without a mouse
+        element.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+
+            if (!charm.available && this.useBackend) {
+                this.showError('This item is currently out of stock');
+                return;
+            }
+            this.customizer?.addCharmAtNextFreeZone({ ...charm, inventoryId: charm.id });
+        });
+
         return element;
     }
 
@@ -552,8 +818,11 @@ class JewelryCustomizerApp {
             return;
         }
 
-        const centerX = this.customizer.stage.width() / 2;
-        const centerY = this.customizer.stage.height() / 2;
+        // Middle of the part of the design in view
+        const { x: centerX, y: centerY } = this.customizer.viewport.toWorld({
+            x: this.customizer.stage.width() / 2,
+            y: this.customizer.stage.height() / 2
+        });
         
         // Add slight random offset to avoid stacking
         const offsetX = (Math.random() - 0.5) * 100;
@@ -643,12 +912,82 @@ class JewelryCustomizerApp {
     }
 
     /**
-     * Calculate total price of placed charms
+     * Load a design shared through a link fragment or backend design id
+     */
+    async loadSharedDesign() {
+        const reference = DesignLinkCodec.readFromHash(window.location.hash);
+        if (!reference) return false;
+
+        try {
+            let designData;
+
+            if (reference.encoded) {
+                designData = await DesignLinkCodec.decode(reference.encoded);
+            } else if (this.useBackend && inventoryService.isReady()) {
+                const savedDesign = await inventoryService.loadDesign(reference.designId);
+                designData = savedDesign.stage;
+            } else {
+                this.showError('This design link needs an online connection to open.');
+                return false;
+            }
+
+            // Links only carry the necklace id, so look up its image and layout
+            designData.necklace = this.resolveNecklace(designData.necklace);
+
+            await this.customizer.loadDesign(designData);
+            this.updateNecklaceSelection(this.customizer.currentNecklace?.id);
+            this.showMessage('Shared design loaded!', 'success');
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to load shared design:', error);
+            this.showError('This design link could not be opened.');
+            return false;
+        }
+    }
+
+    /**
+     * Create a shareable link and copy it to the clipboard
+     */
+    async shareDesign() {
+        if (!this.customizer) return;
+
+        try {
+            const linkOptions = {};
+
+            // Long designs can be stored on the backend behind a short id
+            if (this.useBackend && inventoryService.isReady()) {
+                linkOptions.saveDesign = (designData) => inventoryService.saveDesign(designData, {
+                    name: `Shared design ${new Date().toLocaleDateString()}`,
+                    isPublic: true
+                });
+            }
+
+            const link = await this.customizer.exportManager.createShareableLink(linkOptions);
+
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(link.url);
+                this.showMessage('Share link copied to clipboard!', 'success');
+            } else {
+                window.prompt('Copy this link to share your design:', link.url);
+            }
+            
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            this.showError('Failed to create share link. Please try again.');
+        }
+    }
+
+    /**
+     * Calculate total price of the necklace base and any layered strands, placed charms and their connectors
      */
     calculateTotalPrice() {
         if (!this.customizer) return 0;
 
         const placedCharms = this.customizer.charmManager.getCharmData();
+        const necklacePrice = this.customizer.getStrands()
+            .reduce((total, strand) => total + (strand.necklace.priceValue || 0), 0);
+        const connectorPrice = this.customizer.connectorManager.getTotalPrice();
         return placedCharms.reduce((total, charm) => {
             const charmData = this.currentInventory.find(c => c.id === charm.id);
             if (charmData) {
@@ -658,7 +997,7 @@ class JewelryCustomizerApp {
                 return total + price;
             }
             return total;
-        }, 0);
+        }, necklacePrice + connectorPrice);
     }
 
     /**
@@ -678,6 +1017,34 @@ class JewelryCustomizerApp {
         if (totalPriceEl) {
             totalPriceEl.textContent = `$${totalPrice.toFixed(2)}`;
         }
+
+        this.updateBalanceInfo();
+    }
+
+    /**
+     * Show the design's weight and warn when it will turn on the neck or overload the chain
+     */
+    updateBalanceInfo() {
+        const weightEl = document.getElementById('total-weight');
+        const balanceEl = document.getElementById('balance-status');
+        const warningsEl = document.getElementById('balance-warnings');
+        if (!this.customizer || !weightEl) return;
+
+        const balance = this.customizer.analyzeBalance(charmData =>
+            WeightBalance.parseWeight(charmData.weight || inventoryService.extractWeight(charmData.attributes || {})));
+
+        const unweighed = balance.unweighed.length;
+        weightEl.textContent = `${balance.totalWeight.toFixed(1)} g${unweighed ? ` (${unweighed} unweighed)` : ''}`;
+
+        if (balanceEl) {
+            const total = balance.leftTorque + balance.rightTorque;
+            const share = total > 0 ? Math.round(balance.leftTorque / total * 100) : 50;
+            balanceEl.textContent = total > 0 ? `${share}% left / ${100 - share}% right` : 'Centred';
+        }
+
+        if (warningsEl) {
+            warningsEl.innerHTML = balance.warnings.map(warning => `<li>⚠️ ${warning.message}</li>`).join('');
+        }
     }
 
     /**
@@ -756,13 +1123,368 @@ class JewelryCustomizerApp {
     }
 
     /**
-     * Populate necklace UI elements with actual images
+     * Show the necklace layout authoring panel for admins
+     */
+    async setupLayoutAuthoring() {
+        const panel = document.getElementById('layout-authoring');
+        if (!panel || !this.useBackend || !(await inventoryService.isAdmin())) return;
+
+        this.authoringTool = new NecklaceAuthoringTool(this.customizer);
+        this.necklaceProducts = await inventoryService.getNecklaceProducts();
+
+        const productSelect = document.getElementById('authoring-product');
+        const toggleButton = document.getElementById('authoring-toggle');
+        const radiusInput = document.getElementById('authoring-radius');
+        const capacityInput = document.getElementById('authoring-capacity');
+
+        this.necklaceProducts.forEach(product => {
+            const option = document.createElement('option');
+            option.value = product.id;
+            option.textContent = product.name;
+            productSelect.appendChild(option);
+        });
+
+        productSelect.addEventListener('change', async () => {
+            const product = this.necklaceProducts.find(item => item.id === productSelect.value);
+            if (!product) return;
+
+            const wasEditing = this.authoringTool.isActive;
+            this.authoringTool.disable();
+            await this.customizer.loadNecklace(product);
+            this.updateNecklaceSelection(product.id);
+            if (wasEditing) {
+                this.authoringTool.enable();
+            }
+        });
+
+        toggleButton.addEventListener('click', () => {
+            try {
+                if (this.authoringTool.isActive) {
+                    this.authoringTool.disable();
+                } else {
+                    this.authoringTool.enable();
+                }
+                toggleButton.textContent = this.authoringTool.isActive ? 'Stop Editing' : 'Edit Layout';
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        document.querySelectorAll('input[name="authoring-mode"]').forEach(input => {
+            input.addEventListener('change', () => this.authoringTool.setMode(input.value));
+        });
+
+        const updateZoneSettings = () => this.authoringTool.setZoneSettings({
+            radius: Number(radiusInput.value),
+            capacity: Number(capacityInput.value)
+        });
+        radiusInput.addEventListener('change', updateZoneSettings);
+        capacityInput.addEventListener('change', updateZoneSettings);
+
+        document.getElementById('authoring-clear').addEventListener('click', () => this.authoringTool.clear());
+        document.getElementById('authoring-save').addEventListener('click', () => this.saveNecklaceLayout());
+
+        panel.style.display = '';
+    }
+
+    /**
+     * Save the authored layout into the necklace product
+     */
+    async saveNecklaceLayout() {
+        const necklace = this.customizer.currentNecklace;
+
+        if (!necklace || !this.necklaceProducts.some(product => product.id === necklace.id)) {
+            this.showError('Choose a necklace product before saving its layout');
+            return;
+        }
+
+        if (!this.authoringTool.isActive) {
+            this.showError('Click "Edit Layout" and place the chain path or zones first');
+            return;
+        }
+
+        try {
+            const layout = this.authoringTool.applyToCustomizer();
+            await inventoryService.saveNecklaceLayout(necklace.id, layout);
+            this.showMessage('Necklace layout saved', 'success');
+        } catch (error) {
+            console.error('Failed to save necklace layout:', error);
+            this.showError('Failed to save necklace layout. Please try again.');
+        }
+    }
+
+    /**
+     * Populate the necklace picker with the built-in chain and the backend catalog
+     */
+    async populateNecklaceUI() {
+        const container = document.querySelector('.necklace-options');
+        if (!container) return;
+
+        this.necklaceCatalog = [this.customizer.getDefaultNecklaceData()];
+        if (this.useBackend) {
+            this.necklaceCatalog.push(...await inventoryService.getNecklaceCatalog());
+        }
+
+        container.innerHTML = '';
+        this.necklaceCatalog.forEach(necklace => {
+            container.appendChild(this.createNecklaceElement(necklace));
+        });
+
+        this.updateNecklaceSelection(this.customizer.currentNecklace?.id || this.necklaceCatalog[0].id);
+    }
+
+    /**
+     * Create a necklace picker option
+     */
+    createNecklaceElement(necklace) {
+        const element = document.createElement('div');
+        element.className = 'necklace-option';
+        element.dataset.necklace = necklace.id;
+        element.setAttribute('role', 'button');
+        element.tabIndex = 0;
+
+        const details = [
+            necklace.length ? `${necklace.length}"` : null,
+            necklace.priceValue ? (necklace.price || `$${necklace.priceValue}`) : null
+        ].filter(Boolean).join(' · ');
+
+        element.innerHTML = `
+            <img src="${necklace.thumbnailUrl || necklace.imageUrl}" alt="${necklace.name}" class="necklace-thumb">
+            <div class="necklace-details">
+                <span class="necklace-name">${necklace.name}</span>
+                ${details ? `<span class="necklace-meta">${details}</span>` : ''}
+            </div>
+        `;
+
+        element.addEventListener('click', () => this.selectNecklace(necklace));
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectNecklace(necklace);
+            }
+        });
+
+        return element;
+    }
+
+    /**
+     * Switch the canvas to another necklace base
+     */
+    async selectNecklace(necklace) {
+        if (!this.customizer || this.authoringTool?.isActive) return;
+
+        const switched = await this.customizer.switchNecklace(necklace);
+        if (switched) {
+            this.showMessage(`Switched to ${necklace.name}`, 'success');
+        }
+    }
+
+    /**
+     * Highlight the necklace option that is on the canvas
      */
-    populateNecklaceUI() {
-        const necklaceThumb = document.getElementById('necklace-thumb');
-        if (necklaceThumb) {
-            necklaceThumb.src = necklaceImages.plainChain;
+    updateNecklaceSelection(necklaceId) {
+        document.querySelectorAll('.necklace-option').forEach(option => {
+            const isActive = option.dataset.necklace === necklaceId;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Wire the product type buttons and the bracelet wrist size picker
+     */
+    setupProductTypes() {
+        const wristSizeSelect = document.getElementById('wrist-size');
+        const bracelet = getProductTypeConfig(PRODUCT_TYPES.BRACELET);
+
+        if (wristSizeSelect) {
+            bracelet.wristSizes.forEach(size => {
+                const option = document.createElement('option');
+                option.value = size;
+                option.textContent = `${size}"`;
+                option.selected = size === bracelet.defaultWristSize;
+                wristSizeSelect.appendChild(option);
+            });
+            wristSizeSelect.addEventListener('change', () => this.selectProductType(PRODUCT_TYPES.BRACELET));
         }
+
+        document.querySelectorAll('.product-type-btn').forEach(button => {
+            button.addEventListener('click', () => this.selectProductType(button.dataset.productType));
+        });
+
+        this.updateProductTypeUI(this.customizer.productType);
+    }
+
+    /**
+     * Fill the necklace chain length picker
+     */
+    setupChainLengths() {
+        const chainLengthSelect = document.getElementById('chain-length');
+        if (!chainLengthSelect) return;
+
+        getProductTypeConfig(PRODUCT_TYPES.NECKLACE).chainLengths.forEach(length => {
+            const option = document.createElement('option');
+            option.value = length;
+            option.textContent = `${length}"`;
+            chainLengthSelect.appendChild(option);
+        });
+
+        chainLengthSelect.addEventListener('change', async () => {
+            if (this.authoringTool?.isActive) return;
+
+            const length = Number(chainLengthSelect.value);
+            if (await this.customizer.setChainLength(length)) {
+                this.showMessage(`Chain length set to ${length}"`, 'success');
+                this.renderStrands();
+            } else {
+                // e.g. a layered strand already has that length
+                this.updateChainLengthSelection(this.customizer.currentNecklace?.chainLength);
+            }
+        });
+
+        this.updateChainLengthSelection(this.customizer.currentNecklace?.chainLength);
+    }
+
+    /**
+     * Let customers layer more strands of the chain at other lengths
+     */
+    setupStrands() {
+        const addButton = document.getElementById('add-strand');
+        if (!addButton) return;
+
+        addButton.addEventListener('click', async () => {
+            if (this.authoringTool?.isActive) return;
+
+            const strand = await this.customizer.addStrand();
+            if (strand) {
+                this.showMessage(`Added a ${strand.necklace.chainLength}" strand`, 'success');
+            }
+        });
+
+        this.renderStrands();
+    }
+
+    /**
+     * List the layered strands, each with a length picker and a remove button
+     */
+    renderStrands() {
+        const list = document.getElementById('strand-list');
+        const addButton = document.getElementById('add-strand');
+        if (!list || !this.customizer) return;
+
+        const freeLengths = this.customizer.getFreeChainLengths();
+        list.innerHTML = '';
+        this.customizer.strands.forEach(strand => {
+            const { chainLength } = strand.necklace;
+            const item = document.createElement('li');
+            item.className = 'strand-item';
+
+            const select = document.createElement('select');
+            select.className = 'chain-length-select';
+            select.setAttribute('aria-label', `Length of the ${chainLength}" strand`);
+            [chainLength, ...freeLengths].sort((a, b) => a - b).forEach(length => {
+                const option = document.createElement('option');
+                option.value = length;
+                option.textContent = `${length}"`;
+                option.selected = length === chainLength;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', async () => {
+                const length = Number(select.value);
+                if (await this.customizer.setStrandLength(strand.id, length)) {
+                    this.showMessage(`Strand length set to ${length}"`, 'success');
+                }
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'strand-remove-btn';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `Remove the ${chainLength}" strand`);
+            removeButton.addEventListener('click', () => {
+                if (this.customizer.removeStrand(strand.id)) {
+                    this.showMessage(`Removed the ${chainLength}" strand`, 'info');
+                }
+            });
+
+            item.append('Strand', select, removeButton);
+            list.appendChild(item);
+        });
+
+        if (addButton) {
+            addButton.disabled = this.customizer.strands.length + 1 >= this.customizer.getMaxStrands() || freeLengths.length === 0;
+        }
+    }
+
+    /**
+     * Show the current chain length in the picker
+     */
+    updateChainLengthSelection(length) {
+        const chainLengthSelect = document.getElementById('chain-length');
+        if (chainLengthSelect && length) {
+            chainLengthSelect.value = String(length);
+        }
+    }
+
+    /**
+     * Switch the canvas to another product type
+     */
+    async selectProductType(type) {
+        if (!this.customizer || this.authoringTool?.isActive) return;
+        if (type === this.customizer.productType && type !== PRODUCT_TYPES.BRACELET) return;
+
+        const wristSize = Number(document.getElementById('wrist-size')?.value) || undefined;
+        const switched = await this.customizer.setProductType(type, { wristSize });
+        if (switched) {
+            this.showMessage(`Now designing: ${getProductTypeConfig(type).name}`, 'success');
+        }
+    }
+
+    /**
+     * Show the controls and charm library that fit a product type
+     */
+    async updateProductTypeUI(type) {
+        document.querySelectorAll('.product-type-btn').forEach(button => {
+            const isActive = button.dataset.productType === type;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', String(isActive));
+        });
+
+        const wristSizeField = document.getElementById('wrist-size-field');
+        if (wristSizeField) {
+            wristSizeField.style.display = type === PRODUCT_TYPES.BRACELET ? '' : 'none';
+        }
+
+        const necklaceSection = document.querySelector('.necklace-section');
+        if (necklaceSection) {
+            necklaceSection.style.display = type === PRODUCT_TYPES.NECKLACE ? '' : 'none';
+        }
+
+        // Keychains also offer keychain hardware from inventory
+        const categories = getProductTypeConfig(type).libraryCategories;
+        if (this.useBackend && categories.join() !== this.libraryCategories.join()) {
+            this.libraryCategories = categories;
+            const items = await inventoryService.getLibraryInventory(categories);
+            if (items.length > 0) {
+                this.currentInventory = items;
+                this.loadCharmLibrary();
+                this.loadCategoryFilters();
+                this.updateInventoryStatus();
+            }
+        }
+    }
+
+    /**
+     * Find a catalog necklace matching saved design data, which only keeps id and name
+     * Built-in bracelet, earring and keychain bases are rebuilt by the customizer
+     */
+    resolveNecklace(necklace) {
+        if (!necklace) return null;
+
+        const match = this.necklaceCatalog.find(item => item.id === necklace.id);
+        if (match) return necklace.chainLength ? { ...match, chainLength: necklace.chainLength } : match;
+
+        return necklace.productType && necklace.productType !== 'necklace' ? necklace : null;
     }
 
     /**
@@ -787,9 +1509,36 @@ class JewelryCustomizerApp {
             buttons.clear.disabled = !hasCharms;
         }
 
+        if (buttons.share) {
+            buttons.share.disabled = !hasCharms;
+        }
+
         if (buttons.export) {
             buttons.export.disabled = !hasCharms;
         }
+
+        if (buttons.arrange) {
+            buttons.arrange.disabled = !hasCharms;
+        }
+
+        // Group operations need several selected charms
+        const selectedCount = this.customizer.getSelectedCharms().length;
+
+        if (buttons.alignTop) {
+            buttons.alignTop.disabled = selectedCount < 2;
+        }
+
+        if (buttons.alignMiddle) {
+            buttons.alignMiddle.disabled = selectedCount < 2;
+        }
+
+        if (buttons.distribute) {
+            buttons.distribute.disabled = selectedCount < 3;
+        }
+
+        if (buttons.zoomSelection) {
+            buttons.zoomSelection.disabled = selectedCount === 0;
+        }
     }
 
     /**
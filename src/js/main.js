@@ -6,6 +6,7 @@
 import '../css/main.css';
 import JewelryCustomizer from './core/JewelryCustomizer.js';
 import { charmImages, necklaceImages } from './utils/images.js';
+import DesignLinkCodec from './utils/DesignLinkCodec.js';
 import './debug/dragTest.js';
 
 class JewelryCustomizerApp {
@@ -131,6 +132,9 @@ class JewelryCustomizerApp {
             // Wait for customizer to initialize
             await this.waitForInitialization();
             
+            // Open a design shared through a link, if any
+            await this.loadSharedDesign();
+            
             this.isInitialized = true;
             console.log('Jewelry Customizer initialized successfully!');
             
@@ -154,7 +158,11 @@ class JewelryCustomizerApp {
             redo: document.getElementById('redo-btn'),
             clear: document.getElementById('clear-btn'),
             save: document.getElementById('save-btn'),
-            export: document.getElementById('export-btn')
+            share: document.getElementById('share-btn'),
+            export: document.getElementById('export-btn'),
+            alignTop: document.getElementById('align-top-btn'),
+            alignMiddle: document.getElementById('align-middle-btn'),
+            distribute: document.getElementById('distribute-btn')
         };
 
         // Validate all elements exist
@@ -185,6 +193,10 @@ class JewelryCustomizerApp {
             this.updateControlButtons();
         };
 
+        this.customizer.onSelectionChanged = () => {
+            this.updateControlButtons();
+        };
+
         this.customizer.onError = (message, error) => {
             this.showError(message);
             console.error('Customizer error:', message, error);
@@ -222,12 +234,36 @@ class JewelryCustomizerApp {
             });
         }
 
+        if (this.elements.controlButtons.share) {
+            this.elements.controlButtons.share.addEventListener('click', () => {
+                this.shareDesign();
+            });
+        }
+
         if (this.elements.controlButtons.export) {
             this.elements.controlButtons.export.addEventListener('click', () => {
                 this.showExportModal();
             });
         }
 
+        if (this.elements.controlButtons.alignTop) {
+            this.elements.controlButtons.alignTop.addEventListener('click', () => {
+                this.customizer.alignSelectedCharms('top');
+            });
+        }
+
+        if (this.elements.controlButtons.alignMiddle) {
+            this.elements.controlButtons.alignMiddle.addEventListener('click', () => {
+                this.customizer.alignSelectedCharms('middle');
+            });
+        }
+
+        if (this.elements.controlButtons.distribute) {
+            this.elements.controlButtons.distribute.addEventListener('click', () => {
+                this.customizer.distributeSelectedCharms('horizontal');
+            });
+        }
+
         // Modal interactions
         this.setupModalInteractions();
 
@@ -457,9 +493,28 @@ class JewelryCustomizerApp {
             buttons.clear.disabled = !hasCharms;
         }
 
+        if (buttons.share) {
+            buttons.share.disabled = !hasCharms;
+        }
+
         if (buttons.export) {
             buttons.export.disabled = !hasCharms;
         }
+
+        // Group operations need several selected charms
+        const selectedCount = this.customizer.getSelectedCharms().length;
+
+        if (buttons.alignTop) {
+            buttons.alignTop.disabled = selectedCount < 2;
+        }
+
+        if (buttons.alignMiddle) {
+            buttons.alignMiddle.disabled = selectedCount < 2;
+        }
+
+        if (buttons.distribute) {
+            buttons.distribute.disabled = selectedCount < 3;
+        }
     }
 
     /**
@@ -501,6 +556,49 @@ class JewelryCustomizerApp {
         }
     }
 
+    /**
+     * Load a design shared through a link fragment
+     */
+    async loadSharedDesign() {
+        const reference = DesignLinkCodec.readFromHash(window.location.hash);
+        if (!reference || !reference.encoded) return false;
+
+        try {
+            const designData = await DesignLinkCodec.decode(reference.encoded);
+            await this.customizer.loadDesign(designData);
+            
+            this.showMessage('Shared design loaded!', 'success');
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to load shared design:', error);
+            this.showError('This design link could not be opened.');
+            return false;
+        }
+    }
+
+    /**
+     * Create a shareable link and copy it to the clipboard
+     */
+    async shareDesign() {
+        if (!this.customizer) return;
+
+        try {
+            const link = await this.customizer.exportManager.createShareableLink();
+
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(link.url);
+                this.showMessage('Share link copied to clipboard!', 'success');
+            } else {
+                window.prompt('Copy this link to share your design:', link.url);
+            }
+            
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            this.showError('Failed to create share link. Please try again.');
+        }
+    }
+
     /**
      * Show export modal
      */
@@ -90,6 +90,25 @@ export class InventoryAPI {
     return session;
   }
 
+  /**
+   * Check whether the signed-in user has an admin profile
+   * @returns {Promise<boolean>} Is admin
+   */
+  async isCurrentUserAdmin() {
+    if (!this.currentUser) {
+      return false;
+    }
+
+    const { data, error } = await this.client
+      .from('profiles')
+      .select('is_admin')
+      .eq('id', this.currentUser.id)
+      .single();
+
+    if (error) throw error;
+    return !!data?.is_admin;
+  }
+
   // ===========================================
   // Inventory Methods
   // ===========================================
@@ -345,6 +364,29 @@ export class InventoryAPI {
     }
   }
 
+  /**
+   * Update product (admin only, enforced by RLS)
+   * @param {string} id - Product ID
+   * @param {Object} updates - Update data
+   * @returns {Promise<Object>} Updated product
+   */
+  async updateProduct(id, updates) {
+    try {
+      const { data, error } = await this.client
+        .from('products')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating product:', error);
+      throw error;
+    }
+  }
+
   // ===========================================
   // Design Methods
   // ===========================================
@@ -6,6 +6,7 @@
 import { getAPI } from './InventoryAPI.js';
 import { CATEGORIES, STATUS, DataTransformers } from '../types/inventory.js';
 import { STORAGE_KEYS, EVENTS, CSS_CLASSES } from '../config/supabase.js';
+import RealWorldScale from '../utils/RealWorldScale.js';
 
 /**
  * Service class for inventory management in the jewelry customizer
@@ -76,6 +77,26 @@ export class InventoryService {
     }
   }
 
+  /**
+   * Get library items for a product type, e.g. charms plus keychain hardware
+   * @param {string[]} categories - Inventory categories to include
+   * @returns {Promise<Array>} Items formatted for sidebar
+   */
+  async getLibraryInventory(categories = [CATEGORIES.CHARMS]) {
+    try {
+      const responses = await Promise.all(categories.map(category => this.api.getInventory({
+        category,
+        status: STATUS.ACTIVE,
+        available_only: true
+      })));
+
+      return responses.flatMap(response => response.data.map(item => this.transformForSidebar(item)));
+    } catch (error) {
+      console.error('Error fetching library inventory:', error);
+      return [];
+    }
+  }
+
   /**
    * Get all available inventory for browsing
    * @param {Object} filters - Filter options
@@ -196,6 +217,8 @@ export class InventoryService {
       available: item.quantity_available > 0,
       quantity: item.quantity_available,
       attributes: item.attributes,
+      // Colours and sizes from one supplier listing share its product id and are offered as variants
+      ...(item.supplier_info?.product_id ? { productId: item.supplier_info.product_id } : {}),
       // For backward compatibility with existing customizer
       src: item.image_url,
       alt: item.title
@@ -234,6 +257,50 @@ export class InventoryService {
     };
   }
 
+  /**
+   * Transform a necklace product into a catalog entry
+   * @param {Object} product - Necklace product
+   * @returns {Object} Catalog entry
+   */
+  transformProductForCatalog(product) {
+    const options = product.customization_options || {};
+
+    return {
+      id: product.id,
+      name: product.name,
+      imageUrl: product.image_url,
+      thumbnailUrl: options.thumbnail_url || product.image_url,
+      price: DataTransformers.formatPrice(product.base_price),
+      priceValue: product.base_price,
+      length: this.extractChainLength(options),
+      gauge: this.extractChainGauge(options),
+      source: 'product',
+      customization_options: options
+    };
+  }
+
+  /**
+   * Transform an inventory chain into a catalog entry
+   * @param {Object} item - Inventory item in the necklaces category
+   * @returns {Object} Catalog entry
+   */
+  transformNecklaceForCatalog(item) {
+    return {
+      id: item.id,
+      name: this.extractShortName(item.title),
+      title: item.title,
+      imageUrl: item.image_url,
+      thumbnailUrl: item.image_url,
+      price: DataTransformers.formatPrice(item.price, item.currency),
+      priceValue: item.price,
+      length: this.extractChainLength(item.attributes || {}),
+      gauge: this.extractChainGauge(item.attributes || {}),
+      source: 'inventory',
+      inventoryId: item.id,
+      available: item.quantity_available > 0
+    };
+  }
+
   // ===========================================
   // Design Integration
   // ===========================================
@@ -306,6 +373,93 @@ export class InventoryService {
     }
   }
 
+  // ===========================================
+  // Necklace Products and Layouts
+  // ===========================================
+
+  /**
+   * Get necklace products for the customizer
+   * @returns {Promise<Array>} Necklace products
+   */
+  async getNecklaceProducts() {
+    try {
+      return await this.api.getProducts({ category: 'necklace' });
+    } catch (error) {
+      console.error('Error fetching necklace products:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the necklace bases a customer can choose from
+   * Combines necklace products (which carry authored layouts) with chains stocked in inventory
+   * @returns {Promise<Array>} Catalog entries ready for the customizer's loadNecklace
+   */
+  async getNecklaceCatalog() {
+    try {
+      const [products, inventory] = await Promise.all([
+        this.getNecklaceProducts(),
+        this.api.getInventory({
+          category: CATEGORIES.NECKLACES,
+          status: STATUS.ACTIVE,
+          available_only: true
+        })
+      ]);
+
+      return [
+        ...products.map(product => this.transformProductForCatalog(product)),
+        ...inventory.data.map(item => this.transformNecklaceForCatalog(item))
+      ];
+    } catch (error) {
+      console.error('Error fetching necklace catalog:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save an authored chain path and attachment zones into a product's customization_options
+   * Coordinates are fractions (0-1) of the necklace image so layouts survive image resizing
+   * @param {string} productId - Product ID
+   * @param {Object} layout - Layout from the authoring tool
+   * @param {Object|null} layout.chainPath - Chain path with points as [x, y] fractions
+   * @param {Array} layout.attachmentZones - Zones with x, y, radius and capacity
+   * @returns {Promise<Object>} Updated product
+   */
+  async saveNecklaceLayout(productId, layout) {
+    try {
+      if (!productId) {
+        throw new Error('A product is required to save a necklace layout');
+      }
+
+      const product = await this.api.getProduct(productId);
+      const customizationOptions = {
+        ...(product.customization_options || {}),
+        chain_path: layout.chainPath || null,
+        attachment_zones: layout.attachmentZones || []
+      };
+
+      return await this.api.updateProduct(productId, {
+        customization_options: customizationOptions
+      });
+    } catch (error) {
+      console.error('Error saving necklace layout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the signed-in user may author necklace layouts
+   * @returns {Promise<boolean>} Is admin
+   */
+  async isAdmin() {
+    try {
+      return await this.api.isCurrentUserAdmin();
+    } catch (error) {
+      console.error('Error checking admin status:', error);
+      return false;
+    }
+  }
+
   // ===========================================
   // Categories and Filtering
   // ===========================================
@@ -423,11 +577,43 @@ export class InventoryService {
   /**
    * Extract dimensions from attributes
    * @param {Object} attributes - Item attributes
-   * @returns {Object} Dimensions
+   * @returns {Object} Dimensions: the raw text plus width/height or longest side in mm when parsable
    */
   extractDimensions(attributes) {
     const size = attributes.size || attributes.dimensions || '';
-    return { raw: size };
+    return { raw: size, ...RealWorldScale.parseDimensions(size) };
+  }
+
+  /**
+   * Extract a chain length in inches from attributes such as '18"', '18 in' or '45cm'
+   * @param {Object} attributes - Item attributes or product customization options
+   * @returns {number|null} Length in inches
+   */
+  extractChainLength(attributes) {
+    const value = attributes.length ?? attributes.chain_length ?? attributes.size;
+    if (typeof value === 'number') return value;
+
+    const match = String(value ?? '').match(/(\d+(?:\.\d+)?)\s*(cm|mm)?/i);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === 'cm') return Math.round(amount / 2.54 * 10) / 10;
+    if (unit === 'mm') return Math.round(amount / 25.4 * 10) / 10;
+    return amount;
+  }
+
+  /**
+   * Extract a chain's wire thickness in mm from attributes such as '1.5mm' or 'thickness: 2 mm'
+   * @param {Object} attributes - Item attributes or product customization options
+   * @returns {number|null} Gauge in mm
+   */
+  extractChainGauge(attributes) {
+    const value = attributes.chain_gauge ?? attributes.gauge ?? attributes.thickness;
+    if (typeof value === 'number') return value;
+
+    const match = String(value ?? '').match(/(\d+(?:\.\d+)?)\s*mm/i);
+    return match ? parseFloat(match[1]) : null;
   }
 
   /**
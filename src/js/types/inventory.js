@@ -60,6 +60,10 @@
  * @property {number} base_price - Base price
  * @property {string} category - Product category
  * @property {Object} customization_options - Customization options
+ * @property {Object|null} [customization_options.chain_path] - Necklace chain spline, points as [x, y] fractions of the image
+ * @property {Object[]} [customization_options.attachment_zones] - Zones with x, y, radius (image fractions) and capacity
+ * @property {number|string} [customization_options.length] - Chain length, in inches unless a unit is given
+ * @property {string} [customization_options.thumbnail_url] - Catalog thumbnail, defaults to image_url
  * @property {boolean} featured - Is featured product
  * @property {boolean} active - Is active
  * @property {string} created_at - Creation timestamp
@@ -0,0 +1,210 @@
+/**
+ * ChainPath - A necklace chain described as a smooth spline through control points
+ * Charms attach to the path by their bail and slide along it
+ */
+
+// Line segments sampled between each pair of control points
+const SAMPLES_PER_SEGMENT = 24;
+
+export default class ChainPath {
+    /**
+     * Create a path through control points ({x, y} or [x, y]) in stage coordinates
+     */
+    constructor(points, options = {}) {
+        this.points = (points || []).map(point => Array.isArray(point)
+            ? { x: point[0], y: point[1] }
+            : { x: point.x, y: point.y });
+
+        if (this.points.length < 2) {
+            throw new Error('A chain path needs at least two points');
+        }
+
+        this.samplesPerSegment = options.samplesPerSegment || SAMPLES_PER_SEGMENT;
+        this.samples = this.sampleSpline();
+        this.lengths = this.measureSamples();
+    }
+
+    /**
+     * Build a path from a necklace definition, whose points are fractions (0-1)
+     * of the necklace image, placed over the image's bounds on the stage
+     */
+    static fromDefinition(definition, imageBounds) {
+        const points = (definition.points || definition).map(point => {
+            const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+            return {
+                x: imageBounds.x + x * imageBounds.width,
+                y: imageBounds.y + y * imageBounds.height
+            };
+        });
+
+        return new ChainPath(points);
+    }
+
+    /**
+     * Total length of the path in pixels
+     */
+    getLength() {
+        return this.lengths[this.lengths.length - 1];
+    }
+
+    /**
+     * Point at a fraction (0-1) of the path's length
+     */
+    getPointAt(t) {
+        const { index, ratio } = this.locate(t);
+        const start = this.samples[index];
+        const end = this.samples[Math.min(index + 1, this.samples.length - 1)];
+
+        return {
+            x: start.x + (end.x - start.x) * ratio,
+            y: start.y + (end.y - start.y) * ratio
+        };
+    }
+
+    /**
+     * Direction of the path at a fraction of its length, in degrees
+     */
+    getAngleAt(t) {
+        const { index } = this.locate(t);
+        const start = this.samples[Math.min(index, this.samples.length - 2)];
+        const end = this.samples[Math.min(index, this.samples.length - 2) + 1];
+
+        return Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+    }
+
+    /**
+     * Closest point on the path to a position, with its fraction along the path
+     */
+    getClosestPoint(position) {
+        let best = null;
+
+        for (let i = 0; i < this.samples.length - 1; i++) {
+            const start = this.samples[i];
+            const end = this.samples[i + 1];
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const segmentLengthSq = dx * dx + dy * dy;
+
+            let ratio = 0;
+            if (segmentLengthSq > 0) {
+                ratio = ((position.x - start.x) * dx + (position.y - start.y) * dy) / segmentLengthSq;
+                ratio = Math.max(0, Math.min(1, ratio));
+            }
+
+            const x = start.x + dx * ratio;
+            const y = start.y + dy * ratio;
+            const distance = Math.hypot(position.x - x, position.y - y);
+
+            if (!best || distance < best.distance) {
+                const along = this.lengths[i] + Math.sqrt(segmentLengthSq) * ratio;
+                best = { x, y, distance, t: this.getLength() > 0 ? along / this.getLength() : 0 };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Evenly spaced points along the path, optionally inset from both ends
+     */
+    getEvenlySpacedPoints(count, inset = 0) {
+        if (count <= 0) return [];
+        if (count === 1) {
+            return [{ ...this.getPointAt(0.5), t: 0.5 }];
+        }
+
+        const span = 1 - inset * 2;
+        return Array.from({ length: count }, (_, i) => {
+            const t = inset + span * (i / (count - 1));
+            return { ...this.getPointAt(t), t };
+        });
+    }
+
+    /**
+     * Flattened sample points for drawing with Konva.Line
+     */
+    toFlatPoints() {
+        return this.samples.flatMap(point => [point.x, point.y]);
+    }
+
+    /**
+     * Find the sample segment containing a fraction of the path's length
+     */
+    locate(t) {
+        const target = Math.max(0, Math.min(1, t)) * this.getLength();
+
+        let low = 0;
+        let high = this.lengths.length - 1;
+        while (low < high - 1) {
+            const mid = (low + high) >> 1;
+            if (this.lengths[mid] <= target) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const segmentLength = this.lengths[high] - this.lengths[low];
+        return {
+            index: low,
+            ratio: segmentLength > 0 ? (target - this.lengths[low]) / segmentLength : 0
+        };
+    }
+
+    /**
+     * Sample a Catmull-Rom spline through the control points
+     */
+    sampleSpline() {
+        const points = this.points;
+        const samples = [];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            // Repeat the end points so the curve passes through them
+            const p0 = points[Math.max(i - 1, 0)];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[Math.min(i + 2, points.length - 1)];
+
+            for (let step = 0; step < this.samplesPerSegment; step++) {
+                const s = step / this.samplesPerSegment;
+                samples.push(this.catmullRom(p0, p1, p2, p3, s));
+            }
+        }
+
+        samples.push({ ...points[points.length - 1] });
+        return samples;
+    }
+
+    /**
+     * Cumulative length at each sample point
+     */
+    measureSamples() {
+        const lengths = [0];
+        for (let i = 1; i < this.samples.length; i++) {
+            const previous = this.samples[i - 1];
+            const current = this.samples[i];
+            lengths.push(lengths[i - 1] + Math.hypot(current.x - previous.x, current.y - previous.y));
+        }
+        return lengths;
+    }
+
+    /**
+     * Interpolate one uniform Catmull-Rom segment
+     */
+    catmullRom(p0, p1, p2, p3, s) {
+        const s2 = s * s;
+        const s3 = s2 * s;
+
+        const interpolate = (a, b, c, d) => 0.5 * (
+            2 * b +
+            (c - a) * s +
+            (2 * a - 5 * b + 4 * c - d) * s2 +
+            (3 * b - a - 3 * c + d) * s3
+        );
+
+        return {
+            x: interpolate(p0.x, p1.x, p2.x, p3.x),
+            y: interpolate(p0.y, p1.y, p2.y, p3.y)
+        };
+    }
+}
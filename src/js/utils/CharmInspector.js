@@ -0,0 +1,198 @@
+/**
+ * CharmInspector - Sidebar panel describing the selected charm
+ * Shows what was placed (title, price, material, colour, size and stock from the inventory)
+ * and where it hangs, with fields to type an exact position, rotation and scale
+ */
+
+const TRANSFORM_FIELDS = [
+    { key: 'x', label: 'X', unit: 'px', step: 1 },
+    { key: 'y', label: 'Y', unit: 'px', step: 1 },
+    { key: 'rotation', label: 'Rotation', unit: '°', step: 15 },
+    { key: 'scale', label: 'Scale', unit: '%', step: 5 }
+];
+
+export default class CharmInspector {
+    /**
+     * @param {HTMLElement} panel - Element the inspector is drawn in
+     * @param {JewelryCustomizer} customizer - Customizer whose selection is shown
+     * @param {Function} loadDetails - Optional; resolves an inventory id to its customizer details
+     */
+    constructor(panel, customizer, loadDetails = null) {
+        this.panel = panel;
+        this.customizer = customizer;
+        this.loadDetails = loadDetails;
+        this.charm = null;
+        this.details = new Map(); // Inventory details by id, fetched once
+        this.inputs = {};
+    }
+
+    /**
+     * Show the inspector for a single selected charm, hide it otherwise
+     */
+    update(selectedCharms) {
+        if (selectedCharms.length === 1) {
+            return this.show(selectedCharms[0]);
+        }
+        this.hide();
+        return Promise.resolve();
+    }
+
+    async show(charm) {
+        if (!this.panel) return;
+
+        this.charm = charm;
+        this.render(this.customizer.getCatalogItem(charm) || charm.charmData);
+        this.panel.hidden = false;
+
+        const details = await this.getDetails(charm);
+        // The selection may have moved on while the details loaded
+        if (details && this.charm === charm) {
+            this.render(details);
+        }
+    }
+
+    hide() {
+        this.charm = null;
+        if (this.panel) {
+            this.panel.hidden = true;
+        }
+    }
+
+    /**
+     * Inventory details of a charm, or null without a backend or when they fail to load
+     */
+    async getDetails(charm) {
+        const inventoryId = charm.charmData?.inventoryId;
+        if (!this.loadDetails || !inventoryId) return null;
+
+        if (!this.details.has(inventoryId)) {
+            try {
+                this.details.set(inventoryId, await this.loadDetails(inventoryId));
+            } catch (error) {
+                console.warn('Could not load charm details:', error);
+                return null;
+            }
+        }
+        return this.details.get(inventoryId);
+    }
+
+    render(item) {
+        this.panel.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.className = 'section-title';
+        heading.textContent = item.title || item.name || 'Charm';
+
+        const list = document.createElement('dl');
+        list.className = 'inspector-details';
+        this.getRows(item).forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+
+        this.panel.append(heading, list, this.renderTransformFields());
+        this.refresh();
+    }
+
+    /**
+     * Description rows for an item, with a dash for anything the inventory doesn't say
+     */
+    getRows(item) {
+        const dimensions = item.dimensions || {};
+        const size = dimensions.raw || (dimensions.width && dimensions.height
+            ? `${dimensions.width} × ${dimensions.height} mm`
+            : '');
+        const price = item.price === undefined || typeof item.price === 'string' ? item.price : `$${item.price}`;
+        const stock = item.quantity === undefined ? '' : item.available === false ? 'Out of stock' : `${item.quantity} in stock`;
+
+        return [
+            ['Price', price],
+            ['Material', item.material],
+            ['Colour', item.color || item.attributes?.color],
+            ['Size', size],
+            ['Stock', stock]
+        ].map(([term, value]) => [term, value || '—']);
+    }
+
+    renderTransformFields() {
+        const fields = document.createElement('div');
+        fields.className = 'inspector-fields';
+        this.inputs = {};
+
+        TRANSFORM_FIELDS.forEach(({ key, label, unit, step }) => {
+            const field = document.createElement('label');
+            field.className = 'inspector-field';
+            field.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = String(step);
+            input.name = `charm-${key}`;
+            input.addEventListener('change', () => this.applyField(key, parseFloat(input.value)));
+
+            const suffix = document.createElement('span');
+            suffix.className = 'inspector-unit';
+            suffix.textContent = unit;
+
+            field.append(input, suffix);
+            fields.appendChild(field);
+            this.inputs[key] = input;
+        });
+
+        return fields;
+    }
+
+    /**
+     * Apply a typed value to the charm; the fields then show what the canvas allowed
+     */
+    applyField(key, value) {
+        if (!this.charm || !Number.isFinite(value)) {
+            this.refresh();
+            return;
+        }
+
+        const charmId = this.charm.id();
+        const { customizer } = this;
+        switch (key) {
+            case 'x':
+            case 'y': {
+                const bail = this.getBail();
+                customizer.moveCharmTo(charmId, { ...bail, [key]: value });
+                break;
+            }
+            case 'rotation':
+                customizer.setCharmRotation(charmId, value);
+                break;
+            case 'scale':
+                customizer.setCharmScale(charmId, value / 100);
+                break;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Show the charm's current position, rotation and scale, e.g. after a drag or undo
+     */
+    refresh() {
+        if (!this.charm || !this.inputs.x) return;
+        if (this.customizer.charmManager.findCharmById(this.charm.id()) !== this.charm) {
+            // Removed, or replaced by undo
+            this.hide();
+            return;
+        }
+
+        const bail = this.getBail();
+        this.inputs.x.value = String(Math.round(bail.x));
+        this.inputs.y.value = String(Math.round(bail.y));
+        this.inputs.rotation.value = String(Math.round(this.charm.rotation() || 0));
+        this.inputs.scale.value = String(Math.round((this.charm.scaleX() || 1) * 100));
+    }
+
+    getBail() {
+        const offset = this.customizer.charmManager.getBailOffset(this.charm);
+        return { x: this.charm.x() + offset.x, y: this.charm.y() + offset.y };
+    }
+}
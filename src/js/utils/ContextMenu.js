@@ -0,0 +1,156 @@
+/**
+ * ContextMenu - Small right-click menu of commands
+ * The menu opens at a screen point, takes keyboard focus so arrow keys, Enter and Escape
+ * work, and closes on a choice, a click elsewhere or Escape
+ */
+
+const VIEWPORT_MARGIN = 8; // pixels kept between the menu and the window edge
+
+export default class ContextMenu {
+    /**
+     * @param {HTMLElement} parent - Element the menu is added to
+     */
+    constructor(parent = document.body) {
+        this.parent = parent;
+        this.element = null;
+        this.returnFocus = null; // Element focused before the menu opened
+
+        this.handleOutside = (e) => {
+            if (this.element && !this.element.contains(e.target)) {
+                this.hide();
+            }
+        };
+        this.handleKey = (e) => this.onKeyDown(e);
+    }
+
+    /**
+     * Open the menu
+     * @param {Object[]} items - { label, shortcut, disabled, action }, or { separator: true }
+     * @param {Object} point - { clientX, clientY } to open at
+     */
+    show(items, { clientX, clientY }) {
+        this.hide();
+        this.returnFocus = document.activeElement;
+
+        this.element = document.createElement('ul');
+        this.element.className = 'context-menu';
+        this.element.setAttribute('role', 'menu');
+
+        items.forEach(item => {
+            const entry = document.createElement('li');
+            if (item.separator) {
+                entry.className = 'context-menu-separator';
+                entry.setAttribute('role', 'separator');
+                this.element.appendChild(entry);
+                return;
+            }
+
+            entry.setAttribute('role', 'none');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'context-menu-item';
+            button.setAttribute('role', 'menuitem');
+            button.disabled = !!item.disabled;
+
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            button.appendChild(label);
+            if (item.shortcut) {
+                const shortcut = document.createElement('kbd');
+                shortcut.className = 'context-menu-shortcut';
+                shortcut.textContent = item.shortcut;
+                button.appendChild(shortcut);
+            }
+
+            button.addEventListener('click', () => {
+                this.hide();
+                item.action();
+            });
+            entry.appendChild(button);
+            this.element.appendChild(entry);
+        });
+
+        this.element.addEventListener('keydown', this.handleKey);
+        this.element.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.parent.appendChild(this.element);
+        this.place(clientX, clientY);
+
+        document.addEventListener('pointerdown', this.handleOutside, true);
+        window.addEventListener('blur', this.handleOutside);
+
+        const [first] = this.getItems();
+        if (first) {
+            first.focus();
+        }
+    }
+
+    /**
+     * Keep the menu inside the window, opening up or left near the edges
+     */
+    place(clientX, clientY) {
+        const rect = this.element.getBoundingClientRect();
+        const left = clientX + rect.width > window.innerWidth - VIEWPORT_MARGIN ? clientX - rect.width : clientX;
+        const top = clientY + rect.height > window.innerHeight - VIEWPORT_MARGIN ? clientY - rect.height : clientY;
+
+        this.element.style.left = `${Math.max(VIEWPORT_MARGIN, left)}px`;
+        this.element.style.top = `${Math.max(VIEWPORT_MARGIN, top)}px`;
+    }
+
+    isOpen() {
+        return !!this.element;
+    }
+
+    /**
+     * Close the menu, giving focus back to where it was
+     */
+    hide() {
+        if (!this.element) return;
+
+        const focusInside = this.element.contains(document.activeElement);
+        this.element.remove();
+        this.element = null;
+        document.removeEventListener('pointerdown', this.handleOutside, true);
+        window.removeEventListener('blur', this.handleOutside);
+
+        if (focusInside && this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    getItems() {
+        return this.element ? [...this.element.querySelectorAll('.context-menu-item:not(:disabled)')] : [];
+    }
+
+    onKeyDown(e) {
+        // Keys pressed in the menu are not canvas shortcuts
+        e.stopPropagation();
+
+        const items = this.getItems();
+        const index = items.indexOf(document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                items[(index + 1) % items.length]?.focus();
+                e.preventDefault();
+                break;
+            case 'ArrowUp':
+                items[(index - 1 + items.length) % items.length]?.focus();
+                e.preventDefault();
+                break;
+            case 'Home':
+                items[0]?.focus();
+                e.preventDefault();
+                break;
+            case 'End':
+                items[items.length - 1]?.focus();
+                e.preventDefault();
+                break;
+            case 'Escape':
+            case 'Tab':
+                this.hide();
+                e.preventDefault();
+                break;
+        }
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * DesignLinkCodec - Encodes designs into self-contained, URL-safe link fragments
+ * Lets a design be shared and reopened without an account or backend round trip
+ */
+
+// Bump when the packed design layout changes; older versions must stay decodable
+export const DESIGN_LINK_VERSION = 1;
+
+// Hash parameter holding an encoded design, e.g. #design=1.z.<payload>
+export const DESIGN_LINK_PARAM = 'design';
+
+// Hash parameter holding a backend design id, e.g. #design-id=<uuid>
+export const DESIGN_ID_PARAM = 'design-id';
+
+// Payload codecs: deflate-compressed JSON, or plain JSON where CompressionStream is unavailable
+const CODECS = {
+    COMPRESSED: 'z',
+    PLAIN: 'j'
+};
+
+// Charm properties kept in a link; pixel sizes are recomputed from the real-world size when the charm is loaded
+const CHARM_FIELDS = [
+    'id', 'name', 'imageUrl', 'price', 'priceValue', 'category',
+    'material', 'attachmentMethod', 'inventoryId', 'parentId', 'strandId'
+];
+
+export default class DesignLinkCodec {
+    /**
+     * Encode design data into a versioned, URL-safe string
+     */
+    static async encode(designData) {
+        const json = JSON.stringify(this.pack(designData));
+        const bytes = new TextEncoder().encode(json);
+
+        if (this.supportsCompression()) {
+            const compressed = await this.transform(bytes, new CompressionStream('deflate-raw'));
+            return `${DESIGN_LINK_VERSION}.${CODECS.COMPRESSED}.${this.toBase64Url(compressed)}`;
+        }
+
+        return `${DESIGN_LINK_VERSION}.${CODECS.PLAIN}.${this.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * Decode a string produced by encode() back into design data
+     */
+    static async decode(encoded) {
+        const [version, codec, payload] = String(encoded).split('.');
+
+        if (Number(version) !== DESIGN_LINK_VERSION) {
+            throw new Error(`Unsupported design link version: ${version}`);
+        }
+
+        if (!payload) {
+            throw new Error('Design link is missing its payload');
+        }
+
+        let bytes = this.fromBase64Url(payload);
+
+        if (codec === CODECS.COMPRESSED) {
+            if (!this.supportsCompression()) {
+                throw new Error('This browser cannot open compressed design links');
+            }
+            bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+        } else if (codec !== CODECS.PLAIN) {
+            throw new Error(`Unsupported design link codec: ${codec}`);
+        }
+
+        return this.unpack(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+
+    /**
+     * Build a shareable URL with the design in the fragment
+     */
+    static buildUrl(encoded, baseUrl) {
+        return `${baseUrl.split('#')[0]}#${DESIGN_LINK_PARAM}=${encoded}`;
+    }
+
+    /**
+     * Build a shareable URL that references a design saved on the backend
+     */
+    static buildIdUrl(designId, baseUrl) {
+        return `${baseUrl.split('#')[0]}#${DESIGN_ID_PARAM}=${encodeURIComponent(designId)}`;
+    }
+
+    /**
+     * Read a shared design reference from a URL hash
+     */
+    static readFromHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+
+        if (params.get(DESIGN_LINK_PARAM)) {
+            return { encoded: params.get(DESIGN_LINK_PARAM) };
+        }
+
+        if (params.get(DESIGN_ID_PARAM)) {
+            return { designId: params.get(DESIGN_ID_PARAM) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Reduce design data to the fields needed to rebuild it
+     */
+    static pack(designData) {
+        return {
+            v: DESIGN_LINK_VERSION,
+            n: designData.necklace ? this.packNecklace(designData.necklace) : null,
+            ...(designData.strands?.length ? { s: designData.strands.map(({ id, chainLength }) => ({ id, chainLength })) } : {}),
+            c: (designData.charms || []).map(charm => {
+                const packed = {};
+                CHARM_FIELDS.forEach(field => {
+                    if (charm[field] !== undefined && charm[field] !== null) {
+                        packed[field] = charm[field];
+                    }
+                });
+
+                // Catalog charms may list their size and weight among their attributes
+                const attributes = charm.attributes || {};
+                const dimensions = charm.dimensions ?? attributes.size ?? attributes.dimensions;
+                const weight = charm.weight ?? attributes.weight;
+                if (dimensions != null) packed.dimensions = dimensions;
+                if (weight != null) packed.weight = weight;
+
+                packed.x = Math.round(charm.x);
+                packed.y = Math.round(charm.y);
+                if (charm.rotation) packed.r = Math.round(charm.rotation * 10) / 10;
+                if (charm.scaleX !== undefined && charm.scaleX !== 1) packed.sx = Math.round(charm.scaleX * 1000) / 1000;
+                if (charm.scaleY !== undefined && charm.scaleY !== 1) packed.sy = Math.round(charm.scaleY * 1000) / 1000;
+                if (charm.zIndex) packed.z = charm.zIndex;
+
+                return packed;
+            })
+        };
+    }
+
+    /**
+     * Keep a necklace's id and name, plus the product type and wrist size of built-in bases
+     */
+    static packNecklace(necklace) {
+        const packed = { id: necklace.id, name: necklace.name };
+        if (necklace.productType && necklace.productType !== 'necklace') packed.productType = necklace.productType;
+        if (necklace.wristSize) packed.wristSize = necklace.wristSize;
+        if (necklace.chainLength) packed.chainLength = necklace.chainLength;
+        return packed;
+    }
+
+    /**
+     * Expand packed data back into the getDesignData() shape
+     */
+    static unpack(packed) {
+        return {
+            necklace: packed.n || null,
+            ...(packed.s ? { strands: packed.s } : {}),
+            charms: (packed.c || []).map(({ r, sx, sy, z, ...charm }) => ({
+                ...charm,
+                rotation: r || 0,
+                scaleX: sx ?? 1,
+                scaleY: sy ?? 1,
+                zIndex: z || 0
+            })),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Check whether the browser provides the Compression Streams API
+     */
+    static supportsCompression() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Pipe bytes through a compression or decompression stream
+     */
+    static async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Encode bytes as unpadded base64url
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode unpadded base64url into bytes
+     */
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * LibraryDrag - Drag charms from the library onto the canvas with touch and pen
+ * HTML5 drag and drop never fires on touch screens, so touch and pen pointers pick a
+ * charm up after a short press (a quick swipe still scrolls the library), carry a
+ * preview under the finger and drop it wherever they are lifted over the canvas.
+ * Mice keep using native drag and drop
+ */
+
+const PRESS_DELAY = 250; // milliseconds a finger rests on a charm before picking it up
+const MOVE_TOLERANCE = 10; // pixels a finger may wander during the press
+const GHOST_SIZE = 64; // pixels
+const CLICK_AFTER_DROP = 500; // milliseconds in which a click is taken to come from the drop
+
+export default class LibraryDrag {
+    /**
+     * @param {HTMLElement} dropTarget - Element charms are dropped onto
+     * @param {Function} onDrop - Called with (charmData, { clientX, clientY }) on a drop over the target
+     */
+    constructor(dropTarget, onDrop) {
+        this.dropTarget = dropTarget;
+        this.onDrop = onDrop;
+        this.pending = null; // Press waiting to become a drag: { element, charmData, pointerId, x, y, timer }
+        this.drag = null; // Active drag: { element, charmData, pointerId, ghost }
+
+        this.handleMove = (e) => this.onPointerMove(e);
+        this.handleUp = (e) => this.onPointerUp(e);
+        this.handleCancel = (e) => this.onPointerCancel(e);
+    }
+
+    /**
+     * Let a library element be dragged by touch or pen
+     */
+    attach(element, charmData) {
+        element.addEventListener('pointerdown', (e) => this.onPointerDown(e, element, charmData));
+
+        // Once a charm is picked up, the finger moves it rather than scrolling the page
+        element.addEventListener('touchmove', (e) => {
+            if (this.drag && this.drag.element === element) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+
+        // A long press would otherwise open the image menu
+        element.addEventListener('contextmenu', (e) => {
+            if (this.pending || this.drag) {
+                e.preventDefault();
+            }
+        });
+
+        // A drop is not also a tap that adds the charm
+        element.addEventListener('click', (e) => {
+            const droppedAt = Number(element.dataset.droppedAt);
+            delete element.dataset.droppedAt;
+            if (droppedAt && Date.now() - droppedAt < CLICK_AFTER_DROP) {
+                e.stopImmediatePropagation();
+                e.preventDefault();
+            }
+        }, true);
+    }
+
+    onPointerDown(e, element, charmData) {
+        if (e.pointerType === 'mouse' || this.pending || this.drag) return;
+
+        this.pending = {
+            element,
+            charmData,
+            pointerId: e.pointerId,
+            x: e.clientX,
+            y: e.clientY,
+            timer: setTimeout(() => this.start(e.clientX, e.clientY), PRESS_DELAY)
+        };
+
+        document.addEventListener('pointermove', this.handleMove);
+        document.addEventListener('pointerup', this.handleUp);
+        document.addEventListener('pointercancel', this.handleCancel);
+    }
+
+    /**
+     * Pick up the pressed charm
+     */
+    start(clientX, clientY) {
+        const { element, charmData, pointerId } = this.pending;
+        this.pending = null;
+
+        const ghost = document.createElement('img');
+        ghost.className = 'charm-drag-ghost';
+        ghost.src = charmData.imageUrl || charmData.src;
+        ghost.alt = '';
+        ghost.style.width = `${GHOST_SIZE}px`;
+        ghost.style.height = `${GHOST_SIZE}px`;
+        document.body.appendChild(ghost);
+
+        element.classList.add('dragging');
+        if (element.setPointerCapture) {
+            try {
+                element.setPointerCapture(pointerId);
+            } catch (error) {
+                // The pointer was already released
+            }
+        }
+
+        this.drag = { element, charmData, pointerId, ghost };
+        this.moveGhost(clientX, clientY);
+    }
+
+    onPointerMove(e) {
+        if (this.pending && e.pointerId === this.pending.pointerId) {
+            // Moving before the press completes is a scroll, not a drag
+            if (Math.hypot(e.clientX - this.pending.x, e.clientY - this.pending.y) > MOVE_TOLERANCE) {
+                this.reset();
+            }
+            return;
+        }
+
+        if (this.drag && e.pointerId === this.drag.pointerId) {
+            this.moveGhost(e.clientX, e.clientY);
+            this.dropTarget.classList.toggle('drop-hover', this.isOverTarget(e.clientX, e.clientY));
+        }
+    }
+
+    onPointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) {
+            this.reset();
+            return;
+        }
+
+        drag.element.dataset.droppedAt = String(Date.now());
+        const point = { clientX: e.clientX, clientY: e.clientY };
+        const dropped = this.isOverTarget(point.clientX, point.clientY);
+        this.reset();
+
+        if (dropped && this.onDrop) {
+            this.onDrop(drag.charmData, point);
+        }
+    }
+
+    onPointerCancel() {
+        this.reset();
+    }
+
+    /**
+     * Whether a screen point is over the drop target
+     */
+    isOverTarget(clientX, clientY) {
+        const rect = this.dropTarget.getBoundingClientRect();
+        return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+    }
+
+    moveGhost(clientX, clientY) {
+        const { ghost } = this.drag;
+        ghost.style.left = `${clientX - GHOST_SIZE / 2}px`;
+        ghost.style.top = `${clientY - GHOST_SIZE / 2}px`;
+    }
+
+    /**
+     * Drop any pending press or drag without placing a charm
+     */
+    reset() {
+        if (this.pending) {
+            clearTimeout(this.pending.timer);
+            this.pending = null;
+        }
+
+        if (this.drag) {
+            this.drag.ghost.remove();
+            this.drag.element.classList.remove('dragging');
+            this.dropTarget.classList.remove('drop-hover');
+            this.drag = null;
+        }
+
+        document.removeEventListener('pointermove', this.handleMove);
+        document.removeEventListener('pointerup', this.handleUp);
+        document.removeEventListener('pointercancel', this.handleCancel);
+    }
+}
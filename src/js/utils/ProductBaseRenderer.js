@@ -0,0 +1,174 @@
+/**
+ * ProductBaseRenderer - Draws the built-in bracelet, earring and keychain bases
+ * The artwork goes onto a canvas so it loads and exports like a necklace photo
+ */
+
+import ChainPath from './ChainPath.js';
+import { PRODUCT_TYPES, getProductTypeConfig, getBraceletLength } from '../config/productTypes.js';
+
+// Canvas size for every built-in base
+const BASE_WIDTH = 800;
+const BASE_HEIGHT = 500;
+
+const METAL_COLOR = '#b89b5e';
+
+export default class ProductBaseRenderer {
+    /**
+     * Chain path and zones for a base, as fractions of its artwork
+     * Bracelets shorten their chain towards the centre for smaller wrist sizes
+     */
+    static getLayout(type, options = {}) {
+        const config = getProductTypeConfig(type);
+        const layout = JSON.parse(JSON.stringify(config.layout || {}));
+
+        if (type === PRODUCT_TYPES.BRACELET && layout.chain_path) {
+            const longest = getBraceletLength(Math.max(...config.wristSizes));
+            const ratio = getBraceletLength(options.wristSize || config.defaultWristSize) / longest;
+            layout.chain_path.points = layout.chain_path.points.map(([x, y]) => [
+                Math.round((0.5 + (x - 0.5) * ratio) * 10000) / 10000,
+                y
+            ]);
+        }
+
+        return layout;
+    }
+
+    /**
+     * Draw a base onto a new canvas
+     */
+    static render(type, options = {}) {
+        const layout = this.getLayout(type, options);
+        const canvas = document.createElement('canvas');
+        canvas.width = BASE_WIDTH;
+        canvas.height = BASE_HEIGHT;
+
+        const context = canvas.getContext('2d');
+        context.strokeStyle = METAL_COLOR;
+        context.lineCap = 'round';
+
+        switch (type) {
+            case PRODUCT_TYPES.BRACELET:
+                this.drawBracelet(context, layout);
+                break;
+            case PRODUCT_TYPES.EARRINGS:
+                this.drawEarrings(context, layout);
+                break;
+            case PRODUCT_TYPES.KEYCHAIN:
+                this.drawKeychain(context, layout);
+                break;
+            default:
+                throw new Error(`No built-in base for product type: ${type}`);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Horizontal chain with a jump ring at one end and a larger clasp ring at the other
+     */
+    static drawBracelet(context, layout) {
+        const path = this.createPath(layout.chain_path);
+        this.drawChain(context, path);
+
+        const start = path.getPointAt(0);
+        const end = path.getPointAt(1);
+        this.drawRing(context, start.x - 8, start.y, 8);
+        this.drawRing(context, end.x + 12, end.y, 12);
+    }
+
+    /**
+     * A mirrored pair of fish hook ear wires, each ending in a loop at its zone
+     */
+    static drawEarrings(context, layout) {
+        (layout.attachment_zones || []).forEach((zone, index) => {
+            const x = zone.x * BASE_WIDTH;
+            const y = zone.y * BASE_HEIGHT;
+
+            context.save();
+            context.translate(x, y);
+            if (index % 2 === 1) {
+                context.scale(-1, 1); // Right hook mirrors the left
+            }
+
+            context.lineWidth = 4;
+            context.beginPath();
+            context.moveTo(0, -8);
+            context.lineTo(0, -120);
+            context.arc(-35, -120, 35, 0, Math.PI, true);
+            context.lineTo(-70, -60);
+            context.stroke();
+
+            this.drawRing(context, 0, 0, 8);
+            context.restore();
+        });
+    }
+
+    /**
+     * A carabiner with a short chain hanging straight down from it
+     */
+    static drawKeychain(context, layout) {
+        const path = this.createPath(layout.chain_path);
+        const top = path.getPointAt(0);
+        const radius = 30;
+        const height = 60;
+        const centreTop = top.y - height - radius - 16;
+
+        // Carabiner body: two semicircles joined by straight sides, with the gate on the right
+        context.lineWidth = 8;
+        context.beginPath();
+        context.arc(top.x, centreTop, radius, Math.PI, 0);
+        context.moveTo(top.x - radius, centreTop);
+        context.lineTo(top.x - radius, centreTop + height);
+        context.arc(top.x, centreTop + height, radius, Math.PI, 0, true);
+        context.stroke();
+
+        context.lineWidth = 4;
+        context.beginPath();
+        context.moveTo(top.x + radius, centreTop + 10);
+        context.lineTo(top.x + radius - 8, centreTop + height - 10);
+        context.stroke();
+
+        this.drawRing(context, top.x, top.y - 8, 10);
+        this.drawChain(context, path);
+    }
+
+    /**
+     * Alternating links along a path
+     */
+    static drawChain(context, path) {
+        const linkLength = 14;
+        const count = Math.max(1, Math.floor(path.getLength() / linkLength));
+
+        context.lineWidth = 3;
+        for (let i = 0; i <= count; i++) {
+            const t = i / count;
+            const point = path.getPointAt(t);
+
+            context.save();
+            context.translate(point.x, point.y);
+            context.rotate(path.getAngleAt(t) * Math.PI / 180);
+            context.scale(1, i % 2 === 0 ? 0.55 : 0.3);
+            context.beginPath();
+            context.arc(0, 0, linkLength * 0.6, 0, Math.PI * 2);
+            context.restore();
+            context.stroke();
+        }
+    }
+
+    /**
+     * A closed jump ring
+     */
+    static drawRing(context, x, y, radius) {
+        context.lineWidth = 3;
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.stroke();
+    }
+
+    /**
+     * Chain path in canvas pixels
+     */
+    static createPath(definition) {
+        return ChainPath.fromDefinition(definition, { x: 0, y: 0, width: BASE_WIDTH, height: BASE_HEIGHT });
+    }
+}
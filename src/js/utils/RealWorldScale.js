@@ -0,0 +1,100 @@
+/**
+ * RealWorldScale - Converts between millimetres and canvas pixels
+ * Reads charm sizes from supplier attributes and calibrates each necklace base
+ */
+
+import ChainPath from './ChainPath.js';
+
+export const MM_PER_INCH = 25.4;
+
+// Size assumed for charms whose listing gives no usable size
+export const DEFAULT_CHARM_SIZE_MM = 20;
+
+const UNIT_TO_MM = {
+    mm: 1,
+    cm: 10,
+    in: MM_PER_INCH,
+    inch: MM_PER_INCH,
+    inches: MM_PER_INCH,
+    '"': MM_PER_INCH
+};
+
+export default class RealWorldScale {
+    /**
+     * Parse a size such as '15mm', '20 x 15 mm', '2cm' or '0.8"' into millimetres
+     * A single value is the charm's longest side; two values are width by height
+     * Bare numbers are taken as millimetres, the unit suppliers list most often
+     */
+    static parseDimensions(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'number') {
+            return value > 0 ? { size: value } : null;
+        }
+
+        if (typeof value === 'object') {
+            if (value.width > 0 && value.height > 0) {
+                return { width: value.width, height: value.height };
+            }
+            return this.parseDimensions(value.raw);
+        }
+
+        const match = String(value).toLowerCase()
+            .match(/(\d+(?:\.\d+)?)\s*(mm|cm|inches|inch|in|")?(?:\s*[x×*]\s*(\d+(?:\.\d+)?)\s*(mm|cm|inches|inch|in|")?)?/);
+        if (!match) return null;
+
+        // '20 x 15 mm' puts the unit after the second value only
+        const unit = match[2] || match[4] || 'mm';
+        const toMm = amount => Math.round(parseFloat(amount) * UNIT_TO_MM[unit] * 10) / 10;
+
+        if (match[3]) {
+            return { width: toMm(match[1]), height: toMm(match[3]) };
+        }
+        return { size: toMm(match[1]) };
+    }
+
+    /**
+     * Real size of a charm from its dimensions or its supplier size attributes
+     */
+    static getCharmDimensions(charmData) {
+        const attributes = charmData.attributes || {};
+        return this.parseDimensions(charmData.dimensions) ||
+            this.parseDimensions(attributes.size) ||
+            this.parseDimensions(attributes.dimensions);
+    }
+
+    /**
+     * Pixel size of a charm image at a scale, keeping the image's aspect ratio
+     */
+    static getCharmPixelSize(image, dimensions, pixelsPerMm) {
+        const real = dimensions || { size: DEFAULT_CHARM_SIZE_MM };
+        const scale = real.size
+            ? (real.size * pixelsPerMm) / Math.max(image.width, image.height)
+            : Math.min((real.width * pixelsPerMm) / image.width, (real.height * pixelsPerMm) / image.height);
+
+        return {
+            width: image.width * scale,
+            height: image.height * scale
+        };
+    }
+
+    /**
+     * Image pixels per millimetre for a necklace base
+     * Uses the authored pixels_per_mm calibration, otherwise measures the chain path
+     * in the image against the chain's length in inches
+     */
+    static getBasePixelsPerMm(necklaceData, image, lengthInInches) {
+        const options = necklaceData.customization_options || necklaceData.customizationOptions || {};
+        if (options.pixels_per_mm > 0) {
+            return options.pixels_per_mm;
+        }
+
+        const definition = options.chain_path || necklaceData.chainPath;
+        if (!definition || !(lengthInInches > 0)) {
+            return null;
+        }
+
+        const path = ChainPath.fromDefinition(definition, { x: 0, y: 0, width: image.width, height: image.height });
+        return path.getLength() / (lengthInInches * MM_PER_INCH);
+    }
+}
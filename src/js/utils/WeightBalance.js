@@ -0,0 +1,120 @@
+/**
+ * WeightBalance - Weight, centre of mass and turning moment of a design
+ * Charms pull on the chain at their bails; when one side pulls harder the
+ * necklace turns on the neck, and a heavy design can stretch or snap a fine chain
+ */
+
+// Grams in one unit of each weight listed by suppliers
+const UNIT_TO_GRAMS = {
+    mg: 0.001,
+    g: 1,
+    gr: 1,
+    gram: 1,
+    grams: 1,
+    kg: 1000,
+    oz: 28.35
+};
+
+// Charms a chain of each gauge (wire thickness in mm) carries without stretching, thinnest first
+export const CHAIN_CAPACITY_GRAMS = [
+    { gauge: 0, capacity: 10 },
+    { gauge: 1, capacity: 20 },
+    { gauge: 1.5, capacity: 35 },
+    { gauge: 2, capacity: 60 },
+    { gauge: 3, capacity: 120 }
+];
+
+// Used when a necklace lists neither a gauge nor a load
+export const DEFAULT_CHAIN_GAUGE_MM = 1.5;
+
+const ROTATION_THRESHOLD = 0.15; // centre of mass offset as a share of the chain's half width
+const MIN_ROTATING_WEIGHT = 3; // grams; lighter designs do not turn the chain
+
+export default class WeightBalance {
+    /**
+     * Parse a weight such as '2.5g', '3 grams' or '0.1 oz' into grams
+     * Bare numbers are taken as grams
+     */
+    static parseWeight(value) {
+        if (typeof value === 'number') {
+            return value >= 0 ? value : null;
+        }
+
+        const match = String(value ?? '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(mg|grams|gram|gr|g|kg|oz)?\b/);
+        if (!match) return null;
+
+        return Math.round(parseFloat(match[1]) * UNIT_TO_GRAMS[match[2] || 'g'] * 100) / 100;
+    }
+
+    /**
+     * Grams of charms a necklace chain can carry, from an authored load or its gauge
+     */
+    static getChainCapacity(necklaceData = {}) {
+        const options = necklaceData.customization_options || {};
+        if (options.max_load_grams > 0) {
+            return options.max_load_grams;
+        }
+
+        const gauge = [necklaceData.gauge, options.chain_gauge].find(value => value > 0) ?? DEFAULT_CHAIN_GAUGE_MM;
+        const rating = [...CHAIN_CAPACITY_GRAMS].reverse().find(entry => gauge >= entry.gauge);
+        return rating.capacity;
+    }
+
+    /**
+     * Weigh a design
+     * @param {Object[]} charms - { id, name, bail: { x, y }, weight } with weight in grams or null
+     * @param {Object} options - pivotX: neck centre in pixels, halfWidth: half the chain's width in pixels,
+     *   capacity: grams the chain carries, pixelsPerMm: calibration, or null to report pixels
+     * @returns {Object} Total weight, centre of mass, left/right torque and warnings
+     */
+    static analyze(charms, { pivotX, halfWidth, capacity, pixelsPerMm = null }) {
+        const toUnits = pixels => (pixelsPerMm ? pixels / pixelsPerMm : pixels);
+        const weighed = charms.filter(charm => typeof charm.weight === 'number');
+        const totalWeight = weighed.reduce((total, charm) => total + charm.weight, 0);
+
+        let leftTorque = 0;
+        let rightTorque = 0;
+        weighed.forEach(charm => {
+            const arm = toUnits(charm.bail.x - pivotX);
+            if (arm < 0) {
+                leftTorque += charm.weight * -arm;
+            } else {
+                rightTorque += charm.weight * arm;
+            }
+        });
+
+        const centreOfMass = totalWeight > 0 ? {
+            x: weighed.reduce((total, charm) => total + charm.bail.x * charm.weight, 0) / totalWeight,
+            y: weighed.reduce((total, charm) => total + charm.bail.y * charm.weight, 0) / totalWeight
+        } : null;
+
+        const offset = centreOfMass && halfWidth > 0 ? (centreOfMass.x - pivotX) / halfWidth : 0;
+        const warnings = [];
+
+        if (totalWeight >= MIN_ROTATING_WEIGHT && Math.abs(offset) > ROTATION_THRESHOLD) {
+            warnings.push({
+                type: 'rotation',
+                message: `Heavier on the ${offset < 0 ? 'left' : 'right'}: the necklace will turn on the neck. Move weight towards the centre.`
+            });
+        }
+
+        if (capacity && totalWeight > capacity) {
+            warnings.push({
+                type: 'overweight',
+                message: `${totalWeight.toFixed(1)} g of charms is more than this chain carries (${capacity} g). Choose a heavier chain or fewer charms.`
+            });
+        }
+
+        return {
+            unit: pixelsPerMm ? 'g·mm' : 'g·px',
+            totalWeight,
+            unweighed: charms.filter(charm => typeof charm.weight !== 'number').map(charm => charm.id),
+            centreOfMass,
+            leftTorque,
+            rightTorque,
+            netTorque: rightTorque - leftTorque,
+            capacity,
+            warnings
+        };
+    }
+}
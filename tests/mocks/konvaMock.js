@@ -39,6 +39,26 @@ class MockStage {
     // Add width and height methods that can be called as functions
     this.width = jest.fn(() => this._width);
     this.height = jest.fn(() => this._height);
+    this._scale = { x: 1, y: 1 };
+    this._position = { x: 0, y: 0 };
+    this.scale = jest.fn((val) => {
+      if (val !== undefined) {
+        this._scale = { ...val };
+        return this;
+      }
+      return this._scale;
+    });
+    this.scaleX = jest.fn(() => this._scale.x);
+    this.scaleY = jest.fn(() => this._scale.y);
+    this.position = jest.fn((val) => {
+      if (val !== undefined) {
+        this._position = { ...val };
+        return this;
+      }
+      return this._position;
+    });
+    this.x = jest.fn(() => this._position.x);
+    this.y = jest.fn(() => this._position.y);
     
     // Add container method
     this.container = jest.fn(() => config.container || document.createElement('div'));
@@ -59,6 +79,7 @@ class MockStage {
     // Add pointer position methods
     this.setPointersPositions = jest.fn(() => this);
     this.getPointerPosition = jest.fn(() => ({ x: 0, y: 0 }));
+    this.findOne = jest.fn((selector) => this.children.find(child => `.${child.config && child.config.name}` === selector));
     
     // Add toDataURL method for export functionality
     this.toDataURL = jest.fn((options = {}) => {
@@ -110,6 +131,20 @@ class MockLayer {
       return this;
     });
     
+    // Stacking among the stage's layers
+    this.zIndex = jest.fn((index) => {
+      const siblings = this.parent ? this.parent.children : [];
+      if (index === undefined) {
+        return siblings.indexOf(this);
+      }
+      siblings.splice(siblings.indexOf(this), 1);
+      siblings.splice(index, 0, this);
+      return this;
+    });
+    
+    this.cache = jest.fn(() => this);
+    this.clearCache = jest.fn(() => this);
+    
     this.listening = jest.fn((val) => {
       if (val !== undefined) {
         this._listening = val;
@@ -274,6 +309,15 @@ class MockImage {
       return this._rotation;
     });
     
+    this.scale = jest.fn((val) => {
+      if (val !== undefined) {
+        this._scaleX = val.x;
+        this._scaleY = val.y;
+        return this;
+      }
+      return { x: this._scaleX, y: this._scaleY };
+    });
+    
     this.opacity = jest.fn((val) => {
       if (val !== undefined) {
         this._opacity = val;
@@ -347,6 +391,17 @@ class MockImage {
       }
       return this;
     });
+    
+    // Stacking within the parent
+    this.zIndex = jest.fn(() => (this.parent ? this.parent.children.indexOf(this) : 0));
+    this.moveToTop = jest.fn(() => {
+      if (this.parent) {
+        const siblings = this.parent.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        siblings.push(this);
+      }
+      return this;
+    });
   }
 }
 
@@ -487,6 +542,14 @@ class MockRect {
     this.getParent = jest.fn(() => this.parent);
     this.name = jest.fn(() => this.config.name || 'mock-rect');
     this.isDestroyed = jest.fn(() => false);
+    this.moveToTop = jest.fn(() => {
+      if (this.parent) {
+        const siblings = this.parent.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        siblings.push(this);
+      }
+      return this;
+    });
   }
 }
 
@@ -516,7 +579,27 @@ class MockDD { static dragElement = jest.fn(); static dropElement = jest.fn(); }
 class MockDraggable { constructor() { this.start = jest.fn(); this.stop = jest.fn(); } }
 class MockDragAndDrop { constructor() { this.start = jest.fn(); this.stop = jest.fn(); } }
 class MockHover { constructor() { this.start = jest.fn(); this.stop = jest.fn(); } }
-class MockTransformer { constructor() { this.nodes = []; this.attachTo = jest.fn(() => this); this.detach = jest.fn(() => this); } }
+class MockTransformer {
+  constructor(config = {}) {
+    this.config = config;
+    this._nodes = [];
+    this.nodes = jest.fn((nodes) => {
+      if (nodes !== undefined) {
+        this._nodes = nodes;
+        return this;
+      }
+      return this._nodes;
+    });
+    this.attachTo = jest.fn(() => this);
+    this.detach = jest.fn(() => this);
+    this.forceUpdate = jest.fn(() => this);
+    this.moveToTop = jest.fn(() => this);
+    this.on = jest.fn(() => this);
+    this.off = jest.fn(() => this);
+    this.destroy = jest.fn(() => this);
+    this.getLayer = jest.fn(() => this.parent);
+  }
+}
 class MockNode { constructor() { this.parent = null; this.children = []; } }
 class MockContainer extends MockNode { 
   constructor() { 
@@ -18,6 +18,7 @@ jest.mock('../../src/js/core/CharmManager.js', () => {
     getState: jest.fn().mockReturnValue({ charms: [] }),
     loadState: jest.fn(),
     setAttachmentZones: jest.fn(),
+    setChainPath: jest.fn(),
     showSelection: jest.fn(),
     hideSelection: jest.fn(),
     getCharmData: jest.fn().mockReturnValue([])
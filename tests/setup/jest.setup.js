@@ -94,6 +94,11 @@ const sessionStorageMock = {
 };
 global.sessionStorage = sessionStorageMock;
 
+// jsdom does not provide TextEncoder/TextDecoder
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // Mock URL.createObjectURL
 global.URL.createObjectURL = jest.fn(() => 'mock-url');
 
@@ -163,6 +163,35 @@ describe('CharmManager', () => {
     });
   });
 
+  describe('Real-World Scale', () => {
+    test('should size charms from their supplier size once calibrated', async () => {
+      charmManager.setScale(2);
+
+      const charm = await charmManager.addCharm(
+        { ...mockCharms.charmOne, dimensions: null, attributes: { size: '15mm' } },
+        { x: 100, y: 100 }
+      );
+
+      expect(charm.width()).toBe(30);
+      expect(charm.height()).toBe(30);
+      expect(charm.charmData.width).toBe(30);
+    });
+
+    test('should resize placed charms around their bail when the scale changes', async () => {
+      const charm = await charmManager.addCharm(
+        { ...mockCharms.charmOne, dimensions: null, attributes: { size: '10mm' } },
+        { x: 200, y: 200 }
+      );
+      expect(charm.width()).toBe(320); // Uncalibrated charms keep the fixed fit
+
+      charmManager.setScale(4);
+
+      expect(charm.width()).toBe(40);
+      expect(charm.x() + charm.width() / 2).toBe(200 + 320 / 2);
+      expect(charm.y()).toBe(200);
+    });
+  });
+
   describe('Charm Removal', () => {
     beforeEach(async () => {
       // Add a charm first
@@ -234,6 +263,378 @@ describe('CharmManager', () => {
     });
   });
 
+  describe('Charm Transforms', () => {
+    let charm;
+
+    beforeEach(async () => {
+      charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+      charmManager.onCharmTransformed = jest.fn();
+    });
+
+    test('should restore saved rotation and scale when adding a charm', async () => {
+      const restored = await charmManager.addCharm(
+        { ...mockCharms.charmTwo, rotation: 45, scaleX: 1.5, scaleY: 1.5 },
+        { x: 300, y: 300 }
+      );
+
+      expect(restored.rotation()).toBe(45);
+      expect(restored.scaleX()).toBe(1.5);
+      expect(restored.scaleY()).toBe(1.5);
+    });
+
+    test('should snap rotation to 15 degree steps', () => {
+      expect(charmManager.normalizeRotation(7)).toBe(0);
+      expect(charmManager.normalizeRotation(8)).toBe(15);
+      expect(charmManager.normalizeRotation(-15)).toBe(345);
+      expect(charmManager.normalizeRotation(370)).toBe(15);
+    });
+
+    test('should rotate a charm and report the change', () => {
+      charmManager.rotateCharm(charm.id(), 15);
+
+      expect(charm.rotation()).toBe(15);
+      expect(charmManager.onCharmTransformed).toHaveBeenCalledWith(charm);
+    });
+
+    test('should clamp scale to the allowed range', () => {
+      charmManager.scaleCharm(charm.id(), 5);
+      expect(charm.scaleX()).toBe(2);
+
+      charmManager.scaleCharm(charm.id(), 0.1);
+      expect(charm.scaleX()).toBe(0.5);
+      expect(charm.scaleY()).toBe(0.5);
+      expect(charmManager.onCharmTransformed).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject transformer boxes outside the scale bounds', () => {
+      charmManager.selectedCharm = charm;
+      const oldBox = { x: 0, y: 0, width: charm.width(), height: charm.height(), rotation: 0 };
+
+      const tooLarge = { ...oldBox, width: charm.width() * 3, height: charm.height() * 3 };
+      const allowed = { ...oldBox, width: charm.width() * 1.5, height: charm.height() * 1.5 };
+
+      expect(charmManager.limitTransformBox(oldBox, tooLarge)).toBe(oldBox);
+      expect(charmManager.limitTransformBox(oldBox, allowed)).toBe(allowed);
+    });
+
+    test('should attach transform handles to the selected charm', () => {
+      charmManager.showSelection(charm);
+
+      expect(charmManager.transformer).toBeDefined();
+      expect(charmManager.transformer.nodes()).toEqual([charm]);
+      expect(charmManager.selectedCharm).toBe(charm);
+    });
+
+    test('should detach transform handles when selection is hidden', () => {
+      charmManager.createTransformer();
+      charmManager.transformer.nodes([charm]);
+      charmManager.selectedCharm = charm;
+
+      charmManager.hideSelection();
+
+      expect(charmManager.transformer.nodes()).toEqual([]);
+      expect(charmManager.selectedCharm).toBeNull();
+    });
+
+    test('should not transform unknown charms', () => {
+      expect(charmManager.rotateCharm('missing', 15)).toBe(false);
+      expect(charmManager.scaleCharm('missing', 1.5)).toBe(false);
+    });
+  });
+
+  describe('Multi-Selection', () => {
+    let charms;
+
+    beforeEach(async () => {
+      charms = [
+        await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 }),
+        await charmManager.addCharm(mockCharms.charmTwo, { x: 300, y: 300 }),
+        await charmManager.addCharm(mockCharms.charmThree, { x: 500, y: 500 })
+      ];
+      charms[0].position({ x: 10, y: 100 });
+      charms[1].position({ x: 100, y: 150 });
+      charms[2].position({ x: 500, y: 200 });
+    });
+
+    const ids = () => charms.map(charm => charm.id());
+
+    test('should select a group without transform handles', () => {
+      charmManager.showSelection(charms);
+
+      expect(charmManager.selectedCharms).toEqual(charms);
+      expect(charmManager.selectedCharm).toBeNull();
+      expect(charmManager.transformer.nodes()).toEqual([]);
+    });
+
+    test('should compute one bounding box around the group', () => {
+      const bounds = charmManager.getSelectionBounds(charms);
+      const width = charms[2].width();
+
+      expect(bounds.x).toBe(10);
+      expect(bounds.y).toBe(100);
+      expect(bounds.width).toBe(500 + width - 10);
+    });
+
+    test('should find charms inside a marquee rectangle', () => {
+      const found = charmManager.getCharmsInRect({ x: 0, y: 0, width: 50, height: 120 });
+
+      expect(found).toEqual([charms[0]]);
+    });
+
+    test('should move charms together', () => {
+      charmManager.moveCharms(ids(), 20, 10);
+
+      expect(charms.map(charm => charm.x())).toEqual([30, 120, 520]);
+      expect(charms.map(charm => charm.y())).toEqual([110, 160, 210]);
+    });
+
+    test('should drag the rest of the selection with the dragged charm', () => {
+      charmManager.showSelection(charms);
+      charmManager.startGroupDrag(charms[0]);
+
+      charms[0].position({ x: 60, y: 130 });
+      charmManager.updateGroupDrag(charms[0]);
+
+      expect(charms[1].position()).toEqual({ x: 150, y: 180 });
+      expect(charms[2].position()).toEqual({ x: 550, y: 230 });
+    });
+
+    test('should report one move when a drag ends', () => {
+      charmManager.onCharmMoved = jest.fn();
+      charmManager.showSelection(charms);
+      charmManager.startGroupDrag(charms[0]);
+      charmManager.endGroupDrag(charms[0]);
+
+      expect(charmManager.onCharmMoved).toHaveBeenCalledTimes(1);
+      expect(charmManager.groupDrag).toBeNull();
+    });
+
+    test('should report the move and any tangles once swinging charms settle', async () => {
+      charmManager.onCharmMoved = jest.fn();
+      charmManager.onCharmsTangled = jest.fn();
+      charmManager.physics.setEnabled(true);
+
+      charmManager.endGroupDrag(charms[0]);
+      expect(charmManager.onCharmMoved).not.toHaveBeenCalled();
+
+      charmManager.physics.settle();
+      await Promise.resolve();
+
+      expect(charmManager.onCharmMoved).toHaveBeenCalledWith(charms[0]);
+      expect(charmManager.onCharmsTangled).toHaveBeenCalledWith(['charm-1', 'charm-2']); // The 320px fixtures overlap
+    });
+
+    test('should align charms to the top edge', () => {
+      expect(charmManager.alignCharms(ids(), 'top')).toBe(true);
+
+      expect(charms.map(charm => charm.y())).toEqual([100, 100, 100]);
+    });
+
+    test('should reject unknown alignments', () => {
+      expect(() => charmManager.alignCharms(ids(), 'diagonal')).toThrow('Unknown alignment: diagonal');
+    });
+
+    test('should distribute charms with equal gaps', () => {
+      expect(charmManager.distributeCharms(ids(), 'horizontal')).toBe(true);
+
+      expect(charms[0].x()).toBe(10);
+      expect(charms[1].x()).toBe(255);
+      expect(charms[2].x()).toBe(500);
+    });
+
+    test('should need three charms to distribute', () => {
+      expect(charmManager.distributeCharms(ids().slice(0, 2))).toBe(false);
+    });
+
+    test('should keep bails on the chain when moving, aligning and distributing', () => {
+      charmManager.setChainPath({ points: [[0, 100], [800, 400], [1600, 100]] });
+      const expectOnChain = () => charms.forEach(charm => {
+        const offset = charmManager.getBailOffset(charm);
+        const closest = charmManager.chainPath.getClosestPoint({ x: charm.x() + offset.x, y: charm.y() + offset.y });
+        expect(closest.distance).toBeCloseTo(0, 5);
+        expect(charm.charmData.pathPosition).toBeCloseTo(closest.t, 3);
+      });
+
+      charmManager.moveCharms(ids(), 200, 0);
+      expectOnChain();
+
+      charmManager.alignCharms(ids(), 'bottom');
+      expectOnChain();
+
+      charmManager.distributeCharms(ids(), 'horizontal');
+      expectOnChain();
+    });
+  });
+
+  describe('Zone Capacity', () => {
+    test('should let a zone hold several charms up to its capacity', () => {
+      charmManager.attachmentZones = [{ x: 100, y: 100, radius: 30, capacity: 2, occupied: false }];
+
+      charmManager.snapToAttachmentZone({ x: 105, y: 100 }, 'charm-a');
+      expect(charmManager.findNearestAttachmentZone({ x: 100, y: 100 })).not.toBeNull();
+
+      charmManager.snapToAttachmentZone({ x: 105, y: 100 }, 'charm-b');
+      expect(charmManager.findNearestAttachmentZone({ x: 100, y: 100 })).toBeNull();
+    });
+
+    test('should release zones held by a removed charm', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+      charmManager.attachmentZones = [{ x: 100, y: 100, radius: 30, occupied: charm.id(), occupants: [charm.id()] }];
+
+      charmManager.removeCharm(charm.id());
+
+      expect(charmManager.attachmentZones[0].occupied).toBe(false);
+      expect(charmManager.attachmentZones[0].occupants).toEqual([]);
+    });
+
+    test('should hang charms from the nearest free zone when zones are locked', async () => {
+      charmManager.attachmentZones = [
+        { x: 100, y: 100, radius: 30, capacity: 1, occupied: false },
+        { x: 400, y: 100, radius: 30, capacity: 1, occupied: false }
+      ];
+      charmManager.setZoneLock(true);
+      const first = await charmManager.addCharm(mockCharms.charmOne, { x: 0, y: 0 });
+      const second = await charmManager.addCharm(mockCharms.charmTwo, { x: 0, y: 0 });
+
+      const bail = charm => {
+        const offset = charmManager.getBailOffset(charm);
+        return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+      };
+      expect(bail(first)).toEqual({ x: 100, y: 100 });
+      expect(bail(second)).toEqual({ x: 400, y: 100 });
+      expect(charmManager.attachmentZones.every(zone => zone.occupied)).toBe(true);
+    });
+  });
+
+  describe('Chain Path', () => {
+    beforeEach(() => {
+      // Points are stage coordinates when no necklace image is given
+      charmManager.setChainPath({ points: [[100, 100], [400, 300], [700, 100]] });
+    });
+
+    test('should build a chain path from a definition', () => {
+      expect(charmManager.chainPath).not.toBeNull();
+      expect(charmManager.chainPath.getPointAt(0)).toEqual({ x: 100, y: 100 });
+    });
+
+    test('should place definition points over the necklace image', () => {
+      const necklaceImage = new Konva.Image({ x: 50, y: 20, width: 400, height: 200 });
+      charmManager.setChainPath({ points: [[0, 0], [1, 1]] }, necklaceImage);
+
+      expect(charmManager.chainPath.getPointAt(1)).toEqual({ x: 450, y: 220 });
+    });
+
+    test('should hang a new charm from the chain by its bail', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 400, y: 600 });
+      const bail = {
+        x: charm.x() + charm.width() / 2,
+        y: charm.y()
+      };
+      const closest = charmManager.chainPath.getClosestPoint(bail);
+
+      expect(closest.distance).toBeCloseTo(0, 5);
+      expect(charm.charmData.pathPosition).toBeCloseTo(closest.t, 3);
+    });
+
+    test('should hang a turned or resized charm back on the chain', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 400, y: 600 });
+      charmManager.createTransformer();
+      charmManager.selectedCharm = charm;
+
+      charm.rotation(40);
+      charm.scale({ x: 1.5, y: 1.5 });
+      charmManager.transformer.on.mock.calls
+        .filter(([name]) => name === 'transformend')
+        .forEach(([, handler]) => handler());
+
+      const offset = charmManager.getBailOffset(charm);
+      const closest = charmManager.chainPath.getClosestPoint({ x: charm.x() + offset.x, y: charm.y() + offset.y });
+      expect(closest.distance).toBeCloseTo(0, 5);
+      expect(charm.charmData.pathPosition).toBeCloseTo(closest.t, 3);
+    });
+
+    test('should keep the bail on the chain when turning or resizing by command', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 400, y: 600 });
+      const expectOnChain = () => {
+        const offset = charmManager.getBailOffset(charm);
+        const closest = charmManager.chainPath.getClosestPoint({ x: charm.x() + offset.x, y: charm.y() + offset.y });
+        expect(closest.distance).toBeCloseTo(0, 5);
+        expect(charm.charmData.pathPosition).toBeCloseTo(closest.t, 3);
+      };
+
+      charmManager.rotateCharm(charm.id(), 40);
+      expectOnChain();
+
+      charmManager.scaleCharm(charm.id(), 1.5);
+      expectOnChain();
+    });
+
+    test('should slide a colliding charm along the chain', async () => {
+      charmManager.setChainPath({ points: [[0, 100], [800, 300], [1600, 100]] });
+      const first = await charmManager.addCharm(mockCharms.charmOne, { x: 650, y: 300 });
+      const second = await charmManager.addCharm(mockCharms.charmTwo, { x: 650, y: 300 });
+
+      expect(second.charmData.pathPosition).not.toBe(first.charmData.pathPosition);
+      expect(charmManager.checkCharmCollision(second, second.position())).toBe(false);
+    });
+
+    test('should snap positions onto the chain', () => {
+      const snapped = charmManager.snapToAttachmentZone({ x: 400, y: 500 });
+
+      expect(snapped.x).toBeCloseTo(400, 0);
+      expect(snapped.y).toBeGreaterThan(250);
+    });
+
+    test('should keep dragged charms on the chain', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+      charm.position({ x: 380, y: 700 });
+
+      charmManager.attachToChainPath(charm);
+
+      const bail = { x: charm.x() + charm.width() / 2, y: charm.y() };
+      expect(charmManager.chainPath.getClosestPoint(bail).distance).toBeCloseTo(0, 5);
+    });
+
+    test('should fall back to zones without a chain path', () => {
+      charmManager.setChainPath(null);
+      charmManager.attachmentZones = [{ x: 10, y: 10, radius: 20, occupied: false }];
+
+      expect(charmManager.snapToAttachmentZone({ x: 12, y: 12 })).toEqual({ x: 10, y: 10 });
+    });
+
+    test('should keep a charm\'s place along the chain when the necklace changes', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+      const pathPosition = charm.charmData.pathPosition;
+
+      charmManager.setChainPath({ points: [[50, 400], [400, 600], [750, 400]] });
+      charmManager.refitCharms(null);
+
+      const bail = { x: charm.x() + charm.width() / 2, y: charm.y() };
+      const closest = charmManager.chainPath.getClosestPoint(bail);
+      expect(closest.distance).toBeCloseTo(0, 5);
+      expect(charm.charmData.pathPosition).toBeCloseTo(pathPosition, 2);
+    });
+
+    test('should scale free charms with the necklace image when there is no chain', async () => {
+      charmManager.setChainPath(null);
+      const oldImage = new Konva.Image({ x: 0, y: 0, width: 400, height: 400 });
+      const newImage = new Konva.Image({ x: 100, y: 50, width: 200, height: 200 });
+      charmManager.setAttachmentZones([], oldImage);
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 0, y: 0 });
+      charm.width(40);
+      charm.height(40);
+      charm.position({ x: 180, y: 200 });
+      const previousBounds = charmManager.getImageBounds();
+
+      charmManager.setAttachmentZones([], newImage);
+      charmManager.refitCharms(previousBounds);
+
+      // The bail sat at the image centre and stays there
+      expect(charm.x() + 20).toBeCloseTo(200, 5);
+      expect(charm.y()).toBeCloseTo(150, 5);
+    });
+  });
+
   describe('Collision Detection', () => {
     test('should detect collision between charms', () => {
       const charm1 = {
@@ -453,6 +854,397 @@ describe('CharmManager', () => {
     });
   });
 
+  describe('Mirror Mode', () => {
+    let charm;
+
+    beforeEach(async () => {
+      charmManager.setMirrorMode(true);
+      charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+    });
+
+    test('should place a linked twin mirrored across the centre line', async () => {
+      const twin = await charmManager.addTwin(charm);
+
+      expect(charmManager.getMirrorAxis()).toBe(500); // Middle of the 1000px stage
+      expect(twin.x() + twin.width() / 2).toBe(1000 - (charm.x() + charm.width() / 2));
+      expect(twin.y()).toBe(charm.y());
+      expect(charm.charmData.twinId).toBe(twin.id());
+      expect(twin.charmData.twinId).toBe(charm.id());
+      expect(charmManager.getCharmData().find(data => data.id === charm.id()).twinId).toBe(twin.id());
+    });
+
+    test('should not twin a charm hanging on the centre line', async () => {
+      charm.position({ x: 500 - charm.width() / 2, y: 100 });
+
+      expect(await charmManager.addTwin(charm)).toBeNull();
+      expect(charmManager.getCharmCount()).toBe(1);
+    });
+
+    test('should move and turn the twin with its charm', async () => {
+      const twin = await charmManager.addTwin(charm);
+
+      charmManager.moveCharms([charm.id()], 20, 10);
+      charmManager.rotateCharm(charm.id(), 30);
+
+      expect(twin.rotation()).toBe(-30);
+      const bail = charmManager.getBailOffset(charm);
+      const twinBail = charmManager.getBailOffset(twin);
+      expect(twin.x() + twinBail.x).toBeCloseTo(1000 - (charm.x() + bail.x));
+      expect(twin.y() + twinBail.y).toBeCloseTo(charm.y() + bail.y);
+    });
+
+    test('should keep the twin mirrored when its charm is aligned or distributed', async () => {
+      const twin = await charmManager.addTwin(charm);
+      const others = [
+        await charmManager.addCharm(mockCharms.charmTwo, { x: 150, y: 400 }),
+        await charmManager.addCharm(mockCharms.charmThree, { x: 300, y: 300 })
+      ];
+      const ids = [charm.id(), ...others.map(other => other.id())];
+      const expectMirrored = () => {
+        const bail = charmManager.getBailOffset(charm);
+        const twinBail = charmManager.getBailOffset(twin);
+        expect(twin.x() + twinBail.x).toBeCloseTo(1000 - (charm.x() + bail.x));
+        expect(twin.y() + twinBail.y).toBeCloseTo(charm.y() + bail.y);
+      };
+
+      charmManager.alignCharms(ids, 'bottom');
+      expectMirrored();
+
+      charmManager.distributeCharms(ids, 'vertical');
+      expectMirrored();
+    });
+
+    test('should remove the twin with its charm', async () => {
+      await charmManager.addTwin(charm);
+
+      expect(charmManager.removeCharm(charm.id())).toBe(true);
+      expect(charmManager.getCharmCount()).toBe(0);
+    });
+
+    test('should unlink pairs but keep both charms when turned off', async () => {
+      const twin = await charmManager.addTwin(charm);
+
+      expect(charmManager.setMirrorMode(false)).toBe(true);
+
+      expect(charmManager.getCharmCount()).toBe(2);
+      expect(charm.charmData.twinId).toBeUndefined();
+      expect(twin.charmData.twinId).toBeUndefined();
+      charmManager.removeCharm(charm.id());
+      expect(charmManager.getCharmCount()).toBe(1);
+    });
+  });
+
+  describe('Arrange', () => {
+    const bail = charm => {
+      const offset = charmManager.getBailOffset(charm);
+      return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+    };
+
+    test('should spread charms evenly along the chain', async () => {
+      charmManager.setChainPath({ points: [[0, 100], [2000, 100]] });
+      const charms = [
+        await charmManager.addCharm(mockCharms.charmOne, { x: 900, y: 100 }),
+        await charmManager.addCharm(mockCharms.charmTwo, { x: 100, y: 100 }),
+        await charmManager.addCharm(mockCharms.charmThree, { x: 1500, y: 100 })
+      ];
+
+      expect(await charmManager.arrangeCharms('even')).toBe(3);
+
+      // Left-to-right order is kept, between the insets at each end of the chain
+      expect(bail(charms[1]).x).toBeCloseTo(300);
+      expect(bail(charms[0]).x).toBeCloseTo(1000);
+      expect(bail(charms[2]).x).toBeCloseTo(1700);
+      charms.forEach(charm => expect(bail(charm).y).toBeCloseTo(100));
+    });
+
+    test('should hang the largest charm in the centre when graduated', async () => {
+      charmManager.setChainPath({ points: [[0, 100], [2000, 100]] });
+      const small = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+      const large = await charmManager.addCharm(mockCharms.charmTwo, { x: 900, y: 100 });
+      const medium = await charmManager.addCharm(mockCharms.charmThree, { x: 1500, y: 100 });
+      small.height(100);
+      large.height(400);
+      medium.height(200);
+
+      await charmManager.arrangeCharms('graduated');
+
+      expect(bail(medium).x).toBeLessThan(bail(large).x);
+      expect(bail(large).x).toBeLessThan(bail(small).x);
+      expect(bail(large).x).toBeCloseTo(1000);
+    });
+
+    test('should fill locked zones from left to right', async () => {
+      charmManager.attachmentZones = [
+        { x: 700, y: 100, radius: 30, capacity: 1, occupied: false },
+        { x: 100, y: 100, radius: 30, capacity: 1, occupied: false },
+        { x: 400, y: 100, radius: 30, capacity: 1, occupied: false }
+      ];
+      charmManager.setZoneLock(true);
+      const first = await charmManager.addCharm(mockCharms.charmOne, { x: 0, y: 0 });
+      const second = await charmManager.addCharm(mockCharms.charmTwo, { x: 0, y: 0 });
+
+      await charmManager.arrangeCharms('even');
+
+      expect(bail(first)).toEqual({ x: 100, y: 100 });
+      expect(bail(second)).toEqual({ x: 700, y: 100 });
+      expect(charmManager.attachmentZones.filter(zone => zone.occupied)).toHaveLength(2);
+    });
+
+    test('should reject an unknown arrangement', () => {
+      expect(() => charmManager.arrangeCharms('spiral')).toThrow('Unknown arrangement: spiral');
+    });
+  });
+
+  describe('Keyboard Placement', () => {
+    const bail = charm => {
+      const offset = charmManager.getBailOffset(charm);
+      return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+    };
+
+    beforeEach(() => {
+      charmManager.attachmentZones = [
+        { x: 700, y: 100, radius: 30, capacity: 1, occupied: false },
+        { x: 100, y: 100, radius: 30, capacity: 1, occupied: false },
+        { x: 400, y: 100, radius: 30, capacity: 1, occupied: false }
+      ];
+      charmManager.setZoneLock(true);
+    });
+
+    test('should offer the first free zone from the left', async () => {
+      expect(charmManager.getNextFreeSpot()).toEqual({ x: 100, y: 100 });
+
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { ...charmManager.getNextFreeSpot(), anchor: 'bail' });
+
+      expect(bail(charm)).toEqual({ x: 100, y: 100 });
+      expect(charmManager.getNextFreeSpot()).toEqual({ x: 400, y: 100 });
+      expect(charmManager.getCharmPlace(charm)).toEqual({ position: 1, total: 3 });
+    });
+
+    test('should hop zone-locked charms to the next free zone in the arrow direction', async () => {
+      const charm = await charmManager.addCharm(mockCharms.charmOne, { x: 100, y: 100, anchor: 'bail' });
+
+      charmManager.nudgeCharms([charm.id()], 2, 0);
+      expect(bail(charm)).toEqual({ x: 400, y: 100 });
+      expect(charmManager.getCharmPlace(charm)).toEqual({ position: 2, total: 3 });
+
+      charmManager.nudgeCharms([charm.id()], 0, -2); // No zone above
+      expect(bail(charm)).toEqual({ x: 400, y: 100 });
+      expect(charmManager.attachmentZones.filter(zone => zone.occupied)).toHaveLength(1);
+    });
+
+    test('should offer the middle of the chain, then the widest gap', async () => {
+      charmManager.setZoneLock(false);
+      charmManager.setChainPath({ points: [[0, 100], [2000, 100]] });
+
+      expect(charmManager.getNextFreeSpot()).toEqual({ x: 1000, y: 100 });
+
+      await charmManager.addCharm(mockCharms.charmOne, { x: 1000, y: 100, anchor: 'bail' });
+      expect(charmManager.getNextFreeSpot().x).toBeCloseTo(650);
+    });
+  });
+
+  describe('Stacking', () => {
+    let charms;
+
+    const order = () => charmManager.getStackOrder().map(charm => charm.id());
+
+    beforeEach(async () => {
+      charms = [];
+      for (const [index, x] of [100, 400, 700].entries()) {
+        charms.push(await charmManager.addCharm({ ...mockCharms.charmOne, id: `charm-${index}` }, { x, y: 100 }));
+      }
+    });
+
+    test('should bring charms forward, send them backward and move them to the front or back', () => {
+      expect(order()).toEqual(['charm-0', 'charm-1', 'charm-2']);
+
+      expect(charmManager.restackCharms(['charm-0'], 'forward')).toBe(true);
+      expect(order()).toEqual(['charm-1', 'charm-0', 'charm-2']);
+
+      charmManager.restackCharms(['charm-2'], 'back');
+      expect(order()).toEqual(['charm-2', 'charm-1', 'charm-0']);
+      expect(charmManager.restackCharms(['charm-2'], 'backward')).toBe(false);
+
+      charmManager.restackCharms(['charm-2', 'charm-1'], 'front');
+      expect(order()).toEqual(['charm-0', 'charm-2', 'charm-1']);
+      expect(mockLayer.children[mockLayer.children.length - 1]).toBe(charmManager.selectionIndicator);
+
+      expect(() => charmManager.restackCharms(['charm-0'], 'sideways')).toThrow('Unknown stacking command');
+    });
+
+    test('should bring a dragged charm to the front until it is dropped', () => {
+      const fire = event => charms[0].on.mock.calls
+        .filter(([name]) => name === event)
+        .forEach(([, handler]) => handler.call(charms[0], {}));
+
+      fire('dragstart');
+      expect(order()).toEqual(['charm-1', 'charm-2', 'charm-0']);
+
+      fire('dragend');
+      expect(order()).toEqual(['charm-0', 'charm-1', 'charm-2']);
+    });
+
+    test('should save the stacking and restore it with the state', async () => {
+      charmManager.restackCharms(['charm-0'], 'front');
+      const state = charmManager.getState();
+
+      expect(state.charms.map(charm => [charm.id, charm.zIndex])).toEqual([['charm-0', 2], ['charm-1', 0], ['charm-2', 1]]);
+
+      await charmManager.loadState(state);
+      expect(order()).toEqual(['charm-1', 'charm-2', 'charm-0']);
+    });
+  });
+
+  describe('Swapping', () => {
+    test('should swap a charm for a variant hanging from the same bail', async () => {
+      const charm = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'heart', inventoryId: 'heart-gold' }, { x: 400, y: 300 });
+      charm.rotation(30);
+      const offset = charmManager.getBailOffset(charm);
+      const bail = { x: charm.x() + offset.x, y: charm.y() + offset.y };
+      charmManager.imageLoader.loadImage.mockResolvedValueOnce({ width: 100, height: 200, src: 'silver.png', complete: true });
+
+      const swapped = await charmManager.swapCharm('heart', { ...mockCharms.charmOne, id: 'heart-silver', inventoryId: 'heart-silver' });
+
+      expect(swapped).toBe(true);
+      expect(charm.height()).toBe(320);
+      expect(charm.rotation()).toBe(30);
+      expect(charm.charmData).toMatchObject({ id: 'heart', inventoryId: 'heart-silver', height: 320 });
+      const newOffset = charmManager.getBailOffset(charm);
+      expect(charm.x() + newOffset.x).toBeCloseTo(bail.x);
+      expect(charm.y() + newOffset.y).toBeCloseTo(bail.y);
+      expect(await charmManager.swapCharm('missing', mockCharms.charmOne)).toBe(false);
+    });
+  });
+
+  describe('Charm on Charm', () => {
+    let pendant;
+    let initial;
+
+    const bailOf = charm => {
+      const offset = charmManager.getBailOffset(charm);
+      return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+    };
+
+    beforeEach(async () => {
+      pendant = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'pendant' }, { x: 100, y: 100 });
+      initial = await charmManager.addCharm({ ...mockCharms.charmTwo, id: 'initial' }, { x: 600, y: 100 });
+    });
+
+    test('should hang a charm from the loop of another charm and move it with its parent', () => {
+      expect(charmManager.attachCharm('initial', 'pendant')).toBe(true);
+      expect(bailOf(initial)).toEqual(charmManager.getLoopPoint(pendant));
+
+      charmManager.moveCharms(['pendant'], 40, 20);
+      pendant.rotation(30);
+      charmManager.rotateCharm('pendant', 0);
+      const loop = charmManager.getLoopPoint(pendant);
+      expect(bailOf(initial).x).toBeCloseTo(loop.x);
+      expect(bailOf(initial).y).toBeCloseTo(loop.y);
+
+      const data = charmManager.getCharmData();
+      expect(data.find(charm => charm.id === 'initial')).toMatchObject({ parentId: 'pendant', childIds: [] });
+      expect(data.find(charm => charm.id === 'pendant')).toMatchObject({ parentId: null, childIds: ['initial'] });
+    });
+
+    test('should not hang a charm from itself or from a charm below it', () => {
+      charmManager.attachCharm('initial', 'pendant');
+
+      expect(charmManager.attachCharm('pendant', 'initial')).toBe(false);
+      expect(charmManager.attachCharm('pendant', 'pendant')).toBe(false);
+      expect(charmManager.attachCharm('pendant', 'missing')).toBe(false);
+    });
+
+    test('should attach a charm dropped on a loop and detach it when dragged away', () => {
+      const dragmove = initial.on.mock.calls.filter(([name]) => name === 'dragmove').map(([, handler]) => handler);
+      const drag = point => {
+        initial.position(charmManager.getPositionForBail(initial, point));
+        dragmove.forEach(handler => handler.call(initial));
+      };
+      const loop = charmManager.getLoopPoint(pendant);
+
+      drag({ x: loop.x + 5, y: loop.y - 5 });
+      expect(initial.charmData.parentId).toBe('pendant');
+      expect(bailOf(initial)).toEqual(loop);
+
+      drag({ x: loop.x + 200, y: loop.y });
+      expect(initial.charmData.parentId).toBeUndefined();
+    });
+
+    test('should put children back on the chain when their parent is removed', () => {
+      charmManager.attachCharm('initial', 'pendant');
+
+      charmManager.removeCharm('pendant');
+
+      expect(charmManager.getParentCharm(initial)).toBeNull();
+      expect(initial.charmData.parentId).toBeUndefined();
+    });
+
+    test('should restore the tree with the state', async () => {
+      charmManager.attachCharm('initial', 'pendant');
+      const state = charmManager.getState();
+
+      await charmManager.loadState({ charms: [...state.charms].reverse() });
+
+      const restored = charmManager.findCharmById('initial');
+      expect(charmManager.getParentCharm(restored).id()).toBe('pendant');
+      expect(bailOf(restored)).toEqual(charmManager.getLoopPoint(charmManager.findCharmById('pendant')));
+    });
+  });
+
+  describe('Layered Strands', () => {
+    const bailOf = charm => {
+      const offset = charmManager.getBailOffset(charm);
+      return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+    };
+
+    beforeEach(() => {
+      charmManager.setChainPath({ points: [[100, 100], [400, 300], [700, 100]] });
+      charmManager.setStrandPath('strand-2', { points: [[100, 250], [400, 500], [700, 250]] });
+    });
+
+    test('should hang a charm from its own strand and move it to the strand it is dragged nearest', async () => {
+      const charm = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'heart', strandId: 'strand-2' }, { x: 380, y: 600 });
+      expect(charmManager.getChainPath(charm).getClosestPoint(bailOf(charm)).distance).toBeCloseTo(0, 5);
+      expect(charmManager.getStrandId(charm)).toBe('strand-2');
+
+      const dragmove = charm.on.mock.calls.filter(([name]) => name === 'dragmove').map(([, handler]) => handler);
+      charm.position(charmManager.getPositionForBail(charm, { x: 400, y: 290 }));
+      dragmove.forEach(handler => handler.call(charm));
+
+      expect(charm.charmData.strandId).toBeUndefined();
+      expect(charmManager.chainPath.getClosestPoint(bailOf(charm)).distance).toBeCloseTo(0, 5);
+    });
+
+    test('should let charms on different strands hang over each other', async () => {
+      const upper = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'upper' }, { x: 350, y: 300 });
+      const lower = await charmManager.addCharm({ ...mockCharms.charmTwo, id: 'lower', strandId: 'strand-2' }, { x: 350, y: 350 });
+
+      expect(charmManager.checkCharmCollision(lower, upper.position())).toBe(false);
+      expect(charmManager.getCharmData().find(charm => charm.id === 'lower').strandId).toBe('strand-2');
+    });
+
+    test('should keep a swapped charm on its strand', async () => {
+      const charm = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'heart', strandId: 'strand-2' }, { x: 250, y: 450 });
+      const { pathPosition } = charm.charmData;
+
+      await charmManager.swapCharm('heart', { ...mockCharms.charmOne, id: 'heart-silver', inventoryId: 'heart-silver' });
+
+      expect(charm.charmData).toMatchObject({ inventoryId: 'heart-silver', strandId: 'strand-2', pathPosition });
+      expect(charmManager.getChainPath(charm)).toBe(charmManager.strandPaths.get('strand-2'));
+    });
+
+    test('should move charms to the main chain when their strand is removed', async () => {
+      const charm = await charmManager.addCharm({ ...mockCharms.charmOne, id: 'heart', strandId: 'strand-2' }, { x: 150, y: 300 });
+      const { pathPosition } = charm.charmData;
+
+      expect(charmManager.removeStrand('strand-2')).toBe(1);
+
+      expect(charm.charmData.strandId).toBeUndefined();
+      expect(charmManager.chainPath.getClosestPoint(bailOf(charm)).distance).toBeCloseTo(0, 5);
+      expect(charm.charmData.pathPosition).toBeCloseTo(pathPosition, 2);
+    });
+  });
+
   describe('Drag Constraints', () => {
     let charm;
 
@@ -489,5 +1281,23 @@ describe('CharmManager', () => {
       expect(constrainedPos.x).toBe(950);
       expect(constrainedPos.y).toBe(700);
     });
+
+    test('should keep an axis-locked drag on its starting row', () => {
+      const fire = event => charm.on.mock.calls
+        .filter(([name]) => name === event)
+        .forEach(([, handler]) => handler.call(charm, {}));
+      charm.moveToTop = jest.fn();
+      charmManager.setAxisLock('horizontal');
+      const start = charm.y();
+
+      fire('dragstart');
+      charm.position({ x: charm.x() + 37, y: start + 45 });
+      fire('dragmove');
+      expect(charm.y()).toBe(start);
+
+      fire('dragend');
+      expect(charmManager.dragConstraints).toBeNull();
+      expect(() => charmManager.setAxisLock('diagonal')).toThrow('Unknown axis lock');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * ConnectorManager Unit Tests
+ * Tests choosing jump rings and bails from materials, drawing them and pricing them
+ */
+
+import ConnectorManager from '../../../src/js/core/ConnectorManager.js';
+import CharmManager from '../../../src/js/core/CharmManager.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('ConnectorManager', () => {
+  let customizer;
+  let connectors;
+
+  const materials = [
+    { id: 'ring-8', name: 'Jump Rings', title: 'Stainless Steel Jump Rings 8mm 100pcs', priceValue: 5 },
+    { id: 'ring-5', name: 'Jump Rings', title: 'Stainless Steel Jump Rings 5mm 100pcs', priceValue: 3 },
+    { id: 'bail-10', name: 'Pinch Bails', title: 'Pinch Bails', priceValue: 4, attributes: { size: '10mm', pack_size: 20 } },
+    { id: 'wire', name: 'Beading Wire', title: 'Beading Wire 0.5mm', priceValue: 2 }
+  ];
+
+  // 40px tall charm; at the default 20mm size that is 2px per mm
+  const addCharm = (id, charmData = {}) => {
+    const charm = new Konva.Image({ id, x: 100, y: 100, width: 20, height: 40 });
+    charm.charmData = { id, name: `Charm ${id}`, ...charmData };
+    customizer.charmManager.charms.set(id, charm);
+    return charm;
+  };
+
+  beforeEach(() => {
+    customizer = {
+      charmLayer: new Konva.Layer({ name: 'charms' }),
+      charmManager: {
+        charms: new Map(),
+        chainPath: null,
+        getBailOffset: CharmManager.prototype.getBailOffset
+      }
+    };
+
+    connectors = new ConnectorManager(customizer);
+    connectors.setMaterials(materials);
+  });
+
+  test('should offer only jump rings and bails, smallest first', () => {
+    expect(connectors.connectors.map(connector => connector.name)).toEqual(['5mm jump ring', '8mm jump ring', '10mm bail']);
+    expect(connectors.connectors[0].unitPrice).toBeCloseTo(0.03);
+    expect(connectors.connectors[2].unitPrice).toBeCloseTo(0.2);
+  });
+
+  test('should size the jump ring to the charm', () => {
+    expect(connectors.chooseConnector({ dimensions: { width: 12, height: 16 } }).name).toBe('5mm jump ring');
+    expect(connectors.chooseConnector({ attributes: { size: '30mm' } }).name).toBe('8mm jump ring');
+    expect(connectors.chooseConnector({ attributes: { size: '60mm' } }).name).toBe('8mm jump ring'); // Largest in stock
+    expect(connectors.chooseConnector({ attachmentMethod: 'bail' }).name).toBe('10mm bail');
+  });
+
+  test('should fall back to a plain jump ring without materials', () => {
+    connectors.setMaterials([]);
+
+    expect(connectors.chooseConnector({}).name).toBe('6mm jump ring');
+    expect(connectors.getTotalPrice()).toBe(0);
+  });
+
+  test('should count and price the connectors in the design', () => {
+    addCharm('a');
+    addCharm('b');
+    addCharm('c', { attachmentMethod: 'bail' });
+
+    const used = connectors.getMaterials();
+
+    expect(used.map(({ name, quantity }) => ({ name, quantity }))).toEqual([
+      { name: '5mm jump ring', quantity: 2 },
+      { name: '10mm bail', quantity: 1 }
+    ]);
+    expect(connectors.getTotalPrice()).toBeCloseTo(0.26);
+  });
+
+  test('should draw a ring above each charm bail in proportion to the charm', () => {
+    addCharm('a');
+
+    connectors.update();
+
+    const [ring] = connectors.group.children;
+    expect(ring.config.radius).toBe(5); // 5mm ring at 2px per mm
+    expect(ring.config.x).toBe(110);
+    expect(ring.config.y).toBe(95);
+    expect(customizer.charmLayer.children).toContain(connectors.group);
+    expect(customizer.charmLayer.on).toHaveBeenCalledWith('dragmove.connectors transform.connectors', expect.any(Function));
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 import ExportManager from '../../../src/js/core/ExportManager.js';
+import ConnectorManager from '../../../src/js/core/ConnectorManager.js';
 import { mockCharms, createMockDOM } from '../../fixtures/testData.js';
 
 // Mock Konva
@@ -145,9 +146,20 @@ describe('ExportManager', () => {
       const result = await exportManager.exportDesign({ format: 'PDF' });
       
       expect(result.type).toBe('pdf');
+      expect(result.dataURL).toMatch(/^data:application\/pdf;/);
       expect(result.image).toBeDefined();
       expect(result.instructions).toBeDefined();
-      expect(result.note).toContain('PDF export requires');
+      expect(result.billOfMaterials).toBeDefined();
+      expect(result.pageCount).toBeGreaterThanOrEqual(3);
+    });
+
+    test('should export SVG format', async () => {
+      const result = await exportManager.exportDesign({ format: 'SVG' });
+
+      expect(result.type).toBe('svg');
+      expect(result.svg).toContain('<svg');
+      expect(result.width).toBe(1200);
+      expect(result.height).toBe(900);
     });
 
     test('should throw error for unsupported format', async () => {
@@ -274,7 +286,9 @@ describe('ExportManager', () => {
               y: jest.fn(() => 100)
             })),
             x: jest.fn(() => 100),
-            y: jest.fn(() => 100)
+            y: jest.fn(() => 100),
+            scaleX: jest.fn(() => 1),
+            scaleY: jest.fn(() => 1)
           }
         ]
       };
@@ -297,7 +311,9 @@ describe('ExportManager', () => {
           y: jest.fn(() => 100)
         })),
         x: jest.fn(() => 100),
-        y: jest.fn(() => 100)
+        y: jest.fn(() => 100),
+        scaleX: jest.fn(() => 1),
+        scaleY: jest.fn(() => 1)
       };
 
       const mockLayer = {
@@ -316,6 +332,21 @@ describe('ExportManager', () => {
       });
       expect(positionSpy).toHaveBeenCalled();
     });
+
+    test('should keep the size of a resized charm', () => {
+      const scaleSpy = jest.fn();
+      const resizedCharm = {
+        clone: jest.fn(() => ({ scale: scaleSpy, position: jest.fn() })),
+        x: jest.fn(() => 100),
+        y: jest.fn(() => 100),
+        scaleX: jest.fn(() => 1.5),
+        scaleY: jest.fn(() => 1.5)
+      };
+
+      exportManager.cloneLayer({ children: [resizedCharm] }, 2, 1200, 900);
+
+      expect(scaleSpy).toHaveBeenCalledWith({ x: 3, y: 3 });
+    });
   });
 
   describe('Instruction Layer Creation', () => {
@@ -380,6 +411,55 @@ describe('ExportManager', () => {
     });
   });
 
+  describe('SVG Export', () => {
+    test('should write each charm with its transform', () => {
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        {
+          id: 'charm-1',
+          name: 'Heart Charm',
+          imageUrl: 'heart.png',
+          x: 100,
+          y: 120,
+          width: 50,
+          height: 60,
+          rotation: 30,
+          scaleX: 1.5,
+          scaleY: 1.5
+        }
+      ]);
+
+      const result = exportManager.exportSVG({ includeInstructions: false });
+
+      expect(result.svg).toContain('href="heart.png"');
+      expect(result.svg).toContain('transform="translate(100 120) rotate(30) scale(1.5 1.5)"');
+      expect(result.svg).not.toContain('Assembly Instructions');
+    });
+
+    test('should include the instruction box when requested', () => {
+      const result = exportManager.exportSVG({ includeInstructions: true });
+
+      expect(result.svg).toContain('Assembly Instructions');
+      expect(result.svg).toContain('1. Heart Charm');
+    });
+
+    test('should escape charm names', () => {
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'charm-1', name: 'Rock & <Roll>', x: 0, y: 0, width: 10, height: 10 }
+      ]);
+
+      const result = exportManager.exportSVG();
+
+      expect(result.svg).toContain('Rock &amp; &lt;Roll&gt;');
+    });
+
+    test('should scale to sizes beyond the raster limit', () => {
+      const result = exportManager.exportSVG({ width: 8000, height: 6000 });
+
+      expect(result.svg).toContain('viewBox="0 0 8000 6000"');
+      expect(exportManager.validateExportOptions({ format: 'SVG', width: 8000, height: 6000 })).toEqual([]);
+    });
+  });
+
   describe('JSON Export', () => {
     test('should export complete design data', () => {
       const result = exportManager.exportJSON();
@@ -447,6 +527,146 @@ describe('ExportManager', () => {
       expect(instructions.notes).toContain('Work on a clean, well-lit surface');
       expect(instructions.notes).toContain('Handle charms carefully to avoid scratches');
     });
+
+    test('should stack keychain charms from the carabiner down', () => {
+      mockCustomizer.productType = 'keychain';
+      mockCustomizer.currentNecklace = { id: 'keychain-base', name: 'Keychain' };
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.product.base).toBe('carabiner and chain');
+      expect(instructions.necklace.length).toBeNull();
+      expect(instructions.charms[0].instruction).toBe('Attach Heart Charm using jump ring at position 1 from the carabiner');
+      expect(instructions.summary.toolsRequired).toContain('split ring pliers');
+    });
+
+    test('should assign earring charms to the left and right hooks', () => {
+      mockCustomizer.productType = 'earrings';
+      mockCustomizer.charmManager.getImageBounds = jest.fn(() => ({ x: 0, y: 0, width: 300, height: 200 }));
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.charms[0].instruction).toBe('Attach Heart Charm using jump ring to the left earring hook');
+      expect(instructions.charms[1].instruction).toBe('Attach Star Charm using clasp to the right earring hook');
+    });
+
+    test('should assemble charms hanging from a charm before hanging it on the chain', () => {
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'initial', name: 'Initial A', x: 110, y: 190, parentId: 'pendant' },
+        { id: 'pendant', name: 'Pendant', x: 100, y: 100, parentId: null },
+        { id: 'star', name: 'Star', x: 50, y: 100, parentId: null },
+        { id: 'birthstone', name: 'Birthstone', x: 120, y: 260, parentId: 'initial' }
+      ]);
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.charms.map(step => step.charmId)).toEqual(['star', 'birthstone', 'initial', 'pendant']);
+      expect(instructions.charms[1].instruction).toBe('Attach Birthstone using jump ring to the loop of Initial A');
+      expect(instructions.charms[2].parentId).toBe('pendant');
+      expect(instructions.charms[3].instruction).toBe('Attach Pendant using jump ring at position 2');
+    });
+
+    test('should assemble a layered necklace one strand at a time, shortest first', () => {
+      mockCustomizer.getStrands = () => [
+        { id: null, necklace: { id: 'necklace-1', name: 'Classic Chain', chainLength: 16 } },
+        { id: 'strand-2', necklace: { id: 'necklace-1', name: 'Classic Chain', chainLength: 20 } }
+      ];
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'moon', name: 'Moon', x: 90, y: 300, strandId: 'strand-2' },
+        { id: 'initial', name: 'Initial A', x: 110, y: 390, parentId: 'moon', strandId: 'strand-2' },
+        { id: 'heart', name: 'Heart', x: 200, y: 150 },
+        { id: 'star', name: 'Star', x: 300, y: 160 }
+      ]);
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.strands).toEqual([
+        { id: null, name: 'Classic Chain', length: '16 inches' },
+        { id: 'strand-2', name: 'Classic Chain', length: '20 inches' }
+      ]);
+      expect(instructions.charms.map(step => [step.charmId, step.strandId])).toEqual([
+        ['heart', null], ['star', null], ['initial', 'strand-2'], ['moon', 'strand-2']
+      ]);
+      expect(instructions.charms[1].instruction).toBe('Attach Star using jump ring at position 2 on the 16" strand');
+      expect(instructions.charms[3].instruction).toBe('Attach Moon using jump ring at position 1 on the 20" strand');
+      expect(instructions.notes).toContain('Finish each strand, shortest first, before fastening the strands together');
+    });
+
+    test('should give bracelet length in inches', () => {
+      mockCustomizer.productType = 'bracelet';
+      mockCustomizer.currentNecklace = { id: 'bracelet-7in', name: 'Bracelet (7" wrist)', length: 7.5 };
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.product.name).toBe('Bracelet');
+      expect(instructions.necklace.length).toBe('7.5 inches');
+    });
+  });
+
+  describe('Bill of Materials', () => {
+    test('should list the necklace and each charm with prices', () => {
+      mockCustomizer.currentNecklace.price = 25;
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'charm-1', name: 'Heart Charm', price: 15, material: 'silver' },
+        { id: 'charm-2', name: 'Star Charm', price: '$2.91', material: 'gold' }
+      ]);
+
+      const bom = exportManager.generateBillOfMaterials();
+
+      expect(bom.items).toHaveLength(3);
+      expect(bom.items[0].name).toBe('Classic Chain');
+      expect(bom.items[2].unitPrice).toBeCloseTo(2.91);
+      expect(bom.total).toBeCloseTo(42.91);
+    });
+
+    test('should list each strand of a layered necklace as its own chain', () => {
+      mockCustomizer.getStrands = () => [
+        { id: null, necklace: { id: 'necklace-1', name: 'Classic Chain', chainLength: 16, priceValue: 20 } },
+        { id: 'strand-2', necklace: { id: 'necklace-1', name: 'Classic Chain', chainLength: 18, priceValue: 20 } }
+      ];
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([]);
+
+      const bom = exportManager.generateBillOfMaterials();
+
+      expect(bom.items.map(item => item.name)).toEqual(['Classic Chain (16")', 'Classic Chain (18")']);
+      expect(bom.total).toBe(40);
+    });
+
+    test('should group identical inventory charms into one line', () => {
+      mockCustomizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'a', inventoryId: 'inv-1', name: 'Heart Charm', priceValue: 4 },
+        { id: 'b', inventoryId: 'inv-1', name: 'Heart Charm', priceValue: 4 }
+      ]);
+
+      const bom = exportManager.generateBillOfMaterials();
+      const heartLine = bom.items.find(item => item.id === 'inv-1');
+
+      expect(heartLine.quantity).toBe(2);
+      expect(heartLine.total).toBe(8);
+    });
+
+    test('should add the jump rings and total the same as the price on screen', () => {
+      const charms = [
+        { id: 'a', inventoryId: 'inv-1', name: 'Heart Charm', priceValue: 4, dimensions: '12mm' },
+        { id: 'b', inventoryId: 'inv-1', name: 'Heart Charm', priceValue: 4, dimensions: '12mm' },
+        { id: 'c', inventoryId: 'inv-2', name: 'Star Charm', priceValue: 6, dimensions: '12mm' }
+      ];
+      mockCustomizer.currentNecklace.priceValue = 20;
+      mockCustomizer.charmManager.getCharmData.mockReturnValue(charms);
+      mockCustomizer.charmManager.charms = new Map(charms.map(charmData => [charmData.id, { id: () => charmData.id, charmData }]));
+      mockCustomizer.charmLayer = { add: jest.fn(), on: jest.fn(), batchDraw: jest.fn() };
+      mockCustomizer.connectorManager = new ConnectorManager(mockCustomizer);
+      mockCustomizer.connectorManager.update = jest.fn();
+      mockCustomizer.connectorManager.setMaterials([{ id: 'ring-5', name: '5mm jump ring (10 pcs)', priceValue: 1.5 }]);
+
+      const bom = exportManager.generateBillOfMaterials();
+
+      const ringLine = bom.items.find(item => item.id === 'ring-5');
+      expect(ringLine).toMatchObject({ name: '5mm jump ring', quantity: 3 });
+      expect(ringLine.total).toBeCloseTo(0.45);
+      const onScreen = 20 + 4 + 4 + 6 + mockCustomizer.connectorManager.getTotalPrice();
+      expect(bom.total).toBeCloseTo(onScreen);
+    });
   });
 
   describe('Time Estimation', () => {
@@ -491,6 +711,18 @@ describe('ExportManager', () => {
       
       expect(materials).toEqual([]);
     });
+
+    test('should count jump rings and bails drawn on the design', () => {
+      mockCustomizer.connectorManager = {
+        getConnectors: jest.fn(() => [{ charmId: 'charm-1', connector: { name: '5mm jump ring' } }]),
+        getMaterials: jest.fn(() => [{ name: '5mm jump ring', quantity: 2 }])
+      };
+
+      const instructions = exportManager.generateAssemblyInstructions();
+
+      expect(instructions.summary.materials).toEqual(['silver', 'gold', '2 × 5mm jump ring']);
+      expect(instructions.charms.find(charm => charm.charmId === 'charm-1').instruction).toContain('using 5mm jump ring');
+    });
   });
 
   describe('Difficulty Level', () => {
@@ -604,6 +836,69 @@ describe('ExportManager', () => {
       removeChild.mockRestore();
     });
 
+    test('should download PDF export as application/pdf', () => {
+      global.URL = {
+        createObjectURL: jest.fn(() => 'mock-url'),
+        revokeObjectURL: jest.fn()
+      };
+
+      const mockLink = {
+        href: '',
+        download: '',
+        click: jest.fn()
+      };
+
+      const createElement = jest.spyOn(document, 'createElement');
+      createElement.mockReturnValue(mockLink);
+
+      const appendChild = jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+      const removeChild = jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+
+      const exportData = {
+        type: 'pdf',
+        dataURL: `data:application/pdf;filename=generated.pdf;base64,${btoa('%PDF-1.3')}`
+      };
+
+      exportManager.downloadExport(exportData, 'test-design');
+
+      const blob = global.URL.createObjectURL.mock.calls[0][0];
+      expect(blob.type).toBe('application/pdf');
+      expect(mockLink.download).toBe('test-design.pdf');
+
+      createElement.mockRestore();
+      appendChild.mockRestore();
+      removeChild.mockRestore();
+    });
+
+    test('should download SVG export', () => {
+      global.URL = {
+        createObjectURL: jest.fn(() => 'mock-url'),
+        revokeObjectURL: jest.fn()
+      };
+
+      const mockLink = {
+        href: '',
+        download: '',
+        click: jest.fn()
+      };
+
+      const createElement = jest.spyOn(document, 'createElement');
+      createElement.mockReturnValue(mockLink);
+
+      const appendChild = jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+      const removeChild = jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+
+      exportManager.downloadExport({ type: 'svg', svg: '<svg></svg>' }, 'test-design');
+
+      const blob = global.URL.createObjectURL.mock.calls[0][0];
+      expect(blob.type).toBe('image/svg+xml');
+      expect(mockLink.download).toBe('test-design.svg');
+
+      createElement.mockRestore();
+      appendChild.mockRestore();
+      removeChild.mockRestore();
+    });
+
     test('should throw error for unsupported download type', () => {
       const exportData = {
         type: 'unsupported'
@@ -615,13 +910,41 @@ describe('ExportManager', () => {
   });
 
   describe('Shareable Links', () => {
-    test('should return mock shareable link', async () => {
-      const exportData = { type: 'image' };
-      const result = await exportManager.createShareableLink(exportData);
-      
-      expect(result.success).toBe(false);
-      expect(result.message).toContain('backend service');
-      expect(result.mockUrl).toMatch(/^https:\/\/timothie-co\.com\/designs\/\d+$/);
+    test('should encode the design into the link fragment', async () => {
+      const result = await exportManager.createShareableLink({ baseUrl: 'https://timothie-co.com/customizer' });
+
+      expect(result.success).toBe(true);
+      expect(result.shortened).toBe(false);
+      expect(result.url).toBe(`https://timothie-co.com/customizer#design=${result.encoded}`);
+    });
+
+    test('should use a short id when the backend can store the design', async () => {
+      const saveDesign = jest.fn(async () => ({ id: 'abc-123' }));
+
+      const result = await exportManager.createShareableLink({
+        baseUrl: 'https://timothie-co.com/customizer',
+        saveDesign,
+        preferShortId: true
+      });
+
+      expect(saveDesign).toHaveBeenCalledWith(mockCustomizer.getDesignData.mock.results[0].value);
+      expect(result.shortened).toBe(true);
+      expect(result.url).toBe('https://timothie-co.com/customizer#design-id=abc-123');
+    });
+
+    test('should fall back to the encoded link when saving fails', async () => {
+      const saveDesign = jest.fn(async () => {
+        throw new Error('offline');
+      });
+
+      const result = await exportManager.createShareableLink({
+        baseUrl: 'https://timothie-co.com/customizer',
+        saveDesign,
+        preferShortId: true
+      });
+
+      expect(result.shortened).toBe(false);
+      expect(result.url).toContain('#design=');
     });
   });
 
@@ -0,0 +1,142 @@
+/**
+ * HangingPhysics Unit Tests
+ * Tests pendulum swinging, settling and resting against neighbouring charms
+ */
+
+import HangingPhysics from '../../../src/js/core/HangingPhysics.js';
+import CharmManager from '../../../src/js/core/CharmManager.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('HangingPhysics', () => {
+  let charmManager;
+  let physics;
+
+  // Charm hanging from its bail at (bailX, bailY), 20px wide and 40px tall by default
+  const addCharm = (id, bailX, bailY, height = 40) => {
+    const charm = new Konva.Image({ id, x: bailX - 10, y: bailY, width: 20, height });
+    charm.charmData = { id, name: `Charm ${id}` };
+    charmManager.charms.set(id, charm);
+    return charm;
+  };
+
+  const bailOf = charm => {
+    const offset = CharmManager.prototype.getBailOffset(charm);
+    return { x: charm.x() + offset.x, y: charm.y() + offset.y };
+  };
+
+  beforeEach(() => {
+    charmManager = {
+      charms: new Map(),
+      charmLayer: new Konva.Layer(), // Not on a stage, so swings settle without animating
+      getBailOffset: CharmManager.prototype.getBailOffset,
+      refreshGroupSelection: jest.fn()
+    };
+    physics = new HangingPhysics(charmManager);
+  });
+
+  test('should swing a tilted charm back to hanging straight down', async () => {
+    const charm = addCharm('a', 100, 100);
+    physics.setHangAngle(charm, { x: 100, y: 100 }, Math.PI / 4);
+
+    const tangled = await physics.swing([charm]);
+
+    expect(charm.rotation()).toBe(0);
+    expect(bailOf(charm).x).toBeCloseTo(100);
+    expect(bailOf(charm).y).toBeCloseTo(100);
+    expect(tangled).toEqual([]);
+  });
+
+  test('should come to rest leaning on a neighbour instead of overlapping it', async () => {
+    addCharm('a', 100, 100);
+    const charm = addCharm('b', 112, 100);
+
+    await physics.swing([charm]);
+
+    expect(Math.abs(charm.rotation())).toBeGreaterThan(0);
+    expect(physics.overlapsNeighbours(charm)).toBe(false);
+    expect(bailOf(charm).x).toBeCloseTo(112);
+  });
+
+  test('should report charms that cannot hang clear of each other as tangled', async () => {
+    addCharm('a', 100, 100);
+    const charm = addCharm('b', 100, 100, 10); // Too short to swing clear of 'a'
+
+    const tangled = await physics.swing([charm]);
+
+    expect(tangled).toEqual(['a', 'b']);
+  });
+
+  test('should let charms on different strands hang over each other', async () => {
+    charmManager.getStrandId = CharmManager.prototype.getStrandId;
+    charmManager.strandPaths = new Map([['strand-2', {}]]);
+    addCharm('a', 100, 100);
+    const charm = addCharm('b', 112, 100);
+    charm.charmData.strandId = 'strand-2';
+
+    const tangled = await physics.swing([charm]);
+
+    expect(charm.rotation()).toBe(0);
+    expect(tangled).toEqual([]);
+  });
+
+  test('should rest a dropped charm against its neighbour by swinging about the bail', () => {
+    addCharm('a', 100, 100);
+    const charm = addCharm('b', 0, 0);
+
+    const position = physics.restAgainstNeighbours(charm, { x: 104, y: 100 });
+
+    expect(physics.overlapsNeighbours(charm)).toBe(false);
+    expect(charm.rotation()).not.toBe(0);
+    expect(position).toEqual(charm.position());
+    expect(bailOf(charm).x).toBeCloseTo(114);
+  });
+
+  test('should keep the angle of a charm turned by hand', () => {
+    addCharm('a', 100, 100);
+    const charm = addCharm('b', 0, 0);
+    charm.rotation(30);
+
+    const position = physics.restAgainstNeighbours(charm, { x: 104, y: 100 });
+
+    expect(position).toEqual({ x: 104, y: 100 });
+    expect(charm.rotation()).toBe(30);
+  });
+
+  test('should swing a charm turned by hand back to its own angle', async () => {
+    const charm = addCharm('a', 100, 100);
+    charm.rotation(30);
+    const bail = bailOf(charm);
+
+    await physics.swing([charm]);
+    expect(charm.rotation()).toBeCloseTo(30);
+
+    // Knocked off its angle, e.g. by a neighbour, it still swings back to where it was turned
+    physics.setHangAngle(charm, bail, Math.PI / 2);
+    await physics.swing([charm]);
+    expect(charm.rotation()).toBeCloseTo(30);
+    expect(bailOf(charm).x).toBeCloseTo(bail.x);
+    expect(bailOf(charm).y).toBeCloseTo(bail.y);
+  });
+
+  test('should give a released charm the swing of the drag', () => {
+    const charm = addCharm('a', 100, 100);
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    physics.trackDrag(charm);
+    charm.x(charm.x() + 20);
+    now.mockReturnValue(1100);
+    physics.trackDrag(charm);
+    now.mockRestore();
+
+    charmManager.charmLayer.getStage = jest.fn(() => ({})); // Animate instead of settling at once
+    physics.swing([charm]);
+    physics.step(1 / 60);
+
+    expect(charm.rotation()).toBeGreaterThan(0);
+    physics.stop();
+  });
+});
@@ -12,6 +12,7 @@ jest.mock('konva', () => require('../../mocks/konvaMock.js'));
 // Mock the import modules
 jest.mock('../../../src/js/core/CharmManager.js', () => {
   const mockCharmManager = jest.fn().mockImplementation(() => ({
+    charms: new Map(),
     addCharm: jest.fn().mockResolvedValue({ id: () => 'mock-charm' }),
     removeCharm: jest.fn().mockReturnValue(true),
     clearAll: jest.fn(),
@@ -19,9 +20,33 @@ jest.mock('../../../src/js/core/CharmManager.js', () => {
     getState: jest.fn().mockReturnValue({}),
     loadState: jest.fn(),
     setAttachmentZones: jest.fn(),
+    setChainPath: jest.fn(),
+    setStrandPath: jest.fn(),
+    removeStrand: jest.fn().mockReturnValue(0),
+    setZoneLock: jest.fn(),
+    setScale: jest.fn(),
+    setPhysicsEnabled: jest.fn().mockResolvedValue([]),
+    getImageBounds: jest.fn().mockReturnValue({ x: 0, y: 0, width: 100, height: 100 }),
+    refitCharms: jest.fn(),
     showSelection: jest.fn(),
     hideSelection: jest.fn(),
+    getCharmsInRect: jest.fn().mockReturnValue([]),
+    moveCharms: jest.fn().mockReturnValue(0),
+    alignCharms: jest.fn().mockReturnValue(true),
+    distributeCharms: jest.fn().mockReturnValue(true),
+    rotateCharm: jest.fn().mockReturnValue(true),
+    scaleCharm: jest.fn().mockReturnValue(true),
     getCharmData: jest.fn().mockReturnValue([]),
+    setAxisLock: jest.fn(axis => axis),
+    getParentCharm: jest.fn().mockReturnValue(null),
+    detachCharm: jest.fn().mockReturnValue(true),
+    updateChildren: jest.fn(),
+    snapGuides: {
+      enabled: true,
+      setEnabled: jest.fn(),
+      setGrid: jest.fn(options => ({ enabled: false, size: 20, ...options })),
+      drawGrid: jest.fn()
+    },
     onCharmPlaced: null,
     onCharmMoved: null,
     onCharmSelected: null,
@@ -38,7 +63,8 @@ jest.mock('../../../src/js/core/StateManager.js', () => {
     undo: jest.fn().mockReturnValue(null),
     redo: jest.fn().mockReturnValue(null),
     canUndo: jest.fn().mockReturnValue(false),
-    canRedo: jest.fn().mockReturnValue(false)
+    canRedo: jest.fn().mockReturnValue(false),
+    getCurrentState: jest.fn().mockReturnValue(null)
   }));
   
   // Return the mock constructor
@@ -240,6 +266,407 @@ describe('JewelryCustomizer', () => {
 
       expect(customizer.backgroundLayer.destroyChildren).toHaveBeenCalled();
     });
+
+    test('should read zones and chain path from product customization options', async () => {
+      const product = {
+        id: 'product-1',
+        name: 'Paperclip Chain',
+        image_url: 'paperclip.png',
+        customization_options: {
+          chain_path: { points: [[0.2, 0.2], [0.5, 0.8], [0.8, 0.2]] },
+          attachment_zones: [{ x: 0.5, y: 0.5, radius: 0.1, capacity: 2 }]
+        }
+      };
+
+      await customizer.loadNecklace(product);
+
+      const image = customizer.currentNecklace.konvaImage;
+      expect(customizer.imageLoader.loadImage).toHaveBeenCalledWith('paperclip.png');
+      expect(customizer.charmManager.setChainPath).toHaveBeenCalledWith(product.customization_options.chain_path, image);
+      expect(customizer.charmManager.setAttachmentZones).toHaveBeenCalledWith([{
+        x: image.width() * 0.5,
+        y: image.height() * 0.5,
+        radius: image.width() * 0.1,
+        capacity: 2,
+        occupied: false
+      }], image);
+    });
+
+    test('should switch necklace, re-fit charms and save one undo step', async () => {
+      const onNecklaceChanged = jest.fn();
+      customizer.onNecklaceChanged = onNecklaceChanged;
+      customizer.stateManager.getCurrentState.mockReturnValue({ charms: [] });
+      customizer.stateManager.saveState.mockClear();
+
+      const switched = await customizer.switchNecklace({ id: 'rope-chain', name: 'Rope Chain', imageUrl: 'rope.png' });
+
+      expect(switched).toBe(true);
+      expect(customizer.imageLoader.loadImage).toHaveBeenCalledWith('rope.png');
+      expect(customizer.charmManager.refitCharms).toHaveBeenCalledWith({ x: 0, y: 0, width: 100, height: 100 });
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+      expect(customizer.stateManager.saveState.mock.calls[0][0].necklace).toEqual(
+        expect.objectContaining({ id: 'rope-chain', imageUrl: 'rope.png' })
+      );
+      expect(customizer.stateManager.saveState.mock.calls[0][0].necklace.konvaImage).toBeUndefined();
+      expect(onNecklaceChanged).toHaveBeenCalledWith(customizer.currentNecklace);
+    });
+
+    test('should record the starting state before the first switch', async () => {
+      customizer.stateManager.saveState.mockClear();
+
+      await customizer.switchNecklace({ id: 'rope-chain', name: 'Rope Chain', imageUrl: 'rope.png' });
+
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(2);
+      expect(customizer.stateManager.saveState.mock.calls[0][0].necklace.id).toBe('classic-chain');
+    });
+
+    test('should not switch to the necklace already loaded', async () => {
+      customizer.imageLoader.loadImage.mockClear();
+
+      const switched = await customizer.switchNecklace({ id: 'classic-chain', name: 'Classic Chain' });
+
+      expect(switched).toBe(false);
+      expect(customizer.imageLoader.loadImage).not.toHaveBeenCalled();
+      expect(customizer.charmManager.refitCharms).not.toHaveBeenCalled();
+    });
+
+    test('should not save state when the new necklace fails to load', async () => {
+      customizer.stateManager.getCurrentState.mockReturnValue({ charms: [] });
+      customizer.stateManager.saveState.mockClear();
+      customizer.imageLoader.loadImage.mockRejectedValue(new Error('Image load failed'));
+
+      const switched = await customizer.switchNecklace({ id: 'rope-chain', name: 'Rope Chain', imageUrl: 'rope.png' });
+
+      expect(switched).toBe(false);
+      expect(customizer.currentNecklace.id).toBe('classic-chain');
+      expect(customizer.stateManager.saveState).not.toHaveBeenCalled();
+    });
+
+    test('should reload the previous necklace when undoing a switch', async () => {
+      const previousState = {
+        charms: [],
+        necklace: { id: 'rope-chain', name: 'Rope Chain', imageUrl: 'rope.png' }
+      };
+      customizer.stateManager.undo.mockReturnValue(previousState);
+      const restoreSpy = jest.spyOn(customizer, 'restoreState');
+
+      customizer.undo();
+      await restoreSpy.mock.results[0].value;
+
+      expect(customizer.imageLoader.loadImage).toHaveBeenCalledWith('rope.png');
+      expect(customizer.currentNecklace.id).toBe('rope-chain');
+      expect(customizer.charmManager.loadState).toHaveBeenCalledWith(previousState);
+    });
+  });
+
+  describe('Mirror Mode', () => {
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+      customizer.charmManager.getMirrorAxis = jest.fn().mockReturnValue(400);
+      customizer.charmManager.setMirrorMode = jest.fn(enabled => {
+        customizer.charmManager.mirrorMode = enabled;
+        return !enabled;
+      });
+    });
+
+    test('should place a twin with each charm as one undo step', async () => {
+      const twin = { id: () => 'twin' };
+      customizer.charmManager.addTwin = jest.fn().mockResolvedValue(twin);
+      customizer.onCharmPlaced = jest.fn();
+      customizer.setMirrorMode(true);
+      customizer.stateManager.saveState.mockClear();
+
+      await customizer.addCharm({ id: 'heart' }, { x: 100, y: 100 });
+
+      expect(customizer.charmManager.addTwin).toHaveBeenCalled();
+      expect(customizer.onCharmPlaced).toHaveBeenCalledWith(twin);
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give a duplicated twin its own twin and leave the original pair alone', async () => {
+      const { default: RealCharmManager } = jest.requireActual('../../../src/js/core/CharmManager.js');
+      customizer.charmManager = new RealCharmManager(customizer.charmLayer, customizer.options);
+      customizer.charmManager.setMirrorMode(true);
+
+      const original = await customizer.addCharm({ ...mockCharms.charmOne }, { x: 0, y: 200 });
+      const twin = customizer.charmManager.getTwin(original);
+      const twinPosition = { ...twin.position() };
+
+      customizer.selectCharms([original]);
+      const [copy] = await customizer.duplicateSelectedCharms();
+
+      expect(customizer.charmManager.getTwin(copy)).not.toBe(twin);
+      expect(customizer.charmManager.getTwin(original)).toBe(twin);
+      expect(customizer.charmManager.getCharmCount()).toBe(4);
+
+      customizer.charmManager.moveCharms([copy.id()], 30, 0);
+      expect(twin.position()).toEqual(twinPosition);
+
+      customizer.charmManager.removeCharm(copy.id());
+      expect(customizer.charmManager.charms.get(twin.id())).toBe(twin);
+      expect(customizer.charmManager.getTwin(original)).toBe(twin);
+      expect(customizer.charmManager.getCharmCount()).toBe(2);
+    });
+
+    test('should load a mirrored pair as saved without placing more twins', async () => {
+      customizer.charmManager.addTwin = jest.fn();
+      customizer.setMirrorMode(true);
+
+      await customizer.loadDesign({
+        charms: [
+          { ...mockCharms.charmOne, id: 'left', twinId: 'right', x: 100, y: 200 },
+          { ...mockCharms.charmOne, id: 'right', twinId: 'left', x: 700, y: 200 }
+        ]
+      });
+
+      expect(customizer.charmManager.addTwin).not.toHaveBeenCalled();
+      expect(customizer.charmManager.addCharm.mock.calls.map(([charmData]) => charmData.twinId)).toEqual(['right', 'left']);
+    });
+
+    test('should report the twin removed along with its charm', () => {
+      customizer.charmManager.charms.set('left', { id: () => 'left', charmData: { twinId: 'right' } });
+      customizer.onCharmRemoved = jest.fn();
+      customizer.saveState = jest.fn();
+
+      customizer.removeCharm('left');
+
+      expect(customizer.onCharmRemoved.mock.calls).toEqual([['left'], ['right']]);
+    });
+
+    test('should draw the centre line while on and record unlinking', () => {
+      customizer.setMirrorMode(true);
+      expect(customizer.mirrorGuide.config.points).toEqual([400, 0, 400, customizer.stage.height()]);
+
+      customizer.stateManager.saveState.mockClear();
+      expect(customizer.setMirrorMode(false)).toBe(false);
+      expect(customizer.mirrorGuide).toBeNull();
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Arrange', () => {
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+      customizer.stateManager.saveState.mockClear();
+    });
+
+    test('should record an arrangement as one undo step', async () => {
+      customizer.charmManager.arrangeCharms = jest.fn().mockResolvedValue(3);
+
+      expect(await customizer.arrangeCharms('graduated')).toBe(3);
+
+      expect(customizer.charmManager.arrangeCharms).toHaveBeenCalledWith('graduated');
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a failed arrangement without saving', async () => {
+      customizer.charmManager.arrangeCharms = jest.fn(() => { throw new Error('Unknown arrangement: spiral'); });
+      customizer.onError = jest.fn();
+
+      expect(await customizer.arrangeCharms('spiral')).toBe(0);
+
+      expect(customizer.onError).toHaveBeenCalled();
+      expect(customizer.stateManager.saveState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Chain Length', () => {
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+    });
+
+    test('should calibrate the default necklace to real-world scale', () => {
+      expect(customizer.currentNecklace.chainLength).toBe(18);
+      expect(customizer.pixelsPerMm).toBeGreaterThan(0);
+      expect(customizer.charmManager.setScale).toHaveBeenLastCalledWith(customizer.pixelsPerMm);
+    });
+
+    test('should lengthen the chain from the neck down and keep the scale', async () => {
+      const before = customizer.currentNecklace.konvaImage;
+      const pixelsPerMm = customizer.pixelsPerMm;
+      customizer.stateManager.getCurrentState.mockReturnValue({ charms: [] });
+      customizer.stateManager.saveState.mockClear();
+
+      const changed = await customizer.setChainLength(24);
+
+      const after = customizer.currentNecklace.konvaImage;
+      expect(changed).toBe(true);
+      expect(customizer.currentNecklace.chainLength).toBe(24);
+      expect(after.height()).toBeCloseTo(before.height() * 24 / 18);
+      expect(after.y()).toBeCloseTo(before.y());
+      expect(customizer.pixelsPerMm).toBeCloseTo(pixelsPerMm);
+      expect(customizer.charmManager.refitCharms).toHaveBeenCalled();
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the chosen length when switching necklace', async () => {
+      await customizer.setChainLength(20);
+
+      await customizer.switchNecklace({ id: 'rope-chain', name: 'Rope Chain', imageUrl: 'rope.png', length: 18 });
+
+      expect(customizer.currentNecklace.chainLength).toBe(20);
+      expect(customizer.getDesignData().necklace.chainLength).toBe(20);
+    });
+
+    test('should not offer chain lengths for earrings', async () => {
+      await customizer.setProductType('earrings');
+
+      expect(await customizer.setChainLength(20)).toBe(false);
+      expect(customizer.currentNecklace.chainLength).toBeUndefined();
+    });
+  });
+
+  describe('Layered Strands', () => {
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+      customizer.stateManager.getCurrentState.mockReturnValue({ charms: [] });
+    });
+
+    test('should layer a longer strand in its own layer below the charms', async () => {
+      const strand = await customizer.addStrand();
+
+      expect(strand.id).toBe('strand-2');
+      expect(strand.necklace.chainLength).toBe(20);
+      expect(strand.necklace.konvaImage.height()).toBeCloseTo(customizer.currentNecklace.konvaImage.height() * 20 / 18);
+      expect(customizer.stage.children).toEqual([customizer.backgroundLayer, strand.layer, customizer.charmLayer, customizer.uiLayer]);
+      expect(customizer.charmManager.setStrandPath).toHaveBeenCalledWith('strand-2', expect.anything(), strand.necklace.konvaImage);
+
+      await customizer.addStrand(16);
+      expect(customizer.getStrands().map(chain => [chain.id, chain.necklace.chainLength]))
+        .toEqual([['strand-3', 16], [null, 18], ['strand-2', 20]]);
+      expect(customizer.getDesignData().strands).toEqual([{ id: 'strand-3', chainLength: 16 }, { id: 'strand-2', chainLength: 20 }]);
+      expect(customizer.stateManager.saveState).toHaveBeenLastCalledWith(expect.objectContaining({
+        strands: [{ id: 'strand-3', chainLength: 16 }, { id: 'strand-2', chainLength: 20 }]
+      }));
+    });
+
+    test('should keep every chain at a different length and stop at the most strands', async () => {
+      expect(await customizer.addStrand(18)).toBeNull();
+
+      await customizer.addStrand(20);
+      expect(await customizer.setChainLength(20)).toBe(false);
+      expect(await customizer.setStrandLength('strand-2', 24)).toBe(true);
+      expect(customizer.strands[0].necklace.chainLength).toBe(24);
+      expect(customizer.charmManager.refitCharms).toHaveBeenCalled();
+
+      await customizer.addStrand();
+      expect(customizer.strands).toHaveLength(2);
+      expect(await customizer.addStrand()).toBeNull();
+    });
+
+    test('should move charms to the main chain when a strand is removed', async () => {
+      const { layer } = await customizer.addStrand();
+
+      expect(customizer.removeStrand('strand-2')).toBe(true);
+
+      expect(layer.destroy).toHaveBeenCalled();
+      expect(customizer.charmManager.removeStrand).toHaveBeenCalledWith('strand-2');
+      expect(customizer.getDesignData().strands).toBeUndefined();
+    });
+
+    test('should rebuild strands before their charms on undo and load', async () => {
+      const order = [];
+      customizer.charmManager.setStrandPath.mockImplementation(id => order.push(`strand ${id}`));
+      customizer.charmManager.loadState.mockImplementation(() => order.push('charms'));
+      customizer.charmManager.addCharm.mockImplementation(async () => order.push('charms'));
+
+      await customizer.restoreState({ necklace: customizer.getNecklaceState(), strands: [{ id: 'strand-2', chainLength: 20 }], charms: [] });
+      expect(order).toEqual(['strand strand-2', 'charms']);
+
+      order.length = 0;
+      await customizer.loadDesign({
+        necklace: customizer.getDesignData().necklace,
+        strands: [{ id: 'strand-4', chainLength: 24 }],
+        charms: [{ ...mockCharms.charmOne, strandId: 'strand-4' }]
+      });
+      expect(order).toEqual(['strand strand-4', 'charms']);
+      expect(customizer.charmManager.removeStrand).toHaveBeenCalledWith('strand-2');
+      expect(customizer.getStrands()).toHaveLength(2);
+    });
+
+    test('should drop the strands when designing another product', async () => {
+      await customizer.addStrand();
+
+      await customizer.setProductType('earrings');
+
+      expect(customizer.strands).toEqual([]);
+      expect(customizer.charmManager.removeStrand).toHaveBeenCalledWith('strand-2');
+      expect(await customizer.addStrand()).toBeNull();
+    });
+  });
+
+  describe('Product Types', () => {
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+    });
+
+    test('should start on the necklace product', () => {
+      expect(customizer.productType).toBe('necklace');
+      expect(customizer.getMaxCharms()).toBe(12);
+    });
+
+    test('should switch to a drawn bracelet base sized for the wrist', async () => {
+      customizer.imageLoader.loadImage.mockClear();
+
+      const switched = await customizer.setProductType('bracelet', { wristSize: 7 });
+
+      expect(switched).toBe(true);
+      expect(customizer.imageLoader.loadImage).not.toHaveBeenCalled();
+      expect(customizer.productType).toBe('bracelet');
+      expect(customizer.currentNecklace).toEqual(expect.objectContaining({
+        id: 'bracelet-7in',
+        wristSize: 7,
+        length: 7.5
+      }));
+      expect(customizer.charmManager.setChainPath).toHaveBeenLastCalledWith(
+        customizer.currentNecklace.customization_options.chain_path,
+        customizer.currentNecklace.konvaImage
+      );
+      expect(customizer.charmManager.setZoneLock).toHaveBeenLastCalledWith(false);
+      expect(customizer.getMaxCharms()).toBe(8);
+    });
+
+    test('should lock charms to the hooks for earrings', async () => {
+      await customizer.setProductType('earrings');
+
+      expect(customizer.charmManager.setZoneLock).toHaveBeenLastCalledWith(true);
+      expect(customizer.charmManager.setAttachmentZones.mock.calls.at(-1)[0]).toHaveLength(2);
+    });
+
+    test('should remove charms that do not fit the new product', async () => {
+      const onCharmRemoved = jest.fn();
+      customizer.onCharmRemoved = onCharmRemoved;
+      customizer.charmManager.getCharmData.mockReturnValue([
+        { id: 'charm-1' }, { id: 'charm-2' }, { id: 'charm-3' }
+      ]);
+
+      await customizer.setProductType('earrings');
+
+      expect(customizer.charmManager.removeCharm).toHaveBeenCalledTimes(1);
+      expect(customizer.charmManager.removeCharm).toHaveBeenCalledWith('charm-3');
+      expect(onCharmRemoved).toHaveBeenCalledWith('charm-3');
+    });
+
+    test('should reject charms beyond the product limit', async () => {
+      await customizer.setProductType('earrings');
+      customizer.charmManager.getCharmCount.mockReturnValue(2);
+
+      const result = await customizer.addCharm(mockCharms.charmOne, { x: 100, y: 100 });
+
+      expect(result).toBeNull();
+      expect(customizer.charmManager.addCharm).not.toHaveBeenCalled();
+    });
+
+    test('should rebuild a built-in base from saved design data', () => {
+      const base = customizer.resolveBaseData({ id: 'keychain-base', name: 'Keychain', productType: 'keychain' });
+
+      expect(base.customization_options.chain_path.points).toEqual([[0.5, 0.3], [0.5, 0.98]]);
+    });
   });
 
   describe('Selection Management', () => {
@@ -276,6 +703,79 @@ describe('JewelryCustomizer', () => {
 
       expect(customizer.selectedCharm).toBe(mockCharm2);
     });
+
+    test('should add and remove charms with shift-click', () => {
+      const mockCharm1 = { id: () => 'charm-1' };
+      const mockCharm2 = { id: () => 'charm-2' };
+
+      customizer.selectCharm(mockCharm1);
+      customizer.selectCharm(mockCharm2, { additive: true });
+
+      expect(customizer.getSelectedCharms()).toEqual([mockCharm1, mockCharm2]);
+      expect(customizer.charmManager.showSelection).toHaveBeenLastCalledWith([mockCharm1, mockCharm2]);
+
+      customizer.selectCharm(mockCharm1, { additive: true });
+
+      expect(customizer.getSelectedCharms()).toEqual([mockCharm2]);
+    });
+
+    test('should select charms inside a marquee', () => {
+      const mockCharm1 = { id: () => 'charm-1' };
+      const mockCharm2 = { id: () => 'charm-2' };
+      customizer.charmManager.getCharmsInRect.mockReturnValue([mockCharm1, mockCharm2]);
+
+      const rect = { x: 0, y: 0, width: 200, height: 200 };
+      customizer.selectCharmsInRect(rect);
+
+      expect(customizer.charmManager.getCharmsInRect).toHaveBeenCalledWith(rect);
+      expect(customizer.getSelectedCharmIds()).toEqual(['charm-1', 'charm-2']);
+    });
+
+    test('should notify listeners when the selection changes', () => {
+      customizer.onSelectionChanged = jest.fn();
+      const mockCharm = { id: () => 'test-charm' };
+
+      customizer.selectCharm(mockCharm);
+      customizer.deselectCharm();
+
+      expect(customizer.onSelectionChanged).toHaveBeenCalledWith([mockCharm]);
+      expect(customizer.onSelectionChanged).toHaveBeenLastCalledWith([]);
+    });
+  });
+
+  describe('Group Operations', () => {
+    const mockCharm1 = { id: () => 'charm-1' };
+    const mockCharm2 = { id: () => 'charm-2' };
+
+    beforeEach(async () => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+      customizer.selectCharms([mockCharm1, mockCharm2]);
+      customizer.stateManager.saveState.mockClear();
+    });
+
+    test('should delete all selected charms as one undo step', () => {
+      customizer.onCharmRemoved = jest.fn();
+
+      expect(customizer.removeSelectedCharms()).toBe(2);
+
+      expect(customizer.charmManager.removeCharm).toHaveBeenCalledWith('charm-1');
+      expect(customizer.charmManager.removeCharm).toHaveBeenCalledWith('charm-2');
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+      expect(customizer.onCharmRemoved).toHaveBeenCalledTimes(2);
+      expect(customizer.getSelectedCharms()).toEqual([]);
+    });
+
+    test('should move, align and distribute the selection', () => {
+      customizer.moveSelectedCharms(10, 0);
+      customizer.alignSelectedCharms('top');
+      customizer.distributeSelectedCharms('horizontal');
+
+      expect(customizer.charmManager.moveCharms).toHaveBeenCalledWith(['charm-1', 'charm-2'], 10, 0);
+      expect(customizer.charmManager.alignCharms).toHaveBeenCalledWith(['charm-1', 'charm-2'], 'top');
+      expect(customizer.charmManager.distributeCharms).toHaveBeenCalledWith(['charm-1', 'charm-2'], 'horizontal');
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(3);
+    });
   });
 
   describe('State Management', () => {
@@ -319,6 +819,23 @@ describe('JewelryCustomizer', () => {
       expect(customizer.charmManager.loadState).toHaveBeenCalledWith(mockState);
     });
 
+    test('should save an undo step when a charm is transformed', () => {
+      customizer.handleCharmTransformed({ id: () => 'test-charm' });
+
+      expect(customizer.stateManager.saveState).toHaveBeenCalled();
+    });
+
+    test('should rotate and scale the selected charm', () => {
+      const mockCharm = { id: () => 'test-charm', scaleX: () => 1 };
+      customizer.selectedCharm = mockCharm;
+
+      customizer.rotateSelectedCharm();
+      customizer.scaleSelectedCharm(1.25);
+
+      expect(customizer.charmManager.rotateCharm).toHaveBeenCalledWith('test-charm', 15);
+      expect(customizer.charmManager.scaleCharm).toHaveBeenCalledWith('test-charm', 1.25);
+    });
+
     test('should check undo/redo availability', () => {
       customizer.stateManager.canUndo.mockReturnValue(true);
       customizer.stateManager.canRedo.mockReturnValue(false);
@@ -383,6 +900,145 @@ describe('JewelryCustomizer', () => {
     });
   });
 
+  describe('Copy and Paste', () => {
+    const copiedCharm = { ...mockCharms.charmOne, id: 'charm-1', x: 100, y: 120, rotation: 30, scaleX: 1.5, scaleY: 1.5 };
+    let systemClipboard;
+
+    beforeEach(async () => {
+      systemClipboard = {
+        writeText: jest.fn().mockResolvedValue(undefined),
+        readText: jest.fn().mockRejectedValue(new Error('Permission denied'))
+      };
+      Object.defineProperty(navigator, 'clipboard', { value: systemClipboard, configurable: true });
+
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      await customizer.init();
+      customizer.charmManager.getCharmData.mockReturnValue([copiedCharm]);
+      customizer.selectCharms([{ id: () => 'charm-1' }]);
+      customizer.stateManager.saveState.mockClear();
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    test('should copy selected charms to the clipboard as JSON', async () => {
+      expect(await customizer.copySelectedCharms()).toBe(1);
+
+      const written = JSON.parse(systemClipboard.writeText.mock.calls[0][0]);
+      expect(written.type).toBe('timothie-charms');
+      expect(written.charms).toEqual([copiedCharm]);
+      expect(customizer.announcer.textContent).toBe('Charm copied');
+    });
+
+    test('should paste copies with an offset and a fresh id', async () => {
+      await customizer.copySelectedCharms();
+      await customizer.pasteCharms();
+      await customizer.pasteCharms();
+
+      const [firstData, firstPosition] = customizer.charmManager.addCharm.mock.calls[0];
+      expect(firstData.id).toBeUndefined();
+      expect(firstData.rotation).toBe(30);
+      expect(firstData.scaleX).toBe(1.5);
+      expect(firstPosition).toEqual({ x: 120, y: 140 });
+      expect(customizer.charmManager.addCharm.mock.calls[1][1]).toEqual({ x: 140, y: 160 });
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(2);
+    });
+
+    test('should paste charms copied in another tab', async () => {
+      const otherTabCharm = { ...mockCharms.charmTwo, id: 'other', x: 50, y: 60 };
+      systemClipboard.readText.mockResolvedValue(JSON.stringify({
+        type: 'timothie-charms',
+        version: 1,
+        charms: [otherTabCharm]
+      }));
+
+      await customizer.pasteCharms();
+
+      expect(customizer.charmManager.addCharm).toHaveBeenCalledWith(
+        expect.objectContaining({ title: mockCharms.charmTwo.title }),
+        { x: 70, y: 80 }
+      );
+    });
+
+    test('should ignore clipboard text that is not copied charms', async () => {
+      systemClipboard.readText.mockResolvedValue('just some text');
+
+      expect(await customizer.pasteCharms()).toEqual([]);
+      expect(customizer.charmManager.addCharm).not.toHaveBeenCalled();
+    });
+
+    test('should hang copied children from the copies of their parents only', async () => {
+      const parent = { ...copiedCharm, id: 'parent', childIds: ['charm-1'] };
+      const child = { ...copiedCharm, parentId: 'parent' };
+      customizer.charmManager.setParentCharm = jest.fn();
+      customizer.charmManager.addCharm.mockImplementation(async charmData => ({ id: () => 'copy', charmData }));
+
+      customizer.charmManager.getCharmData.mockReturnValue([child]);
+      await customizer.duplicateSelectedCharms();
+      expect(customizer.charmManager.addCharm.mock.calls[0][0].parentId).toBeUndefined();
+      expect(customizer.charmManager.setParentCharm).not.toHaveBeenCalled();
+
+      customizer.charmManager.getCharmData.mockReturnValue([parent, child]);
+      customizer.selectCharms([{ id: () => 'parent' }, { id: () => 'charm-1' }]);
+      const [parentCopy, childCopy] = await customizer.duplicateSelectedCharms();
+      expect(customizer.charmManager.addCharm.mock.calls[1][0].childIds).toBeUndefined();
+      const [[hung, hungFrom]] = customizer.charmManager.setParentCharm.mock.calls;
+      expect(hung).toBe(childCopy);
+      expect(hungFrom).toBe(parentCopy);
+    });
+
+    test('should not paste past the charm limit', async () => {
+      customizer.onError = jest.fn();
+      customizer.charmManager.getCharmCount.mockReturnValue(customizer.options.maxCharms);
+
+      expect(await customizer.duplicateSelectedCharms()).toEqual([]);
+
+      expect(customizer.charmManager.addCharm).not.toHaveBeenCalled();
+      expect(customizer.onError).toHaveBeenCalledWith('Failed to paste charms', expect.any(Error));
+    });
+
+    test('should duplicate with Ctrl+D', () => {
+      customizer.duplicateSelectedCharms = jest.fn();
+
+      const event = new KeyboardEvent('keydown', { key: 'd', ctrlKey: true, cancelable: true, bubbles: true });
+      customizer.container.dispatchEvent(event);
+
+      expect(customizer.duplicateSelectedCharms).toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    test('should leave Ctrl+C and Ctrl+V to the page off the canvas', () => {
+      customizer.copySelectedCharms = jest.fn();
+      customizer.pasteCharms = jest.fn();
+
+      const copy = new KeyboardEvent('keydown', { key: 'c', ctrlKey: true, cancelable: true });
+      const paste = new KeyboardEvent('keydown', { key: 'v', ctrlKey: true, cancelable: true });
+      document.dispatchEvent(copy);
+      document.dispatchEvent(paste);
+
+      expect(customizer.copySelectedCharms).not.toHaveBeenCalled();
+      expect(customizer.pasteCharms).not.toHaveBeenCalled();
+      expect(copy.defaultPrevented).toBe(false);
+      expect(paste.defaultPrevented).toBe(false);
+    });
+
+    test('should only block the default paste when there is a copy to paste', () => {
+      customizer.pasteCharms = jest.fn();
+      const paste = () => {
+        const event = new KeyboardEvent('keydown', { key: 'v', ctrlKey: true, cancelable: true, bubbles: true });
+        customizer.container.dispatchEvent(event);
+        return event;
+      };
+
+      expect(paste().defaultPrevented).toBe(false);
+      expect(customizer.pasteCharms).toHaveBeenCalled();
+
+      customizer.clipboard = { type: 'timothie-charms', version: 1, charms: [copiedCharm] };
+      expect(paste().defaultPrevented).toBe(true);
+    });
+  });
+
   describe('Event Handling', () => {
     beforeEach(async () => {
       customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
@@ -394,12 +1050,28 @@ describe('JewelryCustomizer', () => {
       customizer.selectedCharm = mockCharm;
 
       // Test Delete key
-      const deleteEvent = new KeyboardEvent('keydown', { key: 'Delete' });
-      document.dispatchEvent(deleteEvent);
+      const deleteEvent = new KeyboardEvent('keydown', { key: 'Delete', bubbles: true });
+      customizer.container.dispatchEvent(deleteEvent);
 
       expect(customizer.charmManager.removeCharm).toHaveBeenCalledWith('test-charm');
     });
 
+    test('should leave charms alone when Backspace or r is pressed in a select or off the canvas', () => {
+      customizer.selectedCharm = { id: () => 'test-charm', rotation: jest.fn(() => 0) };
+      customizer.rotateSelectedCharm = jest.fn();
+      const select = document.createElement('select');
+      customizer.container.appendChild(select);
+      select.focus();
+
+      select.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace', bubbles: true }));
+      select.dispatchEvent(new KeyboardEvent('keydown', { key: 'r', bubbles: true }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace' }));
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
+
+      expect(customizer.charmManager.removeCharm).not.toHaveBeenCalled();
+      expect(customizer.rotateSelectedCharm).not.toHaveBeenCalled();
+    });
+
     test('should handle undo/redo shortcuts', () => {
       // Test Ctrl+Z (undo)
       const undoEvent = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true });
@@ -425,6 +1097,319 @@ describe('JewelryCustomizer', () => {
 
       expect(customizer.charmManager.removeCharm).not.toHaveBeenCalled();
     });
+
+    test('should only toggle measurements with m while the canvas has focus', () => {
+      customizer.toggleMeasurements = jest.fn();
+      const notes = document.createElement('textarea');
+      customizer.container.appendChild(notes);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'm' }));
+      notes.dispatchEvent(new KeyboardEvent('keydown', { key: 'm', bubbles: true }));
+      expect(customizer.toggleMeasurements).not.toHaveBeenCalled();
+
+      customizer.container.dispatchEvent(new KeyboardEvent('keydown', { key: 'm', bubbles: true }));
+      expect(customizer.toggleMeasurements).toHaveBeenCalled();
+    });
+  });
+
+  describe('Keyboard Accessibility', () => {
+    const makeCharm = (id, name) => ({ id: () => id, charmData: { name } });
+    let heart;
+    let star;
+
+    const pressOnCanvas = (key, options = {}) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+      customizer.container.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      // The constructor wires the keyboard; a second init() would listen twice
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      heart = makeCharm('heart', 'Heart');
+      star = makeCharm('star', 'Star Charm');
+      customizer.charmManager.getCharmsInOrder = jest.fn().mockReturnValue([heart, star]);
+      customizer.charmManager.getCharmPlace = jest.fn(charm => ({ position: charm === heart ? 1 : 4, total: 12 }));
+      customizer.charmManager.nudgeCharms = jest.fn().mockReturnValue(1);
+    });
+
+    test('should make the canvas focusable with a live region', () => {
+      expect(customizer.container.tabIndex).toBe(0);
+      expect(customizer.container.getAttribute('aria-label')).toMatch(/arrow keys/);
+      expect(customizer.announcer.getAttribute('aria-live')).toBe('polite');
+    });
+
+    test('should cycle through charms with Tab and let focus leave after the last', () => {
+      expect(pressOnCanvas('Tab').defaultPrevented).toBe(true);
+      expect(customizer.selectedCharm).toBe(heart);
+      expect(customizer.announcer.textContent).toBe('Heart charm selected, position 1 of 12');
+
+      pressOnCanvas('Tab');
+      expect(customizer.selectedCharm).toBe(star);
+
+      expect(pressOnCanvas('Tab').defaultPrevented).toBe(false);
+      expect(customizer.selectedCharm).toBeNull();
+
+      pressOnCanvas('Tab', { shiftKey: true });
+      expect(customizer.selectedCharm).toBe(star);
+    });
+
+    test('should nudge the selected charm with the arrow keys, further with Shift', () => {
+      customizer.selectCharm(star);
+      customizer.stateManager.saveState.mockClear();
+
+      expect(pressOnCanvas('ArrowLeft').defaultPrevented).toBe(true);
+      pressOnCanvas('ArrowDown', { shiftKey: true });
+
+      expect(customizer.charmManager.nudgeCharms).toHaveBeenNthCalledWith(1, ['star'], -2, 0);
+      expect(customizer.charmManager.nudgeCharms).toHaveBeenNthCalledWith(2, ['star'], 0, 20);
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(2);
+      expect(customizer.announcer.textContent).toBe('Star Charm moved to position 4 of 12');
+    });
+
+    test('should leave the arrow keys to the page outside the canvas', () => {
+      customizer.selectCharm(star);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', cancelable: true }));
+
+      expect(customizer.charmManager.nudgeCharms).not.toHaveBeenCalled();
+    });
+
+    test('should place a charm at the next free zone and announce it', async () => {
+      customizer.charmManager.getNextFreeSpot = jest.fn().mockReturnValue({ x: 300, y: 120 });
+      customizer.charmManager.addCharm.mockResolvedValue(heart);
+
+      await customizer.addCharmAtNextFreeZone({ id: 'heart', name: 'Heart' });
+
+      expect(customizer.charmManager.addCharm).toHaveBeenCalledWith({ id: 'heart', name: 'Heart' }, { x: 300, y: 120, anchor: 'bail' });
+      expect(customizer.selectedCharm).toBe(heart);
+      expect(customizer.announcer.textContent).toBe('Heart charm placed at position 1 of 12');
+    });
+  });
+
+  describe('Touch Gestures', () => {
+    const handler = events => customizer.stage.on.mock.calls.find(([name]) => name === events)[1];
+    const touches = (...points) => ({ evt: { touches: points.map(([clientX, clientY]) => ({ clientX, clientY })), preventDefault: jest.fn() } });
+    let charm;
+
+    beforeEach(() => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      charm = { id: () => 'heart', scaleX: jest.fn(() => 1), rotation: jest.fn(() => 0), isDragging: jest.fn(() => true), stopDrag: jest.fn() };
+      customizer.charmManager.charms.set('heart', charm);
+      customizer.connectorManager.update = jest.fn(); // The stand-in charm has no image to draw from
+      customizer.measurementOverlay.update = jest.fn();
+      customizer.stateManager.saveState.mockClear();
+    });
+
+    test('should pinch to resize and twist to turn the charm under the fingers as one undo step', () => {
+      const move = handler('touchmove');
+
+      move({ ...touches([0, 0], [100, 0]), target: charm });
+      move({ ...touches([0, 0], [0, 150]), target: charm });
+
+      expect(charm.stopDrag).toHaveBeenCalled();
+      expect(customizer.selectedCharm).toBe(charm);
+      expect(customizer.charmManager.scaleCharm).toHaveBeenCalledWith('heart', 1.5);
+      expect(customizer.charmManager.rotateCharm).toHaveBeenCalledWith('heart', 90);
+
+      customizer.handleCharmTransformed(charm);
+      expect(customizer.stateManager.saveState).not.toHaveBeenCalled();
+
+      handler('touchend touchcancel')({ evt: { touches: [{ clientX: 0, clientY: 0 }] } });
+      expect(customizer.pinch).toBeNull();
+      expect(customizer.stateManager.saveState).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave charms alone for two fingers away from any charm with nothing selected', () => {
+      handler('touchmove')({ ...touches([0, 0], [100, 0]), target: customizer.stage });
+      handler('touchmove')({ ...touches([0, 0], [200, 0]), target: customizer.stage });
+
+      expect(customizer.pinch.charm).toBeNull(); // Zooms the view instead
+      expect(customizer.charmManager.scaleCharm).not.toHaveBeenCalled();
+    });
+
+    test('should add a charm where a library drag is released', async () => {
+      customizer.stage.getPointerPosition.mockReturnValue({ x: 120, y: 80 });
+
+      await customizer.addCharmAtClientPoint({ id: 'star' }, { clientX: 300, clientY: 200 });
+
+      expect(customizer.stage.setPointersPositions).toHaveBeenCalledWith({ clientX: 300, clientY: 200 });
+      expect(customizer.charmManager.addCharm).toHaveBeenCalledWith({ id: 'star' }, { x: 120, y: 80 });
+    });
+  });
+
+  describe('Zoom and Pan', () => {
+    beforeEach(() => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+    });
+
+    test('should drop charms at design coordinates while zoomed', async () => {
+      customizer.viewport.zoomAt({ x: 0, y: 0 }, 2);
+      customizer.stage.getPointerPosition.mockReturnValue({ x: 200, y: 100 });
+
+      await customizer.addCharmAtClientPoint({ id: 'star' }, { clientX: 200, clientY: 100 });
+
+      expect(customizer.charmManager.addCharm).toHaveBeenCalledWith({ id: 'star' }, { x: 100, y: 50 });
+    });
+
+    test('should zoom the view when pinching the empty canvas', () => {
+      const move = customizer.stage.on.mock.calls.find(([name]) => name === 'touchmove')[1];
+      const pinch = (distance) => move({
+        target: customizer.stage,
+        evt: { touches: [{ clientX: 100, clientY: 100 }, { clientX: 100 + distance, clientY: 100 }], preventDefault: jest.fn() }
+      });
+
+      pinch(100);
+      pinch(200);
+
+      expect(customizer.viewport.scale).toBe(2);
+    });
+  });
+
+  describe('Stacking', () => {
+    const heart = { id: () => 'heart', charmData: { name: 'Heart' } };
+
+    beforeEach(() => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      customizer.charmManager.charms.set('heart', heart);
+      customizer.charmManager.restackCharms = jest.fn().mockReturnValue(true);
+      customizer.connectorManager.update = jest.fn();
+      customizer.measurementOverlay.update = jest.fn();
+      jest.spyOn(customizer, 'saveState');
+    });
+
+    afterEach(() => {
+      customizer.contextMenu.hide();
+    });
+
+    test('should restack the selected charms with Ctrl+brackets and announce it', () => {
+      customizer.selectCharms([heart]);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '}', ctrlKey: true, shiftKey: true, bubbles: true }));
+      expect(customizer.charmManager.restackCharms).toHaveBeenCalledWith(['heart'], 'front');
+      expect(customizer.saveState).toHaveBeenCalled();
+      expect(customizer.announcer.textContent).toBe('Heart charm brought to front');
+
+      customizer.charmManager.restackCharms.mockReturnValue(false);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '[', ctrlKey: true, bubbles: true }));
+      expect(customizer.charmManager.restackCharms).toHaveBeenLastCalledWith(['heart'], 'backward');
+      expect(customizer.announcer.textContent).toBe('Heart charm already at the back');
+    });
+
+    test('should select a right-clicked charm and offer the stacking commands', () => {
+      const contextmenu = customizer.stage.on.mock.calls.find(([name]) => name === 'contextmenu')[1];
+      const preventDefault = jest.fn();
+
+      contextmenu({ target: heart, evt: { preventDefault, clientX: 50, clientY: 60 } });
+
+      expect(preventDefault).toHaveBeenCalled();
+      expect(customizer.selectedCharm).toBe(heart);
+      const items = [...document.querySelectorAll('.context-menu-item')];
+      expect(items.map(item => item.firstChild.textContent).slice(2, 6)).toEqual(['Bring to front', 'Bring forward', 'Send backward', 'Send to back']);
+
+      items[5].click();
+      expect(customizer.charmManager.restackCharms).toHaveBeenCalledWith(['heart'], 'back');
+      expect(document.querySelector('.context-menu')).toBeNull();
+    });
+
+    test('should restore the saved stacking when a design loads', async () => {
+      customizer.charmManager.restoreStackOrder = jest.fn().mockReturnValue(true);
+      customizer.charmManager.addCharm.mockImplementation(async charmData => ({ id: () => charmData.id }));
+
+      await customizer.loadDesign({ charms: [{ id: 'a', x: 0, y: 0, zIndex: 1 }, { id: 'b', x: 10, y: 0, zIndex: 0 }] });
+
+      const [placed] = customizer.charmManager.restoreStackOrder.mock.calls[0];
+      expect(placed.map(({ charm, zIndex }) => [charm.id(), zIndex])).toEqual([['a', 1], ['b', 0]]);
+      expect(customizer.saveState).toHaveBeenCalled();
+    });
+  });
+
+  describe('Charm Menu', () => {
+    const heart = { id: () => 'heart', charmData: { name: 'Heart', inventoryId: 'heart-gold' }, rotation: () => 30 };
+    const catalog = [
+      { id: 'heart-gold', name: 'Heart', productId: 'heart', attributes: { color: 'Gold' } },
+      { id: 'heart-silver', name: 'Heart', productId: 'heart', attributes: { color: 'Silver' } },
+      { id: 'star', name: 'Star', productId: 'star' }
+    ];
+    const labels = () => customizer.getCharmMenuItems().filter(item => !item.separator).map(item => item.label);
+
+    beforeEach(() => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+      customizer.charmManager.charms.set('heart', heart);
+      customizer.charmManager.findCharmById = jest.fn(id => customizer.charmManager.charms.get(id));
+      customizer.charmManager.swapCharm = jest.fn().mockResolvedValue(true);
+      customizer.connectorManager.update = jest.fn();
+      customizer.measurementOverlay.update = jest.fn();
+      customizer.setCharmCatalog(catalog);
+      customizer.selectCharms([heart]);
+      jest.spyOn(customizer, 'saveState');
+    });
+
+    test('should offer the other colours of a charm and swap it for one', async () => {
+      expect(customizer.getCharmVariants(heart)).toEqual([catalog[1]]);
+      expect(labels()).toEqual([
+        'Duplicate', 'Delete', 'Bring to front', 'Bring forward', 'Send backward', 'Send to back',
+        'Swap for Silver', 'View in catalog'
+      ]);
+
+      await customizer.getCharmMenuItems().find(item => item.label === 'Swap for Silver').action();
+
+      expect(customizer.charmManager.swapCharm).toHaveBeenCalledWith('heart', { ...catalog[1], inventoryId: 'heart-silver' });
+      expect(customizer.saveState).toHaveBeenCalled();
+    });
+
+    test('should only view a charm in the catalog when the page can show it', () => {
+      const viewInCatalog = () => customizer.getCharmMenuItems().find(item => item.label === 'View in catalog');
+      expect(viewInCatalog().disabled).toBe(true);
+
+      customizer.onViewInCatalog = jest.fn();
+      expect(viewInCatalog().disabled).toBe(false);
+      viewInCatalog().action();
+      expect(customizer.onViewInCatalog).toHaveBeenCalledWith(catalog[0]);
+    });
+
+    test('should delete the charm from the menu and say so', () => {
+      customizer.removeSelectedCharms = jest.fn().mockReturnValue(1);
+
+      customizer.getCharmMenuItems().find(item => item.label === 'Delete').action();
+
+      expect(customizer.removeSelectedCharms).toHaveBeenCalled();
+      expect(customizer.announcer.textContent).toBe('Heart charm removed');
+    });
+
+    test('should offer to hang a charm from the chain again when it hangs from another charm', () => {
+      expect(labels()).not.toContain('Hang from chain');
+
+      customizer.charmManager.getParentCharm.mockReturnValue({ id: () => 'pendant' });
+      customizer.getCharmMenuItems().find(item => item.label === 'Hang from chain').action();
+
+      expect(customizer.charmManager.detachCharm).toHaveBeenCalledWith('heart');
+      expect(customizer.saveState).toHaveBeenCalled();
+      expect(customizer.announcer.textContent).toBe('Heart charm moved back to the chain');
+    });
+
+    test('should turn a charm to a typed angle', () => {
+      customizer.setCharmRotation('heart', 90);
+      expect(customizer.charmManager.rotateCharm).toHaveBeenCalledWith('heart', 60);
+    });
+  });
+
+  describe('Snapping', () => {
+    beforeEach(() => {
+      customizer = new JewelryCustomizer('jewelry-customizer', mockCanvasConfig);
+    });
+
+    test('should pass guide, grid and axis lock settings to the charm manager', () => {
+      const { snapGuides } = customizer.charmManager;
+
+      customizer.setSnapGuides(false);
+      expect(snapGuides.setEnabled).toHaveBeenCalledWith(false);
+      expect(customizer.setGrid({ enabled: true, size: 40 })).toEqual({ enabled: true, size: 40 });
+      expect(customizer.setAxisLock('vertical')).toBe('vertical');
+
+      customizer.handleResize();
+      expect(snapGuides.drawGrid).toHaveBeenCalled();
+    });
   });
 
   describe('Responsive Behavior', () => {
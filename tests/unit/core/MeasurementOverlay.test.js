@@ -0,0 +1,100 @@
+/**
+ * MeasurementOverlay Unit Tests
+ * Tests drop lengths, charm spacing and cluster span measurements
+ */
+
+import MeasurementOverlay from '../../../src/js/core/MeasurementOverlay.js';
+import ChainPath from '../../../src/js/utils/ChainPath.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('MeasurementOverlay', () => {
+  let customizer;
+  let overlay;
+
+  const addCharm = (id, x, y, width = 20, height = 40) => {
+    const charm = new Konva.Image({ id, x, y, width, height });
+    charm.charmData = { id, name: `Charm ${id}` };
+    customizer.charmManager.charms.set(id, charm);
+    return charm;
+  };
+
+  beforeEach(() => {
+    customizer = {
+      uiLayer: new Konva.Layer({ name: 'ui' }),
+      charmLayer: new Konva.Layer({ name: 'charms' }),
+      pixelsPerMm: 2,
+      charmManager: {
+        charms: new Map(),
+        chainPath: null
+      }
+    };
+
+    overlay = new MeasurementOverlay(customizer);
+  });
+
+  test('should measure drop, spacing and span in millimetres', () => {
+    addCharm('b', 200, 100);
+    addCharm('a', 100, 100);
+
+    const { unit, charms, spacings, span } = overlay.getMeasurements();
+
+    expect(unit).toBe('mm');
+    expect(charms.map(charm => charm.id)).toEqual(['a', 'b']);
+    expect(charms[0].drop).toBe(20); // 40px tall at 2px per mm
+    expect(spacings).toEqual([expect.objectContaining({ from: 'a', to: 'b', distance: 50 })]);
+    expect(span.length).toBe(60); // 100px to 220px
+  });
+
+  test('should measure drops from the chain and spacing along it', () => {
+    customizer.charmManager.chainPath = new ChainPath([[0, 80], [400, 80]]);
+    addCharm('a', 90, 100);
+    addCharm('b', 290, 100);
+
+    const { charms, spacings } = overlay.getMeasurements();
+
+    expect(charms[0].anchor).toEqual({ x: 100, y: 80 });
+    expect(charms[0].drop).toBeCloseTo(30); // 20px gap to the bail plus 40px of charm
+    expect(spacings[0].distance).toBeCloseTo(100);
+  });
+
+  test('should fall back to pixels when the base is not calibrated', () => {
+    customizer.pixelsPerMm = null;
+    addCharm('a', 100, 100);
+
+    const { unit, charms, span } = overlay.getMeasurements();
+
+    expect(unit).toBe('px');
+    expect(charms[0].drop).toBe(40);
+    expect(span.length).toBe(20);
+  });
+
+  test('should follow rotated charms', () => {
+    const charm = addCharm('a', 100, 100);
+    charm.rotation(90);
+
+    const { charms } = overlay.getMeasurements();
+
+    expect(charms[0].bottom.x).toBeCloseTo(60);
+    expect(charms[0].bottom.y).toBeCloseTo(110);
+  });
+
+  test('should draw on the UI layer and redraw while dragging', () => {
+    addCharm('a', 100, 100);
+    addCharm('b', 200, 100);
+
+    expect(overlay.toggle()).toBe(true);
+
+    const group = customizer.uiLayer.children[0];
+    const labels = group.children.filter(node => node.config.name === 'measurement-label');
+    expect(labels.map(label => label.config.text)).toEqual(['↓ 20.0 mm', '↓ 20.0 mm', '50.0 mm', 'Span 60.0 mm']);
+    expect(customizer.charmLayer.on).toHaveBeenCalledWith('dragmove.measurement transform.measurement', expect.any(Function));
+
+    expect(overlay.toggle()).toBe(false);
+    expect(group.destroy).toHaveBeenCalled();
+    expect(customizer.charmLayer.off).toHaveBeenCalledWith('dragmove.measurement transform.measurement');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * NecklaceAuthoringTool Unit Tests
+ * Tests authoring of chain paths and attachment zones for necklace products
+ */
+
+import NecklaceAuthoringTool, { AUTHORING_MODES } from '../../../src/js/core/NecklaceAuthoringTool.js';
+import JewelryCustomizer from '../../../src/js/core/JewelryCustomizer.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+jest.mock('../../../src/js/utils/images.js', () => ({
+  necklaceImages: {
+    plainChain: 'mock-necklace-image.png'
+  }
+}));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('NecklaceAuthoringTool', () => {
+  let customizer;
+  let tool;
+
+  beforeEach(() => {
+    // Necklace image occupies x 100-500, y 50-250 on the stage
+    const necklaceImage = new Konva.Image({ x: 100, y: 50, width: 400, height: 200 });
+
+    customizer = {
+      stage: new Konva.Stage({ width: 800, height: 600 }),
+      uiLayer: new Konva.Layer({ name: 'ui' }),
+      charmLayer: new Konva.Layer({ name: 'charms' }),
+      currentNecklace: { id: 'product-1', name: 'Paperclip Chain', konvaImage: necklaceImage },
+      charmManager: {
+        setAttachmentZones: jest.fn(),
+        setChainPath: jest.fn()
+      },
+      getNecklaceLayout: JewelryCustomizer.prototype.getNecklaceLayout
+    };
+
+    tool = new NecklaceAuthoringTool(customizer);
+  });
+
+  test('should require a loaded necklace', () => {
+    customizer.currentNecklace = null;
+
+    expect(() => tool.enable()).toThrow('Load a necklace before editing its layout');
+  });
+
+  test('should disable charm interaction while authoring', () => {
+    tool.enable();
+    expect(customizer.charmLayer.listening()).toBe(false);
+    expect(customizer.stage.on).toHaveBeenCalledWith('click.authoring', expect.any(Function));
+
+    tool.disable();
+    expect(customizer.charmLayer.listening()).toBe(true);
+    expect(customizer.stage.off).toHaveBeenCalledWith('click.authoring');
+  });
+
+  test('should save path points as fractions of the necklace image', () => {
+    tool.enable();
+    tool.addPoint({ x: 100, y: 50 });
+    tool.addPoint({ x: 300, y: 250 });
+    tool.addPoint({ x: 500, y: 50 });
+
+    expect(tool.getLayout().chainPath).toEqual({
+      points: [[0, 0], [0.5, 1], [1, 0]]
+    });
+  });
+
+  test('should not produce a chain path from a single point', () => {
+    tool.enable();
+    tool.addPoint({ x: 100, y: 50 });
+
+    expect(tool.getLayout().chainPath).toBeNull();
+  });
+
+  test('should add zones with radius and capacity', () => {
+    tool.enable();
+    tool.setMode(AUTHORING_MODES.ZONES);
+    tool.setZoneSettings({ radius: 40, capacity: 3 });
+    tool.addPoint({ x: 300, y: 150 });
+
+    expect(tool.getLayout().attachmentZones).toEqual([
+      { x: 0.5, y: 0.5, radius: 0.1, capacity: 3 }
+    ]);
+  });
+
+  test('should apply settings to the selected zone', () => {
+    tool.enable();
+    tool.setMode(AUTHORING_MODES.ZONES);
+    tool.addPoint({ x: 300, y: 150 });
+    tool.setZoneSettings({ radius: 20, capacity: 2 });
+
+    expect(tool.zones[0]).toMatchObject({ radius: 20, capacity: 2 });
+  });
+
+  test('should remove and clear points', () => {
+    tool.enable();
+    tool.addPoint({ x: 100, y: 50 });
+    tool.addPoint({ x: 200, y: 100 });
+
+    tool.removePoint(AUTHORING_MODES.PATH, 0);
+    expect(tool.pathPoints).toEqual([{ x: 200, y: 100 }]);
+
+    tool.clear();
+    expect(tool.pathPoints).toEqual([]);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => tool.setMode('freehand')).toThrow('Unknown authoring mode: freehand');
+  });
+
+  test('should load an existing layout from customization_options', () => {
+    customizer.currentNecklace.customization_options = {
+      chain_path: { points: [[0, 0], [1, 1]] },
+      attachment_zones: [{ x: 0.25, y: 0.5, radius: 0.05, capacity: 2 }]
+    };
+
+    tool.enable();
+
+    expect(tool.pathPoints).toEqual([{ x: 100, y: 50 }, { x: 500, y: 250 }]);
+    expect(tool.zones).toEqual([{ x: 200, y: 150, radius: 20, capacity: 2 }]);
+  });
+
+  test('should apply the layout to the charm manager for preview', () => {
+    tool.enable();
+    tool.addPoint({ x: 100, y: 50 });
+    tool.addPoint({ x: 500, y: 50 });
+
+    const layout = tool.applyToCustomizer();
+
+    expect(customizer.currentNecklace.customization_options.chain_path).toEqual(layout.chainPath);
+    expect(customizer.charmManager.setChainPath).toHaveBeenCalledWith(layout.chainPath, customizer.currentNecklace.konvaImage);
+    expect(customizer.charmManager.setAttachmentZones).toHaveBeenCalledWith([], customizer.currentNecklace.konvaImage);
+  });
+
+  test('should report layout changes', () => {
+    tool.onLayoutChanged = jest.fn();
+    tool.enable();
+    tool.addPoint({ x: 100, y: 50 });
+
+    expect(tool.onLayoutChanged).toHaveBeenCalledWith(expect.objectContaining({ attachmentZones: [] }));
+  });
+});
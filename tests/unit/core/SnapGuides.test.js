@@ -0,0 +1,114 @@
+/**
+ * SnapGuides Unit Tests
+ * Tests snapping dragged charms to other charms, the centre line, even spacing and the grid
+ */
+
+import SnapGuides from '../../../src/js/core/SnapGuides.js';
+import CharmManager from '../../../src/js/core/CharmManager.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('SnapGuides', () => {
+  let stage;
+  let uiLayer;
+  let charmManager;
+  let guides;
+
+  // 20px wide charm, so its bail and centre are 10px right of its x
+  const addCharm = (id, x, y) => {
+    const charm = new Konva.Image({ id, x, y, width: 20, height: 40 });
+    charmManager.charms.set(id, charm);
+    return charm;
+  };
+
+  beforeEach(() => {
+    stage = new Konva.Stage({ width: 1000, height: 750 });
+    const charmLayer = new Konva.Layer({ name: 'charms' });
+    charmLayer.getStage = () => stage;
+    uiLayer = new Konva.Layer({ name: 'ui' });
+    stage.add(charmLayer);
+    stage.add(uiLayer);
+
+    charmManager = {
+      charmLayer,
+      charms: new Map(),
+      getBailOffset: CharmManager.prototype.getBailOffset,
+      getDraggedCharms: charm => [charm],
+      getTwin: () => null,
+      getMirrorAxis: () => 500
+    };
+    guides = new SnapGuides(charmManager);
+  });
+
+  test('should line a dragged charm up with another charm and show the guide', () => {
+    addCharm('a', 190, 100);
+    const dragged = addCharm('b', 194, 300);
+
+    const snapped = guides.snap(dragged);
+
+    expect(dragged.x()).toBe(190);
+    expect(snapped).toEqual([{ orientation: 'vertical', position: 200, kind: 'charm' }]);
+    expect(guides.show(dragged, snapped)).toHaveLength(1);
+    expect(uiLayer.children).toContain(guides.group);
+    expect(guides.group.children[0].config.points).toEqual([200, 0, 200, 750]);
+
+    guides.hide();
+    expect(guides.group).toBeNull();
+  });
+
+  test('should leave charms alone away from every guide', () => {
+    addCharm('a', 190, 100);
+    const dragged = addCharm('b', 230, 300);
+
+    expect(guides.snap(dragged)).toEqual([]);
+    expect(dragged.x()).toBe(230);
+  });
+
+  test('should snap to the necklace centre line and to even spacing', () => {
+    const dragged = addCharm('dragged', 487, 300);
+    expect(guides.snap(dragged)).toEqual([{ orientation: 'vertical', position: 500, kind: 'centre' }]);
+    expect(dragged.x()).toBe(490);
+
+    addCharm('a', 190, 100);
+    addCharm('b', 290, 100);
+    dragged.position({ x: 393, y: 300 });
+    expect(guides.snap(dragged)).toEqual([{ orientation: 'vertical', position: 400, kind: 'spacing' }]);
+    expect(dragged.x()).toBe(390);
+  });
+
+  test('should keep the snap distance the same on screen when zoomed in', () => {
+    addCharm('a', 190, 100);
+    const dragged = addCharm('b', 194, 300);
+    stage.scale({ x: 2, y: 2 });
+
+    expect(guides.snap(dragged)).toEqual([]);
+    expect(dragged.x()).toBe(194);
+  });
+
+  test('should snap the bail to the grid when no guide is near and draw the grid', () => {
+    guides.setGrid({ enabled: true, size: 20 });
+    const dragged = addCharm('dragged', 133, 207);
+
+    guides.snap(dragged);
+
+    expect(dragged.x() + 10).toBe(140);
+    expect(dragged.y()).toBe(200);
+    expect(uiLayer.children).toContain(guides.gridGroup);
+    expect(guides.gridGroup.children).toHaveLength(49 + 37);
+
+    guides.setGrid({ enabled: false });
+    expect(guides.gridGroup).toBeNull();
+  });
+
+  test('should not move a charm along a locked axis', () => {
+    guides.setGrid({ enabled: true });
+    addCharm('a', 190, 100);
+    const dragged = addCharm('b', 194, 103);
+
+    expect(guides.snap(dragged, { x: true, y: false })).toEqual([{ orientation: 'vertical', position: 200, kind: 'charm' }]);
+    expect(dragged.y()).toBe(103);
+  });
+});
@@ -323,6 +323,33 @@ describe('StateManager', () => {
       expect(stateManager.history).toHaveLength(2);
     });
 
+    test('should tell states apart by charm stacking', () => {
+      const charm = { id: 'charm1', x: 100, y: 100, rotation: 0, zIndex: 0 };
+      const state = { charms: [charm, { ...charm, id: 'charm2', zIndex: 1 }] };
+      const restacked = { charms: [{ ...charm, zIndex: 1 }, { ...charm, id: 'charm2', zIndex: 0 }] };
+
+      expect(stateManager.statesEqual(state, { ...state })).toBe(true);
+      expect(stateManager.statesEqual(state, restacked)).toBe(false);
+    });
+
+    test('should tell states apart by which charm a charm hangs from', () => {
+      const charm = { id: 'charm1', x: 100, y: 100, rotation: 0, parentId: null };
+      const state = { charms: [charm, { ...charm, id: 'charm2' }] };
+      const attached = { charms: [charm, { ...charm, id: 'charm2', parentId: 'charm1' }] };
+
+      expect(stateManager.statesEqual(state, attached)).toBe(false);
+      expect(stateManager.statesEqual(state, { charms: [{ id: 'charm1', x: 100, y: 100, rotation: 0 }, { ...charm, id: 'charm2' }] })).toBe(true);
+    });
+
+    test('should tell states apart by their strands and the strand each charm hangs from', () => {
+      const charm = { id: 'charm1', x: 100, y: 100, rotation: 0 };
+      const state = { strands: [{ id: 'strand-2', chainLength: 20 }], charms: [charm] };
+
+      expect(stateManager.statesEqual(state, { ...state, strands: [{ id: 'strand-2', chainLength: 24 }] })).toBe(false);
+      expect(stateManager.statesEqual(state, { ...state, charms: [{ ...charm, strandId: 'strand-2' }] })).toBe(false);
+      expect(stateManager.statesEqual(state, { ...state, charms: [{ ...charm, strandId: null }] })).toBe(true);
+    });
+
     test('should handle null states', () => {
       stateManager.saveState(null);
       
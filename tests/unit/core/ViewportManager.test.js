@@ -0,0 +1,116 @@
+/**
+ * ViewportManager Unit Tests
+ * Tests zooming and panning the stage, coordinate conversion and the minimap
+ */
+
+import ViewportManager, { MAX_ZOOM } from '../../../src/js/core/ViewportManager.js';
+
+// Mock Konva
+jest.mock('konva', () => require('../../mocks/konvaMock.js'));
+
+const Konva = require('../../mocks/konvaMock.js');
+
+describe('ViewportManager', () => {
+  let customizer;
+  let viewport;
+  let selected;
+
+  const handler = events => customizer.stage.on.mock.calls.find(([name]) => name === events)[1];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="canvas-container"><div id="canvas"></div></div>';
+    const container = document.getElementById('canvas');
+    selected = [];
+
+    customizer = {
+      container,
+      stage: new Konva.Stage({ container, width: 1000, height: 800 }),
+      charmLayer: new Konva.Layer({ name: 'charms' }),
+      uiLayer: new Konva.Layer({ name: 'ui' }),
+      getSelectedCharms: () => selected,
+      charmManager: {
+        charms: new Map(),
+        getImageBounds: jest.fn().mockReturnValue({ x: 200, y: 100, width: 400, height: 400 }),
+        getSelectionBounds: jest.fn(charms => (charms.length > 0 ? { x: 480, y: 380, width: 40, height: 40 } : null))
+      }
+    };
+
+    viewport = new ViewportManager(customizer);
+    viewport.attach();
+  });
+
+  test('should zoom about a point, keeping the design under it still', () => {
+    const before = viewport.toWorld({ x: 250, y: 200 });
+
+    viewport.zoomAt({ x: 250, y: 200 }, 2);
+
+    expect(viewport.scale).toBe(2);
+    expect(customizer.stage.scale()).toEqual({ x: 2, y: 2 });
+    expect(viewport.toWorld({ x: 250, y: 200 })).toEqual(before);
+    expect(viewport.toScreen(before)).toEqual({ x: 250, y: 200 });
+  });
+
+  test('should zoom with the wheel at the cursor and stay within limits', () => {
+    customizer.stage.getPointerPosition.mockReturnValue({ x: 100, y: 100 });
+    const wheel = handler('wheel.viewport');
+    const preventDefault = jest.fn();
+
+    wheel({ evt: { deltaY: -100, preventDefault } });
+    expect(viewport.scale).toBeCloseTo(1.1);
+    expect(preventDefault).toHaveBeenCalled();
+
+    viewport.zoomAt({ x: 0, y: 0 }, 100);
+    expect(viewport.scale).toBe(MAX_ZOOM);
+  });
+
+  test('should pan with the middle button', () => {
+    viewport.zoomAt({ x: 500, y: 400 }, 2);
+    const start = { ...viewport.offset };
+
+    handler('mousedown.viewport')({ evt: { button: 1, clientX: 100, clientY: 100, preventDefault: jest.fn() } });
+    handler('mousemove.viewport')({ evt: { clientX: 150, clientY: 80 } });
+    handler('mouseup.viewport mouseleave.viewport')({});
+
+    expect(viewport.offset).toEqual({ x: start.x + 50, y: start.y - 20 });
+    expect(viewport.panStart).toBeNull();
+  });
+
+  test('should hand the left button to panning while space is held', () => {
+    viewport.setSpaceHeld(true);
+
+    expect(viewport.isPanning()).toBe(true);
+    expect(customizer.charmLayer.listening()).toBe(false);
+    expect(customizer.container.style.cursor).toBe('grab');
+
+    viewport.setSpaceHeld(false);
+    expect(customizer.charmLayer.listening()).toBe(true);
+  });
+
+  test('should zoom to fit the base and to the selection', () => {
+    viewport.zoomToFit();
+    expect(viewport.scale).toBeCloseTo(1.8); // 400px tall base in an 800px view, with padding
+    expect(viewport.toScreen({ x: 400, y: 300 })).toEqual({ x: 500, y: 400 });
+
+    selected = [{ id: () => 'heart' }];
+    viewport.zoomToSelection();
+    expect(viewport.scale).toBe(MAX_ZOOM);
+    expect(viewport.toScreen({ x: 500, y: 400 })).toEqual({ x: 500, y: 400 });
+
+    selected = [];
+    expect(viewport.zoomToSelection()).toBe(false);
+  });
+
+  test('should show the minimap framing the view only while zoomed in', () => {
+    viewport.createMinimap(customizer.container.parentElement);
+    const minimap = document.querySelector('.minimap');
+    expect(minimap.hidden).toBe(true);
+
+    viewport.zoomAt({ x: 0, y: 0 }, 2);
+
+    expect(minimap.hidden).toBe(false);
+    expect(customizer.stage.toDataURL).toHaveBeenCalledWith({ pixelRatio: 0.16 });
+    expect(customizer.stage.scale()).toEqual({ x: 2, y: 2 }); // Restored after drawing the minimap
+    const view = document.querySelector('.minimap-view').style;
+    expect([view.left, view.top, view.width, view.height]).toEqual(['0px', '0px', '80px', '64px']);
+  });
+});
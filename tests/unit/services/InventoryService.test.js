@@ -15,6 +15,10 @@ const mockAPI = {
   getDesign: jest.fn(),
   getCategoriesWithCounts: jest.fn(),
   getInventoryStats: jest.fn(),
+  getProducts: jest.fn(),
+  getProduct: jest.fn(),
+  updateProduct: jest.fn(),
+  isCurrentUserAdmin: jest.fn(),
   subscribeToInventoryChanges: jest.fn()
 };
 
@@ -491,6 +495,20 @@ describe('InventoryService', () => {
       });
     });
 
+    test('should keep the supplier product id that groups variants', () => {
+      const item = {
+        id: 'variant-1',
+        title: 'Heart Charm Gold',
+        price: 5,
+        quantity_available: 2,
+        attributes: { color: 'gold' },
+        supplier_info: { product_id: 'heart-123' }
+      };
+
+      expect(inventoryService.transformForSidebar(item).productId).toBe('heart-123');
+      expect(inventoryService.transformForSidebar({ ...item, supplier_info: {} })).not.toHaveProperty('productId');
+    });
+
     test('should handle short names correctly', () => {
       const shortTitle = 'Short Name';
       const name = inventoryService.extractShortName(shortTitle);
@@ -500,7 +518,7 @@ describe('InventoryService', () => {
     test('should extract dimensions from attributes', () => {
       const attributes = { size: '20mm x 15mm' };
       const dimensions = inventoryService.extractDimensions(attributes);
-      expect(dimensions).toEqual({ raw: '20mm x 15mm' });
+      expect(dimensions).toEqual({ raw: '20mm x 15mm', width: 20, height: 15 });
     });
 
     test('should extract material with fallbacks', () => {
@@ -633,6 +651,152 @@ describe('InventoryService', () => {
     });
   });
 
+  describe('Necklace Layouts', () => {
+    beforeEach(async () => {
+      await inventoryService.initialize();
+    });
+
+    test('should load necklace products', async () => {
+      mockAPI.getProducts.mockResolvedValue([{ id: 'product-1', category: 'necklace' }]);
+
+      const products = await inventoryService.getNecklaceProducts();
+
+      expect(mockAPI.getProducts).toHaveBeenCalledWith({ category: 'necklace' });
+      expect(products).toHaveLength(1);
+    });
+
+    test('should merge the layout into customization_options', async () => {
+      mockAPI.getProduct.mockResolvedValue({
+        id: 'product-1',
+        customization_options: { lengths: [16, 18] }
+      });
+      mockAPI.updateProduct.mockResolvedValue({ id: 'product-1' });
+
+      const layout = {
+        chainPath: { points: [[0.1, 0.2], [0.9, 0.2]] },
+        attachmentZones: [{ x: 0.5, y: 0.5, radius: 0.05, capacity: 2 }]
+      };
+      await inventoryService.saveNecklaceLayout('product-1', layout);
+
+      expect(mockAPI.updateProduct).toHaveBeenCalledWith('product-1', {
+        customization_options: {
+          lengths: [16, 18],
+          chain_path: layout.chainPath,
+          attachment_zones: layout.attachmentZones
+        }
+      });
+    });
+
+    test('should require a product to save a layout', async () => {
+      await expect(inventoryService.saveNecklaceLayout(null, {}))
+        .rejects.toThrow('A product is required to save a necklace layout');
+    });
+
+    test('should treat admin check failures as not admin', async () => {
+      mockAPI.isCurrentUserAdmin.mockRejectedValue(new Error('Network error'));
+
+      expect(await inventoryService.isAdmin()).toBe(false);
+    });
+  });
+
+  describe('Necklace Catalog', () => {
+    beforeEach(async () => {
+      await inventoryService.initialize();
+    });
+
+    test('should combine necklace products and stocked chains', async () => {
+      mockAPI.getProducts.mockResolvedValue([{
+        id: 'product-1',
+        name: 'Paperclip Necklace',
+        base_price: 30,
+        image_url: 'paperclip.png',
+        customization_options: { length: 18, chain_path: { points: [[0, 0], [1, 1]] } }
+      }]);
+      mockAPI.getInventory.mockResolvedValue({
+        data: [{
+          id: 'chain-1',
+          title: 'Rope Chain',
+          price: 12.5,
+          currency: 'USD',
+          image_url: 'rope.png',
+          quantity_available: 4,
+          attributes: { length: '45cm' }
+        }]
+      });
+
+      const catalog = await inventoryService.getNecklaceCatalog();
+
+      expect(mockAPI.getInventory).toHaveBeenCalledWith({
+        category: CATEGORIES.NECKLACES,
+        status: 'active',
+        available_only: true
+      });
+      expect(catalog).toEqual([
+        expect.objectContaining({
+          id: 'product-1',
+          name: 'Paperclip Necklace',
+          price: '$30.00',
+          priceValue: 30,
+          length: 18,
+          thumbnailUrl: 'paperclip.png',
+          source: 'product',
+          customization_options: expect.objectContaining({ chain_path: { points: [[0, 0], [1, 1]] } })
+        }),
+        expect.objectContaining({
+          id: 'chain-1',
+          name: 'Rope Chain',
+          price: '$12.50',
+          length: 17.7,
+          source: 'inventory',
+          inventoryId: 'chain-1'
+        })
+      ]);
+    });
+
+    test('should return an empty catalog on error', async () => {
+      mockAPI.getProducts.mockResolvedValue([]);
+      mockAPI.getInventory.mockRejectedValue(new Error('Network error'));
+
+      expect(await inventoryService.getNecklaceCatalog()).toEqual([]);
+    });
+
+    test('should read chain lengths in inches or metric units', () => {
+      expect(inventoryService.extractChainLength({ length: '20"' })).toBe(20);
+      expect(inventoryService.extractChainLength({ size: '16 in' })).toBe(16);
+      expect(inventoryService.extractChainLength({ chain_length: '610mm' })).toBe(24);
+      expect(inventoryService.extractChainLength({})).toBeNull();
+    });
+
+    test('should read chain gauges in millimetres', () => {
+      expect(inventoryService.extractChainGauge({ thickness: '1.5mm' })).toBe(1.5);
+      expect(inventoryService.extractChainGauge({ chain_gauge: 2 })).toBe(2);
+      expect(inventoryService.extractChainGauge({ gauge: 'Fine' })).toBeNull();
+    });
+  });
+
+  describe('Library Inventory', () => {
+    beforeEach(async () => {
+      await inventoryService.initialize();
+    });
+
+    test('should combine charms and keychain hardware for the library', async () => {
+      mockAPI.getInventory
+        .mockResolvedValueOnce({ data: [{ id: 'charm-1', title: 'Heart Charm', price: 5, quantity_available: 3 }] })
+        .mockResolvedValueOnce({ data: [{ id: 'ring-1', title: 'Split Ring', price: 1, quantity_available: 9 }] });
+
+      const items = await inventoryService.getLibraryInventory([CATEGORIES.CHARMS, CATEGORIES.KEYCHAINS]);
+
+      expect(mockAPI.getInventory).toHaveBeenCalledWith(expect.objectContaining({ category: CATEGORIES.KEYCHAINS }));
+      expect(items.map(item => item.id)).toEqual(['charm-1', 'ring-1']);
+    });
+
+    test('should return an empty library on error', async () => {
+      mockAPI.getInventory.mockRejectedValue(new Error('Network error'));
+
+      expect(await inventoryService.getLibraryInventory()).toEqual([]);
+    });
+  });
+
   describe('Categories and Statistics', () => {
     beforeEach(async () => {
       await inventoryService.initialize();
@@ -0,0 +1,65 @@
+/**
+ * ChainPath Unit Tests
+ * Tests spline sampling, arc-length lookup and closest-point queries
+ */
+
+import ChainPath from '../../../src/js/utils/ChainPath.js';
+
+describe('ChainPath', () => {
+  // A U-shaped chain like a necklace on a bust
+  const uShape = [[100, 0], [100, 200], [200, 300], [300, 200], [300, 0]];
+
+  test('should require at least two points', () => {
+    expect(() => new ChainPath([[0, 0]])).toThrow('A chain path needs at least two points');
+  });
+
+  test('should pass through its end points', () => {
+    const path = new ChainPath(uShape);
+
+    expect(path.getPointAt(0)).toEqual({ x: 100, y: 0 });
+    expect(path.getPointAt(1)).toEqual({ x: 300, y: 0 });
+  });
+
+  test('should measure a straight path exactly', () => {
+    const path = new ChainPath([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+
+    expect(path.getLength()).toBeCloseTo(100);
+    expect(path.getPointAt(0.25).x).toBeCloseTo(25);
+    expect(path.getAngleAt(0.5)).toBeCloseTo(0);
+  });
+
+  test('should find the lowest point of a symmetric curve at its middle', () => {
+    const path = new ChainPath(uShape);
+    const middle = path.getPointAt(0.5);
+
+    expect(middle.x).toBeCloseTo(200, 0);
+    expect(middle.y).toBeCloseTo(300, 0);
+  });
+
+  test('should project positions onto the closest point of the path', () => {
+    const path = new ChainPath(uShape);
+    const closest = path.getClosestPoint({ x: 200, y: 400 });
+
+    expect(closest.x).toBeCloseTo(200, 0);
+    expect(closest.y).toBeCloseTo(300, 0);
+    expect(closest.distance).toBeCloseTo(100, 0);
+    expect(closest.t).toBeCloseTo(0.5, 2);
+  });
+
+  test('should place definition points over the necklace image', () => {
+    const path = ChainPath.fromDefinition(
+      { points: [[0, 0], [1, 1]] },
+      { x: 50, y: 20, width: 200, height: 100 }
+    );
+
+    expect(path.getPointAt(0)).toEqual({ x: 50, y: 20 });
+    expect(path.getPointAt(1)).toEqual({ x: 250, y: 120 });
+  });
+
+  test('should space points evenly by length', () => {
+    const path = new ChainPath([[0, 0], [90, 0]]);
+    const points = path.getEvenlySpacedPoints(4);
+
+    expect(points.map(point => Math.round(point.x))).toEqual([0, 30, 60, 90]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * CharmInspector Unit Tests
+ * Tests describing the selected charm and editing its position, rotation and scale
+ */
+
+import CharmInspector from '../../../src/js/utils/CharmInspector.js';
+
+describe('CharmInspector', () => {
+  let panel;
+  let charm;
+  let customizer;
+  let inspector;
+
+  const rows = () => [...panel.querySelectorAll('dt')].map(dt => [dt.textContent, dt.nextElementSibling.textContent]);
+
+  beforeEach(() => {
+    panel = document.createElement('section');
+    panel.hidden = true;
+    document.body.appendChild(panel);
+
+    let position = { x: 90, y: 200 };
+    charm = {
+      id: () => 'heart',
+      x: () => position.x,
+      y: () => position.y,
+      rotation: () => 15,
+      scaleX: () => 1.5,
+      charmData: { name: 'Heart', inventoryId: 'heart-gold', price: 12 }
+    };
+    customizer = {
+      charmManager: {
+        getBailOffset: () => ({ x: 10, y: 0 }),
+        findCharmById: id => (id === 'heart' ? charm : null)
+      },
+      getCatalogItem: () => null,
+      moveCharmTo: jest.fn((id, point) => {
+        position = { x: point.x - 10, y: point.y };
+        return true;
+      }),
+      setCharmRotation: jest.fn(),
+      setCharmScale: jest.fn()
+    };
+    inspector = new CharmInspector(panel, customizer);
+  });
+
+  afterEach(() => {
+    panel.remove();
+  });
+
+  test('should describe a single selected charm and hide for none or several', async () => {
+    await inspector.update([charm]);
+
+    expect(panel.hidden).toBe(false);
+    expect(panel.querySelector('h3').textContent).toBe('Heart');
+    expect(rows()).toEqual([['Price', '$12'], ['Material', '—'], ['Colour', '—'], ['Size', '—'], ['Stock', '—']]);
+    expect(panel.querySelector('[name="charm-x"]').value).toBe('100');
+    expect(panel.querySelector('[name="charm-scale"]').value).toBe('150');
+
+    await inspector.update([charm, charm]);
+    expect(panel.hidden).toBe(true);
+  });
+
+  test('should show inventory details once they load', async () => {
+    const loadDetails = jest.fn().mockResolvedValue({
+      title: 'Heart Charm 18K Gold',
+      price: '$12.00',
+      material: 'brass',
+      color: 'gold',
+      dimensions: { raw: '', width: 12, height: 15 },
+      available: true,
+      quantity: 4
+    });
+    inspector = new CharmInspector(panel, customizer, loadDetails);
+
+    await inspector.show(charm);
+    await inspector.show(charm);
+
+    expect(loadDetails).toHaveBeenCalledTimes(1);
+    expect(loadDetails).toHaveBeenCalledWith('heart-gold');
+    expect(panel.querySelector('h3').textContent).toBe('Heart Charm 18K Gold');
+    expect(rows()).toEqual([
+      ['Price', '$12.00'], ['Material', 'brass'], ['Colour', 'gold'], ['Size', '12 × 15 mm'], ['Stock', '4 in stock']
+    ]);
+  });
+
+  test('should move, turn and scale the charm from typed values', async () => {
+    await inspector.show(charm);
+    const field = (key, value) => {
+      const input = panel.querySelector(`[name="charm-${key}"]`);
+      input.value = value;
+      input.dispatchEvent(new Event('change'));
+      return input;
+    };
+
+    expect(field('x', '250').value).toBe('250');
+    expect(customizer.moveCharmTo).toHaveBeenCalledWith('heart', { x: 250, y: 200 });
+
+    field('rotation', '45');
+    expect(customizer.setCharmRotation).toHaveBeenCalledWith('heart', 45);
+
+    field('scale', '80');
+    expect(customizer.setCharmScale).toHaveBeenCalledWith('heart', 0.8);
+
+    expect(field('y', '').value).toBe('200');
+    expect(customizer.moveCharmTo).toHaveBeenCalledTimes(1);
+  });
+
+  test('should hide once the charm is no longer on the canvas', async () => {
+    await inspector.show(charm);
+    customizer.charmManager.findCharmById = () => null;
+
+    inspector.refresh();
+
+    expect(panel.hidden).toBe(true);
+  });
+});
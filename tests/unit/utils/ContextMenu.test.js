@@ -0,0 +1,85 @@
+/**
+ * ContextMenu Unit Tests
+ * Tests opening the menu, choosing commands with the mouse and keyboard, and closing it
+ */
+
+import ContextMenu from '../../../src/js/utils/ContextMenu.js';
+
+describe('ContextMenu', () => {
+  let menu;
+  let canvas;
+  let front;
+  let back;
+
+  const items = () => [...document.querySelectorAll('.context-menu-item')];
+  const press = (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="canvas" tabindex="0"></div>';
+    canvas = document.getElementById('canvas');
+    canvas.focus();
+    front = jest.fn();
+    back = jest.fn();
+
+    menu = new ContextMenu();
+    menu.show([
+      { label: 'Bring to front', shortcut: 'Ctrl+Shift+]', action: front },
+      { separator: true },
+      { label: 'Duplicate', disabled: true, action: jest.fn() },
+      { label: 'Send to back', action: back }
+    ], { clientX: 40, clientY: 50 });
+  });
+
+  afterEach(() => {
+    menu.hide();
+  });
+
+  test('should list the commands at the point and focus the first', () => {
+    const element = document.querySelector('.context-menu');
+
+    expect(element.getAttribute('role')).toBe('menu');
+    expect(element.style.left).toBe('40px');
+    expect(element.style.top).toBe('50px');
+    expect(items().map(item => item.textContent)).toEqual(['Bring to frontCtrl+Shift+]', 'Duplicate', 'Send to back']);
+    expect(items()[1].disabled).toBe(true);
+    expect(document.querySelectorAll('[role="separator"]')).toHaveLength(1);
+    expect(document.activeElement).toBe(items()[0]);
+  });
+
+  test('should run a command and close when it is chosen', () => {
+    items()[2].click();
+
+    expect(back).toHaveBeenCalled();
+    expect(menu.isOpen()).toBe(false);
+    expect(document.querySelector('.context-menu')).toBeNull();
+  });
+
+  test('should move between enabled commands with the arrow keys and close on Escape', () => {
+    const keyListener = jest.fn();
+    document.addEventListener('keydown', keyListener);
+
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Send to back');
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toMatch(/^Bring to front/);
+    press('ArrowUp');
+    expect(document.activeElement.textContent).toBe('Send to back');
+
+    expect(press('Escape').defaultPrevented).toBe(true);
+    expect(menu.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(canvas);
+    expect(keyListener).not.toHaveBeenCalled(); // Not taken as canvas shortcuts
+    document.removeEventListener('keydown', keyListener);
+  });
+
+  test('should close on a click elsewhere', () => {
+    canvas.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true }));
+
+    expect(menu.isOpen()).toBe(false);
+    expect(front).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * DesignLinkCodec Unit Tests
+ * Tests design link encoding, decoding and URL parsing
+ */
+
+import DesignLinkCodec, { DESIGN_LINK_VERSION } from '../../../src/js/utils/DesignLinkCodec.js';
+
+describe('DesignLinkCodec', () => {
+  const designData = {
+    necklace: { id: 'classic-chain', name: 'Classic Chain', konvaImage: {} },
+    charms: [
+      {
+        id: 'charm-one',
+        name: 'Charm One',
+        imageUrl: '/assets/charmOne.png',
+        price: 15,
+        material: 'sterling silver',
+        x: 120.4,
+        y: 240.6,
+        width: 320,
+        height: 320,
+        rotation: 15,
+        scaleX: 1.25,
+        scaleY: 1.25,
+        zIndex: 1
+      },
+      {
+        id: 'charm-two',
+        name: 'Charm Two — ♥',
+        imageUrl: '/assets/charmTwo.png',
+        x: 300,
+        y: 200,
+        rotation: 0,
+        scaleX: 1,
+        scaleY: 1,
+        parentId: 'charm-one'
+      }
+    ],
+    timestamp: 1700000000000
+  };
+
+  describe('Encoding', () => {
+    test('should produce a versioned URL-safe string', async () => {
+      const encoded = await DesignLinkCodec.encode(designData);
+
+      expect(encoded.startsWith(`${DESIGN_LINK_VERSION}.`)).toBe(true);
+      expect(encoded).toMatch(/^[A-Za-z0-9._-]+$/);
+    });
+
+    test('should round-trip charms and transforms', async () => {
+      const encoded = await DesignLinkCodec.encode(designData);
+      const decoded = await DesignLinkCodec.decode(encoded);
+
+      expect(decoded.necklace).toEqual({ id: 'classic-chain', name: 'Classic Chain' });
+      expect(decoded.charms).toHaveLength(2);
+      expect(decoded.charms[0]).toMatchObject({
+        id: 'charm-one',
+        imageUrl: '/assets/charmOne.png',
+        x: 120,
+        y: 241,
+        rotation: 15,
+        scaleX: 1.25,
+        scaleY: 1.25,
+        zIndex: 1
+      });
+      expect(decoded.charms[0].width).toBeUndefined();
+      expect(decoded.charms[1].name).toBe('Charm Two — ♥');
+      expect(decoded.charms[1].scaleX).toBe(1);
+      expect(decoded.charms[1].zIndex).toBe(0);
+      expect(decoded.charms[1].parentId).toBe('charm-one');
+      expect(decoded.charms[0].parentId).toBeUndefined();
+    });
+
+    test('should round-trip the strands of a layered necklace', async () => {
+      const layered = {
+        ...designData,
+        strands: [{ id: 'strand-2', chainLength: 20 }],
+        charms: [{ ...designData.charms[0], strandId: 'strand-2' }]
+      };
+
+      const decoded = await DesignLinkCodec.decode(await DesignLinkCodec.encode(layered));
+
+      expect(decoded.strands).toEqual([{ id: 'strand-2', chainLength: 20 }]);
+      expect(decoded.charms[0].strandId).toBe('strand-2');
+      expect((await DesignLinkCodec.decode(await DesignLinkCodec.encode(designData))).strands).toBeUndefined();
+    });
+
+    test('should keep the size and weight of each charm', async () => {
+      const sized = {
+        ...designData,
+        charms: [
+          { ...designData.charms[0], dimensions: '12 x 18mm', weight: '2.5g' },
+          { ...designData.charms[1], attributes: { size: '8mm', weight: '1g', color: 'Gold' } }
+        ]
+      };
+
+      const decoded = await DesignLinkCodec.decode(await DesignLinkCodec.encode(sized));
+
+      expect(decoded.charms[0]).toMatchObject({ dimensions: '12 x 18mm', weight: '2.5g' });
+      expect(decoded.charms[1]).toMatchObject({ dimensions: '8mm', weight: '1g' });
+      expect(decoded.charms[1].attributes).toBeUndefined();
+    });
+
+    test('should decode plain payloads without compression support', async () => {
+      const supportsCompression = jest.spyOn(DesignLinkCodec, 'supportsCompression').mockReturnValue(false);
+
+      const encoded = await DesignLinkCodec.encode(designData);
+      const decoded = await DesignLinkCodec.decode(encoded);
+
+      expect(encoded.startsWith(`${DESIGN_LINK_VERSION}.j.`)).toBe(true);
+      expect(decoded.charms[0].id).toBe('charm-one');
+
+      supportsCompression.mockRestore();
+    });
+  });
+
+  describe('Decoding', () => {
+    test('should reject unknown versions', async () => {
+      await expect(DesignLinkCodec.decode('99.j.e30'))
+        .rejects.toThrow('Unsupported design link version: 99');
+    });
+
+    test('should reject unknown codecs', async () => {
+      await expect(DesignLinkCodec.decode(`${DESIGN_LINK_VERSION}.x.e30`))
+        .rejects.toThrow('Unsupported design link codec: x');
+    });
+
+    test('should reject missing payloads', async () => {
+      await expect(DesignLinkCodec.decode(`${DESIGN_LINK_VERSION}.j`))
+        .rejects.toThrow('Design link is missing its payload');
+    });
+  });
+
+  describe('URLs', () => {
+    test('should build URLs that replace any existing fragment', () => {
+      expect(DesignLinkCodec.buildUrl('1.j.abc', 'https://example.com/customizer#old'))
+        .toBe('https://example.com/customizer#design=1.j.abc');
+      expect(DesignLinkCodec.buildIdUrl('abc-123', 'https://example.com/customizer'))
+        .toBe('https://example.com/customizer#design-id=abc-123');
+    });
+
+    test('should read encoded designs and design ids from the hash', () => {
+      expect(DesignLinkCodec.readFromHash('#design=1.j.abc')).toEqual({ encoded: '1.j.abc' });
+      expect(DesignLinkCodec.readFromHash('#design-id=abc-123')).toEqual({ designId: 'abc-123' });
+      expect(DesignLinkCodec.readFromHash('')).toBeNull();
+      expect(DesignLinkCodec.readFromHash('#other=1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * LibraryDrag Unit Tests
+ * Tests dragging charms from the library onto the canvas with touch
+ */
+
+import LibraryDrag from '../../../src/js/utils/LibraryDrag.js';
+
+describe('LibraryDrag', () => {
+  let canvas;
+  let item;
+  let onDrop;
+  let libraryDrag;
+  const charm = { id: 'heart', name: 'Heart', imageUrl: 'heart.png' };
+
+  // jsdom has no PointerEvent, so pointer details are added to mouse events
+  const pointer = (type, clientX, clientY, pointerType = 'touch') => {
+    const event = new MouseEvent(type, { clientX, clientY, bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'pointerType', { value: pointerType });
+    Object.defineProperty(event, 'pointerId', { value: 1 });
+    return event;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '<div id="canvas"></div><div class="charm-item"></div>';
+    canvas = document.getElementById('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, right: 500, bottom: 400 });
+    item = document.querySelector('.charm-item');
+
+    onDrop = jest.fn();
+    libraryDrag = new LibraryDrag(canvas, onDrop);
+    libraryDrag.attach(item, charm);
+  });
+
+  afterEach(() => {
+    libraryDrag.reset();
+    jest.useRealTimers();
+  });
+
+  test('should pick a charm up after a press and drop it over the canvas', () => {
+    item.dispatchEvent(pointer('pointerdown', 600, 500));
+    jest.advanceTimersByTime(300);
+
+    const ghost = document.querySelector('.charm-drag-ghost');
+    expect(ghost).not.toBeNull();
+    expect(item.classList.contains('dragging')).toBe(true);
+
+    document.dispatchEvent(pointer('pointermove', 200, 150));
+    expect(ghost.style.left).toBe('168px');
+    expect(canvas.classList.contains('drop-hover')).toBe(true);
+
+    document.dispatchEvent(pointer('pointerup', 200, 150));
+    expect(onDrop).toHaveBeenCalledWith(charm, { clientX: 200, clientY: 150 });
+    expect(document.querySelector('.charm-drag-ghost')).toBeNull();
+    expect(canvas.classList.contains('drop-hover')).toBe(false);
+  });
+
+  test('should treat moving before the press completes as a scroll', () => {
+    item.dispatchEvent(pointer('pointerdown', 600, 500));
+    document.dispatchEvent(pointer('pointermove', 600, 440));
+    jest.advanceTimersByTime(300);
+
+    expect(document.querySelector('.charm-drag-ghost')).toBeNull();
+    document.dispatchEvent(pointer('pointerup', 200, 150));
+    expect(onDrop).not.toHaveBeenCalled();
+  });
+
+  test('should not drop outside the canvas or add the charm again on the click that follows', () => {
+    const click = jest.fn();
+    item.addEventListener('click', click);
+
+    item.dispatchEvent(pointer('pointerdown', 600, 500));
+    jest.advanceTimersByTime(300);
+    document.dispatchEvent(pointer('pointerup', 650, 500));
+    item.click();
+
+    expect(onDrop).not.toHaveBeenCalled();
+    expect(click).not.toHaveBeenCalled();
+  });
+
+  test('should leave mouse drags to native drag and drop', () => {
+    item.dispatchEvent(pointer('pointerdown', 600, 500, 'mouse'));
+    jest.advanceTimersByTime(300);
+
+    expect(libraryDrag.drag).toBeNull();
+    expect(document.querySelector('.charm-drag-ghost')).toBeNull();
+  });
+});
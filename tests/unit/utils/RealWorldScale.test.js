@@ -0,0 +1,67 @@
+/**
+ * RealWorldScale Unit Tests
+ * Tests supplier size parsing, charm pixel sizing and necklace calibration
+ */
+
+import RealWorldScale, { DEFAULT_CHARM_SIZE_MM } from '../../../src/js/utils/RealWorldScale.js';
+
+describe('RealWorldScale', () => {
+  describe('parseDimensions', () => {
+    test('should read a single size as the longest side in millimetres', () => {
+      expect(RealWorldScale.parseDimensions('15mm')).toEqual({ size: 15 });
+      expect(RealWorldScale.parseDimensions('2 cm')).toEqual({ size: 20 });
+      expect(RealWorldScale.parseDimensions('1"')).toEqual({ size: 25.4 });
+      expect(RealWorldScale.parseDimensions(12)).toEqual({ size: 12 });
+    });
+
+    test('should read width by height with the unit on either value', () => {
+      expect(RealWorldScale.parseDimensions('20mm x 15mm')).toEqual({ width: 20, height: 15 });
+      expect(RealWorldScale.parseDimensions('1.5*2cm')).toEqual({ width: 15, height: 20 });
+      expect(RealWorldScale.parseDimensions({ raw: '10x12 mm' })).toEqual({ width: 10, height: 12 });
+    });
+
+    test('should return null for sizes without a number', () => {
+      expect(RealWorldScale.parseDimensions('Large')).toBeNull();
+      expect(RealWorldScale.parseDimensions('')).toBeNull();
+      expect(RealWorldScale.parseDimensions(undefined)).toBeNull();
+    });
+  });
+
+  test('should prefer parsed dimensions over supplier attributes', () => {
+    expect(RealWorldScale.getCharmDimensions({
+      dimensions: { width: 8, height: 10 },
+      attributes: { size: '30mm' }
+    })).toEqual({ width: 8, height: 10 });
+    expect(RealWorldScale.getCharmDimensions({ attributes: { dimensions: '18mm' } })).toEqual({ size: 18 });
+  });
+
+  test('should size a charm image to its real size keeping its aspect ratio', () => {
+    const image = { width: 200, height: 100 };
+
+    expect(RealWorldScale.getCharmPixelSize(image, { size: 10 }, 3)).toEqual({ width: 30, height: 15 });
+    expect(RealWorldScale.getCharmPixelSize(image, { width: 10, height: 10 }, 3)).toEqual({ width: 30, height: 15 });
+    expect(RealWorldScale.getCharmPixelSize(image, null, 1).width).toBe(DEFAULT_CHARM_SIZE_MM);
+  });
+
+  describe('getBasePixelsPerMm', () => {
+    const image = { width: 1000, height: 500 };
+
+    test('should use an authored calibration', () => {
+      const necklace = { customization_options: { pixels_per_mm: 4 } };
+
+      expect(RealWorldScale.getBasePixelsPerMm(necklace, image, 18)).toBe(4);
+    });
+
+    test('should measure the chain path against the chain length', () => {
+      // A straight 254mm (10 inch) chain drawn 762 pixels long
+      const necklace = { chainPath: { points: [[0.1, 0.5], [0.862, 0.5]] } };
+
+      expect(RealWorldScale.getBasePixelsPerMm(necklace, image, 10)).toBeCloseTo(3);
+    });
+
+    test('should not calibrate without a path or length', () => {
+      expect(RealWorldScale.getBasePixelsPerMm({}, image, 18)).toBeNull();
+      expect(RealWorldScale.getBasePixelsPerMm({ chainPath: [[0, 0], [1, 1]] }, image, null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * WeightBalance Unit Tests
+ * Tests weight parsing, chain capacity and centre of mass and torque analysis
+ */
+
+import WeightBalance from '../../../src/js/utils/WeightBalance.js';
+
+describe('WeightBalance', () => {
+  const charm = (id, x, weight) => ({ id, name: `Charm ${id}`, bail: { x, y: 100 }, weight });
+  const options = { pivotX: 200, halfWidth: 100, capacity: 20, pixelsPerMm: 2 };
+
+  test('should parse supplier weights into grams', () => {
+    expect(WeightBalance.parseWeight('2.5g')).toBe(2.5);
+    expect(WeightBalance.parseWeight('3 grams')).toBe(3);
+    expect(WeightBalance.parseWeight('0.1 oz')).toBe(2.84);
+    expect(WeightBalance.parseWeight('500mg')).toBe(0.5);
+    expect(WeightBalance.parseWeight(4)).toBe(4);
+    expect(WeightBalance.parseWeight('')).toBeNull();
+    expect(WeightBalance.parseWeight(undefined)).toBeNull();
+  });
+
+  test('should rate a chain by its authored load or gauge', () => {
+    expect(WeightBalance.getChainCapacity({ customization_options: { max_load_grams: 45 } })).toBe(45);
+    expect(WeightBalance.getChainCapacity({ gauge: 0.8 })).toBe(10);
+    expect(WeightBalance.getChainCapacity({ customization_options: { chain_gauge: 2.2 } })).toBe(60);
+    expect(WeightBalance.getChainCapacity({})).toBe(35);
+  });
+
+  test('should find the centre of mass and torque either side of the neck', () => {
+    const balance = WeightBalance.analyze([charm('a', 160, 2), charm('b', 260, 4), charm('c', 200, null)], options);
+
+    expect(balance.totalWeight).toBe(6);
+    expect(balance.centreOfMass).toEqual({ x: 226.66666666666666, y: 100 });
+    expect(balance.leftTorque).toBe(40); // 2g at 20mm
+    expect(balance.rightTorque).toBe(120); // 4g at 30mm
+    expect(balance.netTorque).toBe(80);
+    expect(balance.unweighed).toEqual(['c']);
+  });
+
+  test('should warn when a heavy design leans to one side', () => {
+    const balance = WeightBalance.analyze([charm('a', 120, 5), charm('b', 200, 1)], options);
+
+    expect(balance.warnings).toEqual([expect.objectContaining({ type: 'rotation' })]);
+    expect(balance.warnings[0].message).toContain('Heavier on the left');
+  });
+
+  test('should not warn about light or symmetrical designs', () => {
+    expect(WeightBalance.analyze([charm('a', 120, 1)], options).warnings).toEqual([]);
+    expect(WeightBalance.analyze([charm('a', 150, 5), charm('b', 250, 5)], options).warnings).toEqual([]);
+  });
+
+  test('should warn when the charms are too heavy for the chain', () => {
+    const balance = WeightBalance.analyze([charm('a', 180, 12), charm('b', 220, 12)], options);
+
+    expect(balance.warnings).toEqual([expect.objectContaining({ type: 'overweight' })]);
+    expect(balance.warnings[0].message).toContain('24.0 g');
+  });
+});